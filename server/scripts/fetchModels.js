@@ -0,0 +1,68 @@
+// Prepare an offline model directory for air-gapped installs.
+// Run on a machine with internet access, then copy the folder to the site and point MODEL_DIR at it.
+// Usage: npm run fetch-models [-- <targetDir>]   (default: MODEL_DIR or server/models)
+const path = require('path');
+const fs = require('fs');
+
+// tfjs graph models only published on TF Hub, by the folder they are saved to
+const GRAPH_MODELS = {
+  blazeface: 'https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1',
+  // Person mask for background replacement
+  selfie_segmentation: 'https://tfhub.dev/mediapipe/tfjs-model/selfie_segmentation/general/1',
+};
+const FACE_API_MODELS = [
+  'tiny_face_detector_model',
+  'ssd_mobilenetv1_model',
+  'face_landmark_68_model',
+];
+
+async function download(url, dest) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`GET ${url} -> HTTP ${res.status}`);
+  fs.writeFileSync(dest, Buffer.from(await res.arrayBuffer()));
+  console.log(`Downloaded ${dest}`);
+}
+
+// Save a TF Hub graph model's model.json and its shards under <target>/<name>
+async function fetchGraphModel(targetDir, name) {
+  const url = GRAPH_MODELS[name];
+  const dir = path.join(targetDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  const modelJsonPath = path.join(dir, 'model.json');
+  await download(`${url}/model.json?tfjs-format=file`, modelJsonPath);
+  const modelJson = JSON.parse(fs.readFileSync(modelJsonPath, 'utf8'));
+  for (const group of modelJson.weightsManifest || []) {
+    for (const shard of group.paths || []) {
+      await download(`${url}/${shard}?tfjs-format=file`, path.join(dir, shard));
+    }
+  }
+}
+
+// face-api ships its weights in the npm package; copy manifest + shards of the nets we use
+function copyFaceApiModels(targetDir) {
+  const sourceDir = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+  for (const name of FACE_API_MODELS) {
+    const manifestFile = `${name}-weights_manifest.json`;
+    const manifest = JSON.parse(fs.readFileSync(path.join(sourceDir, manifestFile), 'utf8'));
+    const files = [manifestFile, ...manifest.flatMap(group => group.paths || [])];
+    for (const file of files) {
+      fs.copyFileSync(path.join(sourceDir, file), path.join(targetDir, file));
+      console.log(`Copied ${path.join(targetDir, file)}`);
+    }
+  }
+}
+
+async function main() {
+  const targetDir = path.resolve(process.argv[2] || process.env.MODEL_DIR || path.join(__dirname, '..', 'models'));
+  fs.mkdirSync(targetDir, { recursive: true });
+  copyFaceApiModels(targetDir);
+  for (const name of Object.keys(GRAPH_MODELS)) {
+    await fetchGraphModel(targetDir, name);
+  }
+  console.log(`Models ready in ${targetDir}. Set MODEL_DIR=${targetDir} on the server.`);
+}
+
+main().catch((err) => {
+  console.error('Failed to fetch models:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const archiveIngest = require('../archiveIngest');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Minimal ZIP writer, so tests can build archives no regular tool would: names with "..", sizes that
+ * lie. entries: [{ name, data, method (0 stored, 8 deflated; default 8), size (declared, default the real one) }]
+ */
+function buildZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { name, data = Buffer.alloc(0), method = 8, size = data.length } of entries) {
+        const fileName = Buffer.from(name);
+        const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+        const crc = crc32(data);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(stored.length, 20);
+        central.writeUInt32LE(size, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, fileName, stored);
+        centrals.push(central, fileName);
+        offset += local.length + fileName.length + stored.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+describe('archiveIngest', () => {
+    let dir;
+    let target;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-ingest-'));
+        target = path.join(dir, 'session');
+        await fs.ensureDir(target);
+    });
+
+    afterEach(async () => {
+        delete process.env.ARCHIVE_MAX_ENTRIES;
+        await fs.remove(dir);
+    });
+
+    async function writeZip(entries, name = 'upload.zip') {
+        const file = path.join(dir, name);
+        await fs.writeFile(file, buildZip(entries));
+        return file;
+    }
+
+    describe('entrySegments', () => {
+        it('flattens harmless paths into segments', () => {
+            expect(archiveIngest.entrySegments('photos/./2024/a.jpg')).toEqual(['photos', '2024', 'a.jpg']);
+            expect(archiveIngest.entrySegments('photos\\b.jpg')).toEqual(['photos', 'b.jpg']);
+        });
+
+        it.each([
+            '../evil.jpg',
+            'photos/../../evil.jpg',
+            '..\\evil.jpg',
+            '/etc/passwd.jpg',
+            'C:\\Windows\\evil.jpg',
+            'c:evil.jpg',
+            'photo\0.jpg',
+            '',
+            './'
+        ])('rejects %j', (name) => {
+            expect(archiveIngest.entrySegments(name)).toBeNull();
+        });
+    });
+
+    describe('extract', () => {
+        it('unpacks photos and spreadsheets flat and reports what it skipped', async () => {
+            const archive = await writeZip([
+                { name: 'team/', data: Buffer.alloc(0), method: 0 },
+                { name: 'team/a.jpg', data: Buffer.from('jpeg bytes a') },
+                { name: 'other/a.jpg', data: Buffer.from('jpeg bytes b'), method: 0 },
+                { name: 'roster.xlsx', data: Buffer.from('sheet') },
+                { name: 'notes.txt', data: Buffer.from('text') },
+                { name: '__MACOSX/team/._a.jpg', data: Buffer.from('fork') },
+                { name: 'inner.zip', data: Buffer.from('zip') }
+            ]);
+            const { files, skipped } = await archiveIngest.extract(archive, target, { stamp: 1000 });
+
+            expect(files.map(f => [f.originalName, f.filename])).toEqual([
+                ['team/a.jpg', '1000-a.jpg'],
+                ['other/a.jpg', '1001-a.jpg'],
+                ['roster.xlsx', '1000-roster.xlsx']
+            ]);
+            expect(await fs.readFile(path.join(target, '1001-a.jpg'), 'utf8')).toBe('jpeg bytes b');
+            expect(files[0]).toMatchObject({ size: 12, mimetype: 'image/jpeg', archive: 'upload.zip' });
+            expect(skipped).toEqual([
+                { name: 'notes.txt', reason: 'not a photo or spreadsheet' },
+                { name: '__MACOSX/team/._a.jpg', reason: 'system file' },
+                { name: 'inner.zip', reason: 'nested archives are not unpacked' }
+            ]);
+        });
+
+        it('skips zip-slip entries without writing outside the target folder', async () => {
+            const archive = await writeZip([
+                { name: '../escaped.jpg', data: Buffer.from('x') },
+                { name: 'a/../../escaped.jpg', data: Buffer.from('x') },
+                { name: '..\\escaped.jpg', data: Buffer.from('x') },
+                { name: '/abs.jpg', data: Buffer.from('x') },
+                { name: 'safe.jpg', data: Buffer.from('x') }
+            ]);
+            const { files, skipped } = await archiveIngest.extract(archive, target, { stamp: 1 });
+
+            expect(files.map(f => f.filename)).toEqual(['1-safe.jpg']);
+            expect(skipped).toHaveLength(4);
+            expect(skipped.every(entry => entry.reason === 'unsafe path')).toBe(true);
+            expect(await fs.readdir(dir)).toEqual(['session', 'upload.zip']);
+            expect(await fs.readdir(target)).toEqual(['1-safe.jpg']);
+        });
+
+        it('rejects a ZIP bomb before anything is written', async () => {
+            const archive = await writeZip([
+                { name: 'a.jpg', data: Buffer.from('fine') },
+                { name: 'big.jpg', data: Buffer.alloc(4 * 1024 * 1024) }
+            ]);
+            await expect(archiveIngest.extract(archive, target)).rejects.toThrow(/looks like a ZIP bomb: big\.jpg/);
+            expect(await fs.readdir(target)).toEqual([]);
+        });
+
+        it('rejects archives with more entries than ARCHIVE_MAX_ENTRIES', async () => {
+            process.env.ARCHIVE_MAX_ENTRIES = '2';
+            const archive = await writeZip(['a.jpg', 'b.jpg', 'c.jpg'].map(name => ({ name, data: Buffer.from(name) })));
+            await expect(archiveIngest.extract(archive, target)).rejects.toThrow(archiveIngest.ArchiveError);
+        });
+
+        it('skips an entry that inflates past its declared size and removes its partial file', async () => {
+            const archive = await writeZip([
+                { name: 'liar.jpg', data: Buffer.alloc(64 * 1024, 1), size: 1000 },
+                { name: 'honest.jpg', data: Buffer.from('ok') }
+            ]);
+            const { files, skipped } = await archiveIngest.extract(archive, target, { stamp: 1 });
+
+            expect(files.map(f => f.originalName)).toEqual(['honest.jpg']);
+            expect(skipped).toEqual([{ name: 'liar.jpg', reason: expect.stringMatching(/^corrupt: /) }]);
+            expect(await fs.readdir(target)).toEqual(['1-honest.jpg']);
+        });
+
+        it('rejects a file that is not a ZIP archive', async () => {
+            const file = path.join(dir, 'fake.zip');
+            await fs.writeFile(file, 'not a zip');
+            await expect(archiveIngest.extract(file, target)).rejects.toThrow(/fake\.zip is not a readable ZIP archive/);
+        });
+    });
+});
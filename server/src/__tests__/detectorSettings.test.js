@@ -0,0 +1,46 @@
+const detectorSettings = require('../detectorSettings');
+
+describe('detectorSettings', () => {
+    describe('normalize', () => {
+        it.each([undefined, null, ''])('uses the defaults for %j', (spec) => {
+            expect(detectorSettings.normalize(spec)).toEqual({ settings: detectorSettings.DEFAULTS });
+        });
+
+        it('reads a chain given as a list or a comma-separated string', () => {
+            expect(detectorSettings.normalize({ chain: ' ssd_mobilenetv1, blazeface ', minConfidence: '0.5', inputSize: '320' })).toEqual({
+                settings: { chain: ['ssd_mobilenetv1', 'blazeface'], minConfidence: 0.5, inputSize: 320 }
+            });
+            expect(detectorSettings.normalize({ chain: ['tiny_face_detector'] }).settings.chain).toEqual(['tiny_face_detector']);
+        });
+
+        it('accepts the bounds of minConfidence', () => {
+            expect(detectorSettings.normalize({ minConfidence: detectorSettings.MIN_CONFIDENCE }).errors).toBeUndefined();
+            expect(detectorSettings.normalize({ minConfidence: detectorSettings.MAX_CONFIDENCE }).errors).toBeUndefined();
+        });
+
+        it.each([
+            [[1, 2], 'detection must be an object'],
+            [{ chain: ['yolo'] }, 'Unknown detector(s): yolo'],
+            [{ chain: [] }, 'chain needs at least one detector'],
+            [{ chain: 'blazeface,blazeface' }, 'chain lists a detector twice'],
+            [{ minConfidence: 0.01 }, 'minConfidence must be between 0.05 and 0.95'],
+            [{ minConfidence: 'high' }, 'minConfidence must be between 0.05 and 0.95'],
+            [{ inputSize: 300 }, 'inputSize must be one of']
+        ])('rejects %j', (spec, message) => {
+            const { errors } = detectorSettings.normalize(spec);
+            expect(errors).toEqual(expect.arrayContaining([expect.stringContaining(message)]));
+        });
+    });
+
+    it('isDefault tells settings that change detection results', () => {
+        expect(detectorSettings.isDefault(null)).toBe(true);
+        expect(detectorSettings.isDefault({ ...detectorSettings.DEFAULTS })).toBe(true);
+        expect(detectorSettings.isDefault({ ...detectorSettings.DEFAULTS, minConfidence: 0.5 })).toBe(false);
+        expect(detectorSettings.isDefault({ ...detectorSettings.DEFAULTS, chain: ['blazeface'] })).toBe(false);
+    });
+
+    it('describe summarises the settings', () => {
+        expect(detectorSettings.describe(null)).toBe('default chain, min 0.3, input 416');
+        expect(detectorSettings.describe({ chain: ['blazeface', 'ssd_mobilenetv1'], minConfidence: 0.5, inputSize: 320 })).toBe('blazeface > ssd_mobilenetv1, min 0.5, input 320');
+    });
+});
@@ -0,0 +1,59 @@
+const employeeIdRules = require('../employeeIdRules');
+
+describe('employeeIdRules', () => {
+    describe('parse with the default rule set', () => {
+        const rules = employeeIdRules.compile(null);
+        const parse = filename => employeeIdRules.parse(filename, rules);
+
+        it.each([
+            ['1762133491077-MTI250106 - Fikri Hisyam.jpg', 'MTI250106', 'Fikri Hisyam', 0],
+            ['Scan_MTI250105_front.jpg', 'MTI250105', null, 1],
+            ['badge 1234567.png', '1234567', null, 2],
+            ['jdoe_portrait.jpg', 'jdoe', null, 3]
+        ])('reads %j as %j', (filename, employeeId, name, rule) => {
+            expect(parse(filename)).toMatchObject({ employeeId, name, rule, matched: true, ruleSet: 'default' });
+        });
+
+        it('suffixes later pages of multi-page files', () => {
+            expect(parse('MTI250106.tiff#2').employeeId).toBe('MTI250106-p2');
+            expect(parse('MTI250106.tiff#1').employeeId).toBe('MTI250106');
+        });
+
+        it('falls back to the bare file name when no rule matches', () => {
+            expect(parse('___.jpg')).toMatchObject({ employeeId: '___', rule: null, matched: false });
+        });
+    });
+
+    it('tries rule sets in order (contractor before the standard rules)', () => {
+        const rules = employeeIdRules.compile({ name: 'contractor', ...employeeIdRules.BUILTIN_RULE_SETS.contractor });
+        expect(employeeIdRules.parse('ktr-00123_Siti_Aminah.jpg', rules)).toMatchObject({ employeeId: 'ktr-00123', name: 'Siti Aminah', rule: 0 });
+        expect(employeeIdRules.parse('MTI250106.jpg', rules)).toMatchObject({ employeeId: 'MTI250106', rule: 2 });
+    });
+
+    describe('normalizeRuleSet', () => {
+        it('accepts rules with an id group', () => {
+            const { ruleSet } = employeeIdRules.normalizeRuleSet('badges', { rules: [{ pattern: '^B(?<id>\\d+)$', flags: 'i' }] });
+            expect(ruleSet).toEqual({ name: 'badges', label: 'badges', description: null, rules: [{ label: 'Rule 1', pattern: '^B(?<id>\\d+)$', flags: 'i' }] });
+        });
+
+        it.each([
+            ['bad name!', { rules: ['(?<id>x)'] }, 'name must be'],
+            ['a', { rules: [] }, 'rules must be a non-empty array'],
+            ['a', { rules: Array(21).fill('(?<id>x)') }, 'at most 20 rules'],
+            ['a', { rules: ['(\\d+)'] }, 'pattern needs a named group (?<id>...)'],
+            ['a', { rules: ['(?<id>x*)'] }, 'must not match an empty name'],
+            ['a', { rules: ['(?<id>[)'] }, 'rule 1: Invalid regular expression'],
+            ['a', { rules: [{ pattern: '(?<id>x)', flags: 'g' }] }, 'flags may only contain i, m, s, u']
+        ])('rejects %j %j', (name, spec, message) => {
+            const { errors } = employeeIdRules.normalizeRuleSet(name, spec);
+            expect(errors).toEqual(expect.arrayContaining([expect.stringContaining(message)]));
+        });
+    });
+
+    it('preview lists IDs claimed by several files', () => {
+        const result = employeeIdRules.preview(['MTI250106 - A.jpg', 'mti250106.png', 'MTI250107.jpg', '___.jpg'], null);
+        expect(result.files.map(f => f.employeeId)).toEqual(['MTI250106', 'mti250106', 'MTI250107', '___']);
+        expect(result.duplicates).toEqual([{ employeeId: 'MTI250106', filenames: ['MTI250106 - A.jpg', 'mti250106.png'] }]);
+        expect(result.unmatched).toBe(1);
+    });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const imageIngest = require('../imageIngest');
+
+/**
+ * BMP file with a BITMAPINFOHEADER (40 bytes, or headerSize with the masks inside it).
+ * rows are given top to bottom as raw pixel bytes (padding is added); height < 0 stores them top-down.
+ */
+function buildBmp({ width, height, bpp, rows, palette = [], masks = null, compression = 0, headerSize = 40 }) {
+    const rowSize = Math.floor((bpp * width + 31) / 32) * 4;
+    const extra = masks && headerSize === 40 ? masks.length * 4 : 0;
+    const dataOffset = 14 + headerSize + extra + palette.length * 4;
+    const buffer = Buffer.alloc(dataOffset + rowSize * Math.abs(height));
+    buffer.write('BM', 0, 'ascii');
+    buffer.writeUInt32LE(buffer.length, 2);
+    buffer.writeUInt32LE(dataOffset, 10);
+    buffer.writeUInt32LE(headerSize, 14);
+    buffer.writeInt32LE(width, 18);
+    buffer.writeInt32LE(height, 22);
+    buffer.writeUInt16LE(1, 26);
+    buffer.writeUInt16LE(bpp, 28);
+    buffer.writeUInt32LE(compression, 30);
+    buffer.writeUInt32LE(palette.length, 46);
+    (masks || []).forEach((mask, i) => buffer.writeUInt32LE(mask, 54 + i * 4));
+    palette.forEach(([r, g, b], i) => {
+        const o = 14 + headerSize + i * 4;
+        buffer[o] = b;
+        buffer[o + 1] = g;
+        buffer[o + 2] = r;
+    });
+    rows.forEach((row, y) => {
+        const stored = height < 0 ? y : Math.abs(height) - 1 - y;
+        Buffer.from(row).copy(buffer, dataOffset + stored * rowSize);
+    });
+    return buffer;
+}
+
+describe('imageIngest', () => {
+    describe('source keys', () => {
+        it('round-trips pages after the first', () => {
+            expect(imageIngest.sourceKey('scan.tiff', 2)).toBe('scan.tiff#2');
+            expect(imageIngest.sourceKey('scan.tiff', 1)).toBe('scan.tiff');
+            expect(imageIngest.parseSourceKey('scan.tiff#2')).toEqual({ filename: 'scan.tiff', page: 2 });
+        });
+
+        it.each(['photo#1.jpg', '#2', 'notes.txt#2', 'scan.tiff#x', 'scan.tiff'])('keeps %j as a plain file name', (key) => {
+            expect(imageIngest.parseSourceKey(key)).toEqual({ filename: key, page: null });
+        });
+    });
+
+    describe('decodeBmp', () => {
+        it('decodes 24-bit bottom-up rows (BGR) into top-down RGB', () => {
+            const bmp = buildBmp({ width: 2, height: 2, bpp: 24, rows: [[0, 0, 255, 0, 255, 0], [255, 0, 0, 255, 255, 255]] });
+            const { data, width, height, channels } = imageIngest.decodeBmp(bmp);
+            expect({ width, height, channels }).toEqual({ width: 2, height: 2, channels: 3 });
+            expect([...data]).toEqual([255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255]);
+        });
+
+        it('decodes top-down palette images', () => {
+            // 1 bpp, 3 pixels per row: 101 / 010
+            const bmp = buildBmp({ width: 3, height: -2, bpp: 1, palette: [[0, 0, 0], [200, 100, 50]], rows: [[0b10100000], [0b01000000]] });
+            const { data } = imageIngest.decodeBmp(bmp);
+            expect([...data]).toEqual([200, 100, 50, 0, 0, 0, 200, 100, 50, 0, 0, 0, 200, 100, 50, 0, 0, 0]);
+        });
+
+        it('reads 32-bit bitfields with alpha', () => {
+            const masks = [0x00ff0000, 0x0000ff00, 0x000000ff, 0xff000000];
+            const bmp = buildBmp({ width: 1, height: 1, bpp: 32, compression: 6, masks, rows: [[30, 20, 10, 128]] });
+            const { data, channels } = imageIngest.decodeBmp(bmp);
+            expect(channels).toBe(4);
+            expect([...data]).toEqual([10, 20, 30, 128]);
+        });
+
+        it('expands 16-bit 5-5-5 pixels', () => {
+            // r = 31, g = 0, b = 16
+            const value = (31 << 10) | 16;
+            const bmp = buildBmp({ width: 1, height: 1, bpp: 16, rows: [[value & 0xff, value >> 8]] });
+            expect([...imageIngest.decodeBmp(bmp).data]).toEqual([255, 0, 132]);
+        });
+
+        it.each([
+            ['not a bitmap', () => Buffer.alloc(60), 'Not a BMP file'],
+            ['an RLE bitmap', () => buildBmp({ width: 1, height: 1, bpp: 8, compression: 1, palette: [[0, 0, 0]], rows: [[0]] }), 'Compressed BMP (type 1)'],
+            ['a truncated bitmap', () => buildBmp({ width: 4, height: 4, bpp: 24, rows: [] }).subarray(0, 70), 'Truncated BMP file'],
+            ['zero width', () => buildBmp({ width: 0, height: 1, bpp: 24, rows: [] }), 'Invalid BMP dimensions']
+        ])('rejects %s', (_, build, message) => {
+            expect(() => imageIngest.decodeBmp(build())).toThrow(message);
+        });
+    });
+
+    it('loadImage decodes a BMP upload through sharp', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-ingest-'));
+        try {
+            const file = path.join(dir, 'photo.bmp');
+            await fs.writeFile(file, buildBmp({ width: 2, height: 1, bpp: 24, rows: [[0, 0, 255, 255, 0, 0]] }));
+            const { width, height } = await imageIngest.loadImage(file);
+            expect({ width, height }).toEqual({ width: 2, height: 1 });
+        } finally {
+            await fs.remove(dir);
+        }
+    });
+});
@@ -0,0 +1,92 @@
+const path = require('path');
+const outputProfiles = require('../outputProfiles');
+
+describe('outputProfiles', () => {
+    describe('normalizeProfile', () => {
+        it('fills in the defaults', () => {
+            expect(outputProfiles.normalizeProfile('badge', { width: 300, height: 400 })).toEqual({
+                profile: {
+                    name: 'badge',
+                    label: 'badge',
+                    width: 300,
+                    height: 400,
+                    aspect: 0.75,
+                    format: 'jpeg',
+                    quality: 90,
+                    minQuality: 40,
+                    maxBytes: null,
+                    stripMetadata: true,
+                    toneStrength: outputProfiles.DEFAULT_TONE_STRENGTH
+                }
+            });
+        });
+
+        it('reads the aspect ratio when only one side is given', () => {
+            expect(outputProfiles.normalizeProfile('a', { width: 600, aspect: '3:4' }).profile.aspect).toBe(0.75);
+            expect(outputProfiles.normalizeProfile('a', { aspect: '16/9' }).profile.aspect).toBeCloseTo(16 / 9);
+            expect(outputProfiles.normalizeProfile('a', { aspect: 0.8, format: 'JPG' }).profile).toMatchObject({ aspect: 0.8, format: 'jpeg' });
+        });
+
+        it.each([
+            ['bad name', {}, 'name must be'],
+            ['_debug', {}, 'reserved'],
+            ['a', { width: 10 }, 'width must be an integer between 16 and 8000'],
+            ['a', { aspect: '3:0' }, 'aspect must be a positive ratio'],
+            ['a', { width: 300, height: 400, aspect: '1:1' }, 'aspect does not match width/height'],
+            ['a', { format: 'gif' }, 'format must be one of jpeg, png, webp'],
+            ['a', { quality: 80, minQuality: 90 }, 'minQuality must be an integer between 1 and quality'],
+            ['a', { maxBytes: 100 }, 'maxBytes must be an integer of at least 1024'],
+            ['a', { toneStrength: 2 }, 'toneStrength must be between 0 and 1']
+        ])('rejects %j %j', (name, spec, message) => {
+            const { errors } = outputProfiles.normalizeProfile(name, spec);
+            expect(errors).toEqual(expect.arrayContaining([expect.stringContaining(message)]));
+        });
+
+        it('accepts every built-in profile', () => {
+            for (const [name, spec] of Object.entries(outputProfiles.BUILTIN_PROFILES)) {
+                expect(outputProfiles.normalizeProfile(name, spec).errors).toBeUndefined();
+            }
+        });
+    });
+
+    describe('aspectRegion', () => {
+        const square = { x: 400, y: 300, size: 200 };
+
+        it('keeps a square crop for aspect 1', () => {
+            expect(outputProfiles.aspectRegion(square, 1, 1000, 1000)).toEqual({ left: 400, top: 300, width: 200, height: 200 });
+        });
+
+        it('extends the longer side around the centre of the crop', () => {
+            expect(outputProfiles.aspectRegion(square, 0.75, 1000, 1000)).toEqual({ left: 400, top: 267, width: 200, height: 266 });
+            expect(outputProfiles.aspectRegion(square, 2, 1000, 1000)).toEqual({ left: 300, top: 300, width: 400, height: 200 });
+        });
+
+        it('shifts the region back inside the image', () => {
+            expect(outputProfiles.aspectRegion({ x: 0, y: 0, size: 200 }, 0.5, 1000, 1000)).toEqual({ left: 0, top: 0, width: 200, height: 400 });
+        });
+
+        it('shrinks a region taller than the image, keeping the aspect', () => {
+            const region = outputProfiles.aspectRegion({ x: 0, y: 0, size: 300 }, 0.5, 1000, 400);
+            expect(region).toEqual({ left: 50, top: 0, width: 200, height: 400 });
+        });
+    });
+
+    describe('outputSize', () => {
+        const region = { width: 321, height: 428 };
+
+        it('follows the profile, then its aspect, then the region', () => {
+            expect(outputProfiles.outputSize({ width: 400, height: 400, aspect: 1 }, region)).toEqual({ width: 400, height: 400 });
+            expect(outputProfiles.outputSize({ width: 300, height: null, aspect: 0.75 }, region)).toEqual({ width: 300, height: 400 });
+            expect(outputProfiles.outputSize({ width: null, height: 800, aspect: 0.75 }, region)).toEqual({ width: 600, height: 800 });
+            expect(outputProfiles.outputSize({ width: null, height: null, aspect: 0.75 }, region)).toEqual(region);
+        });
+    });
+
+    describe('renditionPath', () => {
+        it('writes the primary next to the manifest and the others into a profile folder', () => {
+            const base = path.join('job', '123.jpg');
+            expect(outputProfiles.renditionPath(base, { name: 'default', format: 'png' }, true)).toBe(path.join('job', '123.png'));
+            expect(outputProfiles.renditionPath(base, { name: 'web', format: 'webp' }, false)).toBe(path.join('job', 'web', '123.webp'));
+        });
+    });
+});
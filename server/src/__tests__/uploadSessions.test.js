@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const UploadSessions = require('../uploadSessions');
+
+const { UploadSessionError } = UploadSessions;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('UploadSessions', () => {
+    let dir;
+    let sessions;
+    // 10 bytes in chunks of 4: 4 + 4 + 2
+    const content = Buffer.from('0123456789');
+    const chunk = index => content.subarray(index * 4, (index + 1) * 4);
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-sessions-'));
+        sessions = new UploadSessions({ uploadDir: dir, chunkSize: 4 });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.remove(dir);
+    });
+
+    async function openWithPhoto(extra = {}) {
+        const status = await sessions.create({ processingMode: 'images_only', files: [{ name: 'team/a.jpg', size: content.length, ...extra }] });
+        return { sessionId: status.sessionId, file: status.files[0] };
+    }
+
+    it('splits announced files into chunks', async () => {
+        const { file } = await openWithPhoto({ fingerprint: 'team/a.jpg|10|1' });
+        expect(file).toMatchObject({ name: 'a.jpg', originalName: 'team/a.jpg', totalChunks: 3, received: [], complete: false });
+    });
+
+    it.each([
+        [{ name: 'a.exe', size: 10 }, /not allowed/],
+        [{ name: '.DS_Store', size: 10 }, /Invalid file name/],
+        [{ name: 'a.jpg', size: 0 }, /Invalid size/],
+        [{ name: 'a.jpg', size: 51 * 1024 * 1024 }, /File too large/],
+        [{ name: 'a.jpg', size: 10, sha256: 'abc' }, /Invalid sha256/]
+    ])('refuses the file %j', async (file, message) => {
+        await expect(sessions.create({ processingMode: 'images_only', files: [file] })).rejects.toThrow(message);
+    });
+
+    it('stores chunks whose length and checksum match', async () => {
+        const { sessionId, file } = await openWithPhoto();
+        const result = await sessions.writeChunk(sessionId, file.fileId, 2, chunk(2), sha256(chunk(2)).toUpperCase());
+        expect(result).toEqual({ fileId: file.fileId, index: 2, received: 1, totalChunks: 3 });
+        expect((await sessions.status(sessionId)).files[0].received).toEqual([2]);
+    });
+
+    it.each([-1, 3, 1.5, 'x'])('rejects chunk index %j', async (index) => {
+        const { sessionId, file } = await openWithPhoto();
+        await expect(sessions.writeChunk(sessionId, file.fileId, index, chunk(0), sha256(chunk(0)))).rejects.toThrow(/Chunk index must be 0-2/);
+    });
+
+    it('rejects a chunk of the wrong length', async () => {
+        const { sessionId, file } = await openWithPhoto();
+        // Only the last chunk may be short
+        await expect(sessions.writeChunk(sessionId, file.fileId, 0, chunk(2), sha256(chunk(2)))).rejects.toThrow(/must be 4 bytes/);
+    });
+
+    it('rejects a chunk without a checksum or with a wrong one, and keeps nothing', async () => {
+        const { sessionId, file } = await openWithPhoto();
+        await expect(sessions.writeChunk(sessionId, file.fileId, 0, chunk(0))).rejects.toThrow(/X-Chunk-Sha256 header is required/);
+        const mismatch = sessions.writeChunk(sessionId, file.fileId, 0, chunk(0), sha256(chunk(1)));
+        await expect(mismatch).rejects.toThrow(UploadSessionError);
+        await expect(mismatch).rejects.toMatchObject({ status: 422 });
+        expect((await sessions.status(sessionId)).files[0].received).toEqual([]);
+    });
+
+    it('refuses session ids that are not UUIDs', async () => {
+        await expect(sessions.status('../../etc')).rejects.toMatchObject({ status: 404 });
+        await expect(sessions.writeChunk('../x', 'f', 0, chunk(0), sha256(chunk(0)))).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('finalizes only once every chunk is in and assembles the file', async () => {
+        const { sessionId, file } = await openWithPhoto({ sha256: sha256(content) });
+        await sessions.writeChunk(sessionId, file.fileId, 0, chunk(0), sha256(chunk(0)));
+        await expect(sessions.finalize(sessionId)).rejects.toMatchObject({ status: 409, message: expect.stringContaining('team/a.jpg (1/3 chunks)') });
+
+        await sessions.writeChunk(sessionId, file.fileId, 1, chunk(1), sha256(chunk(1)));
+        await sessions.writeChunk(sessionId, file.fileId, 2, chunk(2), sha256(chunk(2)));
+        const { files } = await sessions.finalize(sessionId);
+        expect(files).toHaveLength(1);
+        expect(files[0]).toMatchObject({ originalname: 'team/a.jpg', size: 10, mimetype: 'image/jpeg' });
+        expect(await fs.readFile(files[0].path)).toEqual(content);
+        await expect(sessions.writeChunk(sessionId, file.fileId, 0, chunk(0), sha256(chunk(0)))).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('discards the chunks of a file that does not match its announced checksum', async () => {
+        const { sessionId, file } = await openWithPhoto({ sha256: sha256(Buffer.from('something else')) });
+        for (const index of [0, 1, 2]) {
+            await sessions.writeChunk(sessionId, file.fileId, index, chunk(index), sha256(chunk(index)));
+        }
+        await expect(sessions.finalize(sessionId)).rejects.toMatchObject({ status: 422 });
+        expect((await sessions.status(sessionId)).files[0].received).toEqual([]);
+    });
+});
@@ -0,0 +1,228 @@
+// Archive ingestion: a ZIP upload (HR's "one ZIP with every photo and the roster") is unpacked into
+// the upload session folder next to individually uploaded files, so processing sees the same flat
+// folder either way. Folders inside the archive are flattened. The archive is never trusted:
+// entries whose path escapes the folder (zip-slip) are refused, and the declared sizes, entry count
+// and compression ratio are checked before anything is inflated (yauzl stops an entry that inflates
+// past its declared size), so a ZIP bomb is rejected instead of filling the disk. Only the central
+// directory is read up front; every entry is then streamed to disk, so neither memory nor the event
+// loop is held for the size of the archive.
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const imageIngest = require('./imageIngest');
+
+const ARCHIVE_EXTENSIONS = ['.zip'];
+const MB = 1024 * 1024;
+// Same limit as an individually uploaded file
+const MAX_ENTRY_SIZE = 50 * MB;
+// Entries whose declared size is this many times their compressed size are treated as a bomb
+const MAX_COMPRESSION_RATIO = 100;
+// Small entries may compress well without being suspicious (blank spreadsheets, tiny PNGs)
+const RATIO_MIN_SIZE = MB;
+// macOS resource forks are not files of the upload
+const IGNORED_FOLDERS = ['__MACOSX'];
+// Stored and deflated; yauzl reads nothing else
+const SUPPORTED_METHODS = [0, 8];
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.jfif': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.bmp': 'image/bmp',
+    '.gif': 'image/gif',
+    '.heic': 'image/heic',
+    '.heif': 'image/heif',
+    '.avif': 'image/avif',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.xls': 'application/vnd.ms-excel',
+    '.csv': 'text/csv'
+};
+
+// Rejected archive (bomb, too many entries, unreadable); message is shown to the uploader
+class ArchiveError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ArchiveError';
+    }
+}
+
+function positiveEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+}
+
+// ARCHIVE_MAX_MB (default 512): largest ZIP accepted by the upload
+function maxArchiveSize() {
+    return positiveEnv('ARCHIVE_MAX_MB', 512) * MB;
+}
+
+// ARCHIVE_MAX_EXTRACTED_MB (default 2048): total size of the files unpacked from one ZIP
+function maxExtractedSize() {
+    return positiveEnv('ARCHIVE_MAX_EXTRACTED_MB', 2048) * MB;
+}
+
+// ARCHIVE_MAX_ENTRIES (default 2000): files and folders in one ZIP
+function maxEntries() {
+    return positiveEnv('ARCHIVE_MAX_ENTRIES', 2000);
+}
+
+function isArchiveFile(filename) {
+    return ARCHIVE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+function mimeType(filename) {
+    return MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Path segments of an entry name inside the archive, or null when it could point outside the
+ * extraction folder: absolute paths, drive letters, ".." segments, NUL bytes.
+ */
+function entrySegments(entryName) {
+    const name = String(entryName).replace(/\\/g, '/');
+    if (name.includes('\0') || name.startsWith('/') || /^[a-z]:/i.test(name)) return null;
+    const segments = name.split('/').filter(segment => segment !== '' && segment !== '.');
+    if (segments.length === 0 || segments.some(segment => segment === '..')) return null;
+    return segments;
+}
+
+// Why an entry is not unpacked (null when it is a photo or spreadsheet to keep)
+function skipReason(segments, entry) {
+    const filename = segments[segments.length - 1];
+    if (segments.some(segment => IGNORED_FOLDERS.includes(segment)) || imageIngest.isIgnoredFile(filename)) return 'system file';
+    if (isArchiveFile(filename)) return 'nested archives are not unpacked';
+    if (!imageIngest.isImageFile(filename) && !imageIngest.isSpreadsheetFile(filename)) return 'not a photo or spreadsheet';
+    if (entry.isEncrypted()) return 'encrypted';
+    if (!SUPPORTED_METHODS.includes(entry.compressionMethod)) return 'unsupported compression';
+    if (entry.uncompressedSize === 0) return 'empty file';
+    if (entry.uncompressedSize > MAX_ENTRY_SIZE) return `larger than ${MAX_ENTRY_SIZE / MB} MB`;
+    return null;
+}
+
+// Entry name as stored (names are decoded here rather than by yauzl, which rejects the whole archive
+// on one unsafe name; such entries are skipped instead)
+function entryName(entry) {
+    return yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileName, entry.extraFields, false);
+}
+
+// Central directory entries of an archive opened with lazyEntries
+function readEntries(zipfile) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        zipfile.on('entry', entry => {
+            entries.push(entry);
+            zipfile.readEntry();
+        });
+        zipfile.on('end', () => resolve(entries));
+        zipfile.on('error', reject);
+        zipfile.readEntry();
+    });
+}
+
+/**
+ * Unpack the photos and spreadsheets of a ZIP into targetDir as "<stamp>-<file name>" (the upload
+ * prefix employee ID rules ignore; a name already taken in targetDir, e.g. by the same file name in
+ * another folder of the archive, gets the next stamp).
+ * Returns { files: [{ originalName, filename, path, size, mimetype, archive }], skipped: [{ name, reason }] }
+ * where originalName is the path inside the archive. Throws ArchiveError when the archive is refused;
+ * nothing is written then.
+ */
+async function extract(archivePath, targetDir, { archiveName = path.basename(archivePath), stamp = Date.now() } = {}) {
+    let zipfile;
+    try {
+        zipfile = await yauzl.openPromise(archivePath, { decodeStrings: false, autoClose: false });
+    } catch (error) {
+        throw new ArchiveError(`${archiveName} is not a readable ZIP archive: ${error.message}`);
+    }
+    try {
+        if (zipfile.entryCount > maxEntries()) {
+            throw new ArchiveError(`${archiveName} has ${zipfile.entryCount} entries; at most ${maxEntries()} are accepted`);
+        }
+        let entries;
+        try {
+            entries = await readEntries(zipfile);
+        } catch (error) {
+            throw new ArchiveError(`${archiveName} is not a readable ZIP archive: ${error.message}`);
+        }
+
+        // Everything is checked before the first byte is inflated
+        const planned = [];
+        const skipped = [];
+        let total = 0;
+        for (const entry of entries) {
+            const rawName = entryName(entry);
+            if (rawName.endsWith('/')) continue;
+            const segments = entrySegments(rawName);
+            if (!segments) {
+                skipped.push({ name: rawName, reason: 'unsafe path' });
+                continue;
+            }
+            const reason = skipReason(segments, entry);
+            if (reason) {
+                skipped.push({ name: segments.join('/'), reason });
+                continue;
+            }
+            const { uncompressedSize: size, compressedSize } = entry;
+            if (size >= RATIO_MIN_SIZE && size > compressedSize * MAX_COMPRESSION_RATIO) {
+                throw new ArchiveError(`${archiveName} looks like a ZIP bomb: ${segments.join('/')} expands ${Math.round(size / Math.max(compressedSize, 1))}x`);
+            }
+            total += size;
+            if (total > maxExtractedSize()) {
+                throw new ArchiveError(`${archiveName} unpacks to more than ${maxExtractedSize() / MB} MB`);
+            }
+            planned.push({ entry, name: segments.join('/'), filename: segments[segments.length - 1] });
+        }
+
+        const files = [];
+        const used = new Set();
+        const written = [];
+        try {
+            for (const { entry, name, filename } of planned) {
+                let next = stamp;
+                while (used.has(`${next}-${filename}`.toLowerCase()) || await fs.pathExists(path.join(targetDir, `${next}-${filename}`))) next += 1;
+                const target = `${next}-${filename}`;
+                const targetPath = path.join(targetDir, target);
+                // Flattened names cannot leave targetDir, but the final path is checked all the same
+                if (path.dirname(path.resolve(targetPath)) !== path.resolve(targetDir)) {
+                    skipped.push({ name, reason: 'unsafe path' });
+                    continue;
+                }
+                used.add(target.toLowerCase());
+                try {
+                    // yauzl fails the stream when the entry inflates to another size than declared
+                    const stream = await zipfile.openReadStreamPromise(entry);
+                    await pipeline(stream, fs.createWriteStream(targetPath, { flags: 'wx' }));
+                } catch (error) {
+                    await fs.remove(targetPath).catch(() => {});
+                    skipped.push({ name, reason: `corrupt: ${error.message || error}` });
+                    continue;
+                }
+                written.push(targetPath);
+                files.push({ originalName: name, filename: target, path: targetPath, size: entry.uncompressedSize, mimetype: mimeType(filename), archive: archiveName });
+            }
+        } catch (error) {
+            await Promise.all(written.map(file => fs.remove(file).catch(() => {})));
+            throw error;
+        }
+        return { files, skipped };
+    } finally {
+        zipfile.close();
+    }
+}
+
+module.exports = {
+    ArchiveError,
+    MAX_ENTRY_SIZE,
+    isArchiveFile,
+    mimeType,
+    maxArchiveSize,
+    maxExtractedSize,
+    maxEntries,
+    entrySegments,
+    extract
+};
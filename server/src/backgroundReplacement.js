@@ -0,0 +1,144 @@
+// Background replacement: a person-segmentation mask (MediaPipe selfie segmentation, loaded from the
+// local model directory like the detectors) decides which pixels are the person; everything else is
+// painted a solid colour before the crop is resized. A mask that is unsure of itself, finds no
+// person or leaves the face outside the person is not used: the photo keeps its background and is
+// flagged for review instead.
+const sharp = require('sharp');
+
+// Square input of the selfie segmentation model
+const INPUT_SIZE = 256;
+const DEFAULT_COLOR = '#ffffff';
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+// Person area outside this range means the mask found nothing or everything
+const PERSON_AREA = [0.05, 0.95];
+// Share of the inner face that must be inside the person mask
+const MIN_FACE_COVERAGE = 0.7;
+// Soft mask edge, as a fraction of the shorter image side
+const FEATHER = 0.004;
+
+// '#rrggbb' / 'rrggbb' / '#rgb' -> '#rrggbb' (lowercase), or null when it is not a colour
+function parseColor(value) {
+    const match = String(value || '').trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+    return `#${hex.toLowerCase()}`;
+}
+
+// BACKGROUND_COLOR, default white
+function defaultColor() {
+    const configured = parseColor(process.env.BACKGROUND_COLOR);
+    if (process.env.BACKGROUND_COLOR && !configured) {
+        console.warn(`[Background] Invalid BACKGROUND_COLOR "${process.env.BACKGROUND_COLOR}", using ${DEFAULT_COLOR}`);
+    }
+    return configured || DEFAULT_COLOR;
+}
+
+// BACKGROUND_MIN_CONFIDENCE (0-1), default 0.8
+function minConfidence() {
+    const value = parseFloat(process.env.BACKGROUND_MIN_CONFIDENCE);
+    return value >= 0 && value <= 1 ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+/**
+ * Job option: null / false / '' (off), true (the default colour) or a colour.
+ * Returns { color } (color null when off) or { error }.
+ */
+function parseOption(value) {
+    if (value === undefined || value === null || value === false || value === 'false' || value === '') return { color: null };
+    if (value === true || value === 'true') return { color: defaultColor() };
+    const color = parseColor(value);
+    return color ? { color } : { error: `Invalid background colour: ${value} (expected #rrggbb)` };
+}
+
+/**
+ * Segmentation model input for an image: INPUT_SIZE x INPUT_SIZE RGB bytes (stretched to the square
+ * like the model's own preprocessing).
+ */
+async function modelInput(input) {
+    const { data } = await sharp(input)
+        .resize(INPUT_SIZE, INPUT_SIZE, { fit: 'fill' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return data;
+}
+
+/**
+ * How far a mask can be trusted. probabilities: INPUT_SIZE² person probabilities; face: the inner face
+ * region in image pixels (or null) of a W x H image.
+ * Returns { confidence, personArea, faceCoverage, reasons: [..] }; no reasons means the mask is usable.
+ */
+function assess(probabilities, { face = null, W, H, threshold = minConfidence() }) {
+    let certainty = 0;
+    let person = 0;
+    for (const p of probabilities) {
+        certainty += Math.abs(2 * p - 1);
+        if (p >= 0.5) person += 1;
+    }
+    const confidence = certainty / probabilities.length;
+    const personArea = person / probabilities.length;
+
+    let faceCoverage = null;
+    if (face) {
+        const sx = INPUT_SIZE / W;
+        const sy = INPUT_SIZE / H;
+        const x0 = Math.floor(face.left * sx);
+        const y0 = Math.floor(face.top * sy);
+        const x1 = Math.min(INPUT_SIZE, Math.max(x0 + 1, Math.ceil((face.left + face.width) * sx)));
+        const y1 = Math.min(INPUT_SIZE, Math.max(y0 + 1, Math.ceil((face.top + face.height) * sy)));
+        let inside = 0;
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                if (probabilities[y * INPUT_SIZE + x] >= 0.5) inside += 1;
+            }
+        }
+        faceCoverage = inside / ((x1 - x0) * (y1 - y0));
+    }
+
+    const reasons = [];
+    if (confidence < threshold) reasons.push(`segmentation confidence ${confidence.toFixed(2)} below ${threshold}`);
+    if (personArea < PERSON_AREA[0]) reasons.push('no person found');
+    if (personArea > PERSON_AREA[1]) reasons.push('no background found');
+    if (faceCoverage !== null && faceCoverage < MIN_FACE_COVERAGE) reasons.push('face not inside the person mask');
+    const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+    return { confidence: round(confidence), personArea: round(personArea), faceCoverage: round(faceCoverage), reasons };
+}
+
+/**
+ * The W x H image with everything outside the person painted color. The mask is scaled up and
+ * feathered so hair and shoulders blend into the new background. Returns a lossless PNG buffer.
+ */
+async function replace(input, probabilities, { W, H, color }) {
+    const mask = Buffer.alloc(probabilities.length);
+    for (let i = 0; i < probabilities.length; i++) {
+        mask[i] = Math.round(Math.min(Math.max(probabilities[i], 0), 1) * 255);
+    }
+    const alpha = await sharp(mask, { raw: { width: INPUT_SIZE, height: INPUT_SIZE, channels: 1 } })
+        .resize(W, H, { fit: 'fill' })
+        .blur(Math.max(0.5, Math.min(W, H) * FEATHER))
+        .toColourspace('b-w')
+        .raw()
+        .toBuffer();
+    const rgb = await sharp(input).removeAlpha().raw().toBuffer();
+    // Two pipelines: sharp flattens before it joins channels
+    const rgba = await sharp(rgb, { raw: { width: W, height: H, channels: 3 } })
+        .joinChannel(alpha, { raw: { width: W, height: H, channels: 1 } })
+        .raw()
+        .toBuffer();
+    return sharp(rgba, { raw: { width: W, height: H, channels: 4 } })
+        .flatten({ background: color })
+        .png({ compressionLevel: 0 })
+        .toBuffer();
+}
+
+module.exports = {
+    INPUT_SIZE,
+    DEFAULT_COLOR,
+    parseColor,
+    parseOption,
+    defaultColor,
+    minConfidence,
+    modelInput,
+    assess,
+    replace
+};
@@ -125,17 +125,6 @@ class Database {
 // Create singleton instance
 const database = new Database();
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('Shutting down gracefully...');
-    await database.disconnect();
-    process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-    console.log('Shutting down gracefully...');
-    await database.disconnect();
-    process.exit(0);
-});
+// Shutdown is coordinated by server.js so the job worker can checkpoint before the pool closes
 
 module.exports = database;
\ No newline at end of file
@@ -0,0 +1,127 @@
+// Debug overlays: an annotated copy of an original photo showing every face the detector found
+// (with scores), the face that was chosen, the landmarks and the final crop rectangle, so a bad
+// crop can be traced to either the detector or the crop maths. Overlays are written to DEBUG_DIR
+// inside the job folder as "<id>.debug.jpg"; the Vault only looks for "<id>.jpg/.jpeg/.png" at the
+// top level of the job folder, so they are never registered as photos.
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+
+const DEBUG_DIR = '_debug';
+const MAX_SIDE = 1600; // overlays of large originals are scaled down
+
+const COLORS = {
+    face: '#f59e0b', // other detected faces
+    chosen: '#16a34a', // the face the crop is built around
+    crop: '#db2777',
+    eye: '#2563eb',
+    nose: '#dc2626'
+};
+
+// "<job>/<id>.jpg" -> "<job>/_debug/<id>.debug.jpg"
+function overlayPath(outputPath) {
+    return path.join(path.dirname(outputPath), DEBUG_DIR, `${path.parse(outputPath).name}.debug.jpg`);
+}
+
+/**
+ * Corners of the crop in original (upright) pixels. An aligned crop was taken from the image rotated
+ * by -alignment.angle on an expanded canvas (alignment.canvas), so its corners are rotated back.
+ */
+function cropCorners(cropBox, alignment, W, H) {
+    const { x, y, size } = cropBox;
+    const corners = [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+    if (!alignment || !alignment.applied || !alignment.canvas) return corners;
+    const rad = (-alignment.angle * Math.PI) / 180;
+    const { width: RW, height: RH } = alignment.canvas;
+    return corners.map(([px, py]) => {
+        const dx = px - RW / 2;
+        const dy = py - RH / 2;
+        return [dx * Math.cos(rad) + dy * Math.sin(rad) + W / 2, -dx * Math.sin(rad) + dy * Math.cos(rad) + H / 2];
+    });
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function sameBox(a, b) {
+    return Math.abs(a.x - b.x) < 1 && Math.abs(a.y - b.y) < 1 && Math.abs(a.width - b.width) < 1 && Math.abs(a.height - b.height) < 1;
+}
+
+/**
+ * SVG drawn over the original: W x H are the upright image size, scale the factor it is drawn at.
+ * detection: { detector, box, score, faces: [{ box, score }] } or null; landmarks: { left, right, nose };
+ * cropBox / alignment as in the manifest.
+ */
+function overlaySvg({ W, H, scale, detection, landmarks, cropBox, alignment }) {
+    const s = v => (v * scale).toFixed(1);
+    const stroke = Math.max(2, Math.round(Math.min(W, H) * scale / 250));
+    const font = Math.max(12, Math.round(Math.min(W, H) * scale / 40));
+    const parts = [];
+
+    const faces = (detection && detection.faces) || (detection ? [{ box: detection.box, score: detection.score }] : []);
+    for (const face of faces) {
+        const chosen = detection && sameBox(face.box, detection.box);
+        const color = chosen ? COLORS.chosen : COLORS.face;
+        const { x, y, width, height } = face.box;
+        parts.push(`<rect x="${s(x)}" y="${s(y)}" width="${s(width)}" height="${s(height)}" fill="none" stroke="${color}" stroke-width="${chosen ? stroke * 1.5 : stroke}"${chosen ? '' : ` stroke-dasharray="${stroke * 3},${stroke * 2}"`}/>`);
+        const label = `${chosen ? 'chosen' : 'face'}${typeof face.score === 'number' ? ` ${face.score.toFixed(2)}` : ''}`;
+        // Above the box, or inside it when the box touches the top edge
+        const labelY = y * scale - stroke * 2 >= font ? y * scale - stroke * 2 : (y + height) * scale - stroke * 2;
+        parts.push(`<text x="${s(x)}" y="${labelY.toFixed(1)}" font-family="sans-serif" font-size="${font}" fill="${color}">${escapeXml(label)}</text>`);
+    }
+
+    if (landmarks) {
+        const dot = (p, color) => `<circle cx="${s(p.x)}" cy="${s(p.y)}" r="${stroke * 1.5}" fill="${color}"/>`;
+        if (landmarks.left) parts.push(dot(landmarks.left, COLORS.eye));
+        if (landmarks.right) parts.push(dot(landmarks.right, COLORS.eye));
+        if (landmarks.left && landmarks.right) {
+            parts.push(`<line x1="${s(landmarks.left.x)}" y1="${s(landmarks.left.y)}" x2="${s(landmarks.right.x)}" y2="${s(landmarks.right.y)}" stroke="${COLORS.eye}" stroke-width="${stroke / 2}"/>`);
+        }
+        if (landmarks.nose) parts.push(dot(landmarks.nose, COLORS.nose));
+    }
+
+    if (cropBox) {
+        const points = cropCorners(cropBox, alignment, W, H).map(([px, py]) => `${s(px)},${s(py)}`).join(' ');
+        parts.push(`<polygon points="${points}" fill="none" stroke="${COLORS.crop}" stroke-width="${stroke}"/>`);
+    }
+
+    const legend = [
+        detection ? `${detection.detector}: ${faces.length} face(s)` : 'No face detected: centre crop',
+        cropBox ? `crop ${cropBox.size}px${alignment && alignment.applied ? `, aligned ${alignment.angle}°` : ''}` : null
+    ].filter(Boolean);
+    // Along the bottom edge, where ID photos rarely have a face
+    const legendHeight = legend.length * (font + 4) + 8;
+    const legendTop = Math.round(H * scale) - legendHeight;
+    parts.push(`<rect x="0" y="${legendTop}" width="${Math.round(W * scale)}" height="${legendHeight}" fill="black" fill-opacity="0.55"/>`);
+    legend.forEach((line, i) => {
+        parts.push(`<text x="6" y="${legendTop + (i + 1) * (font + 4)}" font-family="sans-serif" font-size="${font}" fill="white">${escapeXml(line)}</text>`);
+    });
+
+    return Buffer.from(`<svg width="${Math.round(W * scale)}" height="${Math.round(H * scale)}" xmlns="http://www.w3.org/2000/svg">${parts.join('')}</svg>`);
+}
+
+/**
+ * Write the overlay for the photo whose primary output is outputPath. input is the upright original
+ * (as cropped). Returns the overlay path relative to the job folder.
+ */
+async function render(input, outputPath, { W, H, detection = null, landmarks = null, cropBox = null, alignment = null }) {
+    const scale = Math.min(1, MAX_SIDE / Math.max(W, H));
+    const width = Math.round(W * scale);
+    const height = Math.round(H * scale);
+    const file = overlayPath(outputPath);
+    await fs.ensureDir(path.dirname(file));
+    await sharp(input)
+        .resize(width, height, { fit: 'fill' })
+        .composite([{ input: overlaySvg({ W, H, scale, detection, landmarks, cropBox, alignment }), left: 0, top: 0 }])
+        .jpeg({ quality: 85 })
+        .toFile(file);
+    return path.relative(path.dirname(outputPath), file).split(path.sep).join('/');
+}
+
+module.exports = {
+    DEBUG_DIR,
+    overlayPath,
+    cropCorners,
+    render
+};
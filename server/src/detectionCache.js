@@ -0,0 +1,187 @@
+// Face detection results by image content, so a photo that was already analysed is only cropped
+// again (cheap sharp work) instead of going through BlazeFace / face-api a second time. Entries are
+// keyed by the SHA-256 of the file bytes plus the page and the detector version (models, packages
+// and active detector), so the same picture under another name or upload timestamp hits the cache,
+// and a model upgrade never reuses old boxes. A small in-memory LRU sits in front of the store on
+// disk (DETECTION_CACHE_DIR, default server/data/detection-cache), which every worker thread shares
+// and which survives restarts. The disk store is pruned now and then: entries not used within
+// DETECTION_CACHE_MAX_AGE_DAYS go first (old detector versions included), then the least recently
+// used ones beyond DETECTION_CACHE_MAX_FILES.
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const modelStore = require('./modelStore');
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_AGE_DAYS = 30;
+const DEFAULT_MAX_FILES = 20000;
+// At most one pruning pass per thread in this interval
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_CACHE_DIR = path.resolve(__dirname, '..', 'data', 'detection-cache');
+// Bumped when the shape of a cached analysis changes
+const SCHEMA = 3; // 2: detections list every face found (debug overlays); 3: BlazeFace honours minConfidence below 0.75
+
+function maxEntries() {
+    const value = parseInt(process.env.DETECTION_CACHE_ENTRIES, 10);
+    return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_ENTRIES;
+}
+
+function nonNegativeEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return value >= 0 ? value : fallback;
+}
+
+// 0 switches the limit off
+function maxAge() {
+    return nonNegativeEnv('DETECTION_CACHE_MAX_AGE_DAYS', DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+function maxFiles() {
+    return Math.floor(nonNegativeEnv('DETECTION_CACHE_MAX_FILES', DEFAULT_MAX_FILES));
+}
+
+// null when the disk store is switched off (DETECTION_CACHE_DIR=off)
+function cacheDir() {
+    const configured = (process.env.DETECTION_CACHE_DIR || '').trim();
+    if (configured.toLowerCase() === 'off') return null;
+    return path.resolve(configured || DEFAULT_CACHE_DIR);
+}
+
+// Map keeps insertion order: the first key is the least recently used one
+const entries = new Map();
+
+function contentHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+async function fileHash(filePath) {
+    return contentHash(await fs.readFile(filePath));
+}
+
+/**
+ * Short version string of the detector chain described by a model report (ImageProcessor.modelReport):
+ * the active detector, the loaded detection models with their versions and the detector package versions.
+ */
+function detectorVersion(report) {
+    const parts = {
+        schema: SCHEMA,
+        active: report ? report.activeDetector : 'heuristic',
+        models: report ? report.models.filter(m => m.loaded && modelStore.DETECTION_MODELS.includes(m.name)).map(m => `${m.name}@${m.version}`).sort() : [],
+        runtime: report ? report.runtime : null
+    };
+    return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex').slice(0, 12);
+}
+
+function cacheKey(hash, page = null, version = 'none') {
+    return `${version}/${hash}${page && page > 1 ? `-p${page}` : ''}`;
+}
+
+// "<version>/<hash>" -> <dir>/<version>/<first two hash characters>/<hash>.json
+function entryPath(dir, key) {
+    const [version, name] = key.split('/');
+    return path.join(dir, version, name.slice(0, 2), `${name}.json`);
+}
+
+function remember(key, value) {
+    entries.delete(key);
+    entries.set(key, value);
+    const limit = maxEntries();
+    while (entries.size > limit) {
+        entries.delete(entries.keys().next().value);
+    }
+}
+
+// Cached analysis ({ imageSize, detection, landmarks }) or null
+async function get(key) {
+    if (entries.has(key)) {
+        const value = entries.get(key);
+        remember(key, value);
+        return value;
+    }
+    const dir = cacheDir();
+    if (!dir) return null;
+    try {
+        const file = entryPath(dir, key);
+        const value = await fs.readJson(file);
+        remember(key, value);
+        // The modification time is the entry's last use for pruning
+        const now = new Date();
+        fs.utimes(file, now, now).catch(() => {});
+        return value;
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.warn(`[DetectionCache] Ignoring unreadable entry ${key}: ${err.message}`);
+        return null;
+    }
+}
+
+async function set(key, value) {
+    remember(key, value);
+    const dir = cacheDir();
+    if (!dir) return;
+    const file = entryPath(dir, key);
+    // Written under a temporary name and renamed, so a concurrent reader never sees half a file
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.outputJson(temp, value);
+        await fs.rename(temp, file);
+    } catch (err) {
+        console.warn(`[DetectionCache] Failed to store ${key}: ${err.message}`);
+        await fs.remove(temp).catch(() => {});
+    }
+    if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+        lastPrune = Date.now();
+        prune().catch(err => console.warn(`[DetectionCache] Pruning failed: ${err.message}`));
+    }
+}
+
+let lastPrune = 0;
+
+// Every entry file below dir: [{ file, used }] (used: modification time in ms)
+async function listFiles(dir) {
+    const found = [];
+    const walk = async (current) => {
+        const names = await fs.readdir(current).catch(() => []);
+        for (const name of names) {
+            const full = path.join(current, name);
+            const stat = await fs.stat(full).catch(() => null);
+            if (!stat) continue;
+            if (stat.isDirectory()) await walk(full);
+            else if (name.endsWith('.json')) found.push({ file: full, used: stat.mtimeMs });
+        }
+    };
+    await walk(dir);
+    return found;
+}
+
+/**
+ * Remove disk entries unused for longer than DETECTION_CACHE_MAX_AGE_DAYS (default 30), then the
+ * least recently used beyond DETECTION_CACHE_MAX_FILES (default 20000). Returns the number removed.
+ */
+async function prune(now = Date.now()) {
+    const dir = cacheDir();
+    if (!dir || !(await fs.pathExists(dir))) return 0;
+    const files = (await listFiles(dir)).sort((a, b) => b.used - a.used);
+    const age = maxAge();
+    const limit = maxFiles();
+    const stale = files.filter((entry, index) => (age > 0 && now - entry.used > age) || (limit > 0 && index >= limit));
+    for (const { file } of stale) {
+        await fs.remove(file).catch(() => {});
+    }
+    if (stale.length > 0) console.log(`[DetectionCache] Pruned ${stale.length} of ${files.length} cached detection(s)`);
+    return stale.length;
+}
+
+function clear() {
+    entries.clear();
+}
+
+module.exports = {
+    contentHash,
+    fileHash,
+    detectorVersion,
+    cacheKey,
+    get,
+    set,
+    prune,
+    clear
+};
@@ -0,0 +1,152 @@
+// Detector comparison mode: every available detector is run alone on a sample of photos, and the
+// results are laid out as a contact sheet (one row per photo, one column per detector, the found
+// face box drawn on each thumbnail with its score and time) plus per-detector totals, so a site
+// can pick the detector chain and thresholds that suit its cameras.
+const sharp = require('sharp');
+const detectorSettings = require('./detectorSettings');
+
+const DEFAULT_SAMPLE = 8;
+const THUMB = 200; // thumbnail box in the contact sheet
+const CAPTION = 34; // caption band under each thumbnail
+const LABEL_WIDTH = 180; // first column with the photo name
+const HEADER = 28;
+const GAP = 6;
+
+// Up to size items spread evenly over the list (first and last included)
+function sample(items, size = DEFAULT_SAMPLE) {
+    if (items.length <= size) return items.slice();
+    if (size <= 1) return items.slice(0, Math.max(size, 0));
+    const step = (items.length - 1) / (size - 1);
+    return Array.from({ length: size }, (_, i) => items[Math.round(i * step)]);
+}
+
+/**
+ * Per-detector totals over the compared photos:
+ * [{ name, label, available, photos, found, avgMs, avgScore, errors }]
+ */
+function summarize(rows, detectors) {
+    return detectors.map(name => {
+        const results = rows.map(row => row.results.find(r => r.name === name)).filter(Boolean);
+        const ran = results.filter(r => r.available && !r.error);
+        const found = ran.filter(r => r.detection);
+        const scores = found.map(r => r.detection.score).filter(score => typeof score === 'number');
+        const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+        const avgMs = mean(ran.map(r => r.ms));
+        const avgScore = mean(scores);
+        return {
+            name,
+            label: detectorSettings.DETECTORS[name].label,
+            available: results.some(r => r.available),
+            photos: ran.length,
+            found: found.length,
+            avgMs: avgMs === null ? null : Math.round(avgMs),
+            avgScore: avgScore === null ? null : Math.round(avgScore * 1000) / 1000,
+            errors: results.filter(r => r.error).length
+        };
+    });
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function truncate(value, length) {
+    const text = String(value);
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function textSvg(width, height, lines, { size = 12, weight = 'normal', fill = '#111' } = {}) {
+    const text = lines
+        .map((line, i) => `<text x="4" y="${size + 2 + i * (size + 3)}" font-family="sans-serif" font-size="${size}" font-weight="${weight}" fill="${line.fill || fill}">${escapeXml(line.text)}</text>`)
+        .join('');
+    return Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${text}</svg>`);
+}
+
+// Thumbnail of one photo with the detection box drawn on it
+async function cell(thumb, result) {
+    const { data, scale, width, height } = thumb;
+    const composites = [];
+    if (result.detection) {
+        const { x, y, width: w, height: h } = result.detection.box;
+        const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`
+            + `<rect x="${x * scale}" y="${y * scale}" width="${w * scale}" height="${h * scale}" fill="none" stroke="#16a34a" stroke-width="2"/></svg>`;
+        composites.push({ input: Buffer.from(svg), left: 0, top: 0 });
+    }
+    return sharp(data).composite(composites).png().toBuffer();
+}
+
+function caption(result) {
+    if (!result.available) return [{ text: 'not loaded', fill: '#888' }];
+    if (result.error) return [{ text: 'error', fill: '#dc2626' }, { text: truncate(result.error, 30), fill: '#dc2626' }];
+    const timing = `${result.ms} ms`;
+    if (!result.detection) return [{ text: `no face · ${timing}`, fill: '#b45309' }];
+    const score = typeof result.detection.score === 'number' ? `score ${result.detection.score.toFixed(2)}` : 'score n/a';
+    const faces = result.detection.faceCount > 1 ? ` · ${result.detection.faceCount} faces` : '';
+    return [{ text: `${score}${faces}` }, { text: timing }];
+}
+
+/**
+ * Contact sheet (JPEG) of compared photos. rows: [{ filename, image (upright input for sharp),
+ * imageSize, results: [{ name, available, detection, ms, error }] }], detectors: column order.
+ */
+async function contactSheet(rows, detectors) {
+    const columnWidth = THUMB + GAP;
+    const rowHeight = THUMB + CAPTION + GAP;
+    const width = LABEL_WIDTH + detectors.length * columnWidth + GAP;
+    const height = HEADER + rows.length * rowHeight + GAP;
+    const composites = [];
+
+    detectors.forEach((name, column) => {
+        composites.push({
+            input: textSvg(THUMB, HEADER, [{ text: detectorSettings.DETECTORS[name].label }], { size: 14, weight: 'bold' }),
+            left: LABEL_WIDTH + column * columnWidth,
+            top: 4
+        });
+    });
+
+    for (let index = 0; index < rows.length; index++) {
+        const row = rows[index];
+        const top = HEADER + index * rowHeight;
+        composites.push({
+            input: textSvg(LABEL_WIDTH - GAP, THUMB, [
+                { text: truncate(row.filename, 24) },
+                { text: `${row.imageSize.width}x${row.imageSize.height}`, fill: '#666' }
+            ]),
+            left: GAP,
+            top
+        });
+
+        const resized = await sharp(row.image)
+            .resize(THUMB, THUMB, { fit: 'inside' })
+            .png()
+            .toBuffer({ resolveWithObject: true });
+        const thumb = {
+            data: resized.data,
+            width: resized.info.width,
+            height: resized.info.height,
+            scale: resized.info.width / row.imageSize.width
+        };
+        for (let column = 0; column < detectors.length; column++) {
+            const result = row.results.find(r => r.name === detectors[column]);
+            const left = LABEL_WIDTH + column * columnWidth;
+            composites.push({
+                input: await cell(thumb, result),
+                left: left + Math.floor((THUMB - thumb.width) / 2),
+                top: top + Math.floor((THUMB - thumb.height) / 2)
+            });
+            composites.push({ input: textSvg(THUMB, CAPTION, caption(result)), left, top: top + THUMB });
+        }
+    }
+
+    return sharp({ create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } } })
+        .composite(composites)
+        .jpeg({ quality: 85 })
+        .toBuffer();
+}
+
+module.exports = {
+    DEFAULT_SAMPLE,
+    sample,
+    summarize,
+    contactSheet
+};
@@ -0,0 +1,78 @@
+// Per-job face detector settings: which detectors to try in which order, and their thresholds.
+// The heuristic centre crop is always the last resort and is not part of the chain.
+// A job without settings uses the server default: BlazeFace, then the preferred face-api model.
+
+// Detector names as used in the model report (modelStore.MODEL_FILES)
+const DETECTORS = {
+    blazeface: { label: 'BlazeFace' },
+    ssd_mobilenetv1: { label: 'Face-API (ssd)' },
+    tiny_face_detector: { label: 'Face-API (tiny)' }
+};
+
+const DEFAULTS = {
+    chain: null, // null = server default order
+    minConfidence: 0.3, // score threshold of every detector (BlazeFace included)
+    inputSize: 416 // tiny_face_detector input size (multiple of 32)
+};
+
+const INPUT_SIZES = [128, 160, 224, 320, 416, 512, 608];
+// Accepted minConfidence range; BlazeFace is loaded with the lower bound so the job's value decides
+const MIN_CONFIDENCE = 0.05;
+const MAX_CONFIDENCE = 0.95;
+
+/**
+ * Validate detector settings from a request or an earlier run. Returns { settings } or { errors: [..] }.
+ * Empty or missing values fall back to DEFAULTS; chain: [detector names] (no duplicates, at least one).
+ */
+function normalize(spec) {
+    if (spec === undefined || spec === null || spec === '') return { settings: { ...DEFAULTS } };
+    if (typeof spec !== 'object' || Array.isArray(spec)) return { errors: ['detection must be an object'] };
+    const errors = [];
+
+    let chain = DEFAULTS.chain;
+    if (spec.chain !== undefined && spec.chain !== null) {
+        const names = Array.isArray(spec.chain) ? spec.chain : String(spec.chain).split(',');
+        chain = names.map(name => String(name).trim()).filter(Boolean);
+        const unknown = chain.filter(name => !DETECTORS[name]);
+        if (unknown.length) errors.push(`Unknown detector(s): ${unknown.join(', ')}`);
+        if (chain.length === 0) errors.push('chain needs at least one detector');
+        if (new Set(chain).size !== chain.length) errors.push('chain lists a detector twice');
+    }
+
+    let minConfidence = DEFAULTS.minConfidence;
+    if (spec.minConfidence !== undefined && spec.minConfidence !== null && spec.minConfidence !== '') {
+        minConfidence = Number(spec.minConfidence);
+        if (!(minConfidence >= MIN_CONFIDENCE && minConfidence <= MAX_CONFIDENCE)) errors.push(`minConfidence must be between ${MIN_CONFIDENCE} and ${MAX_CONFIDENCE}`);
+    }
+
+    let inputSize = DEFAULTS.inputSize;
+    if (spec.inputSize !== undefined && spec.inputSize !== null && spec.inputSize !== '') {
+        inputSize = Number(spec.inputSize);
+        if (!INPUT_SIZES.includes(inputSize)) errors.push(`inputSize must be one of ${INPUT_SIZES.join(', ')}`);
+    }
+
+    if (errors.length) return { errors };
+    return { settings: { chain, minConfidence, inputSize } };
+}
+
+// Settings that differ from the defaults change detection results (and their cache key)
+function isDefault(settings) {
+    return !settings || (!settings.chain && settings.minConfidence === DEFAULTS.minConfidence && settings.inputSize === DEFAULTS.inputSize);
+}
+
+// Short description for logs and the manifest: "blazeface > ssd_mobilenetv1, min 0.3, input 416"
+function describe(settings) {
+    const { chain, minConfidence, inputSize } = settings || DEFAULTS;
+    return `${chain ? chain.join(' > ') : 'default chain'}, min ${minConfidence}, input ${inputSize}`;
+}
+
+module.exports = {
+    DETECTORS,
+    DEFAULTS,
+    INPUT_SIZES,
+    MIN_CONFIDENCE,
+    MAX_CONFIDENCE,
+    normalize,
+    isDefault,
+    describe
+};
@@ -0,0 +1,246 @@
+// Filename -> employee ID rules. A rule set is an ordered list of regular expressions with a
+// named group "id" (and optionally "name"); the first rule that matches a photo's file name
+// decides its employee ID. Built-in sets live here, operator-defined sets are stored in
+// EMPLOYEE_ID_RULES_FILE (default server/data/employee-id-rules.json) and edited through the API.
+const fs = require('fs-extra');
+const path = require('path');
+const imageIngest = require('./imageIngest');
+
+const DEFAULT_RULE_SET = 'default';
+const DEFAULT_RULES_FILE = path.resolve(__dirname, '..', 'data', 'employee-id-rules.json');
+const ALLOWED_FLAGS = /^[imsu]*$/;
+const MAX_RULES = 20;
+
+// Uploads are stored as "<Date.now()>-<original name>"; the prefix is never part of the ID
+const UPLOAD_PREFIX = /^\d{10,14}[-_]?/;
+
+// The historical hardcoded behaviour, expressed as rules
+const LEGACY_RULES = [
+    { label: '<id> - <name>', pattern: '^(?<id>(?:(?! - ).)+) - (?<name>(?:(?! - ).)*)$' },
+    { label: 'MTI number', pattern: '(?:^|[\\s_-])(?<id>MTI\\d{3,})(?=$|[\\s_-])' },
+    { label: 'Numeric token (5+ digits)', pattern: '(?:^|[\\s_-])(?<id>\\d{5,})(?=$|[\\s_-])' },
+    { label: 'First token', pattern: '^[\\s_-]*(?<id>[^\\s_-]+)' }
+];
+
+const BUILTIN_RULE_SETS = {
+    default: {
+        label: 'Standard (MTI / numeric / "<id> - <name>")',
+        description: 'Timestamp prefix removed, then "<id> - <name>", an MTI number, a 5+ digit number, or the first word',
+        rules: LEGACY_RULES
+    },
+    contractor: {
+        label: 'Contractors (KTR-00123_Name)',
+        description: 'KTR-<digits> followed by the name, otherwise the standard rules',
+        rules: [
+            { label: 'KTR-<digits>_<name>', pattern: '^(?<id>KTR-\\d+)(?:[\\s_-]+(?<name>.+))?$', flags: 'i' },
+            ...LEGACY_RULES
+        ]
+    }
+};
+
+function rulesFile() {
+    return path.resolve((process.env.EMPLOYEE_ID_RULES_FILE || '').trim() || DEFAULT_RULES_FILE);
+}
+
+/**
+ * Validate a rule set spec. Returns { ruleSet } or { errors: [..] }.
+ * Normalised fields: name, label, description, rules: [{ label, pattern, flags }].
+ */
+function normalizeRuleSet(name, spec = {}) {
+    const errors = [];
+    if (!/^[a-z0-9_-]{1,40}$/i.test(name)) errors.push('name must be 1-40 letters, digits, "_" or "-"');
+    const rules = Array.isArray(spec.rules) ? spec.rules : [];
+    if (rules.length === 0) errors.push('rules must be a non-empty array');
+    if (rules.length > MAX_RULES) errors.push(`at most ${MAX_RULES} rules are allowed`);
+
+    const normalized = rules.slice(0, MAX_RULES).map((rule, index) => {
+        const pattern = typeof rule === 'string' ? rule : String((rule && rule.pattern) || '');
+        const flags = String((rule && rule.flags) || '');
+        const where = `rule ${index + 1}`;
+        if (!ALLOWED_FLAGS.test(flags)) errors.push(`${where}: flags may only contain i, m, s, u`);
+        try {
+            const regex = new RegExp(pattern, flags.replace(/[^imsu]/g, ''));
+            if (!pattern || !/\(\?<id>/.test(pattern)) errors.push(`${where}: pattern needs a named group (?<id>...)`);
+            else if (regex.test('')) errors.push(`${where}: pattern must not match an empty name`);
+        } catch (err) {
+            errors.push(`${where}: ${err.message}`);
+        }
+        return { label: (rule && rule.label) || `Rule ${index + 1}`, pattern, flags };
+    });
+
+    if (errors.length) return { errors };
+    return {
+        ruleSet: {
+            name,
+            label: spec.label || name,
+            description: spec.description || null,
+            rules: normalized
+        }
+    };
+}
+
+let cachedRuleSets = null;
+
+// Operator-defined rule sets as stored on disk (name -> spec); {} when the file does not exist yet
+async function readStored() {
+    const file = rulesFile();
+    if (!(await fs.pathExists(file))) return {};
+    return fs.readJson(file);
+}
+
+/**
+ * Built-in rule sets followed by the stored ones (name -> rule set, with builtin: true|false).
+ * Stored sets cannot shadow a built-in; invalid entries are logged and skipped.
+ */
+async function loadRuleSets() {
+    if (cachedRuleSets) return cachedRuleSets;
+    const ruleSets = {};
+    for (const [name, spec] of Object.entries(BUILTIN_RULE_SETS)) {
+        ruleSets[name] = { ...normalizeRuleSet(name, spec).ruleSet, builtin: true };
+    }
+    let stored = {};
+    try {
+        stored = await readStored();
+    } catch (err) {
+        console.error(`[EmployeeIdRules] Failed to read ${rulesFile()}; using built-in rule sets only: ${err.message}`);
+    }
+    for (const [name, spec] of Object.entries(stored)) {
+        if (ruleSets[name]) continue;
+        const { ruleSet, errors } = normalizeRuleSet(name, spec);
+        if (errors) {
+            console.error(`[EmployeeIdRules] Skipping invalid rule set "${name}": ${errors.join('; ')}`);
+            continue;
+        }
+        ruleSets[name] = { ...ruleSet, builtin: false };
+    }
+    cachedRuleSets = ruleSets;
+    return ruleSets;
+}
+
+async function listRuleSets() {
+    return Object.values(await loadRuleSets());
+}
+
+// Create or replace a stored rule set; returns { ruleSet } or { errors } (built-ins are read-only)
+async function saveRuleSet(name, spec) {
+    if (BUILTIN_RULE_SETS[name]) return { errors: [`"${name}" is a built-in rule set and cannot be changed`], builtin: true };
+    const { ruleSet, errors } = normalizeRuleSet(name, spec);
+    if (errors) return { errors };
+    const stored = await readStored();
+    stored[name] = { label: ruleSet.label, description: ruleSet.description, rules: ruleSet.rules };
+    await fs.outputJson(rulesFile(), stored, { spaces: 2 });
+    cachedRuleSets = null;
+    console.log(`[EmployeeIdRules] Saved rule set "${name}" (${ruleSet.rules.length} rule(s))`);
+    return { ruleSet: { ...ruleSet, builtin: false } };
+}
+
+// Returns false when there is no stored rule set of that name
+async function deleteRuleSet(name) {
+    const stored = await readStored();
+    if (!stored[name]) return false;
+    delete stored[name];
+    await fs.outputJson(rulesFile(), stored, { spaces: 2 });
+    cachedRuleSets = null;
+    console.log(`[EmployeeIdRules] Deleted rule set "${name}"`);
+    return true;
+}
+
+// Error message for an unknown rule set name, or null
+async function checkSelection(name) {
+    const selected = String(name || '').trim() || DEFAULT_RULE_SET;
+    const ruleSets = await loadRuleSets();
+    return ruleSets[selected] ? null : `Unknown employee ID rule set: ${selected}`;
+}
+
+/**
+ * Rule set to use for a job: a name (empty selects the default) is looked up, a rule set object
+ * (the snapshot stored with an earlier run) is used as-is. The result is plain data so it can be
+ * stored with the job; later edits to the named set do not change jobs that already ran.
+ */
+async function resolveRuleSet(selection) {
+    if (selection && typeof selection === 'object') {
+        const { ruleSet, errors } = normalizeRuleSet(selection.name || 'custom', selection);
+        if (errors) throw new Error(`Invalid employee ID rule set: ${errors.join('; ')}`);
+        return ruleSet;
+    }
+    const error = await checkSelection(selection);
+    if (error) throw new Error(error);
+    const { builtin, ...ruleSet } = (await loadRuleSets())[String(selection || '').trim() || DEFAULT_RULE_SET];
+    return ruleSet;
+}
+
+// Rule set with compiled regexes (a missing rule set compiles the built-in default)
+function compile(ruleSet) {
+    const source = ruleSet || { ...BUILTIN_RULE_SETS[DEFAULT_RULE_SET], name: DEFAULT_RULE_SET };
+    return {
+        name: source.name,
+        rules: source.rules.map(rule => ({ label: rule.label, regex: new RegExp(rule.pattern, rule.flags || '') }))
+    };
+}
+
+// Underscores and runs of whitespace in a captured name become single spaces
+function cleanName(value) {
+    const name = String(value || '').replace(/[_\s]+/g, ' ').trim();
+    return name || null;
+}
+
+// File name without extension and upload prefix: "1712345678901-Agnes Monica.png" -> "Agnes Monica"
+function baseName(filename) {
+    return path.parse(imageIngest.parseSourceKey(filename).filename).name.replace(UPLOAD_PREFIX, '');
+}
+
+/**
+ * Parse one manifest key ("<file>" or "<file>#<page>") with a compiled rule set:
+ * { employeeId, name, ruleSet, rule, label, matched }. rule is the 0-based index of the matching
+ * rule; without a match the file name (minus extension and upload prefix) becomes the ID.
+ * Pages after the first of a multi-page file get a "-p<page>" suffix.
+ */
+function parse(filename, compiled) {
+    const { page } = imageIngest.parseSourceKey(filename);
+    const base = baseName(filename);
+    let result = { employeeId: base, name: null, rule: null, label: null, matched: false };
+    for (let index = 0; index < compiled.rules.length; index++) {
+        const match = compiled.rules[index].regex.exec(base);
+        const id = match && match.groups && match.groups.id ? match.groups.id.trim() : '';
+        if (!id) continue;
+        result = { employeeId: id, name: cleanName(match.groups.name), rule: index, label: compiled.rules[index].label, matched: true };
+        break;
+    }
+    if (page && page > 1) result.employeeId = `${result.employeeId}-p${page}`;
+    return { ...result, ruleSet: compiled.name };
+}
+
+/**
+ * How every name would be parsed: { files: [parse result + filename], duplicates: [{ employeeId, filenames }],
+ * unmatched }. Two photos with the same ID would overwrite each other's output.
+ */
+function preview(filenames, ruleSet) {
+    const compiled = compile(ruleSet);
+    const files = filenames.map(filename => ({ filename, ...parse(filename, compiled) }));
+    const byId = new Map();
+    for (const file of files) {
+        const key = file.employeeId.toLowerCase();
+        if (!byId.has(key)) byId.set(key, []);
+        byId.get(key).push(file.filename);
+    }
+    const duplicates = [...byId.values()]
+        .filter(names => names.length > 1)
+        .map(names => ({ employeeId: files.find(f => f.filename === names[0]).employeeId, filenames: names }));
+    return { files, duplicates, unmatched: files.filter(f => !f.matched).length };
+}
+
+module.exports = {
+    DEFAULT_RULE_SET,
+    BUILTIN_RULE_SETS,
+    normalizeRuleSet,
+    loadRuleSets,
+    listRuleSets,
+    saveRuleSet,
+    deleteRuleSet,
+    checkSelection,
+    resolveRuleSet,
+    compile,
+    baseName,
+    parse,
+    preview
+};
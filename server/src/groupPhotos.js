@@ -0,0 +1,94 @@
+// Group photos: a single photo of a whole crew is split into one crop per detected face instead of
+// cropping only the largest. Faces are numbered left to right; each crop gets its own manifest entry
+// ("<photo>@<n>") and output ("<id>-<n>.jpg") and stays flagged for review until an operator assigns
+// it to a roster row, which renames it to "<Emp. No>.jpg" like a confirmed name match.
+const debugOverlay = require('./debugOverlay');
+const photoQuality = require('./photoQuality');
+
+// Manifest key of face n (1-based) of a source: "<source key>@<n>"
+const FACE_SEPARATOR = '@';
+// Fewer faces than this is an ordinary photo
+const MIN_FACES = 2;
+
+function faceKey(sourceKey, face) {
+    return `${sourceKey}${FACE_SEPARATOR}${face}`;
+}
+
+// Faces of a detection ([{ box, score }]) left to right by their centres; null below MIN_FACES
+function orderFaces(detection) {
+    const faces = (detection && detection.faces) || [];
+    if (faces.length < MIN_FACES) return null;
+    const centre = face => face.box.x + face.box.width / 2;
+    return [...faces].sort((a, b) => centre(a) - centre(b) || a.box.y - b.box.y);
+}
+
+/**
+ * Faces whose centre is inside a crop (cropBox / alignment as in the manifest, W x H the upright
+ * image): the quality gate's face count of one group crop, so a neighbour caught in it is reported.
+ */
+function facesInCrop(faces, cropBox, alignment, W, H) {
+    const corners = debugOverlay.cropCorners(cropBox, alignment, W, H);
+    // Inside a convex polygon: on the same side of every edge
+    const inside = (px, py) => {
+        let sign = 0;
+        for (let i = 0; i < corners.length; i++) {
+            const [x1, y1] = corners[i];
+            const [x2, y2] = corners[(i + 1) % corners.length];
+            const cross = (x2 - x1) * (py - y1) - (y2 - y1) * (px - x1);
+            if (cross === 0) continue;
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) return false;
+        }
+        return true;
+    };
+    return faces.filter(({ box }) => inside(box.x + box.width / 2, box.y + box.height / 2)).length;
+}
+
+/**
+ * Group photos of a manifest with their crops in face order:
+ * [{ source, count, faces: [{ filename, index, status, employeeId, output, faceBox, quality, assigned }] }]
+ * assigned is the confirmed roster row ({ empNo, name, row }) or null.
+ */
+function list(files) {
+    const groups = new Map();
+    for (const file of files || []) {
+        if (!file.group) continue;
+        if (!groups.has(file.group.source)) {
+            groups.set(file.group.source, { source: file.group.source, count: file.group.count, faces: [] });
+        }
+        groups.get(file.group.source).faces.push({
+            filename: file.filename,
+            index: file.group.index,
+            status: file.status,
+            employeeId: file.employeeId,
+            output: file.output,
+            faceBox: file.faceBox,
+            quality: file.quality ? file.quality.verdict : null,
+            assigned: file.nameMatch ? { empNo: file.nameMatch.empNo, name: file.nameMatch.name, row: file.nameMatch.row } : null
+        });
+    }
+    return [...groups.values()].map(group => ({ ...group, faces: group.faces.sort((a, b) => a.index - b.index) }));
+}
+
+/**
+ * Roster rows a face can be assigned to: [{ empNo, name, row, hasPhoto }]. hasPhoto marks rows that
+ * already have a usable photo in the job.
+ */
+function rosterChoices(files, rosterRows) {
+    const withPhoto = new Set((files || [])
+        .filter(f => f.status === 'success' && f.output && !photoQuality.isBlocked(f))
+        .map(f => String(f.employeeId || '').trim()));
+    return rosterRows
+        .filter(r => r.empNo)
+        .map(r => ({ empNo: r.empNo, name: r.name, row: r.row, hasPhoto: withPhoto.has(r.empNo) }));
+}
+
+module.exports = {
+    FACE_SEPARATOR,
+    MIN_FACES,
+    faceKey,
+    orderFaces,
+    facesInCrop,
+    list,
+    rosterChoices
+};
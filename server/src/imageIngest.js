@@ -0,0 +1,243 @@
+// Ingestion stage: which uploaded files are photos, how to decode them and how they are oriented.
+// Every photo is decoded to an upright image before detection, so detection, quality, crop boxes
+// and renditions all work in the same (auto-oriented) pixel space whatever the upload format.
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+
+// Decoded by sharp/libvips; BMP has its own decoder below, HEIC/HEIF may need heic-decode
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.jfif', '.png', '.webp', '.tif', '.tiff', '.bmp', '.gif', '.heic', '.heif', '.avif'];
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+// Formats whose files can hold several pages, each ingested as its own photo
+const MULTIPAGE_EXTENSIONS = ['.tif', '.tiff'];
+// Browsers can show these directly; other formats are converted for the crop editor
+const BROWSER_EXTENSIONS = ['.jpg', '.jpeg', '.jfif', '.png', '.webp', '.gif', '.avif'];
+// OS clutter that is neither a photo nor worth reporting
+const IGNORED_FILES = ['thumbs.db', 'desktop.ini'];
+
+// Pages after the first get their own manifest key: "<file>#<page>" (pages are 1-based)
+const PAGE_SEPARATOR = '#';
+
+function isImageFile(filename) {
+    return IMAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+function isSpreadsheetFile(filename) {
+    return SPREADSHEET_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+function isIgnoredFile(filename) {
+    return filename.startsWith('.') || IGNORED_FILES.includes(filename.toLowerCase());
+}
+
+function sourceKey(filename, page = null) {
+    return page && page > 1 ? `${filename}${PAGE_SEPARATOR}${page}` : filename;
+}
+
+// "<file>#<page>" -> { filename, page }; page is null for single-page sources
+function parseSourceKey(key) {
+    const index = key.lastIndexOf(PAGE_SEPARATOR);
+    if (index > 0 && /^\d+$/.test(key.slice(index + 1)) && isImageFile(key.slice(0, index))) {
+        return { filename: key.slice(0, index), page: parseInt(key.slice(index + 1), 10) };
+    }
+    return { filename: key, page: null };
+}
+
+/**
+ * Photos of an input folder in listing order: one source per image (one per page for multi-page
+ * TIFFs) as { key, filename, page, pages }, plus files that are not photos or spreadsheets as
+ * unsupported: [{ filename, reason }].
+ */
+async function listSources(inputPath) {
+    const files = await fs.readdir(inputPath);
+    const sources = [];
+    const unsupported = [];
+    for (const filename of files) {
+        if (isIgnoredFile(filename)) continue;
+        const fullPath = path.join(inputPath, filename);
+        const stat = await fs.stat(fullPath);
+        if (!stat.isFile()) continue;
+        if (isSpreadsheetFile(filename)) continue;
+        if (!isImageFile(filename)) {
+            unsupported.push({ filename, reason: `Unsupported file type ${path.extname(filename) || '(none)'}` });
+            continue;
+        }
+        let pages = 1;
+        if (MULTIPAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase())) {
+            try {
+                pages = (await sharp(fullPath).metadata()).pages || 1;
+            } catch {
+                pages = 1; // decode errors are reported when the page is processed
+            }
+        }
+        for (let page = 1; page <= pages; page++) {
+            sources.push({ key: sourceKey(filename, pages > 1 ? page : null), filename, page: pages > 1 ? page : null, pages });
+        }
+    }
+    return { sources, unsupported };
+}
+
+/**
+ * Minimal BMP decoder (libvips has no BMP loader): BITMAPINFOHEADER and later, uncompressed
+ * 1/4/8-bit palette, 16/24-bit and 32-bit (BI_RGB or BI_BITFIELDS). Returns { data, width, height, channels }
+ * with RGB(A) rows top-down.
+ */
+function decodeBmp(buffer) {
+    if (buffer.length < 54 || buffer.toString('ascii', 0, 2) !== 'BM') throw new Error('Not a BMP file');
+    const dataOffset = buffer.readUInt32LE(10);
+    const headerSize = buffer.readUInt32LE(14);
+    if (headerSize < 40) throw new Error('Unsupported BMP header (OS/2 bitmap)');
+    const width = buffer.readInt32LE(18);
+    const rawHeight = buffer.readInt32LE(22);
+    const bpp = buffer.readUInt16LE(28);
+    const compression = buffer.readUInt32LE(30);
+    const height = Math.abs(rawHeight);
+    const topDown = rawHeight < 0;
+    if (width <= 0 || height === 0) throw new Error('Invalid BMP dimensions');
+    // 0 = BI_RGB, 3 = BI_BITFIELDS, 6 = BI_ALPHABITFIELDS; RLE and embedded JPEG/PNG are not handled
+    if (![0, 3, 6].includes(compression)) throw new Error(`Compressed BMP (type ${compression}) is not supported`);
+    if (![1, 4, 8, 16, 24, 32].includes(bpp)) throw new Error(`Unsupported BMP bit depth ${bpp}`);
+
+    let masks = null;
+    if (bpp === 16 || bpp === 32) {
+        if (compression === 0) {
+            masks = bpp === 16
+                ? [0x7c00, 0x03e0, 0x001f, 0]
+                : [0x00ff0000, 0x0000ff00, 0x000000ff, 0];
+        } else {
+            // Masks follow the 40-byte core header (inside it for V4/V5 headers, which also carry alpha)
+            const maskCount = headerSize >= 56 || compression === 6 ? 4 : 3;
+            masks = [0, 1, 2, 3].map(i => (i < maskCount ? buffer.readUInt32LE(54 + i * 4) : 0));
+        }
+    }
+    const channel = (value, mask) => {
+        if (!mask) return 255;
+        let shift = 0;
+        while (((mask >>> shift) & 1) === 0) shift++;
+        const max = mask >>> shift;
+        return Math.round((((value & mask) >>> shift) * 255) / max);
+    };
+
+    let palette = null;
+    if (bpp <= 8) {
+        const colours = buffer.readUInt32LE(46) || (1 << bpp);
+        const paletteOffset = 14 + headerSize;
+        palette = [];
+        for (let i = 0; i < colours; i++) {
+            const o = paletteOffset + i * 4;
+            palette.push([buffer[o + 2], buffer[o + 1], buffer[o]]);
+        }
+    }
+
+    const hasAlpha = !!(masks && masks[3]);
+    const channels = hasAlpha ? 4 : 3;
+    const rowSize = Math.floor((bpp * width + 31) / 32) * 4;
+    if (dataOffset + rowSize * height > buffer.length) throw new Error('Truncated BMP file');
+    const data = Buffer.alloc(width * height * channels);
+    for (let y = 0; y < height; y++) {
+        const row = dataOffset + (topDown ? y : height - 1 - y) * rowSize;
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * channels;
+            let rgb;
+            let alpha = 255;
+            if (bpp <= 8) {
+                const bit = x * bpp;
+                const index = (buffer[row + (bit >> 3)] >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+                rgb = palette[index] || [0, 0, 0];
+            } else if (bpp === 24) {
+                const o = row + x * 3;
+                rgb = [buffer[o + 2], buffer[o + 1], buffer[o]];
+            } else {
+                const value = bpp === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+                rgb = [channel(value, masks[0]), channel(value, masks[1]), channel(value, masks[2])];
+                if (hasAlpha) alpha = channel(value, masks[3]);
+            }
+            data[out] = rgb[0];
+            data[out + 1] = rgb[1];
+            data[out + 2] = rgb[2];
+            if (hasAlpha) data[out + 3] = alpha;
+        }
+    }
+    return { data, width, height, channels };
+}
+
+// HEIC needs an HEVC decoder: a libvips built with one, or the optional heic-decode package
+async function decodeHeic(inputPath) {
+    let heicDecode;
+    try {
+        heicDecode = require('heic-decode');
+    } catch {
+        throw new Error('HEIC/HEIF decoding is not available: install the optional heic-decode package or use a sharp build with HEVC support');
+    }
+    const { width, height, data } = await heicDecode({ buffer: await fs.readFile(inputPath) });
+    return { data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), width, height, channels: 4 };
+}
+
+/**
+ * Load one photo (page is 1-based, null for the first/only page) and return an upright image:
+ * { input, width, height, format, orientation, pages, converted }. input is the original path
+ * when it can be used as-is (JPEG/PNG/WebP without rotation), otherwise an uncompressed PNG buffer
+ * that sharp and the detectors read like a file.
+ */
+async function loadImage(inputPath, { page = null } = {}) {
+    const ext = path.extname(inputPath).toLowerCase();
+    let image;
+    let format = ext.replace('.', '');
+    if (ext === '.bmp') {
+        const raw = decodeBmp(await fs.readFile(inputPath));
+        image = sharp(raw.data, { raw: { width: raw.width, height: raw.height, channels: raw.channels } });
+        format = 'bmp';
+    } else {
+        const pageOptions = page ? { page: page - 1 } : {};
+        try {
+            const meta = await sharp(inputPath, pageOptions).metadata();
+            format = meta.format || format;
+            image = sharp(inputPath, pageOptions);
+        } catch (err) {
+            if (!['.heic', '.heif'].includes(ext)) throw new Error(`Unable to read image: ${err.message}`);
+            const raw = await decodeHeic(inputPath);
+            image = sharp(raw.data, { raw: { width: raw.width, height: raw.height, channels: raw.channels } });
+            format = 'heif';
+        }
+    }
+
+    const meta = await image.metadata();
+    const orientation = meta.orientation || 1;
+    const pages = meta.pages || 1;
+    if (!meta.width || !meta.height) throw new Error('Unable to read image metadata');
+
+    const passThrough = ['jpeg', 'png', 'webp'].includes(format) && orientation === 1 && !page && ext !== '.bmp';
+    if (passThrough) {
+        return { input: inputPath, width: meta.width, height: meta.height, format, orientation, pages, converted: false };
+    }
+
+    // rotate() without an angle applies the EXIF orientation and drops the tag
+    const { data, info } = await image
+        .rotate()
+        .png({ compressionLevel: 0 })
+        .toBuffer({ resolveWithObject: true });
+    return { input: data, width: info.width, height: info.height, format, orientation, pages, converted: true };
+}
+
+// Browser-viewable upright copy of one photo for the crop editor: { file } to send as-is, or { buffer } (JPEG)
+async function previewImage(inputPath, { page = null } = {}) {
+    const image = await loadImage(inputPath, { page });
+    if (!image.converted && BROWSER_EXTENSIONS.includes(path.extname(inputPath).toLowerCase())) {
+        return { file: inputPath };
+    }
+    return { buffer: await sharp(image.input).jpeg({ quality: 90 }).toBuffer() };
+}
+
+module.exports = {
+    IMAGE_EXTENSIONS,
+    SPREADSHEET_EXTENSIONS,
+    isImageFile,
+    isSpreadsheetFile,
+    isIgnoredFile,
+    sourceKey,
+    parseSourceKey,
+    listSources,
+    decodeBmp,
+    loadImage,
+    previewImage
+};
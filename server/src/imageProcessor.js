@@ -3,9 +3,89 @@ const fs = require('fs').promises;
 const path = require('path');
 const XLSX = require('xlsx');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const jobManifest = require('./jobManifest');
+const photoQuality = require('./photoQuality');
+const modelStore = require('./modelStore');
+const outputProfiles = require('./outputProfiles');
+const employeeIdRules = require('./employeeIdRules');
+const rosterReconciliation = require('./rosterReconciliation');
+const photoDuplicates = require('./photoDuplicates');
+const detectionCache = require('./detectionCache');
+const detectorSettings = require('./detectorSettings');
+const debugOverlay = require('./debugOverlay');
+const toneNormalization = require('./toneNormalization');
+const backgroundReplacement = require('./backgroundReplacement');
+const groupPhotos = require('./groupPhotos');
+const imageIngest = require('./imageIngest');
+
+// Eye line is placed at this fraction of the output height when a photo is aligned
+const EYE_LINE = 0.42;
+// Larger eye-line angles are almost always bad landmarks rather than real head tilt
+const MAX_ALIGN_ANGLE = 30;
+
+// Returns { left, right } by image x so the angle sign does not depend on landmark order
+function orderEyes(a, b) {
+    return a.x <= b.x ? { left: a, right: b } : { left: b, right: a };
+}
+
+function centroid(points) {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+function roundPoint(p) {
+    return { x: Math.round(p.x * 10) / 10, y: Math.round(p.y * 10) / 10 };
+}
+
+/**
+ * Inner part of a face box (no hair or background) in the pixels of the image a crop is taken from:
+ * the upright image, or the rotated canvas of an aligned crop. Returns { left, top, width, height }.
+ */
+function innerFaceRegion(faceBox, alignment, W, H) {
+    let width = W;
+    let height = H;
+    let cx = faceBox.x + faceBox.width / 2;
+    let cy = faceBox.y + faceBox.height / 2;
+    if (alignment && alignment.applied && alignment.canvas) {
+        // Same rotation as alignedCrop
+        const rad = (-alignment.angle * Math.PI) / 180;
+        ({ width, height } = alignment.canvas);
+        const dx = cx - W / 2;
+        const dy = cy - H / 2;
+        cx = dx * Math.cos(rad) - dy * Math.sin(rad) + width / 2;
+        cy = dx * Math.sin(rad) + dy * Math.cos(rad) + height / 2;
+    }
+    const inner = { width: faceBox.width * 0.6, height: faceBox.height * 0.6 };
+    const left = Math.min(Math.max(0, Math.round(cx - inner.width / 2)), width - 1);
+    const top = Math.min(Math.max(0, Math.round(cy - inner.height / 2)), height - 1);
+    return {
+        left,
+        top,
+        width: Math.max(1, Math.min(Math.round(inner.width), width - left)),
+        height: Math.max(1, Math.min(Math.round(inner.height), height - top))
+    };
+}
+
+// ", background replaced" / ", background kept (<reason>)" for crop messages ('' when not requested)
+function backgroundNote(background) {
+    if (!background) return '';
+    return background.applied ? ', background replaced' : `, background kept (${background.reason})`;
+}
+
+// Detector boxes are fractional; whole pixels are enough for the manifest
+function roundBox(box) {
+    return {
+        x: Math.round(box.x),
+        y: Math.round(box.y),
+        width: Math.round(box.width),
+        height: Math.round(box.height)
+    };
+}
 
 class ImageProcessor {
-    constructor() {
+    // options.workerPool: ImageWorkerPool used to run detection/cropping off the main thread
+    constructor(options = {}) {
+        this.workerPool = options.workerPool || null;
         this.faceApiInitialized = false; // detector initialization flag
         this.tf = null;
         this.tfBackend = 'none';
@@ -15,6 +95,14 @@ class ImageProcessor {
         // face-api (fallback)
         this.faceapi = null;
         this.faceSupport = { available: false, modelDir: null, modelType: null };
+        this.faceApiModels = {}; // detector name -> loaded
+        // face_landmark_68 (eye positions for alignment)
+        this.landmarksAvailable = false;
+        // selfie_segmentation (person mask for background replacement)
+        this.segmentationModel = null;
+        this.segmentationAvailable = false;
+        // Set by initializeFaceAPI(); see buildModelReport()
+        this.modelReport = null;
     }
 
     async initializeFaceAPI() {
@@ -50,14 +138,38 @@ class ImageProcessor {
                 }
             }
 
+            // Every model is read from the local model directory (MODEL_DIR); nothing is downloaded
+            const models = {};
+            const loadModel = async (name, load) => {
+                const dir = modelStore.locate(name);
+                if (!dir) {
+                    models[name] = { name, loaded: false, path: null, version: null, error: `${modelStore.MODEL_FILES[name]} not found` };
+                    return false;
+                }
+                const manifestPath = path.join(dir, modelStore.MODEL_FILES[name]);
+                try {
+                    const { version, bytes } = await modelStore.readModelFiles(manifestPath);
+                    await load(manifestPath, dir);
+                    models[name] = { name, loaded: true, path: path.dirname(manifestPath), version, bytes, error: null };
+                    console.log(`Loaded ${name} from ${path.dirname(manifestPath)} (version ${version})`);
+                    return true;
+                } catch (err) {
+                    models[name] = { name, loaded: false, path: path.dirname(manifestPath), version: null, error: (err && err.message) || String(err) };
+                    console.warn(`Failed to load ${name} from ${path.dirname(manifestPath)}: ${models[name].error}`);
+                    return false;
+                }
+            };
+
             // Initialize BlazeFace (preferred detector)
             try {
                 const blazeface = await import('@tensorflow-models/blazeface');
-                this.blazeModel = await blazeface.load();
-                this.blazeAvailable = true;
-                console.log('BlazeFace model loaded successfully');
+                this.blazeAvailable = await loadModel('blazeface', async (manifestPath) => {
+                    // Its own 0.75 cutoff would hide faces a job accepts; runDetector applies minConfidence
+                    this.blazeModel = await blazeface.load({ modelUrl: modelStore.graphModelHandler(manifestPath), scoreThreshold: detectorSettings.MIN_CONFIDENCE });
+                });
             } catch (err) {
                 console.warn('BlazeFace not available:', err.message);
+                models.blazeface = { name: 'blazeface', loaded: false, path: null, version: null, error: err.message };
                 this.blazeAvailable = false;
             }
 
@@ -75,115 +187,282 @@ class ImageProcessor {
                     }
                 }
 
-                // Attempt to load face-api models from disk
-                const modelsCandidateServer = path.resolve(__dirname, '..', 'models'); // server/models
-                const modelsCandidatePublic = path.resolve(__dirname, '..', '..', 'public', 'models'); // public/models at project root
-                let loadedDir = null;
-                let modelType = null; // 'tiny' | 'ssd'
-                for (const candidate of [modelsCandidateServer, modelsCandidatePublic]) {
-                    try {
-                        console.log(`Checking Face-API models at: ${candidate}`);
-                        const stat = await fs.stat(candidate);
-                        console.log(`  exists: ${stat.isDirectory()}`);
-                        if (stat.isDirectory()) {
-                            try {
-                                await this.faceapi.nets.tinyFaceDetector.loadFromDisk(candidate);
-                                loadedDir = candidate;
-                                modelType = 'tiny';
-                                console.log(`Loaded TinyFaceDetector from: ${candidate}`);
-                                break;
-                            } catch (loadErr) {
-                                console.warn(`Failed to load models from ${candidate}: ${loadErr && loadErr.message || loadErr}`);
-                                // Try SSD Mobilenet as fallback
-                                try {
-                                    await this.faceapi.nets.ssdMobilenetv1.loadFromDisk(candidate);
-                                    loadedDir = candidate;
-                                    modelType = 'ssd';
-                                    console.log(`Loaded SsdMobilenetV1 from: ${candidate}`);
-                                    break;
-                                } catch (loadErr2) {
-                                    console.warn(`Failed to load SSD models from ${candidate}: ${loadErr2 && loadErr2.message || loadErr2}`);
-                                }
-                            }
-                        }
-                    } catch (e) {
-                        console.log(`  not found: ${candidate}`);
-                        // ignore and try next candidate
+                const tiny = await loadModel('tiny_face_detector', (_, dir) => this.faceapi.nets.tinyFaceDetector.loadFromDisk(dir));
+                const ssd = await loadModel('ssd_mobilenetv1', (_, dir) => this.faceapi.nets.ssdMobilenetv1.loadFromDisk(dir));
+                // Both stay usable in per-job detector chains
+                this.faceApiModels = { tiny_face_detector: tiny, ssd_mobilenetv1: ssd };
+                // With both loaded, SSD is only used when it is the preferred detector
+                const modelType = (ssd && (!tiny || modelStore.preferredDetector() === 'ssd_mobilenetv1')) ? 'ssd' : (tiny ? 'tiny' : null);
+                if (modelType) {
+                    const modelDir = models[modelType === 'ssd' ? 'ssd_mobilenetv1' : 'tiny_face_detector'].path;
+                    this.faceSupport = { available: true, modelDir, modelType };
+                    console.log(`Face-API models loaded from ${modelDir} (model=${modelType})`);
+                    this.landmarksAvailable = await loadModel('face_landmark_68', (_, dir) => this.faceapi.nets.faceLandmark68Net.loadFromDisk(dir));
+                    if (!this.landmarksAvailable) {
+                        console.warn('face_landmark_68 not loaded; alignment will use BlazeFace keypoints only');
                     }
-                }
-
-                if (loadedDir) {
-                    this.faceSupport = { available: true, modelDir: loadedDir, modelType };
-                    console.log(`Face-API models loaded from ${loadedDir} (model=${modelType})`);
                 } else {
-                    console.warn('Face-API model directory not found in server/models or public/models. Face-API fallback disabled.');
+                    console.warn(`Face-API models not found in ${modelStore.modelDirs().join(' or ')}. Face-API fallback disabled.`);
                     this.faceSupport = { available: false, modelDir: null, modelType: null };
                 }
             } catch (error) {
                 console.warn('Face-API not available, continuing without it:', error.message);
                 this.faceSupport = { available: false, modelDir: null, modelType: null };
+                for (const name of ['tiny_face_detector', 'ssd_mobilenetv1', 'face_landmark_68']) {
+                    if (!models[name]) models[name] = { name, loaded: false, path: null, version: null, error: `face-api unavailable: ${error.message}` };
+                }
+            }
+
+            // Person segmentation is only needed by jobs that replace the background
+            if (this.tf) {
+                this.segmentationAvailable = await loadModel('selfie_segmentation', async (manifestPath) => {
+                    this.segmentationModel = await this.tf.loadGraphModel(modelStore.graphModelHandler(manifestPath));
+                });
+            } else {
+                models.selfie_segmentation = { name: 'selfie_segmentation', loaded: false, path: null, version: null, error: 'tfjs unavailable' };
             }
 
+            this.modelReport = this.buildModelReport(models);
             this.faceApiInitialized = true;
-            console.log(`Image processor initialized: tfjs backend=${this.tfBackend}, blaze=${this.blazeAvailable}, faceapi=${this.faceSupport.available}`);
+            console.log(`Image processor initialized: tfjs backend=${this.tfBackend}, blaze=${this.blazeAvailable}, faceapi=${this.faceSupport.available}, landmarks=${this.landmarksAvailable}`);
         } catch (error) {
             console.warn('Detector initialization failed, using heuristic cropping:', error.message);
             this.faceApiInitialized = false;
             this.blazeAvailable = false;
             this.faceSupport = { available: false, modelDir: null, modelType: null };
+            this.modelReport = this.buildModelReport({}, error.message);
         }
     }
 
-    // Helper: derive employee id from filename
-    // Rules:
-    // - Remove leading timestamp if present (10-14 digits followed by -/_)
-    // - Prefer pattern MTI#######
-    // - Else, if name contains " - ", take the left side
-    // - Else, prefer pure numeric token with length>=5
-    // - Else, first token
-    deriveEmployeeId(filename) {
-        const baseOrig = path.parse(filename).name;
-        const base = baseOrig.replace(/^\d{10,14}[-_]?/, '');
-        // Prefer "<id> - <name>"
-        const parts = base.split(' - ');
-        if (parts.length === 2 && parts[0]) return parts[0].trim();
-        const tokens = base.split(/[\s_\-]+/).filter(Boolean);
-        const mti = tokens.find(t => /^MTI\d{3,}$/.test(t));
-        if (mti) return mti;
-        const numeric = tokens.find(t => /^\d{5,}$/.test(t));
-        if (numeric) return numeric;
-        return tokens[0] || base;
-    }
-
-    async processImagesInFolder(inputPath, outputPath, faceAreaPercentage = 50) {
+    /**
+     * Which models loaded from where, their versions, and whether the preferred detector
+     * (PREFERRED_DETECTOR, default blazeface) is usable, and the detector version detection results
+     * are cached under. Served by /api/health.
+     */
+    buildModelReport(models, error = null) {
+        const names = Object.keys(modelStore.MODEL_FILES);
+        const preferred = modelStore.preferredDetector();
+        const list = names.map(name => models[name] || { name, loaded: false, path: null, version: null, error: error || 'not attempted' });
+        const loaded = (name) => list.some(m => m.name === name && m.loaded);
+        const report = {
+            checkedAt: new Date().toISOString(),
+            configured: !!(process.env.MODEL_DIR || '').trim(),
+            modelDirs: modelStore.modelDirs(),
+            tfBackend: this.tfBackend,
+            runtime: {
+                tfjs: this.tf ? this.tf.version_core || null : null,
+                blazeface: modelStore.packageVersion('@tensorflow-models/blazeface'),
+                faceApi: modelStore.packageVersion('@vladmandic/face-api')
+            },
+            models: list,
+            preferredDetector: preferred,
+            preferredAvailable: preferred === 'blazeface' ? this.blazeAvailable : loaded(preferred) && this.faceSupport.available,
+            activeDetector: this.blazeAvailable ? 'blazeface' : (this.faceSupport.available ? (this.faceSupport.modelType === 'ssd' ? 'ssd_mobilenetv1' : 'tiny_face_detector') : 'heuristic'),
+            segmentationAvailable: this.segmentationAvailable,
+            error
+        };
+        // Detection results cached under another version are not reused
+        report.detectionCacheVersion = detectionCache.detectorVersion(report);
+        return report;
+    }
+
+    // Model report of the thread that actually runs detection (the first pool worker, or this one)
+    async getModelReport() {
+        if (this.usesWorkerPool()) {
+            return this.workerPool.modelReport();
+        }
         await this.initializeFaceAPI();
-        const processedFiles = [];
-        const supportedFormats = ['.jpg', '.jpeg', '.png'];
+        return this.modelReport;
+    }
+
+    // Helper: derive employee id from filename with a rule set (employeeIdRules; default: the built-in
+    // "default" set - timestamp prefix, "<id> - <name>", MTI number, 5+ digit number, first token).
+    // Pages after the first of a multi-page file ("scan.tiff#2") get a "-p<page>" suffix.
+    deriveEmployeeId(filename, ruleSet = null) {
+        return employeeIdRules.parse(filename, employeeIdRules.compile(ruleSet)).employeeId;
+    }
+
+    // Cooperative cancellation: callers pass an AbortSignal and the loops check it between files
+    isCancelled(hooks = {}) {
+        return !!(hooks.signal && hooks.signal.aborted);
+    }
+
+    usesWorkerPool() {
+        return !!(this.workerPool && this.workerPool.enabled);
+    }
+
+    // Run a per-image method in the worker pool when available, otherwise in this thread
+    async runImageTask(method, args) {
+        if (this.usesWorkerPool()) {
+            return this.workerPool.run(method, args);
+        }
+        return this[method](...args);
+    }
+
+    // hooks.onProgress(event) is awaited after every file so callers can persist/stream progress
+    // hooks.signal (AbortSignal) stops dispatching new files; the result is flagged cancelled
+    // hooks.resumeFrom (per-file results of an earlier run) skips files that were already handled
+    // hooks.concurrency limits how many files are in flight at once (bounded by the worker pool size)
+    // hooks.align (default true) levels the eyes with face landmarks before cropping
+    // hooks.outputProfiles (profile names, default ['default']) selects the renditions written per photo
+    // hooks.employeeIdRules (resolved rule set, default built-in) turns file names into employee IDs
+    // hooks.detection (detectorSettings, default chain when null) picks the detectors and thresholds
+    // hooks.duplicates ('keep_newest' default | 'keep_all') decides whether older copies of a photo are cropped
+    // hooks.debugOverlays (default false) writes an annotated copy of every original to debugOverlay.DEBUG_DIR
+    // hooks.toneNormalization (default false) evens out exposure, white balance and contrast (toneNormalization)
+    // hooks.background (colour, default null) paints the background behind the person (backgroundReplacement)
+    // hooks.groupPhotos (default false) crops every face of a photo with several faces, left to right (groupPhotos)
+    async processImagesInFolder(inputPath, outputPath, faceAreaPercentage = 50, hooks = {}) {
+        // With a pool the detectors live in the workers; the main thread never loads them
+        if (!this.usesWorkerPool()) {
+            await this.initializeFaceAPI();
+        }
+        const notify = async (event) => {
+            if (typeof hooks.onProgress === 'function') await hooks.onProgress(event);
+        };
 
         try {
-            const files = await fs.readdir(inputPath);
-            const imageFiles = files.filter(file => supportedFormats.includes(path.extname(file).toLowerCase()));
+            const profiles = outputProfiles.resolveProfiles(hooks.outputProfiles);
+            const idRules = employeeIdRules.compile(hooks.employeeIdRules);
+            // One source per photo (per page of multi-page TIFFs); other files are reported, not dropped
+            const { sources, unsupported } = await imageIngest.listSources(inputPath);
 
-            console.log(`Found ${imageFiles.length} image files to process`);
+            const poolSize = this.usesWorkerPool() ? this.workerPool.size : 1;
+            const requested = parseInt(hooks.concurrency, 10);
+            const concurrency = Math.max(1, Math.min(isNaN(requested) ? poolSize : requested, poolSize));
+            console.log(`Found ${sources.length} images to process (concurrency=${concurrency})${unsupported.length ? `, ${unsupported.length} unsupported file(s)` : ''}`);
 
-            for (const filename of imageFiles) {
-                try {
-                    const inputFilePath = path.join(inputPath, filename);
-                    const employeeId = this.deriveEmployeeId(filename);
-                    const outputFilePath = path.join(outputPath, `${employeeId}.jpg`);
+            const previous = new Map((hooks.resumeFrom || []).map(entry => [entry.filename, entry]));
+            if (previous.size > 0) {
+                console.log(`Resuming: ${previous.size} file(s) already processed in an earlier run`);
+            }
+            // A split group photo is only skipped when every one of its faces was processed
+            const previousGroup = key => {
+                const first = previous.get(groupPhotos.faceKey(key, 1));
+                if (!first || !first.group) return null;
+                const faces = Array.from({ length: first.group.count }, (_, i) => previous.get(groupPhotos.faceKey(key, i + 1)));
+                return faces.every(Boolean) ? faces : null;
+            };
 
-                    const result = await this.cropAndResizeImage(inputFilePath, outputFilePath, faceAreaPercentage);
-                    processedFiles.push({ filename, output: path.basename(outputFilePath), status: result.success ? 'success' : 'failed', message: result.message });
-                } catch (error) {
-                    console.error(`Error processing ${filename}:`, error);
-                    processedFiles.push({ filename, status: 'failed', message: error.message });
+            // Every photo is hashed before any is cropped, so older copies are never rendered
+            // (they would overwrite the newest one's <employeeId>.jpg)
+            const parsedIds = new Map(sources.map(source => [source.key, employeeIdRules.parse(source.key, idRules)]));
+            const duplicates = await this.findDuplicates(inputPath, outputPath, sources, parsedIds, previous, hooks, concurrency);
+
+            // Results are kept by index so the output order matches the folder listing
+            const count = sources.length + unsupported.length;
+            const results = new Array(count);
+            let cancelled = false;
+            let nextIndex = 0;
+
+            const processNext = async () => {
+                while (nextIndex < count) {
+                    if (this.isCancelled(hooks)) {
+                        cancelled = true;
+                        return;
+                    }
+                    const index = nextIndex++;
+                    if (index >= sources.length) {
+                        const { filename: file, reason } = unsupported[index - sources.length];
+                        const entry = jobManifest.fileEntry({ filename: file, status: 'unsupported', error: reason });
+                        results[index] = entry;
+                        await notify({ type: 'file_completed', index, count, ...entry });
+                        continue;
+                    }
+                    const source = sources[index];
+                    const filename = source.key;
+                    if (previous.has(filename)) {
+                        const entry = previous.get(filename);
+                        results[index] = entry;
+                        await notify({ type: 'file_completed', index, count, resumed: true, ...entry });
+                        continue;
+                    }
+                    const resumedFaces = previousGroup(filename);
+                    if (resumedFaces) {
+                        results[index] = resumedFaces;
+                        for (const entry of resumedFaces) {
+                            await notify({ type: 'file_completed', index, count, resumed: true, ...entry });
+                        }
+                        continue;
+                    }
+                    await notify({ type: 'file_started', filename, index, count });
+                    const parsed = parsedIds.get(filename);
+                    const { employeeId } = parsed;
+                    const filenameRule = { ruleSet: parsed.ruleSet, rule: parsed.rule, label: parsed.label, name: parsed.name };
+                    const { phash = null, uploadedAt = null, duplicateOf = null, discard = false } = duplicates.get(filename) || {};
+                    let entry;
+                    if (discard) {
+                        entry = jobManifest.fileEntry({ filename, employeeId, filenameRule, status: 'duplicate', phash, uploadedAt, duplicateOf, message: photoDuplicates.describe(duplicateOf) });
+                        results[index] = entry;
+                        await notify({ type: 'file_completed', index, count, ...entry });
+                        continue;
+                    }
+                    // Manifest entry of one crop (one face of a group photo is filed as "<key>@<n>")
+                    const cropEntry = (result, key, id, group = null) => jobManifest.fileEntry({
+                        filename: key,
+                        employeeId: id,
+                        group,
+                        output: result.success ? result.output : null,
+                        renditions: result.success ? result.renditions : null,
+                        debugOverlay: result.success ? result.debugOverlay : null,
+                        tone: result.success ? result.tone : null,
+                        background: result.success ? result.background : null,
+                        status: result.success ? 'success' : 'failed',
+                        detector: result.detector,
+                        faceBox: result.faceBox,
+                        cropBox: result.cropBox,
+                        alignment: result.alignment,
+                        quality: result.quality,
+                        imageSize: result.imageSize,
+                        source: result.source,
+                        filenameRule,
+                        phash,
+                        uploadedAt,
+                        duplicateOf,
+                        message: result.message
+                    });
+
+                    try {
+                        const inputFilePath = path.join(inputPath, source.filename);
+                        const cropOptions = { align: hooks.align !== false, profiles, page: source.page, detection: hooks.detection || null, debug: !!hooks.debugOverlays, normalizeTone: !!hooks.toneNormalization, background: hooks.background || null };
+
+                        const faces = hooks.groupPhotos
+                            ? groupPhotos.orderFaces((await this.runImageTask('analyzePhoto', [inputFilePath, { page: source.page, detection: cropOptions.detection }])).detection)
+                            : null;
+                        if (faces) {
+                            // One crop per face, numbered left to right
+                            entry = [];
+                            for (let n = 1; n <= faces.length; n++) {
+                                const result = await this.runImageTask('cropAndResizeImage', [inputFilePath, path.join(outputPath, `${employeeId}-${n}.jpg`), faceAreaPercentage, { ...cropOptions, face: faces[n - 1] }]);
+                                entry.push(cropEntry(result, groupPhotos.faceKey(filename, n), `${employeeId}-${n}`, { source: filename, index: n, count: faces.length }));
+                            }
+                        } else {
+                            const result = await this.runImageTask('cropAndResizeImage', [inputFilePath, path.join(outputPath, `${employeeId}.jpg`), faceAreaPercentage, cropOptions]);
+                            entry = cropEntry(result, filename, employeeId);
+                        }
+                    } catch (error) {
+                        console.error(`Error processing ${filename}:`, error);
+                        entry = jobManifest.fileEntry({ filename, employeeId, filenameRule, phash, uploadedAt, status: 'failed', message: error.message });
+                    }
+                    results[index] = entry;
+                    for (const completed of Array.isArray(entry) ? entry : [entry]) {
+                        await notify({ type: 'file_completed', index, count, ...completed });
+                    }
                 }
+            };
+
+            await Promise.all(Array.from({ length: Math.min(concurrency, count) }, () => processNext()));
+
+            const processedFiles = results.filter(Boolean).flat();
+            if (cancelled) {
+                console.log(`Image processing cancelled after ${processedFiles.length}/${count} files`);
             }
 
             return {
                 success: true,
+                cancelled,
                 processedFiles,
-                totalFiles: imageFiles.length,
+                totalFiles: count,
                 successCount: processedFiles.filter(f => f.status === 'success').length
             };
         } catch (error) {
@@ -192,165 +471,811 @@ class ImageProcessor {
         }
     }
 
+    /**
+     * Hash every photo of the job (resumed entries reuse their stored hash) and compare them with each
+     * other and with earlier jobs. Returns Map key -> { phash, uploadedAt, duplicateOf, discard }.
+     * A photo that cannot be hashed is simply not compared; its crop reports the decode error.
+     */
+    async findDuplicates(inputPath, outputPath, sources, parsedIds, previous, hooks, concurrency) {
+        const policy = photoDuplicates.parsePolicy(hooks.duplicates) || photoDuplicates.DEFAULT_POLICY;
+        const photos = new Array(sources.length);
+        let next = 0;
+        const hashNext = async () => {
+            while (next < sources.length && !this.isCancelled(hooks)) {
+                const index = next++;
+                const source = sources[index];
+                const employeeId = parsedIds.get(source.key).employeeId;
+                const earlier = previous.get(source.key);
+                if (earlier) {
+                    photos[index] = { key: source.key, employeeId: earlier.employeeId || employeeId, phash: earlier.phash || null, uploadedAt: earlier.uploadedAt || null };
+                    continue;
+                }
+                try {
+                    const hashed = await this.runImageTask('hashPhoto', [path.join(inputPath, source.filename), { page: source.page }]);
+                    photos[index] = { key: source.key, employeeId, ...hashed };
+                } catch (error) {
+                    console.warn(`Could not hash ${source.key}: ${error.message}`);
+                    photos[index] = { key: source.key, employeeId, phash: null, uploadedAt: null };
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, sources.length) }, () => hashNext()));
+
+        const hashed = photos.filter(Boolean);
+        const decisions = photoDuplicates.decide(hashed, await photoDuplicates.loadPreviousPhotos(outputPath), { policy });
+        const discarded = [...decisions.values()].filter(d => d.discard).length;
+        if (decisions.size > 0) {
+            console.log(`Duplicates: ${decisions.size} photo(s) resemble another upload, ${discarded} discarded (policy=${policy})`);
+        }
+        return new Map(hashed.map(photo => [photo.key, { phash: photo.phash, uploadedAt: photo.uploadedAt, ...decisions.get(photo.key) }]));
+    }
+
+    // Perceptual hash of one (upright) photo plus its upload time, for duplicate detection
+    async hashPhoto(inputPath, { page = null } = {}) {
+        const image = await imageIngest.loadImage(inputPath, { page });
+        const stat = await fs.stat(inputPath);
+        return { phash: await photoDuplicates.perceptualHash(image.input), uploadedAt: stat.mtime.toISOString() };
+    }
+
     // Cropping logic with face detection: faceAreaPercentage means the face box occupies that % of final 400x400
-    async cropAndResizeImage(inputPath, outputPath, faceAreaPercentage) {
+    // Decode an image into a float32 [H, W, C] tensor for the detectors
+    // input: file path or encoded image buffer
+    async decodeImageTensor(input) {
+        if (this.tf && this.tfBackend === 'tensorflow' && this.tf.node && this.tf.node.decodeImage) {
+            const buffer = await sharp(input).toBuffer();
+            return this.tf.node.decodeImage(buffer, 3);
+        }
+        // Fallback without node-canvas: decode pixels via sharp.raw -> tf.Tensor3D
+        if (!this.tf) throw new Error('TFJS not initialized');
+        const { data, info } = await sharp(input).raw().toBuffer({ resolveWithObject: true });
+        const u8 = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        const ints = this.tf.tensor3d(u8, [info.height, info.width, info.channels], 'int32');
+        const tensor = this.tf.cast(ints, 'float32');
+        ints.dispose();
+        return tensor;
+    }
+
+    detectorAvailable() {
+        return this.blazeAvailable || this.faceSupport.available;
+    }
+
+    // Whether a detector of the chain (detectorSettings.DETECTORS) is loaded in this thread
+    detectorLoaded(name) {
+        if (name === 'blazeface') return !!this.blazeAvailable;
+        return !!(this.faceSupport.available && this.faceApiModels && this.faceApiModels[name]);
+    }
+
+    // Server default order: BlazeFace, then the face-api model picked at start-up (PREFERRED_DETECTOR)
+    defaultChain() {
+        const faceApiModel = this.faceSupport.modelType === 'ssd' ? 'ssd_mobilenetv1' : 'tiny_face_detector';
+        return ['blazeface', faceApiModel];
+    }
+
+    /**
+     * Run one detector: { detector, box: { x, y, width, height }, faceCount, score, keypoints, faces } for
+     * the largest face (faces: [{ box, score }] lists every face found), or null when it finds none.
+     * Errors are thrown to the caller.
+     */
+    async runDetector(name, input, { minConfidence = detectorSettings.DEFAULTS.minConfidence, inputSize = detectorSettings.DEFAULTS.inputSize } = {}) {
+        const tensor = await this.decodeImageTensor(input);
         try {
-            const img = sharp(inputPath);
-            const meta = await img.metadata();
-            const W = meta.width || 0;
-            const H = meta.height || 0;
-            if (!W || !H) throw new Error('Unable to read image metadata');
+            if (name === 'blazeface') {
+                const probability = f => (Array.isArray(f.probability) ? f.probability[0] : f.probability);
+                const faces = ((await this.blazeModel.estimateFaces(tensor, false)) || [])
+                    .filter(f => probability(f) === undefined || probability(f) >= minConfidence);
+                if (faces.length === 0) return null;
+                // pick largest face by area
+                let best = faces[0];
+                let bestArea = 0;
+                for (const f of faces) {
+                    const [x1, y1] = f.topLeft;
+                    const [x2, y2] = f.bottomRight;
+                    const area = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+                    if (area > bestArea) { bestArea = area; best = f; }
+                }
+                const [x1, y1] = best.topLeft;
+                const [x2, y2] = best.bottomRight;
+                // BlazeFace keypoints 0/1 are the eyes and 2 the nose; kept as a fallback for landmarks
+                const point = i => ({ x: best.landmarks[i][0], y: best.landmarks[i][1] });
+                const keypoints = Array.isArray(best.landmarks) && best.landmarks.length >= 3
+                    ? { ...orderEyes(point(0), point(1)), nose: point(2) }
+                    : null;
+                const score = f => (probability(f) === undefined ? null : probability(f));
+                const boxOf = f => ({ x: f.topLeft[0], y: f.topLeft[1], width: f.bottomRight[0] - f.topLeft[0], height: f.bottomRight[1] - f.topLeft[1] });
+                return {
+                    detector: 'BlazeFace',
+                    box: { x: x1, y: y1, width: x2 - x1, height: y2 - y1 },
+                    faceCount: faces.length,
+                    score: score(best),
+                    keypoints,
+                    faces: faces.map(f => ({ box: boxOf(f), score: score(f) }))
+                };
+            }
 
-            const desiredRatio = Math.min(Math.max(faceAreaPercentage, 5), 100) / 100; // clamp 5%-100%
+            const useSSD = name === 'ssd_mobilenetv1';
+            const options = useSSD
+                ? new this.faceapi.SsdMobilenetv1Options({ minConfidence })
+                : new this.faceapi.TinyFaceDetectorOptions({ inputSize, scoreThreshold: minConfidence });
+            // face-api supports tf.Tensor inputs; all faces are detected so the quality gate can count them
+            const detections = await this.faceapi.detectAllFaces(tensor, options);
+            if (!detections || detections.length === 0) return null;
+            const largest = detections.reduce((a, b) => (b.box.area > a.box.area ? b : a));
+            const { x, y, width, height } = largest.box;
+            return {
+                detector: `Face-API (${useSSD ? 'ssd' : 'tiny'})`,
+                box: { x, y, width, height },
+                faceCount: detections.length,
+                score: largest.score,
+                keypoints: null,
+                faces: detections.map(d => ({ box: { x: d.box.x, y: d.box.y, width: d.box.width, height: d.box.height }, score: d.score }))
+            };
+        } finally {
+            tensor.dispose && tensor.dispose();
+        }
+    }
 
-            let cropX, cropY, cropSide;
-            let usedDetector = null;
+    // Detection stage: the first detector of the chain (settings.chain, default defaultChain()) that
+    // finds a face decides; returns its result (see runDetector) or null for the heuristic crop
+    async detectFace(input, settings = null) {
+        return (await this.runDetectorChain(input, settings)).detection;
+    }
 
-            // Try BlazeFace first (preferred)
-            if (this.blazeAvailable) {
-                try {
-                    const buffer = await sharp(inputPath).toBuffer();
-                    let tensor;
-                    if (this.tf && this.tfBackend === 'tensorflow' && this.tf.node && this.tf.node.decodeImage) {
-                        tensor = this.tf.node.decodeImage(buffer, 3);
-                    } else {
-                        const { data, info } = await sharp(inputPath).raw().toBuffer({ resolveWithObject: true });
-                        const u8 = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
-                        tensor = this.tf.tensor3d(u8, [info.height, info.width, info.channels], 'int32');
-                        tensor = this.tf.cast(tensor, 'float32');
-                    }
+    /**
+     * detectFace with how the chain went: { detection, conclusive }. conclusive is false when no
+     * detector of the chain was loaded or one of them threw, so "no face" may be wrong.
+     */
+    async runDetectorChain(input, settings = null) {
+        const { chain, minConfidence, inputSize } = settings || detectorSettings.DEFAULTS;
+        let ran = false;
+        let failed = false;
+        for (const name of chain || this.defaultChain()) {
+            if (!this.detectorLoaded(name)) continue;
+            ran = true;
+            try {
+                const detection = await this.runDetector(name, input, { minConfidence, inputSize });
+                if (detection) return { detection, conclusive: !failed };
+            } catch (e) {
+                failed = true;
+                console.warn(`${detectorSettings.DETECTORS[name].label} detection error; trying the next detector:`, e.message);
+            }
+        }
+        return { detection: null, conclusive: ran && !failed };
+    }
 
-                    const faces = await this.blazeModel.estimateFaces(tensor, false);
-                    tensor.dispose && tensor.dispose();
-
-                    if (faces && faces.length > 0) {
-                        // pick largest face by area
-                        let best = faces[0];
-                        let bestArea = 0;
-                        for (const f of faces) {
-                            const [x1, y1] = f.topLeft;
-                            const [x2, y2] = f.bottomRight;
-                            const area = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
-                            if (area > bestArea) { bestArea = area; best = f; }
-                        }
-                        const [x1, y1] = best.topLeft;
-                        const [x2, y2] = best.bottomRight;
-                        const box = { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
-
-                        const faceW = box.width;
-                        const faceH = box.height;
-                        const faceArea = faceW * faceH;
-                        cropSide = Math.ceil(Math.sqrt(faceArea / desiredRatio));
-                        cropSide = Math.max(cropSide, Math.max(faceW, faceH));
-                        cropSide = Math.min(cropSide, Math.min(W, H));
-
-                        const cx = box.x + faceW / 2;
-                        const cy = box.y + faceH / 2;
-                        cropX = Math.round(cx - cropSide / 2);
-                        cropY = Math.round(cy - cropSide / 2);
-                        cropX = Math.max(0, Math.min(cropX, W - cropSide));
-                        cropY = Math.max(0, Math.min(cropY, H - cropSide));
-                        usedDetector = 'BlazeFace';
-                    }
-                } catch (e) {
-                    console.warn('BlazeFace detection error; trying face-api fallback:', e.message);
+    /**
+     * Comparison mode: run each named detector alone on one photo with the given thresholds.
+     * Returns { imageSize, results: [{ name, available, detection, ms, error }] }; a detector's first
+     * run in this thread is repeated untimed beforehand so model warm-up does not skew the timing.
+     */
+    async compareDetectors(inputPath, { page = null, detectors = Object.keys(detectorSettings.DETECTORS), minConfidence, inputSize } = {}) {
+        const { input, width, height } = await imageIngest.loadImage(inputPath, { page });
+        this.warmDetectors = this.warmDetectors || new Set();
+        const results = [];
+        for (const name of detectors) {
+            if (!this.detectorLoaded(name)) {
+                results.push({ name, available: false, detection: null, ms: null, error: null });
+                continue;
+            }
+            try {
+                if (!this.warmDetectors.has(name)) {
+                    await this.runDetector(name, input, { minConfidence, inputSize });
+                    this.warmDetectors.add(name);
                 }
+                const started = process.hrtime.bigint();
+                const detection = await this.runDetector(name, input, { minConfidence, inputSize });
+                const ms = Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+                results.push({ name, available: true, detection: detection && { ...detection, box: roundBox(detection.box) }, ms, error: null });
+            } catch (err) {
+                results.push({ name, available: true, detection: null, ms: null, error: err.message });
             }
+        }
+        return { imageSize: { width, height }, results };
+    }
 
-            // If BlazeFace did not produce a crop, try face-api fallback
-            if (cropX === undefined && this.faceSupport.available) {
-                try {
-                    // Prepare input for face-api depending on tf backend
-                    const buffer = await sharp(inputPath).toBuffer();
-                    let detection;
-                    const useSSD = this.faceSupport.modelType === 'ssd';
-                    const options = useSSD
-                        ? new this.faceapi.SsdMobilenetv1Options({ minConfidence: 0.3 })
-                        : new this.faceapi.TinyFaceDetectorOptions({ inputSize: 416, scoreThreshold: 0.3 });
-
-                    if (this.tf && this.tfBackend === 'tensorflow' && this.tf.node && this.tf.node.decodeImage) {
-                        // Use tfjs-node to decode image to tensor, no canvas required
-                        const tensor = this.tf.node.decodeImage(buffer, 3);
-                        detection = await this.faceapi.detectSingleFace(tensor, options);
-                        tensor.dispose && tensor.dispose();
-                    } else {
-                        // Fallback without node-canvas: decode pixels via sharp.raw -> tf.Tensor3D
-                        if (!this.tf) throw new Error('TFJS not initialized');
-                        const { data, info } = await sharp(inputPath).raw().toBuffer({ resolveWithObject: true });
-                        // Create tensor from raw uint8 pixels [H, W, C] then cast to float32
-                        const u8 = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
-                        let tensor = this.tf.tensor3d(u8, [info.height, info.width, info.channels], 'int32');
-                        tensor = this.tf.cast(tensor, 'float32');
-                        // face-api supports tf.Tensor inputs
-                        detection = await this.faceapi.detectSingleFace(tensor, options);
-                        tensor.dispose && tensor.dispose();
-                    }
+    // Crop stage: square crop box { x, y, size } in source pixels.
+    // With a face box the crop is sized so the face covers desiredRatio of the output area;
+    // without one a centred heuristic crop is used (desiredRatio acts as a zoom level).
+    computeCropBox(W, H, faceBox, desiredRatio) {
+        let cropX, cropY, cropSide;
+        if (faceBox) {
+            const faceW = faceBox.width;
+            const faceH = faceBox.height;
+            cropSide = Math.ceil(Math.sqrt((faceW * faceH) / desiredRatio));
+            cropSide = Math.max(cropSide, Math.max(faceW, faceH));
+            cropSide = Math.min(cropSide, Math.min(W, H));
 
-                    if (detection && detection.box) {
-                        const box = detection.box;
-                        const faceW = box.width;
-                        const faceH = box.height;
-                        const faceArea = faceW * faceH;
-                        // cropSide such that after resize to 400, face occupies desiredRatio of area
-                        cropSide = Math.ceil(Math.sqrt(faceArea / desiredRatio));
-                        cropSide = Math.max(cropSide, Math.max(faceW, faceH));
-                        cropSide = Math.min(cropSide, Math.min(W, H));
-
-                        const cx = box.x + faceW / 2;
-                        const cy = box.y + faceH / 2;
-                        cropX = Math.round(cx - cropSide / 2);
-                        cropY = Math.round(cy - cropSide / 2);
-                        // Clamp
-                        cropX = Math.max(0, Math.min(cropX, W - cropSide));
-                        cropY = Math.max(0, Math.min(cropY, H - cropSide));
-                        usedDetector = `Face-API (${this.faceSupport.modelType || 'tiny'})`;
-                    } else {
-                        // No detection found; fall back to heuristic by leaving cropX undefined
-                    }
-                } catch (e) {
-                    console.warn('Face detection error; falling back to heuristic:', e.message);
-                    // Leave cropX undefined to trigger heuristic fallback below
+            const cx = faceBox.x + faceW / 2;
+            const cy = faceBox.y + faceH / 2;
+            cropX = Math.round(cx - cropSide / 2);
+            cropY = Math.round(cy - cropSide / 2);
+        } else {
+            // Larger desiredRatio => smaller cropSide => face appears larger after resize
+            const baseSide = Math.min(W, H);
+            const scale = Math.min(Math.max(1.0 - desiredRatio * 0.5, 0.35), 0.95); // clamp to avoid too small/large crops
+            cropSide = Math.max(Math.floor(baseSide * scale), 1);
+            cropX = Math.floor(W / 2) - Math.floor(cropSide / 2);
+            cropY = Math.floor(H / 2) - Math.floor(cropSide / 2);
+        }
+        cropSide = Math.round(cropSide);
+        cropX = Math.max(0, Math.min(cropX, W - cropSide));
+        cropY = Math.max(0, Math.min(cropY, H - cropSide));
+        return { x: cropX, y: cropY, size: cropSide };
+    }
+
+    // Landmark stage: eye centres and nose tip from face_landmark_68 run on the face region, falling
+    // back to the detector's own keypoints. Returns { left, right, nose, source } in source pixels, or null.
+    async detectLandmarks(input, detection, W, H) {
+        if (this.landmarksAvailable && this.tf) {
+            try {
+                const { box } = detection;
+                const margin = 0.25;
+                const left = Math.max(0, Math.floor(box.x - box.width * margin));
+                const top = Math.max(0, Math.floor(box.y - box.height * margin));
+                const width = Math.min(W - left, Math.ceil(box.width * (1 + 2 * margin)));
+                const height = Math.min(H - top, Math.ceil(box.height * (1 + 2 * margin)));
+
+                const { data, info } = await sharp(input)
+                    .extract({ left, top, width, height })
+                    .removeAlpha()
+                    .raw()
+                    .toBuffer({ resolveWithObject: true });
+                const u8 = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+                const ints = this.tf.tensor3d(u8, [info.height, info.width, info.channels], 'int32');
+                const tensor = this.tf.cast(ints, 'float32');
+                ints.dispose();
+                const landmarks = await this.faceapi.nets.faceLandmark68Net.detectLandmarks(tensor);
+                tensor.dispose();
+
+                const shape = Array.isArray(landmarks) ? landmarks[0] : landmarks;
+                if (shape) {
+                    const shift = p => ({ x: p.x + left, y: p.y + top });
+                    const eyes = orderEyes(shift(centroid(shape.getLeftEye())), shift(centroid(shape.getRightEye())));
+                    // Point 30 of the 68-point model (4th of the nose group) is the nose tip
+                    return { ...eyes, nose: shift(shape.getNose()[3]), source: 'face_landmark_68' };
                 }
+            } catch (e) {
+                console.warn('Landmark detection error; using detector keypoints:', e.message);
+            }
+        }
+        if (detection.keypoints) {
+            return { ...detection.keypoints, source: 'blazeface_keypoints' };
+        }
+        return null;
+    }
+
+    /**
+     * Quality stage: measurements for photoQuality.assessQuality().
+     * Brightness/contrast/sharpness are taken on the face region (centre square without a face),
+     * normalised to 256x256 greyscale so photos of different sizes compare.
+     */
+    async measureQuality(input, { W, H, detection, landmarks }) {
+        const faceBox = detection ? detection.box : null;
+        let region;
+        if (faceBox) {
+            const left = Math.max(0, Math.floor(faceBox.x));
+            const top = Math.max(0, Math.floor(faceBox.y));
+            region = {
+                left,
+                top,
+                width: Math.max(1, Math.min(W - left, Math.round(faceBox.width))),
+                height: Math.max(1, Math.min(H - top, Math.round(faceBox.height)))
+            };
+        } else {
+            const side = Math.floor(Math.min(W, H) * 0.6) || 1;
+            region = { left: Math.floor((W - side) / 2), top: Math.floor((H - side) / 2), width: side, height: side };
+        }
+
+        const { data, info } = await sharp(input)
+            .extract(region)
+            .resize(256, 256, { fit: 'fill' })
+            .greyscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        // greyscale() may still emit several identical channels; keep the first
+        let grey = data;
+        if (info.channels > 1) {
+            grey = Buffer.alloc(info.width * info.height);
+            for (let i = 0; i < grey.length; i++) grey[i] = data[i * info.channels];
+        }
+        const stats = photoQuality.greyStats(grey, info.width, info.height);
+
+        let roll = null;
+        let yaw = null;
+        if (landmarks) {
+            roll = Math.atan2(landmarks.right.y - landmarks.left.y, landmarks.right.x - landmarks.left.x) * 180 / Math.PI;
+            if (landmarks.nose) {
+                const eyeDist = Math.hypot(landmarks.right.x - landmarks.left.x, landmarks.right.y - landmarks.left.y) || 1;
+                yaw = (landmarks.nose.x - (landmarks.left.x + landmarks.right.x) / 2) / eyeDist;
             }
+        }
+
+        return {
+            imageWidth: W,
+            imageHeight: H,
+            faceCount: this.detectorAvailable() ? (detection ? detection.faceCount || 1 : 0) : null,
+            faceBox: faceBox ? roundBox(faceBox) : null,
+            brightness: Math.round(stats.brightness * 10) / 10,
+            contrast: Math.round(stats.contrast * 10) / 10,
+            sharpness: Math.round(stats.sharpness * 10) / 10,
+            roll: roll === null ? null : Math.round(roll * 100) / 100,
+            yaw: yaw === null ? null : Math.round(yaw * 1000) / 1000
+        };
+    }
+
+    /**
+     * Render stage: write one rendition of the square crop box per output profile (input: path or
+     * image buffer). The first profile is written to outputPath with its format's extension, the
+     * others to <profile name>/ next to it. Returns [{ profile, file, format, width, height, quality,
+     * bytes, overBudget }] with file relative to the folder of outputPath.
+     */
+    async renderCrop(input, outputPath, cropBox, profiles = null, tone = null) {
+        const list = profiles && profiles.length ? profiles : outputProfiles.resolveProfiles();
+        const meta = await sharp(input).metadata();
+        const renditions = [];
+        for (let index = 0; index < list.length; index++) {
+            const profile = list[index];
+            const region = outputProfiles.aspectRegion(cropBox, profile.aspect, meta.width, meta.height);
+            const size = outputProfiles.outputSize(profile, region);
+            // Each profile corrects the tone by its own strength (none without a tone plan)
+            const correction = toneNormalization.transform(tone, profile.toneStrength);
+            const { data, quality } = await this.encodeRendition(input, region, size, profile, correction);
+            const file = outputProfiles.renditionPath(outputPath, profile, index === 0);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, data);
+            renditions.push({
+                profile: profile.name,
+                file: path.relative(path.dirname(outputPath), file).split(path.sep).join('/'),
+                format: profile.format,
+                width: size.width,
+                height: size.height,
+                quality: profile.format === 'png' ? null : quality,
+                bytes: data.length,
+                overBudget: !!profile.maxBytes && data.length > profile.maxBytes,
+                toneStrength: correction ? profile.toneStrength : null
+            });
+        }
+        return renditions;
+    }
 
-            if (cropX === undefined) {
-                // Heuristic centered crop that respects desiredRatio (acts as zoom level)
-                // Larger desiredRatio => smaller cropSide => face appears larger after resize
-                const baseSide = Math.min(W, H);
-                const scale = Math.min(Math.max(1.0 - desiredRatio * 0.5, 0.35), 0.95); // clamp to avoid too small/large crops
-                cropSide = Math.floor(baseSide * scale);
-                cropSide = Math.max(cropSide, 1);
-
-                const cx = Math.floor(W / 2);
-                const cy = Math.floor(H / 2);
-                cropX = Math.max(0, Math.min(cx - Math.floor(cropSide / 2), W - cropSide));
-                cropY = Math.max(0, Math.min(cy - Math.floor(cropSide / 2), H - cropSide));
+    // The profile of the top-level output Vault reads
+    primaryProfile(profiles = null) {
+        return profiles && profiles.length ? profiles[0] : outputProfiles.resolveProfiles()[0];
+    }
+
+    // Encode one rendition; with a byte budget the quality steps down until it fits or reaches minQuality
+    // correction is the tone transform ({ a, b } of toneNormalization.transform) or null
+    async encodeRendition(input, region, size, profile, correction = null) {
+        let quality = profile.quality;
+        for (;;) {
+            let pipeline = sharp(input).extract(region).resize(size.width, size.height);
+            if (correction) pipeline = pipeline.linear(correction.a, correction.b);
+            if (!profile.stripMetadata) pipeline = pipeline.withMetadata();
+            pipeline = profile.format === 'png' ? pipeline.png() : pipeline[profile.format]({ quality });
+            const data = await pipeline.toBuffer();
+            // PNG is lossless: there is no quality to step down
+            const fits = !profile.maxBytes || data.length <= profile.maxBytes;
+            if (fits || profile.format === 'png' || quality <= profile.minQuality) {
+                return { data, quality };
             }
+            quality = Math.max(profile.minQuality, quality - outputProfiles.QUALITY_STEP);
+        }
+    }
+
+    /**
+     * Aligned crop: rotate so the eyes are level, then place a square sized for the face area
+     * with the eye midpoint centred horizontally and at EYE_LINE of the height.
+     * Returns { input, cropBox, alignment } where input is the (rotated) image cropBox refers to,
+     * or null when the landmarks look unreliable (the caller then uses the plain crop).
+     */
+    async alignedCrop(source, { W, H, faceBox, eyes, desiredRatio }) {
+        const angle = Math.atan2(eyes.right.y - eyes.left.y, eyes.right.x - eyes.left.x) * 180 / Math.PI;
+        if (Math.abs(angle) > MAX_ALIGN_ANGLE) return null;
+
+        // Rotating by -angle levels the eye line; sharp expands the canvas around the centre
+        const rotation = -angle;
+        let input = source;
+        let RW = W;
+        let RH = H;
+        if (Math.abs(rotation) >= 0.5) {
+            const rotated = await sharp(source)
+                .rotate(rotation, { background: { r: 255, g: 255, b: 255, alpha: 1 } })
+                .png({ compressionLevel: 0 })
+                .toBuffer({ resolveWithObject: true });
+            input = rotated.data;
+            RW = rotated.info.width;
+            RH = rotated.info.height;
+        }
+
+        const rad = rotation * Math.PI / 180;
+        const mid = { x: (eyes.left.x + eyes.right.x) / 2, y: (eyes.left.y + eyes.right.y) / 2 };
+        const dx = mid.x - W / 2;
+        const dy = mid.y - H / 2;
+        const eyeMid = Math.abs(rotation) >= 0.5
+            ? { x: dx * Math.cos(rad) - dy * Math.sin(rad) + RW / 2, y: dx * Math.sin(rad) + dy * Math.cos(rad) + RH / 2 }
+            : mid;
 
-            const bufferOut = await sharp(inputPath)
-                .extract({ left: cropX, top: cropY, width: cropSide, height: cropSide })
-                .resize(400, 400)
-                .jpeg({ quality: 90 })
-                .toBuffer();
-            await sharp(bufferOut).toFile(outputPath);
+        // Same size rule as the unaligned crop, positioned on the eye line instead of the box centre
+        const { size } = this.computeCropBox(RW, RH, faceBox, desiredRatio);
+        const cropBox = {
+            x: Math.max(0, Math.min(Math.round(eyeMid.x - size / 2), RW - size)),
+            y: Math.max(0, Math.min(Math.round(eyeMid.y - size * EYE_LINE), RH - size)),
+            size
+        };
+
+        return {
+            input,
+            cropBox,
+            alignment: {
+                applied: true,
+                source: eyes.source,
+                angle: Math.round(angle * 100) / 100,
+                eyes: { left: roundPoint(eyes.left), right: roundPoint(eyes.right) },
+                eyeLine: EYE_LINE,
+                // cropBox is on this rotated canvas (absent when the image was not rotated)
+                ...(input !== source ? { canvas: { width: RW, height: RH } } : {})
+            }
+        };
+    }
+
+    // Person probabilities (backgroundReplacement.INPUT_SIZE² values in [0, 1]) of one image
+    async segmentPerson(input) {
+        const size = backgroundReplacement.INPUT_SIZE;
+        const pixels = await backgroundReplacement.modelInput(input);
+        const output = this.tf.tidy(() => {
+            const image = this.tf.tensor3d(new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength), [size, size, 3], 'int32')
+                .toFloat()
+                .div(255)
+                .expandDims(0);
+            const result = this.segmentationModel.predict(image);
+            // [1, size, size, 1]; exports that end in logits instead of a sigmoid are squashed here
+            const mask = (Array.isArray(result) ? result[0] : result).reshape([size * size]);
+            return mask.min().dataSync()[0] < 0 || mask.max().dataSync()[0] > 1 ? this.tf.sigmoid(mask) : mask;
+        });
+        const probabilities = await output.data();
+        output.dispose();
+        return probabilities;
+    }
+
+    /**
+     * Background stage (backgroundReplacement): the image the crop is taken from with its background
+     * painted color. Returns { input, background } where background is the manifest record
+     * ({ applied, color, confidence, personArea, faceCoverage, reason }); when the mask cannot be
+     * trusted (or there is no model) input is the unchanged image and reason says why.
+     */
+    async replaceBackground(input, { faceBox, alignment, W, H, color }) {
+        if (!this.segmentationAvailable) {
+            return { input, background: { applied: false, color, reason: 'segmentation model not loaded' } };
+        }
+        try {
+            const meta = await sharp(input).metadata();
+            const probabilities = await this.segmentPerson(input);
+            const face = faceBox ? innerFaceRegion(faceBox, alignment, W, H) : null;
+            const { reasons, ...scores } = backgroundReplacement.assess(probabilities, { face, W: meta.width, H: meta.height });
+            if (reasons.length) {
+                return { input, background: { applied: false, color, ...scores, reason: reasons.join('; ') } };
+            }
+            const replaced = await backgroundReplacement.replace(input, probabilities, { W: meta.width, H: meta.height, color });
+            return { input: replaced, background: { applied: true, color, ...scores, reason: null } };
+        } catch (error) {
+            console.warn('Background replacement failed:', error.message);
+            return { input, background: { applied: false, color, reason: error.message } };
+        }
+    }
+
+    /**
+     * Tone stage (toneNormalization): face statistics and corrections for the image a crop is taken
+     * from, or null without a face. A failed measurement only loses the correction: the crop is then
+     * written as it is.
+     */
+    async planTone(input, { faceBox, alignment, W, H }) {
+        if (!faceBox) return null;
+        try {
+            return await toneNormalization.plan(input, innerFaceRegion(faceBox, alignment, W, H));
+        } catch (error) {
+            console.warn('Tone normalization skipped:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Manifest record of a tone-normalized crop, with before/after previews of the primary rendition
+     * written to toneNormalization.PREVIEW_DIR:
+     * { strength, applied, corrections, before, after, previews: { before, after } }, or { applied: false, reason }
+     * when there was nothing to measure.
+     */
+    async toneReport(input, outputPath, cropBox, tone, profile) {
+        if (!tone) return { applied: false, reason: 'no face detected' };
+        const correction = toneNormalization.transform(tone, profile.toneStrength);
+        const meta = await sharp(input).metadata();
+        const region = outputProfiles.aspectRegion(cropBox, profile.aspect, meta.width, meta.height);
+        const dir = path.join(path.dirname(outputPath), toneNormalization.PREVIEW_DIR);
+        await fs.mkdir(dir, { recursive: true });
+        const previews = {};
+        for (const [key, transform] of [['before', null], ['after', correction]]) {
+            let pipeline = sharp(input).extract(region).resize(toneNormalization.PREVIEW_SIZE, toneNormalization.PREVIEW_SIZE, { fit: 'inside' });
+            if (transform) pipeline = pipeline.linear(transform.a, transform.b);
+            const file = path.join(dir, `${path.parse(outputPath).name}.${key}.jpg`);
+            await pipeline.jpeg({ quality: 80 }).toFile(file);
+            previews[key] = path.relative(path.dirname(outputPath), file).split(path.sep).join('/');
+        }
+        return {
+            strength: profile.toneStrength,
+            applied: !!correction,
+            corrections: tone.corrections,
+            before: tone.before,
+            after: correction ? await toneNormalization.measure(input, tone.region, correction) : tone.before,
+            previews
+        };
+    }
+
+    /**
+     * Where to crop for a face-area ratio, given the analysis of the photo: aligned on the eyes when
+     * possible, otherwise around the face box (centre heuristic without one).
+     * Returns { input, cropBox, alignment }; input is the image cropBox refers to (rotated when aligned).
+     */
+    async planCrop(input, { W, H, detection, landmarks, desiredRatio, align = true }) {
+        const faceBox = detection ? detection.box : null;
+        let alignment = { applied: false, reason: !align ? 'disabled' : 'no face detected' };
+        if (detection && align) {
+            const aligned = landmarks
+                ? await this.alignedCrop(input, { W, H, faceBox, eyes: landmarks, desiredRatio })
+                : null;
+            if (aligned) return aligned;
+            alignment = { applied: false, reason: landmarks ? 'eye angle out of range' : 'no landmarks' };
+        }
+        return { input, cropBox: this.computeCropBox(W, H, faceBox, desiredRatio), alignment };
+    }
+
+    // Detection and landmarks of one upright image: { detection, landmarks, conclusive } (both null
+    // without a face; conclusive as in runDetectorChain)
+    async analyzeImage(input, W, H, settings = null) {
+        const { detection, conclusive } = await this.runDetectorChain(input, settings);
+        // Landmarks feed both alignment and the head-pose checks of the quality gate
+        const landmarks = detection ? await this.detectLandmarks(input, detection, W, H) : null;
+        return { detection, landmarks, conclusive };
+    }
+
+    /**
+     * analyzeImage with detectionCache in front: { imageSize, detection, landmarks, cached }.
+     * The cache is looked up by the file's content before anything is decoded, and only conclusive
+     * detector runs are stored. loadImage() (returning the imageIngest.loadImage result) is only
+     * called on a miss. settings are the job's detectorSettings.
+     */
+    async analyzeSource(inputPath, page, loadImage, settings = null) {
+        let version = this.modelReport ? this.modelReport.detectionCacheVersion : detectionCache.detectorVersion(null);
+        if (!detectorSettings.isDefault(settings)) {
+            version += `-${detectionCache.contentHash(Buffer.from(JSON.stringify(settings))).slice(0, 8)}`;
+        }
+        const key = detectionCache.cacheKey(await detectionCache.fileHash(inputPath), page, version);
+        const hit = await detectionCache.get(key);
+        if (hit) return { ...hit, cached: true };
+
+        const { input, width, height } = await loadImage();
+        const { detection, landmarks, conclusive } = await this.analyzeImage(input, width, height, settings);
+        const analysis = { imageSize: { width, height }, detection, landmarks };
+        // A miss because no detector was loaded or one failed is not the photo's answer; try again next time
+        if (conclusive) await detectionCache.set(key, analysis);
+        return { ...analysis, cached: false };
+    }
 
+    // Analysis of one photo file for previews: { imageSize, detection, landmarks, cached } (runs in the worker pool)
+    async analyzePhoto(inputPath, { page = null, detection = null } = {}) {
+        return this.analyzeSource(inputPath, page, () => imageIngest.loadImage(inputPath, { page }), detection);
+    }
+
+    /**
+     * Crop preview of one photo at a face-area percentage, nothing written to disk. The analysis
+     * comes from the detection cache when the same bytes were analysed before, so moving the slider
+     * only redoes the crop. profile is the resolved output profile to preview (default: the default profile),
+     * detection the detector settings of the job to be (detectorSettings), normalizeTone applies the
+     * profile's tone correction and background the background colour (null keeps the background).
+     * Returns { data (JPEG), width, height, detector, faceBox, faceCount, cropBox, alignment, tone, background, imageSize, cached }.
+     */
+    async previewCrop(inputPath, faceAreaPercentage, { align = true, profile = null, page = null, detection: settings = null, normalizeTone = false, background: color = null } = {}) {
+        // Runs in a pool worker when there is one (see the crop preview route); then the detectors are already loaded
+        if (!this.usesWorkerPool()) await this.initializeFaceAPI();
+        const analysis = await this.runImageTask('analyzePhoto', [inputPath, { page, detection: settings }]);
+
+        const { input, width: W, height: H } = await imageIngest.loadImage(inputPath, { page });
+        const desiredRatio = Math.min(Math.max(faceAreaPercentage, 5), 100) / 100;
+        const { detection, landmarks } = analysis;
+        const plan = await this.planCrop(input, { W, H, detection, landmarks, desiredRatio, align });
+
+        const target = profile || this.primaryProfile();
+        const meta = await sharp(plan.input).metadata();
+        const region = outputProfiles.aspectRegion(plan.cropBox, target.aspect, meta.width, meta.height);
+        const size = outputProfiles.outputSize(target, region);
+        const faceBox = detection ? detection.box : null;
+        const { input: cropInput, background } = color
+            ? await this.replaceBackground(plan.input, { faceBox, alignment: plan.alignment, W, H, color })
+            : { input: plan.input, background: null };
+        const tone = normalizeTone
+            ? await this.planTone(cropInput, { faceBox, alignment: plan.alignment, W, H })
+            : null;
+        const correction = toneNormalization.transform(tone, target.toneStrength);
+        let pipeline = sharp(cropInput).extract(region).resize(size.width, size.height);
+        if (correction) pipeline = pipeline.linear(correction.a, correction.b);
+        const data = await pipeline.jpeg({ quality: 85 }).toBuffer();
+        return {
+            data,
+            width: size.width,
+            height: size.height,
+            detector: detection ? detection.detector : 'heuristic',
+            faceBox: detection ? roundBox(detection.box) : null,
+            faceCount: detection ? detection.faceCount : 0,
+            cropBox: plan.cropBox,
+            alignment: plan.alignment,
+            tone: tone ? { strength: target.toneStrength, applied: !!correction, before: tone.before, corrections: tone.corrections } : null,
+            background,
+            imageSize: { width: W, height: H },
+            cached: analysis.cached
+        };
+    }
+
+    // Debug overlay next to the job's outputs (see debugOverlay); a failure only loses the overlay
+    async writeDebugOverlay(input, outputPath, annotations) {
+        try {
+            return await debugOverlay.render(input, outputPath, annotations);
+        } catch (error) {
+            console.warn(`Debug overlay for ${path.basename(outputPath)} failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Re-crop one photo without detection: either an explicit square cropBox { x, y, size }
+     * (clamped to the unrotated image) or a new face-area percentage applied to a known faceBox
+     * (heuristic centre crop when there is none). With stored eyes the percentage re-crop is aligned.
+     * background repaints the background like the job run did.
+     */
+    async recropImage(inputPath, outputPath, { cropBox = null, faceAreaPercentage = 50, faceBox = null, eyes = null, profiles = null, page = null, debug = false, detector = null, normalizeTone = false, background: color = null } = {}) {
+        try {
+            // Only the segmentation model is needed here (no detection); a pool worker has it loaded already
+            if (color && !this.usesWorkerPool()) await this.initializeFaceAPI();
+
+            // Boxes are in the upright (EXIF auto-oriented) image, as during the job run
+            const { input, width: W, height: H } = await imageIngest.loadImage(inputPath, { page });
+
+            let box;
+            let cropInput = input;
+            let alignment = { applied: false, reason: cropBox ? 'manual crop' : 'no landmarks' };
+            if (cropBox) {
+                const size = Math.round(Math.min(Math.max(Number(cropBox.size) || 0, 1), W, H));
+                box = {
+                    x: Math.max(0, Math.min(Math.round(Number(cropBox.x) || 0), W - size)),
+                    y: Math.max(0, Math.min(Math.round(Number(cropBox.y) || 0), H - size)),
+                    size
+                };
+            } else {
+                const desiredRatio = Math.min(Math.max(faceAreaPercentage, 5), 100) / 100;
+                const aligned = faceBox && eyes
+                    ? await this.alignedCrop(input, { W, H, faceBox, eyes, desiredRatio })
+                    : null;
+                if (aligned) {
+                    ({ input: cropInput, cropBox: box, alignment } = aligned);
+                } else {
+                    box = this.computeCropBox(W, H, faceBox, desiredRatio);
+                }
+            }
+
+            const { input: renderInput, background } = color
+                ? await this.replaceBackground(cropInput, { faceBox, alignment, W, H, color })
+                : { input: cropInput, background: null };
+            const tone = normalizeTone ? await this.planTone(renderInput, { faceBox, alignment, W, H }) : null;
+            const renditions = await this.renderCrop(renderInput, outputPath, box, profiles, tone);
+            const toneRecord = normalizeTone ? await this.toneReport(renderInput, outputPath, box, tone, this.primaryProfile(profiles)) : null;
+
+            const message = (cropBox
+                ? `Manually cropped ${box.size}x${box.size} at ${box.x},${box.y}`
+                : `Re-cropped ${faceBox ? 'around detected face' : 'using heuristic'} (target ${Math.round(faceAreaPercentage)}% face area)`) + backgroundNote(background);
+            // Only the stored face box and eyes are known here; the other faces of the first run are not redrawn
+            const overlay = debug
+                ? await this.writeDebugOverlay(input, outputPath, {
+                    W,
+                    H,
+                    detection: faceBox ? { detector: detector || 'detected face', box: faceBox } : null,
+                    landmarks: eyes,
+                    cropBox: box,
+                    alignment
+                })
+                : null;
+            return { success: true, output: renditions[0].file, renditions, debugOverlay: overlay, tone: toneRecord, background, cropBox: box, alignment, imageSize: { width: W, height: H }, message };
+        } catch (error) {
+            return { success: false, output: null, renditions: [], cropBox: null, message: error.message };
+        }
+    }
+
+    // Returns { success, output, renditions, background, detector, faceBox, cropBox, alignment, quality, imageSize, message }; faceBox is null for heuristic crops
+    // options.align: level the eyes using face landmarks before cropping (default on)
+    // options.profiles: resolved output profiles (outputProfiles.resolveProfiles); the first is the primary output
+    // options.page: 1-based page of a multi-page file (null for the first/only page)
+    // options.detection: detector chain and thresholds (detectorSettings; default chain when null)
+    // options.debug: also write a debugOverlay of the original; its job-relative path is returned as debugOverlay
+    // options.normalizeTone: correct exposure, white balance and contrast per profile (returned as tone)
+    // options.background: colour to paint the background with before resizing (returned as background; null keeps it)
+    // options.face: one face ({ box, score }) of a group photo to crop around instead of the largest (groupPhotos)
+    async cropAndResizeImage(inputPath, outputPath, faceAreaPercentage, options = {}) {
+        const { align = true, profiles = null, page = null, detection: settings = null, debug = false, normalizeTone = false, background: color = null, face = null } = options;
+        try {
+            // Decode any supported format (one page of multi-page files) and apply the EXIF orientation first
+            const image = await imageIngest.loadImage(inputPath, { page });
+            const { input, width: W, height: H } = image;
+
+            const desiredRatio = Math.min(Math.max(faceAreaPercentage, 5), 100) / 100; // clamp 5%-100%
+
+            // Re-crops and retries of a photo seen before skip detection
+            const analysis = await this.analyzeSource(inputPath, page, async () => image, settings);
+            const { cached } = analysis;
+            let { detection, landmarks } = analysis;
+            if (face && detection) {
+                // Landmarks of the cached analysis belong to the largest face
+                detection = { ...detection, box: face.box, score: face.score };
+                landmarks = await this.detectLandmarks(input, detection, W, H);
+            }
+            const faceBox = detection ? detection.box : null;
+
+            const plan = await this.planCrop(input, { W, H, detection, landmarks, desiredRatio, align });
+            const { cropBox, alignment } = plan;
+            if (face && detection) {
+                // The quality gate counts the faces caught in this crop, not the whole group
+                detection.faceCount = groupPhotos.facesInCrop(detection.faces || [face], cropBox, alignment, W, H);
+            }
+            // Tone is measured on the face, so it comes after the background is painted
+            const { input: cropInput, background } = color
+                ? await this.replaceBackground(plan.input, { faceBox, alignment, W, H, color })
+                : { input: plan.input, background: null };
+            const tone = normalizeTone ? await this.planTone(cropInput, { faceBox, alignment, W, H }) : null;
+            const renditions = await this.renderCrop(cropInput, outputPath, cropBox, profiles, tone);
+            const toneRecord = normalizeTone ? await this.toneReport(cropInput, outputPath, cropBox, tone, this.primaryProfile(profiles)) : null;
+
+            const metrics = await this.measureQuality(input, { W, H, detection, landmarks });
+            const quality = { ...photoQuality.assessQuality(metrics), metrics };
+
+            const usedDetector = detection ? detection.detector : null;
+            const alignedNote = `${alignment.applied ? `, aligned ${alignment.angle}°` : ''}${backgroundNote(background)}${toneRecord && toneRecord.applied ? ', tone normalized' : ''}${cached ? ' (cached detection)' : ''}`;
             const msg = usedDetector
-                ? `Cropped with ${usedDetector} target ${(desiredRatio * 100).toFixed(0)}% face area`
-                : `Cropped using heuristic (target ${(desiredRatio * 100).toFixed(0)}% face area) and resized to 400x400`;
-            return { success: true, message: msg };
+                ? `Cropped with ${usedDetector} target ${(desiredRatio * 100).toFixed(0)}% face area${alignedNote}`
+                : `Cropped using heuristic (target ${(desiredRatio * 100).toFixed(0)}% face area) and resized to ${renditions[0].width}x${renditions[0].height}${backgroundNote(background)}`;
+            const overBudget = renditions.filter(r => r.overBudget).map(r => r.profile);
+            const overlay = debug ? await this.writeDebugOverlay(input, outputPath, { W, H, detection, landmarks, cropBox, alignment }) : null;
+            return {
+                success: true,
+                output: renditions[0].file,
+                renditions,
+                debugOverlay: overlay,
+                tone: toneRecord,
+                background,
+                detector: usedDetector || 'heuristic',
+                faceBox: faceBox ? roundBox(faceBox) : null,
+                cropBox,
+                alignment,
+                quality,
+                imageSize: { width: W, height: H },
+                source: { format: image.format, orientation: image.orientation, page, pages: image.pages },
+                message: overBudget.length ? `${msg}; over the size limit of ${overBudget.join(', ')} at minimum quality` : msg
+            };
         } catch (error) {
-            return { success: false, message: error.message };
+            return { success: false, output: null, renditions: [], detector: null, faceBox: null, cropBox: null, alignment: null, quality: null, message: error.message };
         }
     }
 
     // Combine Excel files following Python logic
-    async combineExcelFilesInFolder(inputFolder, expectedColumns, outputExcelFile) {
+    async combineExcelFilesInFolder(inputFolder, expectedColumns, outputExcelFile, hooks = {}) {
         try {
             const files = await fs.readdir(inputFolder);
             const excelFiles = files.filter(f => ['.xls', '.xlsx'].includes(path.extname(f).toLowerCase()));
             const combinedRows = [];
 
-            for (const filename of excelFiles) {
+            for (let index = 0; index < excelFiles.length; index++) {
+                if (this.isCancelled(hooks)) {
+                    console.log(`Excel combine cancelled after ${index}/${excelFiles.length} files`);
+                    return { success: false, cancelled: true, count: combinedRows.length, message: 'Processing cancelled' };
+                }
+                const filename = excelFiles[index];
+                if (typeof hooks.onProgress === 'function') {
+                    await hooks.onProgress({ type: 'excel_file_started', filename, index, count: excelFiles.length });
+                }
+                const rowsBefore = combinedRows.length;
                 const filePath = path.join(inputFolder, filename);
                 const workbook = XLSX.readFile(filePath);
                 for (const sheetName of workbook.SheetNames) {
@@ -384,6 +1309,9 @@ class ImageProcessor {
                     });
                     combinedRows.push(...augmented);
                 }
+                if (typeof hooks.onProgress === 'function') {
+                    await hooks.onProgress({ type: 'excel_file_completed', filename, index, count: excelFiles.length, rows: combinedRows.length - rowsBefore });
+                }
             }
 
             const outWb = XLSX.utils.book_new();
@@ -485,17 +1413,87 @@ class ImageProcessor {
         }
     }
 
+    // Count the files each enabled step will touch so progress can be reported as processed/total
+    async countProcessableFiles(inputPath, { processImages = true, processExcel = true } = {}) {
+        const files = await fs.readdir(inputPath);
+        const byExt = (exts) => files.filter(f => exts.includes(path.extname(f).toLowerCase())).length;
+        let images = 0;
+        if (processImages) {
+            const { sources, unsupported } = await imageIngest.listSources(inputPath);
+            images = sources.length + unsupported.length;
+        }
+        const excel = processExcel ? byExt(['.xls', '.xlsx']) : 0;
+        return { images, excel, total: images + excel };
+    }
+
     async processIDCards(inputPath, outputPath, options = {}) {
-        const { radiusPercentage = 50, processImages = true, processExcel = true } = options; // interpret radiusPercentage as faceAreaPercentage
+        const { jobId = null, radiusPercentage = 50, processImages = true, processExcel = true, align = true, outputProfiles: profileNames, employeeIdRules: idRuleSet = null, duplicates = photoDuplicates.DEFAULT_POLICY, detection = null, debugOverlays = false, toneNormalization: normalizeTone = false, background = null, groupPhotos: splitGroups = false, onProgress, signal, resumeFrom, concurrency } = options; // interpret radiusPercentage as faceAreaPercentage
         try {
             await fs.mkdir(outputPath, { recursive: true });
 
             const results = { images: null, excel: null, success: true, message: 'Processing completed' };
 
+            // Wrap the caller's callback with a running processed/total counter across all steps
+            const counts = await this.countProcessableFiles(inputPath, { processImages, processExcel });
+            let processed = 0;
+            const hooks = {
+                signal,
+                resumeFrom,
+                concurrency,
+                align,
+                outputProfiles: profileNames,
+                employeeIdRules: idRuleSet,
+                duplicates,
+                detection,
+                debugOverlays,
+                toneNormalization: normalizeTone,
+                background,
+                groupPhotos: splitGroups,
+                onProgress: async (event) => {
+                    // The faces of a split group photo count as one file, completed with its last face
+                    const partial = event.type === 'file_completed' && event.group && event.group.index < event.group.count;
+                    if ((event.type === 'file_completed' && !partial) || event.type === 'excel_file_completed') processed += 1;
+                    if (typeof onProgress === 'function') {
+                        await onProgress({ ...event, processed, total: counts.total });
+                    }
+                }
+            };
+
+            const cancelledResult = () => ({
+                ...results,
+                success: false,
+                cancelled: true,
+                message: `Processing cancelled after ${processed}/${counts.total} files`,
+                processed,
+                total: counts.total
+            });
+
             if (processImages) {
-                results.images = await this.processImagesInFolder(inputPath, outputPath, radiusPercentage);
+                await hooks.onProgress({ type: 'step_started', step: 'images' });
+                results.images = await this.processImagesInFolder(inputPath, outputPath, radiusPercentage, hooks);
+                // Written even for a cancelled run so operators can see what was done
+                if (results.images.processedFiles) {
+                    results.manifest = await jobManifest.write(outputPath, {
+                        jobId,
+                        faceAreaPercentage: radiusPercentage,
+                        align,
+                        outputProfiles: outputProfiles.parseSelection(profileNames),
+                        employeeIdRules: idRuleSet ? idRuleSet.name : employeeIdRules.DEFAULT_RULE_SET,
+                        duplicatePolicy: duplicates,
+                        detection: detection || detectorSettings.DEFAULTS,
+                        debugOverlays,
+                        toneNormalization: normalizeTone,
+                        background,
+                        groupPhotos: splitGroups,
+                        complete: !results.images.cancelled,
+                        files: results.images.processedFiles
+                    });
+                }
+                if (results.images.cancelled) return cancelledResult();
             }
 
+            if (processExcel && this.isCancelled(hooks)) return cancelledResult();
+
             if (processExcel) {
                 const date = new Date();
                 const dd = String(date.getDate()).padStart(2, '0');
@@ -507,14 +1505,34 @@ class ImageProcessor {
                 const outputExcelFile = path.join(outputPath, `For_Machine_${formatted}.xlsx`);
                 const outputCsvFile = path.join(outputPath, `CardDatafileformat_${formatted}.csv`);
 
-                const combined = await this.combineExcelFilesInFolder(inputPath, expectedColumns, outputExcelFile);
+                await hooks.onProgress({ type: 'step_started', step: 'excel_combine' });
+                const combined = await this.combineExcelFilesInFolder(inputPath, expectedColumns, outputExcelFile, hooks);
+                if (combined.cancelled || this.isCancelled(hooks)) return cancelledResult();
                 if (combined.success) {
+                    await hooks.onProgress({ type: 'step_started', step: 'csv' });
                     results.excel = await this.processExcelToCSVFromCombined(outputExcelFile, outputCsvFile);
                 } else {
                     results.excel = combined;
                 }
             }
 
+            // Join the photos to the combined roster so gaps are visible before Vault registration
+            if (processImages && processExcel && results.images && results.images.processedFiles) {
+                await hooks.onProgress({ type: 'step_started', step: 'reconcile' });
+                try {
+                    const report = await rosterReconciliation.build(outputPath, { files: results.images.processedFiles });
+                    if (report) {
+                        await rosterReconciliation.write(outputPath, report);
+                        results.reconciliation = report.summary;
+                    }
+                } catch (error) {
+                    // The report can be rebuilt on demand; it never fails the job
+                    console.error('Error reconciling photos with the roster:', error);
+                }
+            }
+
+            results.processed = processed;
+            results.total = counts.total;
             return results;
         } catch (error) {
             console.error('Error in processIDCards:', error);
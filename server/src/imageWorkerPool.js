@@ -0,0 +1,149 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'workers', 'imageWorker.js');
+
+// Default pool size: leave one core for the HTTP server, cap to keep model memory bounded
+function defaultPoolSize() {
+    const fromEnv = parseInt(process.env.IMAGE_WORKER_THREADS, 10);
+    if (!isNaN(fromEnv)) return Math.max(0, fromEnv);
+    return Math.max(1, Math.min(4, os.cpus().length - 1));
+}
+
+/**
+ * Fixed-size pool of worker threads running workers/imageWorker.js.
+ * Workers are spawned lazily on the first task, each loads the detectors once and is
+ * reused for every later task. A worker that dies is replaced on the next dispatch.
+ */
+class ImageWorkerPool {
+    constructor({ size = defaultPoolSize(), script = WORKER_SCRIPT } = {}) {
+        this.size = size;
+        this.script = script;
+        this.workers = []; // { worker, busy, taskId, index }
+        this.pending = []; // tasks waiting for a free worker
+        this.tasks = new Map(); // taskId -> { resolve, reject, method, args }
+        this.nextTaskId = 1;
+        this.destroyed = false;
+        this.report = null; // model report of the most recently started worker
+        this.reportWaiters = [];
+        console.log(`[ImageWorkerPool] Configured with ${size} worker thread(s)`);
+    }
+
+    get enabled() {
+        return this.size > 0 && !this.destroyed;
+    }
+
+    spawn(index) {
+        const worker = new Worker(this.script, { workerData: { workerIndex: index } });
+        const slot = { worker, busy: false, taskId: null, index };
+
+        worker.on('message', (msg) => {
+            if (msg.type === 'ready') {
+                console.log(`[ImageWorkerPool] Worker ${index} ready (tfjs=${msg.detectors.tfBackend}, blaze=${msg.detectors.blaze}, faceapi=${msg.detectors.faceapi})`);
+                this.setReport(msg.report);
+                return;
+            }
+            if (msg.type === 'init_error') {
+                console.warn(`[ImageWorkerPool] Worker ${index} detector init failed: ${msg.message}`);
+                this.setReport({ error: msg.message, models: [], preferredAvailable: false });
+                return;
+            }
+            const task = this.tasks.get(msg.id);
+            if (!task) return;
+            this.tasks.delete(msg.id);
+            slot.busy = false;
+            slot.taskId = null;
+            if (msg.type === 'result') task.resolve(msg.result);
+            else task.reject(new Error(msg.message));
+            this.dispatch();
+        });
+
+        worker.on('error', (err) => {
+            console.error(`[ImageWorkerPool] Worker ${index} crashed:`, err.message || err);
+        });
+
+        worker.on('exit', (code) => {
+            // Fail the task it was running and free the slot so a replacement can be spawned
+            if (slot.taskId !== null) {
+                const task = this.tasks.get(slot.taskId);
+                this.tasks.delete(slot.taskId);
+                if (task) task.reject(new Error(`Image worker exited with code ${code}`));
+            }
+            this.workers = this.workers.filter(w => w !== slot);
+            if (this.reportWaiters.length > 0) {
+                this.setReport({ error: `Image worker exited with code ${code} before loading models`, models: [], preferredAvailable: false });
+            }
+            if (!this.destroyed) this.dispatch();
+        });
+
+        this.workers.push(slot);
+        return slot;
+    }
+
+    setReport(report) {
+        this.report = report || null;
+        const waiters = this.reportWaiters;
+        this.reportWaiters = [];
+        waiters.forEach(resolve => resolve(this.report));
+    }
+
+    /**
+     * Model report from a worker (every worker loads the same directory). Starts one worker
+     * if none is running yet, so it can be called at startup to load the models eagerly.
+     */
+    modelReport() {
+        if (this.report) return Promise.resolve(this.report);
+        if (!this.enabled) return Promise.resolve(null);
+        return new Promise((resolve) => {
+            this.reportWaiters.push(resolve);
+            if (this.workers.length === 0) this.spawn(0);
+        });
+    }
+
+    dispatch() {
+        while (this.pending.length > 0) {
+            let slot = this.workers.find(w => !w.busy);
+            if (!slot && this.workers.length < this.size) {
+                const used = new Set(this.workers.map(w => w.index));
+                let index = 0;
+                while (used.has(index)) index++;
+                slot = this.spawn(index);
+            }
+            if (!slot) return;
+            const taskId = this.pending.shift();
+            const task = this.tasks.get(taskId);
+            if (!task) continue;
+            slot.busy = true;
+            slot.taskId = taskId;
+            slot.worker.postMessage({ type: 'task', id: taskId, method: task.method, args: task.args });
+        }
+    }
+
+    run(method, args = []) {
+        if (!this.enabled) {
+            return Promise.reject(new Error('Image worker pool is disabled'));
+        }
+        return new Promise((resolve, reject) => {
+            const taskId = this.nextTaskId++;
+            this.tasks.set(taskId, { resolve, reject, method, args });
+            this.pending.push(taskId);
+            this.dispatch();
+        });
+    }
+
+    async destroy() {
+        this.destroyed = true;
+        for (const taskId of this.pending) {
+            const task = this.tasks.get(taskId);
+            if (task) task.reject(new Error('Image worker pool destroyed'));
+            this.tasks.delete(taskId);
+        }
+        this.pending = [];
+        this.setReport(null);
+        await Promise.all(this.workers.map(w => w.worker.terminate()));
+        this.workers = [];
+    }
+}
+
+module.exports = ImageWorkerPool;
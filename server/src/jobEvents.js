@@ -0,0 +1,65 @@
+const { EventEmitter } = require('events');
+
+// Terminal event types; once published the snapshot is kept briefly for late subscribers
+const TERMINAL_EVENTS = ['job_completed', 'job_failed', 'job_cancelled'];
+const SNAPSHOT_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * In-process pub/sub for job progress.
+ * The processing pipeline publishes file-level events here and the SSE endpoint
+ * (/api/jobs/:id/events) relays them to connected dashboards.
+ */
+class JobEvents extends EventEmitter {
+    constructor() {
+        super();
+        // Any number of dashboards may watch the same job
+        this.setMaxListeners(0);
+        // jobId -> latest progress snapshot (so new subscribers don't start from zero)
+        this.snapshots = new Map();
+    }
+
+    publish(jobId, event) {
+        const payload = { jobId, time: new Date().toISOString(), ...event };
+        const prev = this.snapshots.get(jobId) || {};
+        const snapshot = {
+            ...prev,
+            jobId,
+            lastEvent: payload.type,
+            updatedAt: payload.time
+        };
+        if (payload.processed !== undefined) snapshot.processed = payload.processed;
+        if (payload.total !== undefined) snapshot.total = payload.total;
+        if (payload.filename !== undefined) snapshot.currentFile = payload.filename;
+        if (payload.status !== undefined && payload.type === 'job_status') snapshot.status = payload.status;
+        if (payload.type === 'job_completed') snapshot.status = 'COMPLETED';
+        if (payload.type === 'job_failed') snapshot.status = 'FAILED';
+        if (payload.type === 'job_cancelled') snapshot.status = 'CANCELLED';
+        this.snapshots.set(jobId, snapshot);
+
+        this.emit(jobId, payload);
+
+        if (TERMINAL_EVENTS.includes(payload.type)) {
+            const timer = setTimeout(() => this.snapshots.delete(jobId), SNAPSHOT_TTL_MS);
+            timer.unref && timer.unref();
+        }
+        return payload;
+    }
+
+    subscribe(jobId, listener) {
+        this.on(jobId, listener);
+        return () => this.off(jobId, listener);
+    }
+
+    getSnapshot(jobId) {
+        return this.snapshots.get(jobId) || null;
+    }
+
+    isTerminal(type) {
+        return TERMINAL_EVENTS.includes(type);
+    }
+}
+
+// Create singleton instance
+const jobEvents = new JobEvents();
+
+module.exports = jobEvents;
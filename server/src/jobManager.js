@@ -8,10 +8,11 @@ class JobManager {
         console.log('JobManager initialized with SQL Server backend');
     }
 
-    // Helper: parse radius from description e.g. "Processing job with 3 files (15% radius)"
+    // Helper: parse the face-area percentage from the description e.g. "Processing job with 3 files (15% face area)"
+    // (jobs created before the rename say "(15% radius)")
     parseRadiusFromDescription(desc) {
         if (!desc || typeof desc !== 'string') return 50; // fallback
-        const match = desc.match(/\((\d{1,3})%\s*radius\)/i);
+        const match = desc.match(/\((\d{1,3})%\s*(?:radius|face area)\)/i);
         if (match && match[1]) {
             const val = parseInt(match[1], 10);
             if (!isNaN(val)) return val;
@@ -38,7 +39,7 @@ class JobManager {
             const params = {
                 jobId: jobId,
                 name: `${type} Job - ${createdAt.toISOString().split('T')[0]}`,
-                description: `Processing job with ${files.length} files (${radiusPercentage}% radius)`,
+                description: `Processing job with ${files.length} files (${radiusPercentage}% face area)`,
                 status: 'PENDING',
                 totalFiles: files.length,
                 processedFiles: 0,
@@ -168,8 +169,8 @@ class JobManager {
                 updatedAt: new Date()
             };
 
-            // Add completion timestamp if job is completed or failed
-            if (status === 'COMPLETED' || status === 'FAILED') {
+            // Add completion timestamp if job is completed, failed or cancelled
+            if (status === 'COMPLETED' || status === 'FAILED' || status === 'CANCELLED') {
                 updateFields.push('CompletedAt = @completedAt');
                 params.completedAt = new Date();
             }
@@ -241,6 +242,44 @@ class JobManager {
         }
     }
 
+    // Retry in place: back to PENDING with a fresh counter (and the new face-area percentage, if changed)
+    async resetJob(jobId, { radiusPercentage, totalFiles } = {}) {
+        try {
+            const updateFields = ['Status = @status', 'ProcessedImages = 0', 'CompletedAt = NULL', 'UpdatedAt = @updatedAt'];
+            const params = {
+                jobId: jobId,
+                status: this.mapToDatabaseStatus('PENDING'),
+                updatedAt: new Date()
+            };
+
+            if (totalFiles !== undefined) {
+                updateFields.push('TotalEmployees = @totalFiles');
+                params.totalFiles = totalFiles;
+                if (radiusPercentage !== undefined) {
+                    updateFields.push('Description = @description');
+                    params.description = `Processing job with ${totalFiles} files (${radiusPercentage}% face area)`;
+                }
+            }
+
+            const query = `
+                UPDATE ProcessingBatches 
+                SET ${updateFields.join(', ')}
+                WHERE Id = @jobId
+            `;
+
+            const result = await database.query(query, params);
+            if (result.rowsAffected[0] > 0) {
+                console.log(`Reset job ${jobId} for retry`);
+                return true;
+            }
+            console.error(`Job ${jobId} not found for reset`);
+            return false;
+        } catch (err) {
+            console.error('Error resetting job:', err);
+            return false;
+        }
+    }
+
     async deleteJob(jobId) {
         try {
             // Note: In a production system, you might want to soft delete or archive instead
@@ -352,6 +391,7 @@ class JobManager {
                 processing: 0,
                 completed: 0,
                 failed: 0,
+                cancelled: 0,
                 active: 0
             };
 
@@ -376,6 +416,9 @@ class JobManager {
                     case 'FAILED':
                         stats.failed = count;
                         break;
+                    case 'CANCELLED':
+                        stats.cancelled = count;
+                        break;
                 }
             });
 
@@ -389,6 +432,7 @@ class JobManager {
                 processing: 0,
                 completed: 0,
                 failed: 0,
+                cancelled: 0,
                 active: 0
             };
         }
@@ -405,7 +449,7 @@ class JobManager {
             case 'FAILED':
                 return 'FAILED';
             case 'CANCELLED':
-                return 'FAILED';
+                return 'CANCELLED';
             default:
                 return 'PENDING';
         }
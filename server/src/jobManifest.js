@@ -0,0 +1,184 @@
+const fs = require('fs-extra');
+const path = require('path');
+const photoQuality = require('./photoQuality');
+
+// Written into every job output folder next to the cropped photos
+const MANIFEST_FILENAME = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Normalised per-file manifest entry.
+ * faceBox is in source pixels ({ x, y, width, height }), cropBox is the square that was
+ * extracted ({ x, y, size }). Heuristic centre crops have no faceBox and are flagged for review
+ * until an operator sets the crop by hand (manualCrop). When alignment.applied is true the image
+ * was rotated by -alignment.angle degrees first and cropBox refers to the rotated image.
+ * quality is the gate result ({ verdict, reasons, metrics }); an operator's qualityOverride
+ * ({ at, note }) lets a failing photo through to Vault.
+ * output is the primary rendition; renditions lists every output profile's file
+ * ({ profile, file, format, width, height, quality, bytes, overBudget }, file relative to the job folder).
+ * source describes the decoded upload ({ format, orientation, page, pages }); pages after the first of a
+ * multi-page file have their own entry named "<file>#<page>". Files that are not photos are listed with
+ * status 'unsupported' instead of being dropped.
+ * filenameRule records how the employee ID was read from the file name ({ ruleSet, rule, label, name });
+ * rule is null when no rule of the set matched and the bare file name was used.
+ * nameMatch records an operator-confirmed fuzzy match of the file name to a roster row
+ * ({ previousId, empNo, name, row, score, confirmedAt }); the outputs were renamed to that Emp. No.
+ * phash is the upload's perceptual hash and uploadedAt its upload time. duplicateOf points at a near-identical
+ * photo of this or an earlier job ({ jobId, filename, employeeId, uploadedAt, distance, reason }); older copies
+ * are listed with status 'duplicate' and were not cropped.
+ * debugOverlay is the annotated copy of the original (detections, landmarks, crop) written when the job ran
+ * with debug overlays, relative to the job folder; the Vault never picks it up.
+ * tone records the tone normalization of the crop ({ strength, applied, corrections, before, after,
+ * previews: { before, after } }, statistics of the face region and preview files of the primary rendition).
+ * background records the background replacement ({ applied, color, confidence, personArea, faceCoverage, reason });
+ * a photo that kept its background because the person mask was not trusted is flagged for review.
+ * group marks one face of a split group photo ({ source, index, count }, index 1-based left to right); it
+ * needs review until an operator assigns it to a roster row (recorded as nameMatch).
+ */
+function fileEntry({ filename, employeeId = null, group = null, output = null, renditions = null, debugOverlay = null, tone = null, background = null, status, detector = null, faceBox = null, cropBox = null, alignment = null, quality = null, qualityOverride = null, imageSize = null, source = null, filenameRule = null, nameMatch = null, phash = null, uploadedAt = null, duplicateOf = null, manualCrop = false, message = null, error = null }) {
+    // A discarded duplicate is not an error: it was skipped on purpose and needs no review
+    const discarded = status === 'duplicate';
+    const failed = status !== 'success' && !discarded;
+    const doubtful = (!manualCrop && (!detector || detector === 'heuristic'))
+        || (!!quality && quality.verdict !== photoQuality.VERDICTS.PASS && !qualityOverride)
+        // Later pages of a multi-page file are not named after an employee
+        || (!!source && source.page > 1)
+        || (!!filenameRule && filenameRule.rule === null && !nameMatch)
+        // The same picture is filed under another employee ID
+        || (!!duplicateOf && duplicateOf.reason === 'other_employee')
+        // Background replacement was requested but not done
+        || (!!background && !background.applied)
+        || (!!group && !nameMatch);
+    return {
+        filename,
+        employeeId,
+        group,
+        output,
+        renditions,
+        debugOverlay,
+        tone,
+        background,
+        status,
+        detector,
+        faceBox,
+        cropBox,
+        alignment,
+        quality,
+        qualityOverride,
+        imageSize,
+        source,
+        filenameRule,
+        nameMatch,
+        phash,
+        uploadedAt,
+        duplicateOf,
+        manualCrop,
+        message: failed ? null : message,
+        error: failed ? (error || message || 'Unknown error') : null,
+        needsReview: failed || (!discarded && doubtful)
+    };
+}
+
+function summarize(files) {
+    return {
+        total: files.length,
+        success: files.filter(f => f.status === 'success').length,
+        failed: files.filter(f => f.status === 'failed').length,
+        unsupported: files.filter(f => f.status === 'unsupported').length,
+        duplicates: files.filter(f => f.status === 'duplicate').length,
+        heuristic: files.filter(f => f.status === 'success' && (!f.detector || f.detector === 'heuristic')).length,
+        unmatchedIds: files.filter(f => f.filenameRule && f.filenameRule.rule === null && !f.nameMatch).length,
+        nameMatched: files.filter(f => f.nameMatch).length,
+        autoOriented: files.filter(f => f.source && f.source.orientation > 1).length,
+        aligned: files.filter(f => f.alignment && f.alignment.applied).length,
+        toneNormalized: files.filter(f => f.tone && f.tone.applied).length,
+        backgroundReplaced: files.filter(f => f.background && f.background.applied).length,
+        groupFaces: files.filter(f => f.group).length,
+        groupFacesUnassigned: files.filter(f => f.group && !f.nameMatch).length,
+        overBudget: files.filter(f => (f.renditions || []).some(r => r.overBudget)).length,
+        quality: {
+            pass: files.filter(f => f.quality && f.quality.verdict === photoQuality.VERDICTS.PASS).length,
+            warn: files.filter(f => f.quality && f.quality.verdict === photoQuality.VERDICTS.WARN).length,
+            fail: files.filter(f => f.quality && f.quality.verdict === photoQuality.VERDICTS.FAIL).length,
+            overridden: files.filter(f => f.qualityOverride).length
+        },
+        needsReview: files.filter(f => f.needsReview).length
+    };
+}
+
+function manifestPath(outputPath) {
+    return path.join(outputPath, MANIFEST_FILENAME);
+}
+
+// Files of an entry next to its renditions (debug overlay, tone previews), relative to the job folder
+function sideFiles(entry) {
+    const previews = entry.tone && entry.tone.previews ? [entry.tone.previews.before, entry.tone.previews.after] : [];
+    return [entry.debugOverlay, ...previews].filter(Boolean);
+}
+
+// Returns the summary that was written
+async function write(outputPath, { jobId = null, faceAreaPercentage = null, align = null, outputProfiles = null, employeeIdRules = null, duplicatePolicy = null, detection = null, debugOverlays = false, toneNormalization = false, background = null, groupPhotos = false, complete = true, files = [] }) {
+    const summary = summarize(files);
+    const manifest = {
+        version: MANIFEST_VERSION,
+        jobId,
+        generatedAt: new Date().toISOString(),
+        faceAreaPercentage,
+        align,
+        outputProfiles,
+        employeeIdRules,
+        duplicatePolicy,
+        detection,
+        debugOverlays,
+        toneNormalization,
+        background,
+        groupPhotos,
+        complete,
+        summary,
+        files
+    };
+    await fs.outputJson(manifestPath(outputPath), manifest, { spaces: 2 });
+    return summary;
+}
+
+// Returns null when the job has not written a manifest (yet)
+async function read(outputPath) {
+    const file = manifestPath(outputPath);
+    if (!(await fs.pathExists(file))) return null;
+    return fs.readJson(file);
+}
+
+// Synchronous read for the (synchronous) Vault registrar; null when missing or unreadable
+function readSync(outputPath) {
+    try {
+        return fs.readJsonSync(manifestPath(outputPath));
+    } catch {
+        return null;
+    }
+}
+
+// Apply a patch to one file entry and recompute the summary; returns the updated entry (null if unknown)
+async function updateFile(outputPath, filename, patch) {
+    const manifest = await read(outputPath);
+    if (!manifest) return null;
+    const index = (manifest.files || []).findIndex(f => f.filename === filename);
+    if (index === -1) return null;
+    const updated = fileEntry({ ...manifest.files[index], ...patch });
+    manifest.files[index] = updated;
+    manifest.summary = summarize(manifest.files);
+    manifest.updatedAt = new Date().toISOString();
+    await fs.outputJson(manifestPath(outputPath), manifest, { spaces: 2 });
+    return updated;
+}
+
+module.exports = {
+    MANIFEST_FILENAME,
+    fileEntry,
+    sideFiles,
+    summarize,
+    manifestPath,
+    write,
+    read,
+    readSync,
+    updateFile
+};
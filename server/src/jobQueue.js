@@ -0,0 +1,261 @@
+const os = require('os');
+const database = require('./database');
+
+// Queue states (ProcessingBatches keeps the user-facing status; this table drives execution)
+const STATES = {
+    QUEUED: 'QUEUED',
+    LEASED: 'LEASED',
+    DONE: 'DONE',
+    FAILED: 'FAILED',
+    CANCELLED: 'CANCELLED'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS, 10) || 3;
+
+/**
+ * Durable job queue stored in AppDB (ProcessingJobQueue).
+ * /api/process enqueues, the JobWorker claims entries with a time-limited lease and
+ * renews it while running. A lease that is not renewed (crash, kill -9) expires and
+ * the entry becomes claimable again; the per-file checkpoint lets the next run resume.
+ */
+class JobQueue {
+    constructor() {
+        this.hostname = os.hostname();
+        console.log('JobQueue initialized with SQL Server backend');
+    }
+
+    async ensureSchema() {
+        const query = `
+            IF OBJECT_ID(N'dbo.ProcessingJobQueue', N'U') IS NULL
+            BEGIN
+                CREATE TABLE dbo.ProcessingJobQueue (
+                    JobId NVARCHAR(64) NOT NULL PRIMARY KEY,
+                    InputPath NVARCHAR(1024) NOT NULL,
+                    OutputPath NVARCHAR(1024) NOT NULL,
+                    Options NVARCHAR(MAX) NULL,
+                    State NVARCHAR(20) NOT NULL,
+                    Attempts INT NOT NULL DEFAULT 0,
+                    LeaseOwner NVARCHAR(200) NULL,
+                    LeaseExpiresAt DATETIME2 NULL,
+                    Checkpoint NVARCHAR(MAX) NULL,
+                    LastError NVARCHAR(MAX) NULL,
+                    CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+                    UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+                );
+                CREATE INDEX IX_ProcessingJobQueue_State ON dbo.ProcessingJobQueue (State, CreatedAt);
+            END
+        `;
+        await database.query(query);
+        console.log('[JobQueue] ProcessingJobQueue table ready');
+    }
+
+    mapEntry(row) {
+        if (!row) return null;
+        const parse = (value, fallback) => {
+            if (!value) return fallback;
+            try { return JSON.parse(value); } catch { return fallback; }
+        };
+        return {
+            jobId: row.JobId,
+            inputPath: row.InputPath,
+            outputPath: row.OutputPath,
+            options: parse(row.Options, {}),
+            state: row.State,
+            attempts: row.Attempts,
+            leaseOwner: row.LeaseOwner,
+            leaseExpiresAt: row.LeaseExpiresAt ? new Date(row.LeaseExpiresAt).toISOString() : null,
+            checkpoint: parse(row.Checkpoint, null),
+            lastError: row.LastError,
+            createdAt: row.CreatedAt ? new Date(row.CreatedAt).toISOString() : null,
+            updatedAt: row.UpdatedAt ? new Date(row.UpdatedAt).toISOString() : null
+        };
+    }
+
+    // checkpoint may be seeded (retry of failed files only) so the first run skips those files
+    async enqueue(jobId, { inputPath, outputPath, options = {}, checkpoint = null }) {
+        const query = `
+            INSERT INTO ProcessingJobQueue (JobId, InputPath, OutputPath, Options, State, Attempts, Checkpoint, CreatedAt, UpdatedAt)
+            VALUES (@jobId, @inputPath, @outputPath, @options, @state, 0, @checkpoint, SYSUTCDATETIME(), SYSUTCDATETIME())
+        `;
+        await database.query(query, {
+            jobId: String(jobId),
+            inputPath,
+            outputPath,
+            options: JSON.stringify(options),
+            state: STATES.QUEUED,
+            checkpoint: checkpoint ? JSON.stringify(checkpoint) : null
+        });
+        console.log(`[JobQueue] Enqueued job ${jobId}`);
+    }
+
+    // Put a finished entry back in the queue (retry in place) with fresh attempts
+    async requeue(jobId, { options, checkpoint = null }) {
+        const query = `
+            UPDATE ProcessingJobQueue
+            SET State = @queued, Attempts = 0, LeaseOwner = NULL, LeaseExpiresAt = NULL, LastError = NULL,
+                Options = @options, Checkpoint = @checkpoint, UpdatedAt = SYSUTCDATETIME()
+            WHERE JobId = @jobId AND State NOT IN (@queued, @leased)
+        `;
+        const result = await database.query(query, {
+            jobId: String(jobId),
+            queued: STATES.QUEUED,
+            leased: STATES.LEASED,
+            options: JSON.stringify(options),
+            checkpoint: checkpoint ? JSON.stringify(checkpoint) : null
+        });
+        const requeued = result.rowsAffected[0] > 0;
+        if (requeued) console.log(`[JobQueue] Requeued job ${jobId}`);
+        return requeued;
+    }
+
+    async get(jobId) {
+        const result = await database.query('SELECT * FROM ProcessingJobQueue WHERE JobId = @jobId', { jobId: String(jobId) });
+        return this.mapEntry(result.recordset[0]);
+    }
+
+    // Atomically lease the oldest claimable entry (READPAST lets several workers poll safely)
+    async claimNext(owner, leaseMs) {
+        const query = `
+            ;WITH nextJob AS (
+                SELECT TOP (1) *
+                FROM ProcessingJobQueue WITH (UPDLOCK, READPAST, ROWLOCK)
+                WHERE Attempts < @maxAttempts
+                  AND (State = @queued OR (State = @leased AND LeaseExpiresAt < SYSUTCDATETIME()))
+                ORDER BY CreatedAt
+            )
+            UPDATE nextJob
+            SET State = @leased,
+                LeaseOwner = @owner,
+                LeaseExpiresAt = DATEADD(millisecond, @leaseMs, SYSUTCDATETIME()),
+                Attempts = Attempts + 1,
+                UpdatedAt = SYSUTCDATETIME()
+            OUTPUT inserted.*
+        `;
+        const result = await database.query(query, {
+            owner,
+            leaseMs,
+            maxAttempts: MAX_ATTEMPTS,
+            queued: STATES.QUEUED,
+            leased: STATES.LEASED
+        });
+        return this.mapEntry(result.recordset[0]);
+    }
+
+    // Returns false when the lease was lost (expired and claimed elsewhere, or cancelled)
+    async renewLease(jobId, owner, leaseMs) {
+        const query = `
+            UPDATE ProcessingJobQueue
+            SET LeaseExpiresAt = DATEADD(millisecond, @leaseMs, SYSUTCDATETIME()), UpdatedAt = SYSUTCDATETIME()
+            WHERE JobId = @jobId AND LeaseOwner = @owner AND State = @leased
+        `;
+        const result = await database.query(query, { jobId: String(jobId), owner, leaseMs, leased: STATES.LEASED });
+        return result.rowsAffected[0] > 0;
+    }
+
+    async saveCheckpoint(jobId, owner, checkpoint) {
+        const query = `
+            UPDATE ProcessingJobQueue
+            SET Checkpoint = @checkpoint, UpdatedAt = SYSUTCDATETIME()
+            WHERE JobId = @jobId AND LeaseOwner = @owner
+        `;
+        await database.query(query, { jobId: String(jobId), owner, checkpoint: JSON.stringify(checkpoint) });
+    }
+
+    // Give the entry back (graceful shutdown); the checkpoint is kept so the next claim resumes
+    async release(jobId, owner, checkpoint) {
+        const query = `
+            UPDATE ProcessingJobQueue
+            SET State = @queued, LeaseOwner = NULL, LeaseExpiresAt = NULL,
+                Attempts = CASE WHEN Attempts > 0 THEN Attempts - 1 ELSE 0 END,
+                Checkpoint = COALESCE(@checkpoint, Checkpoint), UpdatedAt = SYSUTCDATETIME()
+            WHERE JobId = @jobId AND LeaseOwner = @owner
+        `;
+        await database.query(query, {
+            jobId: String(jobId),
+            owner,
+            queued: STATES.QUEUED,
+            checkpoint: checkpoint ? JSON.stringify(checkpoint) : null
+        });
+        console.log(`[JobQueue] Released job ${jobId} back to the queue`);
+    }
+
+    async finish(jobId, state, { error = null, checkpoint = null } = {}) {
+        const query = `
+            UPDATE ProcessingJobQueue
+            SET State = @state, LeaseOwner = NULL, LeaseExpiresAt = NULL, LastError = @error,
+                Checkpoint = COALESCE(@checkpoint, Checkpoint), UpdatedAt = SYSUTCDATETIME()
+            WHERE JobId = @jobId
+        `;
+        await database.query(query, {
+            jobId: String(jobId),
+            state,
+            error,
+            checkpoint: checkpoint ? JSON.stringify(checkpoint) : null
+        });
+    }
+
+    /**
+     * Startup recovery:
+     * - leases held by a previous process on this host (or already expired) go back to QUEUED
+     * - entries that ran out of attempts are marked FAILED
+     * - ProcessingBatches rows left PENDING/PROCESSING are re-synced with their queue entry;
+     *   rows without any entry (created before the queue existed) cannot be resumed and are failed
+     */
+    async recoverOrphans() {
+        const summary = { requeued: 0, exhausted: 0, failedWithoutEntry: 0, synced: 0 };
+
+        const requeue = await database.query(`
+            UPDATE ProcessingJobQueue
+            SET State = @queued, LeaseOwner = NULL, LeaseExpiresAt = NULL, UpdatedAt = SYSUTCDATETIME()
+            WHERE State = @leased AND Attempts < @maxAttempts
+              AND (LeaseOwner LIKE @hostPrefix OR LeaseExpiresAt < SYSUTCDATETIME())
+        `, { queued: STATES.QUEUED, leased: STATES.LEASED, maxAttempts: MAX_ATTEMPTS, hostPrefix: `${this.hostname}:%` });
+        summary.requeued = requeue.rowsAffected[0] || 0;
+
+        const exhausted = await database.query(`
+            UPDATE ProcessingJobQueue
+            SET State = @failed, LeaseOwner = NULL, LeaseExpiresAt = NULL,
+                LastError = COALESCE(LastError, 'Exceeded maximum attempts'), UpdatedAt = SYSUTCDATETIME()
+            OUTPUT inserted.JobId
+            WHERE State IN (@queued, @leased) AND Attempts >= @maxAttempts
+              AND (LeaseExpiresAt IS NULL OR LeaseExpiresAt < SYSUTCDATETIME() OR LeaseOwner LIKE @hostPrefix)
+        `, { failed: STATES.FAILED, queued: STATES.QUEUED, leased: STATES.LEASED, maxAttempts: MAX_ATTEMPTS, hostPrefix: `${this.hostname}:%` });
+        summary.exhausted = exhausted.rowsAffected[0] || 0;
+
+        const orphans = await database.query(`
+            SELECT CAST(b.Id AS NVARCHAR(64)) AS JobId, b.Status AS BatchStatus, q.State AS QueueState
+            FROM ProcessingBatches b
+            LEFT JOIN ProcessingJobQueue q ON q.JobId = CAST(b.Id AS NVARCHAR(64))
+            WHERE b.Status IN ('PENDING', 'PROCESSING')
+        `);
+
+        for (const row of orphans.recordset || []) {
+            let batchStatus = null;
+            if (!row.QueueState) {
+                batchStatus = 'FAILED';
+                summary.failedWithoutEntry += 1;
+            } else if (row.QueueState === STATES.QUEUED) {
+                batchStatus = row.BatchStatus === 'PENDING' ? null : 'PENDING';
+            } else if (row.QueueState === STATES.DONE) {
+                batchStatus = 'COMPLETED';
+            } else if (row.QueueState === STATES.FAILED || row.QueueState === STATES.CANCELLED) {
+                batchStatus = row.QueueState;
+            }
+            if (!batchStatus) continue;
+            await database.query(`
+                UPDATE ProcessingBatches
+                SET Status = @status, UpdatedAt = @updatedAt,
+                    CompletedAt = CASE WHEN @status IN ('COMPLETED', 'FAILED', 'CANCELLED') THEN @updatedAt ELSE CompletedAt END
+                WHERE CAST(Id AS NVARCHAR(64)) = @jobId
+            `, { status: batchStatus, updatedAt: new Date(), jobId: row.JobId });
+            summary.synced += 1;
+        }
+
+        console.log(`[JobQueue] Recovery: requeued=${summary.requeued} exhausted=${summary.exhausted} failedWithoutEntry=${summary.failedWithoutEntry} synced=${summary.synced}`);
+        return summary;
+    }
+}
+
+JobQueue.STATES = STATES;
+
+module.exports = JobQueue;
@@ -0,0 +1,224 @@
+const os = require('os');
+const fs = require('fs-extra');
+const jobEvents = require('./jobEvents');
+const JobQueue = require('./jobQueue');
+
+const { STATES } = JobQueue;
+
+// Abort reasons passed to AbortController.abort()
+const ABORT_CANCELLED = 'cancelled';
+const ABORT_SHUTDOWN = 'shutdown';
+const ABORT_LEASE_LOST = 'lease_lost';
+
+// The manifest entry carried by a file_completed event, without the progress fields
+function pickFileResult(event) {
+    const { type, index, count, processed, total, resumed, ...entry } = event;
+    return entry;
+}
+
+/**
+ * Claims jobs from the durable queue and runs them one at a time.
+ * While a job runs the lease is renewed on a heartbeat and every finished file is
+ * checkpointed, so a restart resumes instead of starting over.
+ */
+class JobWorker {
+    constructor({ queue, jobManager, imageProcessor, pollIntervalMs, leaseMs }) {
+        this.queue = queue;
+        this.jobManager = jobManager;
+        this.imageProcessor = imageProcessor;
+        this.pollIntervalMs = pollIntervalMs || parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+        this.leaseMs = leaseMs || parseInt(process.env.JOB_LEASE_MS, 10) || 60000;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.running = false;
+        this.stopping = false;
+        this.ticking = false;
+        this.timer = null;
+        this.current = null; // { jobId, controller, cleanup }
+        this.currentRun = null; // Promise of the running job
+    }
+
+    start() {
+        this.running = true;
+        console.log(`[JobWorker] Started as ${this.workerId} (poll=${this.pollIntervalMs}ms lease=${this.leaseMs}ms)`);
+        this.schedule(0);
+    }
+
+    schedule(delayMs) {
+        clearTimeout(this.timer);
+        if (!this.running || this.stopping) return;
+        this.timer = setTimeout(() => this.tick(), delayMs);
+    }
+
+    // Called after enqueue so new jobs start without waiting for the next poll
+    poke() {
+        if (!this.current && !this.ticking) this.schedule(0);
+    }
+
+    async tick() {
+        if (this.ticking || this.current || this.stopping) return;
+        this.ticking = true;
+        let entry = null;
+        try {
+            entry = await this.queue.claimNext(this.workerId, this.leaseMs);
+        } catch (err) {
+            console.error('[JobWorker] Failed to claim next job:', err.message || err);
+        } finally {
+            this.ticking = false;
+        }
+
+        if (!entry) {
+            this.schedule(this.pollIntervalMs);
+            return;
+        }
+
+        this.currentRun = this.runJob(entry);
+        await this.currentRun;
+        this.currentRun = null;
+        // Look for more work straight away
+        this.schedule(0);
+    }
+
+    isRunning(jobId) {
+        return !!(this.current && this.current.jobId === jobId);
+    }
+
+    // Request cancellation of the job running here; returns false if it is not ours
+    cancel(jobId, { cleanup = false } = {}) {
+        if (!this.isRunning(jobId)) return false;
+        this.current.cleanup = cleanup;
+        this.current.controller.abort(ABORT_CANCELLED);
+        return true;
+    }
+
+    async runJob(entry) {
+        const { jobId } = entry;
+        const controller = new AbortController();
+        const current = { jobId, controller, cleanup: false };
+        this.current = current;
+
+        const checkpoint = { files: (entry.checkpoint && Array.isArray(entry.checkpoint.files)) ? entry.checkpoint.files : [] };
+        console.log(`[JobWorker] Running job ${jobId} (attempt ${entry.attempts}, ${checkpoint.files.length} file(s) checkpointed)`);
+
+        const heartbeat = setInterval(async () => {
+            try {
+                const renewed = await this.queue.renewLease(jobId, this.workerId, this.leaseMs);
+                if (!renewed && !controller.signal.aborted) {
+                    console.warn(`[JobWorker] Lost lease on job ${jobId}; stopping`);
+                    controller.abort(ABORT_LEASE_LOST);
+                }
+            } catch (err) {
+                console.warn(`[JobWorker] Lease renewal failed for job ${jobId}:`, err.message || err);
+            }
+        }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+
+        try {
+            const job = await this.jobManager.getJob(jobId);
+            if (!job || job.status === 'CANCELLED') {
+                await this.queue.finish(jobId, job ? STATES.CANCELLED : STATES.FAILED, { error: job ? null : 'Job record not found' });
+                return;
+            }
+
+            await this.jobManager.updateJobStatus(jobId, 'PROCESSING');
+            jobEvents.publish(jobId, {
+                type: 'job_status',
+                status: 'PROCESSING',
+                processed: checkpoint.files.length,
+                total: job.totalFiles,
+                attempt: entry.attempts,
+                resumed: checkpoint.files.length > 0
+            });
+
+            const options = {
+                ...entry.options,
+                jobId,
+                signal: controller.signal,
+                resumeFrom: checkpoint.files,
+                // Persist the counter, push every file-level event to SSE subscribers and checkpoint each file
+                onProgress: async (event) => {
+                    jobEvents.publish(jobId, event);
+                    if (event.type === 'file_completed' || event.type === 'excel_file_completed' || event.type === 'step_started') {
+                        await this.jobManager.updateJobProgress(jobId, event.processed, event.total);
+                    }
+                    if (event.type === 'file_completed' && !event.resumed) {
+                        checkpoint.files.push(pickFileResult(event));
+                        await this.queue.saveCheckpoint(jobId, this.workerId, checkpoint);
+                    }
+                }
+            };
+
+            const result = await this.imageProcessor.processIDCards(entry.inputPath, entry.outputPath, options);
+            const reason = controller.signal.aborted ? controller.signal.reason : null;
+
+            if (reason === ABORT_LEASE_LOST) {
+                // Another worker owns the entry now; leave the records alone
+                return;
+            }
+
+            if (reason === ABORT_SHUTDOWN) {
+                await this.queue.release(jobId, this.workerId, checkpoint);
+                await this.jobManager.updateJobStatus(jobId, 'PENDING');
+                jobEvents.publish(jobId, { type: 'job_status', status: 'PENDING', processed: checkpoint.files.length, message: 'Paused for server shutdown; resumes on restart' });
+                return;
+            }
+
+            if (result.cancelled || reason === ABORT_CANCELLED) {
+                // Status is already CANCELLED (set by the cancel endpoint); record how far we got
+                const snapshot = jobEvents.getSnapshot(jobId) || {};
+                const processed = result.processed !== undefined ? result.processed : (snapshot.processed || 0);
+                const total = result.total !== undefined ? result.total : snapshot.total;
+                await this.jobManager.updateJobStatus(jobId, 'CANCELLED', { processedFiles: processed });
+                await this.queue.finish(jobId, STATES.CANCELLED, { checkpoint });
+                if (current.cleanup) {
+                    await fs.remove(entry.outputPath);
+                    console.log(`Removed partial output for cancelled job ${jobId}`);
+                }
+                jobEvents.publish(jobId, { type: 'job_cancelled', processed, total, cleanedUp: current.cleanup });
+            } else if (result.success) {
+                const imagesProcessed = result.images ? result.images.successCount || 0 : 0;
+                const imagesFailed = result.images ? (result.images.totalFiles || 0) - imagesProcessed : 0;
+                await this.jobManager.updateJobStatus(jobId, 'COMPLETED', {
+                    processedFiles: result.processed !== undefined ? result.processed : checkpoint.files.length
+                });
+                await this.queue.finish(jobId, STATES.DONE, { checkpoint });
+                jobEvents.publish(jobId, { type: 'job_completed', imagesProcessed, imagesFailed });
+            } else {
+                await this.jobManager.updateJobStatus(jobId, 'FAILED');
+                await this.queue.finish(jobId, STATES.FAILED, { error: result.message || 'Processing failed', checkpoint });
+                jobEvents.publish(jobId, { type: 'job_failed', message: result.message });
+            }
+        } catch (error) {
+            console.error(`Job ${jobId} processing error:`, error);
+            await this.jobManager.updateJobStatus(jobId, 'FAILED');
+            await this.queue.finish(jobId, STATES.FAILED, { error: error.message, checkpoint }).catch(() => {});
+            jobEvents.publish(jobId, { type: 'job_failed', message: error.message });
+        } finally {
+            clearInterval(heartbeat);
+            this.current = null;
+        }
+    }
+
+    /**
+     * Graceful stop: no new claims, the running job finishes its current file and is
+     * checkpointed back to the queue. Waits at most timeoutMs for that to happen.
+     */
+    async stop({ timeoutMs = 30000 } = {}) {
+        this.stopping = true;
+        clearTimeout(this.timer);
+        if (!this.current) return;
+
+        console.log(`[JobWorker] Stopping; checkpointing job ${this.current.jobId}`);
+        this.current.controller.abort(ABORT_SHUTDOWN);
+        const run = this.currentRun || Promise.resolve();
+        let timeout;
+        const timedOut = await Promise.race([
+            run.then(() => false),
+            new Promise(resolve => { timeout = setTimeout(() => resolve(true), timeoutMs); })
+        ]);
+        clearTimeout(timeout);
+        if (timedOut) {
+            console.warn('[JobWorker] Timed out waiting for the running job; its lease will expire and it will be recovered on restart');
+        }
+    }
+}
+
+module.exports = JobWorker;
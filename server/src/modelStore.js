@@ -0,0 +1,145 @@
+// Local detector weights: where they live, how to load them without network access, and
+// which version (content fingerprint) was loaded. Nothing here ever downloads.
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MODEL_DIR = path.resolve(__dirname, '..', 'models'); // server/models
+const LEGACY_MODEL_DIR = path.resolve(__dirname, '..', '..', 'public', 'models'); // public/models at project root
+
+// Detector names accepted by PREFERRED_DETECTOR, in the order they are tried
+const DETECTORS = ['blazeface', 'tiny_face_detector', 'ssd_mobilenetv1'];
+const DEFAULT_PREFERRED_DETECTOR = 'blazeface';
+
+// Weight manifests relative to a model directory
+const MODEL_FILES = {
+    blazeface: path.join('blazeface', 'model.json'),
+    tiny_face_detector: 'tiny_face_detector_model-weights_manifest.json',
+    ssd_mobilenetv1: 'ssd_mobilenetv1_model-weights_manifest.json',
+    face_landmark_68: 'face_landmark_68_model-weights_manifest.json',
+    // MediaPipe selfie segmentation (tfjs graph model) for background replacement
+    selfie_segmentation: path.join('selfie_segmentation', 'model.json')
+};
+
+// Models whose results end up in the detection cache (segmentation does not change detections)
+const DETECTION_MODELS = [...DETECTORS, 'face_landmark_68'];
+
+// MODEL_DIR wins outright; without it the bundled server/models is searched before the legacy public/models
+function modelDirs() {
+    const configured = (process.env.MODEL_DIR || '').trim();
+    if (configured) return [path.resolve(configured)];
+    return [DEFAULT_MODEL_DIR, LEGACY_MODEL_DIR];
+}
+
+function preferredDetector() {
+    const value = (process.env.PREFERRED_DETECTOR || DEFAULT_PREFERRED_DETECTOR).trim().toLowerCase();
+    if (!DETECTORS.includes(value)) {
+        console.warn(`[Models] Unknown PREFERRED_DETECTOR "${value}", using ${DEFAULT_PREFERRED_DETECTOR}`);
+        return DEFAULT_PREFERRED_DETECTOR;
+    }
+    return value;
+}
+
+// First model directory that holds the manifest of `name`; null when none does
+function locate(name) {
+    const file = MODEL_FILES[name];
+    for (const dir of modelDirs()) {
+        if (fsSync.existsSync(path.join(dir, file))) return dir;
+    }
+    return null;
+}
+
+// face-api manifests are a bare weightsManifest array; tfjs graph models wrap it in model.json
+function weightGroups(manifest) {
+    return Array.isArray(manifest) ? manifest : (manifest.weightsManifest || []);
+}
+
+/**
+ * Reads a manifest and its weight shards. version is the first 12 hex characters of a
+ * sha256 over the manifest and every shard, so swapping weights changes the version.
+ */
+async function readModelFiles(manifestPath) {
+    const raw = await fs.readFile(manifestPath);
+    const manifest = JSON.parse(raw.toString('utf8'));
+    const dir = path.dirname(manifestPath);
+    const hash = crypto.createHash('sha256').update(raw);
+    const weightSpecs = [];
+    const shards = [];
+    for (const group of weightGroups(manifest)) {
+        weightSpecs.push(...(group.weights || []));
+        for (const shard of group.paths || []) {
+            const data = await fs.readFile(path.join(dir, shard));
+            hash.update(data);
+            shards.push(data);
+        }
+    }
+    const weights = Buffer.concat(shards);
+    return {
+        manifest,
+        weightSpecs,
+        weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength),
+        bytes: raw.length + weights.length,
+        version: hash.digest('hex').slice(0, 12)
+    };
+}
+
+/**
+ * tfjs IOHandler for a graph model (model.json + shards) on local disk. Pure tfjs has no
+ * file:// loader, so this is what lets BlazeFace load without tfjs-node or a network.
+ */
+function graphModelHandler(modelJsonPath) {
+    return {
+        load: async () => {
+            const { manifest, weightSpecs, weightData } = await readModelFiles(modelJsonPath);
+            return {
+                modelTopology: manifest.modelTopology,
+                format: manifest.format,
+                generatedBy: manifest.generatedBy,
+                convertedBy: manifest.convertedBy,
+                signature: manifest.signature,
+                userDefinedMetadata: manifest.userDefinedMetadata,
+                weightSpecs,
+                weightData
+            };
+        }
+    };
+}
+
+function packageVersion(name) {
+    try {
+        return require(`${name}/package.json`).version;
+    } catch {
+        return null;
+    }
+}
+
+// Console table of a report built by ImageProcessor.initializeFaceAPI()
+function logReport(report) {
+    if (!report) return;
+    console.log(`[Models] Model directory: ${report.modelDirs.join(', ')}${report.configured ? ' (MODEL_DIR)' : ''}`);
+    for (const model of report.models) {
+        const state = model.loaded ? 'loaded ' : 'MISSING';
+        const detail = model.loaded
+            ? `version=${model.version} ${model.path}`
+            : (model.error || 'not loaded');
+        console.log(`[Models]   ${model.name.padEnd(20)} ${state} ${detail}`);
+    }
+    if (report.detectionCacheVersion) console.log(`[Models] Detection cache version: ${report.detectionCacheVersion}`);
+    const line = `[Models] Preferred detector: ${report.preferredDetector} (${report.preferredAvailable ? 'available' : 'UNAVAILABLE'}), tfjs backend=${report.tfBackend}`;
+    if (report.preferredAvailable) console.log(line);
+    else console.error(line);
+}
+
+module.exports = {
+    DETECTORS,
+    MODEL_FILES,
+    DETECTION_MODELS,
+    modelDirs,
+    preferredDetector,
+    locate,
+    readModelFiles,
+    graphModelHandler,
+    packageVersion,
+    logReport
+};
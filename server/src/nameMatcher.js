@@ -0,0 +1,192 @@
+// Fuzzy name matching for photos named after the person ("Agnes Monica Sombolinggi.png") rather
+// than their employee number. Photo names are compared with the `Name` column of the job's combined
+// roster; the best rows are proposed with a confidence score and an operator confirms them, after
+// which the outputs are renamed to "<Emp. No>.<ext>" so the Vault registrar finds them.
+const fs = require('fs-extra');
+const path = require('path');
+const employeeIdRules = require('./employeeIdRules');
+const jobManifest = require('./jobManifest');
+const photoQuality = require('./photoQuality');
+
+// Proposals below this score are not shown; confirmed matches can still pick any roster row
+const MIN_SCORE = 0.6;
+// Tokens at least this similar count as the same word (typos, "Monika" / "Monica")
+const TOKEN_MATCH = 0.75;
+// A runner-up this close to the best candidate makes the proposal ambiguous
+const AMBIGUOUS_MARGIN = 0.05;
+const MAX_CANDIDATES = 3;
+
+// Lowercase, accents removed, anything but letters and digits treated as a word break
+function normalizeName(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 1 for equal strings, 0 for nothing in common
+function ratio(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+}
+
+/**
+ * Similarity of two names in [0, 1]: the better of
+ * - word overlap: every word is paired with its most similar unused word on the other side
+ *   (pairs below TOKEN_MATCH do not count), Dice-style over both word counts, so a lone first
+ *   name scores low against a full name;
+ * - the whole names without spaces, which tolerates split or joined words ("Sombo Linggi").
+ */
+function similarity(a, b) {
+    const left = normalizeName(a);
+    const right = normalizeName(b);
+    if (!left || !right) return 0;
+    const leftTokens = left.split(' ');
+    const rightTokens = right.split(' ');
+
+    const unused = [...rightTokens];
+    let overlap = 0;
+    for (const token of leftTokens) {
+        let best = -1;
+        let bestScore = 0;
+        unused.forEach((candidate, index) => {
+            const score = ratio(token, candidate);
+            if (score > bestScore) {
+                bestScore = score;
+                best = index;
+            }
+        });
+        if (best >= 0 && bestScore >= TOKEN_MATCH) {
+            overlap += bestScore;
+            unused.splice(best, 1);
+        }
+    }
+    const words = (2 * overlap) / (leftTokens.length + rightTokens.length);
+    const joined = ratio(leftTokens.join(''), rightTokens.join(''));
+    return Math.max(words, joined);
+}
+
+// Name to match for a photo: the rule set's captured name, otherwise the whole file name
+function photoName(file) {
+    if (file.filenameRule && file.filenameRule.name) return file.filenameRule.name;
+    return employeeIdRules.baseName(file.filename);
+}
+
+/**
+ * Proposals for photos whose employee ID is not on the roster:
+ * [{ filename, employeeId, output, query, candidates: [{ empNo, name, row, score, hasPhoto }], best, ambiguous }]
+ * best is the top candidate (null below MIN_SCORE). hasPhoto marks rows that already have a usable photo.
+ */
+function propose(files, rosterRows) {
+    const rows = rosterRows.filter(r => r.empNo && r.name);
+    const rosterIds = new Set(rosterRows.filter(r => r.empNo).map(r => r.empNo));
+    const photos = (files || []).filter(f => f.status === 'success' && f.output);
+    const withPhoto = new Set(photos
+        .filter(f => !photoQuality.isBlocked(f))
+        .map(f => String(f.employeeId || '').trim())
+        .filter(id => rosterIds.has(id)));
+
+    return photos
+        // Faces of group photos are assigned in face order instead (groupPhotos)
+        .filter(f => !f.group && !rosterIds.has(String(f.employeeId || '').trim()))
+        .map(file => {
+            const query = photoName(file);
+            const candidates = rows
+                .map(r => ({ empNo: r.empNo, name: r.name, row: r.row, score: Math.round(similarity(query, r.name) * 1000) / 1000, hasPhoto: withPhoto.has(r.empNo) }))
+                .filter(c => c.score >= MIN_SCORE)
+                .sort((x, y) => y.score - x.score || Number(x.hasPhoto) - Number(y.hasPhoto))
+                .slice(0, MAX_CANDIDATES);
+            const best = candidates[0] || null;
+            return {
+                filename: file.filename,
+                employeeId: file.employeeId,
+                output: file.output,
+                query,
+                candidates,
+                best,
+                ambiguous: !!best && candidates.length > 1 && best.score - candidates[1].score < AMBIGUOUS_MARGIN
+            };
+        });
+}
+
+// "<dir>/<old id>.<ext>" -> "<dir>/<new id>.<ext>" for an output path relative to the job folder
+function renamedPath(file, employeeId) {
+    const parsed = path.posix.parse(file);
+    return parsed.dir ? `${parsed.dir}/${employeeId}${parsed.ext}` : `${employeeId}${parsed.ext}`;
+}
+
+/**
+ * Rename one photo's outputs (primary, renditions, debug overlay and tone previews) to a confirmed roster row and record the match
+ * in the manifest as nameMatch. Returns { file } or { status, error } without touching anything when
+ * a target file already exists (another photo has that ID).
+ */
+async function applyMatch(outputPath, entry, row, score = null) {
+    const moves = [];
+    const outputs = [...new Set([entry.output, ...(entry.renditions || []).map(r => r.file)].filter(Boolean))];
+    // Debug overlay and tone previews ("<dir>/<old id>.<kind>.jpg") keep their double extension
+    const oldBase = entry.output ? path.posix.parse(entry.output).name : null;
+    const renamedSide = file => {
+        const parsed = path.posix.parse(file);
+        const rest = oldBase && parsed.base.startsWith(`${oldBase}.`) ? parsed.base.slice(oldBase.length) : parsed.ext;
+        return `${parsed.dir ? `${parsed.dir}/` : ''}${row.empNo}${rest}`;
+    };
+    const targets = [
+        ...outputs.map(file => [file, renamedPath(file, row.empNo)]),
+        ...jobManifest.sideFiles(entry).map(file => [file, renamedSide(file)])
+    ];
+    for (const [file, target] of targets) {
+        if (target === file) continue;
+        if (await fs.pathExists(path.join(outputPath, target))) {
+            return { status: 409, error: `${target} already exists; another photo has Emp. No ${row.empNo}` };
+        }
+        moves.push([file, target]);
+    }
+    for (const [from, to] of moves) {
+        await fs.move(path.join(outputPath, from), path.join(outputPath, to));
+    }
+    const file = await jobManifest.updateFile(outputPath, entry.filename, {
+        employeeId: row.empNo,
+        output: entry.output ? renamedPath(entry.output, row.empNo) : null,
+        renditions: entry.renditions ? entry.renditions.map(r => ({ ...r, file: renamedPath(r.file, row.empNo) })) : null,
+        debugOverlay: entry.debugOverlay ? renamedSide(entry.debugOverlay) : null,
+        tone: entry.tone && entry.tone.previews
+            ? { ...entry.tone, previews: { before: renamedSide(entry.tone.previews.before), after: renamedSide(entry.tone.previews.after) } }
+            : entry.tone || null,
+        nameMatch: {
+            previousId: entry.employeeId,
+            empNo: row.empNo,
+            name: row.name,
+            row: row.row,
+            score,
+            confirmedAt: new Date().toISOString()
+        }
+    });
+    return { file };
+}
+
+module.exports = {
+    MIN_SCORE,
+    normalizeName,
+    similarity,
+    photoName,
+    propose,
+    applyMatch
+};
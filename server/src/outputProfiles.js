@@ -0,0 +1,229 @@
+// Named output photo profiles: size, aspect ratio, format, quality, byte budget and metadata
+// handling of the rendered crop. A job picks one or more profiles; the first one is the primary
+// rendition (the top-level <employeeId>.<ext> that Vault reads), the others are written to
+// <profile name>/<employeeId>.<ext> in the job output folder.
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = {
+    jpeg: { ext: '.jpg' },
+    png: { ext: '.png' },
+    webp: { ext: '.webp' }
+};
+
+// Vault only picks up .jpg/.jpeg/.png next to the manifest
+const PRIMARY_FORMATS = ['jpeg', 'png'];
+
+const DEFAULT_PROFILE = 'default';
+const DEFAULT_MIN_QUALITY = 40;
+const QUALITY_STEP = 5;
+
+// Tone normalization strength when a profile does not set toneStrength
+const DEFAULT_TONE_STRENGTH = 0.6;
+
+// width/height null: follow the other side via aspect; both null keeps the crop's source resolution
+// toneStrength (0-1) is how far a job with tone normalization corrects this rendition; the archive keeps the original look
+const BUILTIN_PROFILES = {
+    default: { label: 'Standard 400×400 JPEG', width: 400, height: 400, format: 'jpeg', quality: 90 },
+    card_printer: { label: 'Card printer 3:4 portrait', width: 600, height: 800, format: 'jpeg', quality: 92, toneStrength: 0.8 },
+    vault_small: { label: 'Vault upload (max 50 KB)', width: 400, height: 400, format: 'jpeg', quality: 90, maxBytes: 50 * 1024 },
+    archive: { label: 'HR archive (full resolution 3:4)', width: null, height: null, aspect: '3:4', format: 'jpeg', quality: 95, stripMetadata: false, toneStrength: 0 }
+};
+
+// '3:4' / '0.75' / 0.75 -> width / height ratio
+function parseAspect(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value > 0 ? value : NaN;
+    const match = String(value).match(/^\s*(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)\s*$/);
+    if (match) return Number(match[2]) > 0 ? Number(match[1]) / Number(match[2]) : NaN;
+    const ratio = Number(value);
+    return ratio > 0 ? ratio : NaN;
+}
+
+/**
+ * Validate and fill in a profile spec. Returns { profile } or { errors: [..] }.
+ * Normalised fields: name, label, width, height, aspect (w/h), format, quality, maxBytes, minQuality, stripMetadata,
+ * toneStrength.
+ */
+function normalizeProfile(name, spec = {}) {
+    const errors = [];
+    if (!/^[a-z0-9_-]{1,40}$/i.test(name)) errors.push('name must be 1-40 letters, digits, "_" or "-"');
+    // Job subfolders starting with "_" are not renditions (e.g. debugOverlay's "_debug")
+    else if (name.startsWith('_')) errors.push('names starting with "_" are reserved');
+
+    const dimension = (key) => {
+        const value = spec[key];
+        if (value === null || value === undefined) return null;
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 16 || n > 8000) {
+            errors.push(`${key} must be an integer between 16 and 8000`);
+            return null;
+        }
+        return n;
+    };
+    const width = dimension('width');
+    const height = dimension('height');
+
+    let aspect = parseAspect(spec.aspect);
+    if (Number.isNaN(aspect)) {
+        errors.push('aspect must be a positive ratio such as "3:4" or 0.75');
+        aspect = null;
+    }
+    if (width && height) {
+        if (aspect && Math.abs(aspect - width / height) > 0.01) errors.push('aspect does not match width/height');
+        aspect = width / height;
+    }
+
+    const format = String(spec.format || 'jpeg').toLowerCase().replace(/^jpg$/, 'jpeg');
+    if (!FORMATS[format]) errors.push(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+    const quality = spec.quality === undefined ? 90 : Number(spec.quality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) errors.push('quality must be an integer between 1 and 100');
+    const minQuality = spec.minQuality === undefined ? Math.min(DEFAULT_MIN_QUALITY, quality) : Number(spec.minQuality);
+    if (!Number.isInteger(minQuality) || minQuality < 1 || minQuality > quality) errors.push('minQuality must be an integer between 1 and quality');
+
+    const maxBytes = spec.maxBytes === undefined || spec.maxBytes === null ? null : Number(spec.maxBytes);
+    if (maxBytes !== null && (!Number.isInteger(maxBytes) || maxBytes < 1024)) errors.push('maxBytes must be an integer of at least 1024');
+
+    const toneStrength = spec.toneStrength === undefined || spec.toneStrength === null ? DEFAULT_TONE_STRENGTH : Number(spec.toneStrength);
+    if (!(toneStrength >= 0 && toneStrength <= 1)) errors.push('toneStrength must be between 0 and 1');
+
+    if (errors.length) return { errors };
+    return {
+        profile: {
+            name,
+            label: spec.label || name,
+            width,
+            height,
+            aspect: aspect || 1,
+            format,
+            quality,
+            minQuality,
+            maxBytes,
+            stripMetadata: spec.stripMetadata !== false,
+            toneStrength
+        }
+    };
+}
+
+let cachedProfiles = null;
+
+/**
+ * Built-in profiles merged with OUTPUT_PROFILES_FILE (JSON object of name -> spec; a spec
+ * with the name of a built-in replaces it). Invalid entries are logged and skipped.
+ */
+function loadProfiles() {
+    if (cachedProfiles) return cachedProfiles;
+    const specs = { ...BUILTIN_PROFILES };
+    const file = (process.env.OUTPUT_PROFILES_FILE || '').trim();
+    if (file) {
+        try {
+            const custom = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+            Object.assign(specs, custom);
+            console.log(`[OutputProfiles] Loaded ${Object.keys(custom).length} profile(s) from ${file}`);
+        } catch (err) {
+            console.error(`[OutputProfiles] Failed to read ${file}; using built-in profiles only: ${err.message}`);
+        }
+    }
+    const profiles = {};
+    for (const [name, spec] of Object.entries(specs)) {
+        const { profile, errors } = normalizeProfile(name, spec);
+        if (errors) {
+            console.error(`[OutputProfiles] Skipping invalid profile "${name}": ${errors.join('; ')}`);
+            continue;
+        }
+        profiles[name] = profile;
+    }
+    if (!profiles[DEFAULT_PROFILE]) {
+        profiles[DEFAULT_PROFILE] = normalizeProfile(DEFAULT_PROFILE, BUILTIN_PROFILES[DEFAULT_PROFILE]).profile;
+    }
+    cachedProfiles = profiles;
+    return profiles;
+}
+
+function listProfiles() {
+    return Object.values(loadProfiles());
+}
+
+// Accepts an array or a comma-separated string; empty selects the default profile
+function parseSelection(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(',');
+    const cleaned = [...new Set(names.map(n => String(n).trim()).filter(Boolean))];
+    return cleaned.length ? cleaned : [DEFAULT_PROFILE];
+}
+
+// Error message for an unusable selection, or null
+function checkSelection(names) {
+    const profiles = loadProfiles();
+    const unknown = names.filter(name => !profiles[name]);
+    if (unknown.length) return `Unknown output profile(s): ${unknown.join(', ')}`;
+    if (!PRIMARY_FORMATS.includes(profiles[names[0]].format)) {
+        return `The first output profile is the Vault photo and must be ${PRIMARY_FORMATS.join(' or ')} (got ${profiles[names[0]].format})`;
+    }
+    return null;
+}
+
+// Names -> profile objects (plain data, safe to post to the worker threads)
+function resolveProfiles(names) {
+    const selection = parseSelection(names);
+    const error = checkSelection(selection);
+    if (error) throw new Error(error);
+    const profiles = loadProfiles();
+    return selection.map(name => profiles[name]);
+}
+
+/**
+ * Output file of a rendition. basePath is the primary output path (its extension is replaced);
+ * secondary renditions go to a sub-folder named after the profile.
+ */
+function renditionPath(basePath, profile, primary) {
+    const dir = path.dirname(basePath);
+    const file = `${path.parse(basePath).name}${FORMATS[profile.format].ext}`;
+    return primary ? path.join(dir, file) : path.join(dir, profile.name, file);
+}
+
+/**
+ * Region of the source with the profile's aspect ratio around a square crop box: the square's
+ * centre is kept and the longer side extended (shrunk again when it would leave the image).
+ * Returns { left, top, width, height }.
+ */
+function aspectRegion(cropBox, aspect, W, H) {
+    let width = aspect >= 1 ? cropBox.size * aspect : cropBox.size;
+    let height = aspect >= 1 ? cropBox.size : cropBox.size / aspect;
+    const fit = Math.min(1, W / width, H / height);
+    width = Math.max(1, Math.floor(width * fit));
+    height = Math.max(1, Math.floor(height * fit));
+    const cx = cropBox.x + cropBox.size / 2;
+    const cy = cropBox.y + cropBox.size / 2;
+    return {
+        left: Math.max(0, Math.min(Math.round(cx - width / 2), W - width)),
+        top: Math.max(0, Math.min(Math.round(cy - height / 2), H - height)),
+        width,
+        height
+    };
+}
+
+// Output pixel size for a source region
+function outputSize(profile, region) {
+    if (profile.width && profile.height) return { width: profile.width, height: profile.height };
+    if (profile.width) return { width: profile.width, height: Math.round(profile.width / profile.aspect) };
+    if (profile.height) return { width: Math.round(profile.height * profile.aspect), height: profile.height };
+    return { width: region.width, height: region.height };
+}
+
+module.exports = {
+    FORMATS,
+    DEFAULT_PROFILE,
+    QUALITY_STEP,
+    DEFAULT_TONE_STRENGTH,
+    BUILTIN_PROFILES,
+    normalizeProfile,
+    loadProfiles,
+    listProfiles,
+    parseSelection,
+    checkSelection,
+    resolveProfiles,
+    renditionPath,
+    aspectRegion,
+    outputSize
+};
@@ -0,0 +1,222 @@
+// Near-duplicate photos: a 64-bit perceptual hash (DCT "pHash") per upload, compared by Hamming
+// distance within a job and against the photos of earlier jobs. Re-uploads of the same picture
+// (new timestamp prefix, re-encoded, resized) land within a few bits of each other, while ID photos
+// of different people against the same backdrop can be as close as 10 bits, hence the default of 6
+// (DUPLICATE_HASH_DISTANCE).
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const jobManifest = require('./jobManifest');
+
+const POLICIES = {
+    KEEP_NEWEST: 'keep_newest', // discard older copies of an employee's photo
+    KEEP_ALL: 'keep_all' // only report them
+};
+const DEFAULT_POLICY = POLICIES.KEEP_NEWEST;
+
+// Why an entry carries duplicateOf
+const REASONS = {
+    OLDER_COPY: 'older_copy', // a newer upload of the same photo exists (discarded under keep_newest)
+    NEWER_COPY: 'newer_copy', // re-upload of a photo from an earlier job; this one is kept
+    OTHER_EMPLOYEE: 'other_employee' // same picture under a different employee ID: needs review
+};
+
+const HASH_SIZE = 32; // the image is reduced to 32x32 grey before the DCT
+const LOW_FREQUENCIES = 8; // the top-left 8x8 DCT coefficients make the 64 bits
+
+function maxDistance() {
+    const value = parseInt(process.env.DUPLICATE_HASH_DISTANCE, 10);
+    return Number.isInteger(value) && value >= 0 ? value : 6;
+}
+
+function parsePolicy(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_POLICY;
+    return Object.values(POLICIES).includes(value) ? value : null;
+}
+
+// cos((2x + 1) u pi / 2N) for the 1-D DCT-II, computed once
+const COSINES = Array.from({ length: LOW_FREQUENCIES }, (_, u) =>
+    Array.from({ length: HASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE))));
+
+/**
+ * pHash of an image (file path or buffer) as 16 hex characters. The low-frequency DCT
+ * coefficients (without the DC term) are compared with their median, so the hash ignores
+ * scale, compression and small colour shifts.
+ */
+async function perceptualHash(input) {
+    const { data } = await sharp(input)
+        .greyscale()
+        .resize(HASH_SIZE, HASH_SIZE, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    // Separable DCT: rows first (only the low frequencies are needed), then columns
+    const rows = [];
+    for (let y = 0; y < HASH_SIZE; y++) {
+        const row = [];
+        for (let u = 0; u < LOW_FREQUENCIES; u++) {
+            let sum = 0;
+            for (let x = 0; x < HASH_SIZE; x++) sum += data[y * HASH_SIZE + x] * COSINES[u][x];
+            row.push(sum);
+        }
+        rows.push(row);
+    }
+    const coefficients = [];
+    for (let v = 0; v < LOW_FREQUENCIES; v++) {
+        for (let u = 0; u < LOW_FREQUENCIES; u++) {
+            let sum = 0;
+            for (let y = 0; y < HASH_SIZE; y++) sum += rows[y][u] * COSINES[v][y];
+            coefficients.push(sum);
+        }
+    }
+
+    const ac = coefficients.slice(1);
+    const median = [...ac].sort((a, b) => a - b)[Math.floor(ac.length / 2)];
+    let hex = '';
+    for (let i = 0; i < 64; i += 4) {
+        let nibble = 0;
+        for (let bit = 0; bit < 4; bit++) {
+            nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+        }
+        hex += nibble.toString(16);
+    }
+    return hex;
+}
+
+function popcount32(n) {
+    n -= (n >>> 1) & 0x55555555;
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+// Number of differing bits between two hex hashes
+function distance(a, b) {
+    return popcount32((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0)
+        + popcount32((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0);
+}
+
+function sameEmployee(a, b) {
+    return String(a.employeeId || '').trim() === String(b.employeeId || '').trim();
+}
+
+/**
+ * Hashed photos of the other jobs next to outputPath (every job writes its own folder under the
+ * same output root): [{ jobId, filename, employeeId, phash, uploadedAt }]. Only kept photos count.
+ */
+async function loadPreviousPhotos(outputPath) {
+    const root = path.dirname(outputPath);
+    const self = path.basename(outputPath);
+    const photos = [];
+    for (const jobId of await fs.readdir(root)) {
+        if (jobId === self) continue;
+        let manifest;
+        try {
+            manifest = await jobManifest.read(path.join(root, jobId));
+        } catch (err) {
+            console.warn(`[Duplicates] Skipping unreadable manifest of job ${jobId}: ${err.message}`);
+            continue;
+        }
+        for (const file of (manifest && manifest.files) || []) {
+            if (file.status === 'success' && file.phash) {
+                photos.push({ jobId: manifest.jobId || jobId, filename: file.filename, employeeId: file.employeeId, phash: file.phash, uploadedAt: file.uploadedAt || null });
+            }
+        }
+    }
+    return photos;
+}
+
+function reference(photo, dist, reason) {
+    return {
+        jobId: photo.jobId || null,
+        // Photos of the running job are identified by their manifest key
+        filename: photo.filename || photo.key,
+        employeeId: photo.employeeId,
+        uploadedAt: photo.uploadedAt || null,
+        distance: dist,
+        reason
+    };
+}
+
+/**
+ * Decide duplicates for the photos of a job ([{ key, employeeId, phash, uploadedAt }]) against each
+ * other and against earlier jobs. Returns Map key -> { duplicateOf, discard }, only for photos involved.
+ * Per employee the newest upload of a picture is kept; with keep_all nothing is discarded.
+ */
+function decide(photos, previousPhotos = [], { policy = DEFAULT_POLICY, threshold = maxDistance() } = {}) {
+    const decisions = new Map();
+    const hashed = photos.filter(p => p.phash);
+    const newer = (a, b) => (a.uploadedAt || '') > (b.uploadedAt || '');
+    const discard = policy === POLICIES.KEEP_NEWEST;
+
+    // Within the job: link near-identical photos into groups (single linkage)
+    const groupOf = new Map(hashed.map(p => [p.key, [p]]));
+    for (let i = 0; i < hashed.length; i++) {
+        for (let j = i + 1; j < hashed.length; j++) {
+            const a = groupOf.get(hashed[i].key);
+            const b = groupOf.get(hashed[j].key);
+            if (a === b || distance(hashed[i].phash, hashed[j].phash) > threshold) continue;
+            a.push(...b);
+            for (const p of b) groupOf.set(p.key, a);
+        }
+    }
+    for (const group of new Set(groupOf.values())) {
+        if (group.length < 2) continue;
+        // Newest first; each photo refers to the newest copy of its own employee, or of the group
+        const ordered = [...group].sort((a, b) => (newer(a, b) ? -1 : newer(b, a) ? 1 : 0));
+        for (const photo of ordered) {
+            const keeper = ordered.find(p => sameEmployee(p, photo));
+            if (keeper !== photo) {
+                decisions.set(photo.key, { duplicateOf: reference(keeper, distance(keeper.phash, photo.phash), REASONS.OLDER_COPY), discard });
+            } else if (photo !== ordered[0]) {
+                decisions.set(photo.key, { duplicateOf: reference(ordered[0], distance(ordered[0].phash, photo.phash), REASONS.OTHER_EMPLOYEE), discard: false });
+            }
+        }
+    }
+
+    // Against earlier jobs: only photos still kept are compared
+    for (const photo of hashed) {
+        if (decisions.has(photo.key)) continue;
+        let best = null;
+        for (const previous of previousPhotos) {
+            // A retry into a new job re-reads the same upload; that is not a re-upload
+            if (previous.filename === photo.key && previous.uploadedAt === photo.uploadedAt) continue;
+            const dist = distance(photo.phash, previous.phash);
+            if (dist > threshold) continue;
+            // Same employee wins over a closer match of someone else
+            const rank = [sameEmployee(photo, previous) ? 0 : 1, dist];
+            if (!best || rank[0] < best.rank[0] || (rank[0] === best.rank[0] && rank[1] < best.rank[1])) {
+                best = { previous, dist, rank };
+            }
+        }
+        if (!best) continue;
+        if (!sameEmployee(photo, best.previous)) {
+            decisions.set(photo.key, { duplicateOf: reference(best.previous, best.dist, REASONS.OTHER_EMPLOYEE), discard: false });
+        } else if (newer(best.previous, photo)) {
+            decisions.set(photo.key, { duplicateOf: reference(best.previous, best.dist, REASONS.OLDER_COPY), discard });
+        } else {
+            decisions.set(photo.key, { duplicateOf: reference(best.previous, best.dist, REASONS.NEWER_COPY), discard: false });
+        }
+    }
+    return decisions;
+}
+
+// Operator-facing sentence for a duplicateOf reference
+function describe(duplicateOf) {
+    const where = duplicateOf.jobId ? `${duplicateOf.filename} (job ${String(duplicateOf.jobId).slice(0, 8)})` : duplicateOf.filename;
+    if (duplicateOf.reason === REASONS.OLDER_COPY) return `Older copy of ${where}`;
+    if (duplicateOf.reason === REASONS.NEWER_COPY) return `Newer upload of ${where}`;
+    return `Same picture as ${where}, which belongs to ${duplicateOf.employeeId}`;
+}
+
+module.exports = {
+    POLICIES,
+    DEFAULT_POLICY,
+    REASONS,
+    maxDistance,
+    parsePolicy,
+    perceptualHash,
+    distance,
+    loadPreviousPhotos,
+    decide,
+    describe
+};
@@ -0,0 +1,121 @@
+// ID photo quality gate: turns per-photo measurements into pass / warn / fail with reasons.
+// Measurements are taken by ImageProcessor.measureQuality(); this module only holds the rules.
+
+const VERDICTS = { PASS: 'pass', WARN: 'warn', FAIL: 'fail' };
+
+// [warn, fail] limits; env overrides are not worth it yet, callers may pass their own object
+const DEFAULT_THRESHOLDS = {
+    minImageSide: [400, 200],        // shortest side of the upload, px
+    minFaceWidth: [80, 40],          // detected face width, px
+    minFaceRatio: [0.05, 0.02],      // face area / frame area
+    minSharpness: [50, 15],          // variance of the Laplacian on the face region (256px)
+    minBrightness: [80, 50],         // mean luminance of the face region (0-255)
+    maxBrightness: [190, 220],
+    minContrast: [30, 15],           // luminance standard deviation of the face region
+    maxRoll: [12, 25],               // eye-line tilt in degrees (before alignment)
+    maxYaw: [0.25, 0.5]              // nose offset from the eye midpoint / eye distance
+};
+
+/**
+ * Summary statistics of an 8-bit greyscale buffer (width x height, one byte per pixel):
+ * mean brightness, contrast (standard deviation) and sharpness (variance of the 4-neighbour Laplacian).
+ */
+function greyStats(data, width, height) {
+    const n = width * height;
+    let sum = 0;
+    let sumSq = 0;
+    for (let i = 0; i < n; i++) {
+        sum += data[i];
+        sumSq += data[i] * data[i];
+    }
+    const mean = sum / n;
+    const contrast = Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+
+    let lapSum = 0;
+    let lapSumSq = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const lap = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i];
+            lapSum += lap;
+            lapSumSq += lap * lap;
+            count++;
+        }
+    }
+    const lapMean = count ? lapSum / count : 0;
+    const sharpness = count ? lapSumSq / count - lapMean * lapMean : 0;
+
+    return { brightness: mean, contrast, sharpness };
+}
+
+/**
+ * metrics: { imageWidth, imageHeight, faceCount (null when no detector ran), faceBox,
+ *            brightness, contrast, sharpness, roll (deg, null without landmarks), yaw (null without landmarks) }
+ * Returns { verdict, reasons: [{ code, severity, message }] }.
+ */
+function assessQuality(metrics, thresholds = DEFAULT_THRESHOLDS) {
+    const reasons = [];
+    const add = (code, severity, message) => reasons.push({ code, severity, message });
+
+    // Lower-is-worse / higher-is-worse checks against [warn, fail] pairs
+    const checkMin = (value, [warn, fail], code, label, unit = '') => {
+        if (value === null || value === undefined) return;
+        if (value < fail) add(code, VERDICTS.FAIL, `${label} ${round(value)}${unit} is below ${fail}${unit}`);
+        else if (value < warn) add(code, VERDICTS.WARN, `${label} ${round(value)}${unit} is below ${warn}${unit}`);
+    };
+    const checkMax = (value, [warn, fail], code, label, unit = '') => {
+        if (value === null || value === undefined) return;
+        if (value > fail) add(code, VERDICTS.FAIL, `${label} ${round(value)}${unit} is above ${fail}${unit}`);
+        else if (value > warn) add(code, VERDICTS.WARN, `${label} ${round(value)}${unit} is above ${warn}${unit}`);
+    };
+
+    checkMin(Math.min(metrics.imageWidth, metrics.imageHeight), thresholds.minImageSide, 'image_too_small', 'Image side', 'px');
+
+    if (metrics.faceCount === null || metrics.faceCount === undefined) {
+        add('face_not_checked', VERDICTS.WARN, 'No face detector available; face checks skipped');
+    } else if (metrics.faceCount === 0) {
+        add('no_face', VERDICTS.FAIL, 'No face detected');
+    } else if (metrics.faceCount > 1) {
+        add('multiple_faces', VERDICTS.FAIL, `${metrics.faceCount} faces detected`);
+    }
+
+    if (metrics.faceBox) {
+        const { width, height } = metrics.faceBox;
+        checkMin(width, thresholds.minFaceWidth, 'face_low_resolution', 'Face width', 'px');
+        checkMin((width * height) / (metrics.imageWidth * metrics.imageHeight), thresholds.minFaceRatio, 'face_too_small', 'Face/frame ratio');
+    }
+
+    checkMin(metrics.sharpness, thresholds.minSharpness, 'blurry', 'Sharpness');
+    checkMin(metrics.brightness, thresholds.minBrightness, 'underexposed', 'Brightness');
+    checkMax(metrics.brightness, thresholds.maxBrightness, 'overexposed', 'Brightness');
+    checkMin(metrics.contrast, thresholds.minContrast, 'low_contrast', 'Contrast');
+    if (metrics.roll !== null && metrics.roll !== undefined) {
+        checkMax(Math.abs(metrics.roll), thresholds.maxRoll, 'head_tilted', 'Head tilt', '°');
+    }
+    if (metrics.yaw !== null && metrics.yaw !== undefined) {
+        checkMax(Math.abs(metrics.yaw), thresholds.maxYaw, 'head_turned', 'Head turn');
+    }
+
+    const verdict = reasons.some(r => r.severity === VERDICTS.FAIL)
+        ? VERDICTS.FAIL
+        : (reasons.some(r => r.severity === VERDICTS.WARN) ? VERDICTS.WARN : VERDICTS.PASS);
+    return { verdict, reasons };
+}
+
+function round(value) {
+    return Math.abs(value) < 10 ? Math.round(value * 100) / 100 : Math.round(value);
+}
+
+// A failing photo is blocked (e.g. from Vault) unless an operator has overridden it
+function isBlocked(entry) {
+    return !!(entry && entry.quality && entry.quality.verdict === VERDICTS.FAIL && !entry.qualityOverride);
+}
+
+module.exports = {
+    VERDICTS,
+    DEFAULT_THRESHOLDS,
+    greyStats,
+    assessQuality,
+    isBlocked
+};
@@ -0,0 +1,142 @@
+// Photo-to-roster reconciliation: joins the employee IDs of a job's photos (manifest) to the
+// `Emp. No` column of the combined roster (For_Machine_*.xlsx) so missing, orphaned and duplicate
+// photos are visible before Vault registration. IDs are compared exactly (after trimming), the
+// same way the registrar looks up "<StaffNo>.jpg".
+const fs = require('fs-extra');
+const path = require('path');
+const XLSX = require('xlsx');
+const photoQuality = require('./photoQuality');
+
+const REPORT_FILENAME = 'reconciliation.json';
+const ROSTER_PATTERN = /^For_Machine_.*\.xlsx$/i;
+const ID_COLUMN = 'Emp. No';
+
+// Why a roster row has no photo Vault will use
+const ROW_REASONS = {
+    MISSING: 'missing', // no photo with this ID
+    FAILED: 'failed', // the photo could not be processed
+    EXCLUDED: 'excluded' // the photo failed the quality gate and was not overridden
+};
+
+function normalizeId(value) {
+    return String(value === undefined || value === null ? '' : value).trim();
+}
+
+// Combined roster of a job output folder (newest For_Machine_*.xlsx), or null when there is none
+async function findRoster(outputPath) {
+    if (!(await fs.pathExists(outputPath))) return null;
+    const candidates = (await fs.readdir(outputPath)).filter(f => ROSTER_PATTERN.test(f));
+    if (candidates.length === 0) return null;
+    const stats = await Promise.all(candidates.map(async f => ({ file: f, mtime: (await fs.stat(path.join(outputPath, f))).mtimeMs })));
+    stats.sort((a, b) => b.mtime - a.mtime);
+    return path.join(outputPath, stats[0].file);
+}
+
+// Roster rows as { row (spreadsheet row number), empNo, name, department }
+function readRoster(rosterFile) {
+    const workbook = XLSX.readFile(rosterFile);
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+    return rows.map((r, index) => ({
+        row: index + 2, // row 1 holds the headers
+        empNo: normalizeId(r[ID_COLUMN]),
+        name: normalizeId(r['Name']),
+        department: normalizeId(r['Department'])
+    }));
+}
+
+function groupBy(items, key) {
+    const groups = new Map();
+    for (const item of items) {
+        const value = key(item);
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(item);
+    }
+    return groups;
+}
+
+/**
+ * Reconcile manifest file entries against roster rows. Returns
+ * { summary, rowsWithoutPhoto, photosWithoutRow, duplicatePhotos, duplicateRows, rowsWithoutId }.
+ * Unsupported files and discarded duplicates are ignored; failed and quality-blocked photos count as no photo for their row.
+ */
+function reconcile(files, rosterRows) {
+    const photos = (files || []).filter(f => !['unsupported', 'duplicate'].includes(f.status) && normalizeId(f.employeeId));
+    const photosById = groupBy(photos, f => normalizeId(f.employeeId));
+    const rowsWithId = rosterRows.filter(r => r.empNo);
+    const rowsById = groupBy(rowsWithId, r => r.empNo);
+
+    const rowsWithoutPhoto = [];
+    let matched = 0;
+    for (const row of rowsWithId) {
+        const candidates = photosById.get(row.empNo) || [];
+        const usable = candidates.find(f => f.status === 'success' && !photoQuality.isBlocked(f));
+        if (usable) {
+            matched += 1;
+            continue;
+        }
+        const blocked = candidates.find(f => f.status === 'success');
+        const reason = blocked ? ROW_REASONS.EXCLUDED : (candidates.length ? ROW_REASONS.FAILED : ROW_REASONS.MISSING);
+        rowsWithoutPhoto.push({ ...row, reason, filename: candidates.length ? (blocked || candidates[0]).filename : null });
+    }
+
+    const photosWithoutRow = photos
+        .filter(f => !rowsById.has(normalizeId(f.employeeId)))
+        .map(f => ({ filename: f.filename, employeeId: f.employeeId, output: f.output, status: f.status }));
+
+    const duplicatePhotos = [...photosById.entries()]
+        .filter(([, group]) => group.length > 1)
+        .map(([employeeId, group]) => ({ employeeId, filenames: group.map(f => f.filename) }));
+
+    const duplicateRows = [...rowsById.entries()]
+        .filter(([, group]) => group.length > 1)
+        .map(([empNo, group]) => ({ empNo, rows: group.map(r => r.row), name: group[0].name }));
+
+    const rowsWithoutId = rosterRows.filter(r => !r.empNo).map(r => ({ row: r.row, name: r.name }));
+
+    return {
+        summary: {
+            rows: rosterRows.length,
+            photos: photos.length,
+            matched,
+            rowsWithoutPhoto: rowsWithoutPhoto.length,
+            photosWithoutRow: photosWithoutRow.length,
+            duplicatePhotos: duplicatePhotos.length,
+            duplicateRows: duplicateRows.length,
+            rowsWithoutId: rowsWithoutId.length
+        },
+        rowsWithoutPhoto,
+        photosWithoutRow,
+        duplicatePhotos,
+        duplicateRows,
+        rowsWithoutId
+    };
+}
+
+/**
+ * Reconciliation report for a job output folder from its current manifest and roster.
+ * Returns null when the job has no combined roster (images-only jobs).
+ */
+async function build(outputPath, manifest) {
+    const rosterFile = await findRoster(outputPath);
+    if (!rosterFile) return null;
+    return {
+        generatedAt: new Date().toISOString(),
+        roster: path.basename(rosterFile),
+        ...reconcile(manifest ? manifest.files : [], readRoster(rosterFile))
+    };
+}
+
+async function write(outputPath, report) {
+    await fs.outputJson(path.join(outputPath, REPORT_FILENAME), report, { spaces: 2 });
+}
+
+module.exports = {
+    REPORT_FILENAME,
+    ROW_REASONS,
+    findRoster,
+    readRoster,
+    reconcile,
+    build,
+    write
+};
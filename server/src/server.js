@@ -12,12 +12,35 @@ const XLSX = require('xlsx');
 const { getProcessingResults } = require('./python_integration');
 const ImageProcessor = require('./imageProcessor');
 const JobManager = require('./jobManager');
+const JobQueue = require('./jobQueue');
+const JobWorker = require('./jobWorker');
+const ImageWorkerPool = require('./imageWorkerPool');
+const UploadSessions = require('./uploadSessions');
 const database = require('./database');
+const jobEvents = require('./jobEvents');
+const jobManifest = require('./jobManifest');
+const modelStore = require('./modelStore');
+const outputProfiles = require('./outputProfiles');
+const imageIngest = require('./imageIngest');
+const archiveIngest = require('./archiveIngest');
+const employeeIdRules = require('./employeeIdRules');
+const photoDuplicates = require('./photoDuplicates');
+const detectorSettings = require('./detectorSettings');
+const detectorComparison = require('./detectorComparison');
+const backgroundReplacement = require('./backgroundReplacement');
+const groupPhotos = require('./groupPhotos');
+const rosterReconciliation = require('./rosterReconciliation');
+const nameMatcher = require('./nameMatcher');
 const { registerJobToVault, previewJobToVault, registerCsvPathToVault, previewCsvPathToVault, updateCsvPathToVault, previewUpdateCsvPathToVault, updateCsvRowToVault, updateProfileToVault } = require('./vaultRegistrar');
 const sql = require('mssql');
 const { photoExists } = require('./vaultRegistrar');
-const imageProcessor = new ImageProcessor();
+// Detection/cropping runs in worker threads (IMAGE_WORKER_THREADS, 0 = in-process)
+const imageWorkerPool = new ImageWorkerPool();
+const imageProcessor = new ImageProcessor({ workerPool: imageWorkerPool });
 let jobManager; // Will be initialized after database connection
+let jobQueue; // Durable queue (AppDB), initialized after database connection
+let jobWorker; // Claims and runs queued jobs
+let httpServer;
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -51,6 +74,8 @@ const uploadDir = path.join(__dirname, '../uploads');
 const outputDir = path.join(__dirname, '../output');
 fs.ensureDirSync(uploadDir);
 fs.ensureDirSync(outputDir);
+// Resumable chunked uploads, staged in uploads/.chunked until finalized into uploads/<sessionId>
+const uploadSessions = new UploadSessions({ uploadDir });
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -64,43 +89,256 @@ const storage = multer.diskStorage({
     }
 });
 
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 50 * 1024 * 1024, // 50MB limit
-        files: 10 // Maximum 10 files
-    },
-    fileFilter: (req, file, cb) => {
+// Largest photo or spreadsheet (uploaded on its own or unpacked from a ZIP)
+const MAX_UPLOAD_FILE_SIZE = archiveIngest.MAX_ENTRY_SIZE;
+
+function uploadFilter({ archives = false } = {}) {
+    return (req, file, cb) => {
         // Accept images, Excel, and CSV files
         const allowedTypes = [
-            'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/bmp',
+            'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/bmp', 'image/x-ms-bmp',
+            'image/webp', 'image/tiff', 'image/heic', 'image/heif', 'image/avif',
             'application/vnd.ms-excel',
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
             'text/csv'
         ];
         
-        if (allowedTypes.includes(file.mimetype)) {
+        // Browsers often send HEIC/HEIF and some BMP/TIFF files without a recognised type; trust the extension then
+        if (allowedTypes.includes(file.mimetype) || imageIngest.isImageFile(file.originalname)) {
+            cb(null, true);
+        } else if (archives && archiveIngest.isArchiveFile(file.originalname)) {
+            // ZIP mimetypes differ per browser and OS (application/zip, application/x-zip-compressed, ...)
             cb(null, true);
         } else {
             cb(new Error(`File type ${file.mimetype} not allowed`), false);
         }
-    }
+    };
+}
+
+const upload = multer({
+    storage: storage,
+    limits: {
+        fileSize: MAX_UPLOAD_FILE_SIZE, // 50MB limit
+        files: 10 // Maximum 10 files
+    },
+    fileFilter: uploadFilter()
+});
+
+// /api/upload also takes ZIP archives (ARCHIVE_MAX_MB); other files are held to MAX_UPLOAD_FILE_SIZE after the upload
+const sessionUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: Math.max(archiveIngest.maxArchiveSize(), MAX_UPLOAD_FILE_SIZE),
+        files: 10
+    },
+    fileFilter: uploadFilter({ archives: true })
 });
 
 // Routes
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'OK',
+// Reports 503 / DEGRADED when the preferred face detector did not load (e.g. weights missing from MODEL_DIR)
+app.get('/api/health', async (req, res) => {
+    let models = null;
+    try {
+        models = await imageProcessor.getModelReport();
+    } catch (error) {
+        models = { error: error.message, models: [], preferredAvailable: false };
+    }
+    const degraded = !models || !models.preferredAvailable;
+    res.status(degraded ? 503 : 200).json({
+        status: degraded ? 'DEGRADED' : 'OK',
         timestamp: new Date().toISOString(),
         service: 'ID Card Processing Backend',
-        version: '1.0.0'
+        version: '1.0.0',
+        detectors: models
     });
 });
 
-// File upload endpoint
-app.post('/api/upload', upload.array('files', 10), async (req, res) => {
+// Output photo profiles a job can select (built-in plus OUTPUT_PROFILES_FILE)
+app.get('/api/output-profiles', (req, res) => {
+    res.json({ success: true, defaultProfile: outputProfiles.DEFAULT_PROFILE, profiles: outputProfiles.listProfiles() });
+});
+
+// Whether background replacement can run (segmentation model loaded), its default colour and confidence threshold
+app.get('/api/background-replacement', async (req, res) => {
+    try {
+        const report = await imageProcessor.getModelReport();
+        const model = ((report && report.models) || []).find(m => m.name === 'selfie_segmentation') || null;
+        res.json({
+            success: true,
+            available: !!(model && model.loaded),
+            error: model && !model.loaded ? model.error : null,
+            defaultColor: backgroundReplacement.defaultColor(),
+            minConfidence: backgroundReplacement.minConfidence()
+        });
+    } catch (error) {
+        console.error('Error reading background replacement status:', error);
+        res.status(500).json({ success: false, error: 'Failed to read background replacement status', details: error.message });
+    }
+});
+
+// Face detectors a job can chain, whether each is loaded, and the default thresholds
+app.get('/api/detectors', async (req, res) => {
+    try {
+        const report = await imageProcessor.getModelReport();
+        const loaded = new Set(((report && report.models) || []).filter(m => m.loaded).map(m => m.name));
+        res.json({
+            success: true,
+            defaults: detectorSettings.DEFAULTS,
+            inputSizes: detectorSettings.INPUT_SIZES,
+            activeDetector: report ? report.activeDetector : 'heuristic',
+            detectors: Object.entries(detectorSettings.DETECTORS).map(([name, { label }]) => ({ name, label, available: loaded.has(name) }))
+        });
+    } catch (error) {
+        console.error('Error listing detectors:', error);
+        res.status(500).json({ success: false, error: 'Failed to list detectors', details: error.message });
+    }
+});
+
+// Filename -> employee ID rule sets (built-in plus the ones stored in EMPLOYEE_ID_RULES_FILE)
+app.get('/api/employee-id-rules', async (req, res) => {
+    try {
+        res.json({ success: true, defaultRuleSet: employeeIdRules.DEFAULT_RULE_SET, ruleSets: await employeeIdRules.listRuleSets() });
+    } catch (error) {
+        console.error('Employee ID rules error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load employee ID rule sets', details: error.message });
+    }
+});
+
+// Create or replace a stored rule set: { label?, description?, rules: [{ label?, pattern, flags? }] }
+app.put('/api/employee-id-rules/:name', async (req, res) => {
+    try {
+        const result = await employeeIdRules.saveRuleSet(req.params.name, req.body || {});
+        if (result.errors) {
+            return res.status(result.builtin ? 409 : 400).json({ success: false, error: result.errors.join('; '), errors: result.errors });
+        }
+        res.json({ success: true, ruleSet: result.ruleSet });
+    } catch (error) {
+        console.error('Employee ID rules save error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save employee ID rule set', details: error.message });
+    }
+});
+
+app.delete('/api/employee-id-rules/:name', async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (employeeIdRules.BUILTIN_RULE_SETS[name]) {
+            return res.status(409).json({ success: false, error: `"${name}" is a built-in rule set and cannot be deleted` });
+        }
+        if (!(await employeeIdRules.deleteRuleSet(name))) {
+            return res.status(404).json({ success: false, error: 'Rule set not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Employee ID rules delete error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete employee ID rule set', details: error.message });
+    }
+});
+
+// How each photo's file name will be parsed before a job is started.
+// Body: { inputPath (an upload folder) | filenames: [..], ruleSet: <name> | rules: [..] (unsaved draft) }
+app.post('/api/employee-id-rules/preview', async (req, res) => {
+    try {
+        const { inputPath, filenames, ruleSet: ruleSetName, rules } = req.body || {};
+        let ruleSet;
+        if (Array.isArray(rules)) {
+            const draft = employeeIdRules.normalizeRuleSet('draft', { rules });
+            if (draft.errors) return res.status(400).json({ success: false, error: draft.errors.join('; '), errors: draft.errors });
+            ruleSet = draft.ruleSet;
+        } else {
+            const error = await employeeIdRules.checkSelection(ruleSetName);
+            if (error) return res.status(400).json({ success: false, error });
+            ruleSet = await employeeIdRules.resolveRuleSet(ruleSetName);
+        }
+
+        let names;
+        if (Array.isArray(filenames)) {
+            names = filenames.map(String).filter(name => imageIngest.isImageFile(name));
+        } else if (inputPath) {
+            // Only upload folders can be listed
+            const resolved = path.resolve(inputPath);
+            if (!resolved.startsWith(uploadDir + path.sep) || !(await fs.pathExists(resolved))) {
+                return res.status(400).json({ success: false, error: 'inputPath must be an existing upload folder' });
+            }
+            names = (await imageIngest.listSources(resolved)).sources.map(source => source.key);
+        } else {
+            return res.status(400).json({ success: false, error: 'inputPath or filenames is required' });
+        }
+
+        res.json({ success: true, ruleSet: ruleSet.name, ...employeeIdRules.preview(names, ruleSet) });
+    } catch (error) {
+        console.error('Employee ID preview error:', error);
+        res.status(500).json({ success: false, error: 'Failed to preview employee IDs', details: error.message });
+    }
+});
+
+// Remove multer's temporary files of a rejected upload
+async function discardUploads(files) {
+    await Promise.all((files || []).map(file => fs.remove(file.path).catch(() => {})));
+}
+
+/**
+ * Move uploaded files (multer's shape: originalname, filename, path, size, mimetype) into the session
+ * folder uploads/<sessionId>; ZIP archives are unpacked there instead. Returns the upload response:
+ * { success, message, files, archives?, processingMode, uploadPath, sessionId }, or success false with
+ * the error when an archive is refused or nothing usable remains (the session folder is removed then).
+ */
+async function storeUploadSession(sessionId, files, processingMode) {
+    const sessionUploadDir = path.join(uploadDir, sessionId);
+    await fs.ensureDir(sessionUploadDir);
+
+    // Move just the newly uploaded files into the session folder
+    const uploadedFiles = [];
+    const archives = [];
+    for (const file of files) {
+        if (archiveIngest.isArchiveFile(file.originalname)) {
+            let extracted;
+            try {
+                extracted = await archiveIngest.extract(file.path, sessionUploadDir, { archiveName: file.originalname });
+            } catch (error) {
+                if (!(error instanceof archiveIngest.ArchiveError)) throw error;
+                console.warn(`[Upload] Rejected archive ${file.originalname}: ${error.message}`);
+                await fs.remove(sessionUploadDir);
+                return { success: false, error: error.message };
+            }
+            await fs.remove(file.path);
+            console.log(`[Upload] Unpacked ${extracted.files.length} file(s) from ${file.originalname}, skipped ${extracted.skipped.length}`);
+            uploadedFiles.push(...extracted.files);
+            archives.push({ name: file.originalname, extracted: extracted.files.length, skipped: extracted.skipped });
+            continue;
+        }
+        const newPath = path.join(sessionUploadDir, file.filename);
+        await fs.move(file.path, newPath, { overwrite: true });
+        uploadedFiles.push({
+            originalName: file.originalname,
+            filename: file.filename,
+            path: newPath,
+            size: file.size,
+            mimetype: file.mimetype
+        });
+    }
+
+    if (uploadedFiles.length === 0) {
+        await fs.remove(sessionUploadDir);
+        return { success: false, error: 'The uploaded archives contain no photos or spreadsheets', archives };
+    }
+
+    return {
+        success: true,
+        message: 'Files uploaded successfully',
+        files: uploadedFiles,
+        ...(archives.length ? { archives } : {}),
+        processingMode: processingMode,
+        uploadPath: sessionUploadDir,
+        sessionId: sessionId
+    };
+}
+
+// File upload endpoint. ZIP archives (folders inside are fine) are unpacked into the session folder and
+// their photos and spreadsheets are listed in files like individually uploaded ones; archives reports
+// per ZIP what was unpacked and what was skipped.
+app.post('/api/upload', sessionUpload.array('files', 10), async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -113,42 +351,32 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
         
         // Validate processing mode
         if (!['images_only', 'images_and_excel'].includes(processingMode)) {
+            await discardUploads(req.files);
             return res.status(400).json({
                 success: false,
                 error: 'Invalid processing mode. Must be "images_only" or "images_and_excel"'
             });
         }
 
-        // Create a unique session folder for this upload so subsequent processing only handles these files
-        const sessionId = crypto.randomUUID();
-        const sessionUploadDir = path.join(uploadDir, sessionId);
-        await fs.ensureDir(sessionUploadDir);
-
-        // Move just the newly uploaded files into the session folder
-        const uploadedFiles = [];
-        for (const file of req.files) {
-            const newPath = path.join(sessionUploadDir, file.filename);
-            await fs.move(file.path, newPath, { overwrite: true });
-            uploadedFiles.push({
-                originalName: file.originalname,
-                filename: file.filename,
-                path: newPath,
-                size: file.size,
-                mimetype: file.mimetype
+        // Only archives may exceed the per-file limit
+        const oversized = req.files.find(file => !archiveIngest.isArchiveFile(file.originalname) && file.size > MAX_UPLOAD_FILE_SIZE);
+        if (oversized) {
+            await discardUploads(req.files);
+            return res.status(400).json({
+                success: false,
+                error: `File too large: ${oversized.originalname}. Maximum size is ${MAX_UPLOAD_FILE_SIZE / 1024 / 1024}MB.`
             });
         }
 
-        res.json({
-            success: true,
-            message: 'Files uploaded successfully',
-            files: uploadedFiles,
-            processingMode: processingMode,
-            uploadPath: sessionUploadDir,
-            sessionId: sessionId
-        });
+        // Create a unique session folder for this upload so subsequent processing only handles these files
+        const sessionId = crypto.randomUUID();
+        const result = await storeUploadSession(sessionId, req.files, processingMode);
+        if (!result.success) await discardUploads(req.files);
+        res.status(result.success ? 200 : 400).json(result);
 
     } catch (error) {
         console.error('Upload error:', error);
+        await discardUploads(req.files);
         res.status(500).json({
             success: false,
             error: 'File upload failed',
@@ -157,10 +385,235 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
     }
 });
 
+function sendUploadSessionError(res, error, action) {
+    if (error instanceof UploadSessions.UploadSessionError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`Upload session error (${action}):`, error);
+    res.status(500).json({ success: false, error: `Failed to ${action}`, details: error.message });
+}
+
+// Resumable upload for batches too large for one request: open a session with the files it will carry
+// ({ processingMode, files: [{ name, size, sha256?, fingerprint? }] }), PUT every chunk, then finalize.
+// Answers with the session status: chunkSize and per file its fileId, totalChunks and received chunks.
+app.post('/api/upload-sessions', async (req, res) => {
+    try {
+        const { processingMode = 'images_and_excel', files = [] } = req.body || {};
+        if (!['images_only', 'images_and_excel'].includes(processingMode)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid processing mode. Must be "images_only" or "images_and_excel"'
+            });
+        }
+        res.json({ success: true, ...(await uploadSessions.create({ processingMode, files })) });
+    } catch (error) {
+        sendUploadSessionError(res, error, 'open upload session');
+    }
+});
+
+// Where to resume: the chunks received so far per file
+app.get('/api/upload-sessions/:sessionId', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await uploadSessions.status(req.params.sessionId)) });
+    } catch (error) {
+        sendUploadSessionError(res, error, 'read upload session');
+    }
+});
+
+// More files for an open session ({ files }); files whose fingerprint is already registered are kept as they are
+app.post('/api/upload-sessions/:sessionId/files', async (req, res) => {
+    try {
+        await uploadSessions.addFiles(req.params.sessionId, (req.body || {}).files);
+        res.json({ success: true, ...(await uploadSessions.status(req.params.sessionId)) });
+    } catch (error) {
+        sendUploadSessionError(res, error, 'add files to upload session');
+    }
+});
+
+// One chunk as the raw request body, with its SHA-256 (hex) in X-Chunk-Sha256
+app.put('/api/upload-sessions/:sessionId/files/:fileId/chunks/:index',
+    express.raw({ type: () => true, limit: uploadSessions.chunkSize }),
+    async (req, res) => {
+        try {
+            const { sessionId, fileId, index } = req.params;
+            const result = await uploadSessions.writeChunk(sessionId, fileId, index, req.body, req.get('X-Chunk-Sha256'));
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendUploadSessionError(res, error, 'store chunk');
+        }
+    });
+
+// Assemble the files into uploads/<sessionId> and answer exactly like /api/upload. A refused ZIP
+// archive ends the session; it has to be uploaded again.
+app.post('/api/upload-sessions/:sessionId/finalize', async (req, res) => {
+    const { sessionId } = req.params;
+    try {
+        const { processingMode, files } = await uploadSessions.finalize(sessionId);
+        const result = await storeUploadSession(sessionId, files, processingMode);
+        await uploadSessions.discard(sessionId);
+        console.log(`[UploadSessions] Finalized ${sessionId}: ${result.success ? `${result.files.length} file(s)` : result.error}`);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        sendUploadSessionError(res, error, 'finalize upload session');
+    }
+});
+
+app.delete('/api/upload-sessions/:sessionId', async (req, res) => {
+    try {
+        await uploadSessions.status(req.params.sessionId);
+        await uploadSessions.discard(req.params.sessionId);
+        res.json({ success: true });
+    } catch (error) {
+        sendUploadSessionError(res, error, 'cancel upload session');
+    }
+});
+
+// Files in an input folder that count towards a job's total
+async function listProcessableFiles(inputPath) {
+    const files = await fs.readdir(inputPath);
+    return files.filter(file => {
+        const ext = path.extname(file).toLowerCase();
+        return imageIngest.isImageFile(file) || ['.xlsx', '.xls'].includes(ext);
+    });
+}
+
+// Detector settings from a JSON body or a multipart field (JSON text): { settings } or { errors }
+function parseDetectionSettings(value) {
+    if (typeof value === 'string' && value.trim()) {
+        try {
+            return detectorSettings.normalize(JSON.parse(value));
+        } catch (err) {
+            return { errors: [`detection is not valid JSON: ${err.message}`] };
+        }
+    }
+    return detectorSettings.normalize(value);
+}
+
+// Crop preview for the face-area slider: one photo (multipart field "file") plus
+// faceAreaPercentage, align, outputProfile, detection (detector settings as JSON), toneNormalization and
+// background (colour).
+// Nothing is kept except the cached detection, so moving
+// the slider re-sends the same photo and only the crop is redone.
+app.post('/api/crop-preview', upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No photo uploaded' });
+        }
+        if (!imageIngest.isImageFile(req.file.originalname)) {
+            return res.status(400).json({ success: false, error: `${req.file.originalname} is not a supported photo` });
+        }
+        const faceAreaPercentage = parseFloat(req.body.faceAreaPercentage ?? req.body.radiusPercentage);
+        if (isNaN(faceAreaPercentage) || faceAreaPercentage < 5 || faceAreaPercentage > 100) {
+            return res.status(400).json({ success: false, error: 'faceAreaPercentage must be between 5 and 100' });
+        }
+        const profileName = req.body.outputProfile || outputProfiles.DEFAULT_PROFILE;
+        const profileError = outputProfiles.checkSelection([profileName]);
+        if (profileError) {
+            return res.status(400).json({ success: false, error: profileError });
+        }
+        const detection = parseDetectionSettings(req.body.detection);
+        if (detection.errors) {
+            return res.status(400).json({ success: false, error: detection.errors.join('; ') });
+        }
+        const background = backgroundReplacement.parseOption(req.body.background);
+        if (background.error) {
+            return res.status(400).json({ success: false, error: background.error });
+        }
+
+        // In the worker pool: background replacement runs the segmentation model
+        const { data, ...preview } = await imageProcessor.runImageTask('previewCrop', [req.file.path, faceAreaPercentage, {
+            align: req.body.align !== 'false',
+            profile: outputProfiles.resolveProfiles([profileName])[0],
+            detection: detection.settings,
+            normalizeTone: req.body.toneNormalization === 'true',
+            background: background.color
+        }]);
+        // A Buffer comes back from a worker as a plain Uint8Array
+        res.json({ success: true, faceAreaPercentage, ...preview, image: `data:image/jpeg;base64,${Buffer.from(data).toString('base64')}` });
+    } catch (error) {
+        console.error('Crop preview error:', error);
+        res.status(500).json({ success: false, error: 'Failed to preview crop', details: error.message });
+    } finally {
+        if (req.file) await fs.remove(req.file.path).catch(() => {});
+    }
+});
+
+// Detector comparison: photos (multipart field "files") are sampled (sample, default 8) and every
+// detector is run alone on each with minConfidence / inputSize. Returns per-detector totals, the
+// per-photo results and a contact sheet (JPEG data URL). The uploads are deleted afterwards.
+app.post('/api/detector-comparison', upload.array('files', 10), async (req, res) => {
+    try {
+        const photos = (req.files || []).filter(file => imageIngest.isImageFile(file.originalname));
+        if (photos.length === 0) {
+            return res.status(400).json({ success: false, error: 'No photos uploaded' });
+        }
+        const { settings, errors } = detectorSettings.normalize({ minConfidence: req.body.minConfidence, inputSize: req.body.inputSize });
+        if (errors) {
+            return res.status(400).json({ success: false, error: errors.join('; ') });
+        }
+        const size = parseInt(req.body.sample, 10);
+        const sampled = detectorComparison.sample(photos, isNaN(size) ? detectorComparison.DEFAULT_SAMPLE : Math.max(1, size));
+        const detectors = Object.keys(detectorSettings.DETECTORS);
+
+        if (!imageProcessor.usesWorkerPool()) await imageProcessor.initializeFaceAPI();
+        const rows = [];
+        // One photo at a time so the timings are not skewed by other photos sharing the CPU
+        for (const photo of sampled) {
+            const compared = await imageProcessor.runImageTask('compareDetectors', [photo.path, { detectors, minConfidence: settings.minConfidence, inputSize: settings.inputSize }]);
+            const { input } = await imageIngest.loadImage(photo.path);
+            rows.push({ filename: photo.originalname, image: input, ...compared });
+        }
+        const sheet = await detectorComparison.contactSheet(rows, detectors);
+
+        console.log(`[DetectorComparison] Compared ${detectors.length} detector(s) on ${rows.length} photo(s) (${detectorSettings.describe(settings)})`);
+        res.json({
+            success: true,
+            settings,
+            summary: detectorComparison.summarize(rows, detectors),
+            rows: rows.map(({ image, ...row }) => row),
+            image: `data:image/jpeg;base64,${sheet.toString('base64')}`
+        });
+    } catch (error) {
+        console.error('Detector comparison error:', error);
+        res.status(500).json({ success: false, error: 'Failed to compare detectors', details: error.message });
+    } finally {
+        await Promise.all((req.files || []).map(file => fs.remove(file.path).catch(() => {})));
+    }
+});
+
+// Queue options for a processing mode ('images_only' | 'images_and_excel')
+// employeeIdRules is a rule set name or the snapshot of an earlier run; the resolved set is stored with the job
+// duplicates is the duplicate photo policy ('keep_newest' | 'keep_all')
+// detection is the detector chain and thresholds (detectorSettings), validated by the caller
+// debugOverlays writes an annotated copy of every original to the job's _debug folder
+// toneNormalization evens out exposure, white balance and contrast by each output profile's toneStrength
+// background is the colour painted behind the person (backgroundReplacement.parseOption), validated by the caller
+// groupPhotos crops every face of a photo with several faces, to be assigned to roster rows afterwards
+async function buildProcessingOptions({ radiusPercentage, processingMode, concurrency, align = true, outputProfiles: profiles, employeeIdRules: idRules, duplicates, detection, debugOverlays = false, toneNormalization = false, background = null, groupPhotos: splitGroups = false }) {
+    const options = {
+        radiusPercentage: parseInt(radiusPercentage),
+        processImages: processingMode === 'images_only' || processingMode === 'images_and_excel',
+        processExcel: processingMode === 'images_and_excel',
+        align: align !== false && align !== 'false',
+        outputProfiles: outputProfiles.parseSelection(profiles),
+        employeeIdRules: await employeeIdRules.resolveRuleSet(idRules),
+        duplicates: photoDuplicates.parsePolicy(duplicates),
+        detection: parseDetectionSettings(detection).settings,
+        debugOverlays: debugOverlays === true || debugOverlays === 'true',
+        toneNormalization: toneNormalization === true || toneNormalization === 'true',
+        background: backgroundReplacement.parseOption(background).color || null,
+        groupPhotos: splitGroups === true || splitGroups === 'true'
+    };
+    if (concurrency !== undefined) {
+        options.concurrency = parseInt(concurrency, 10);
+    }
+    return options;
+}
+
 // Process ID cards endpoint
 app.post('/api/process', async (req, res) => {
     try {
-        const { inputPath, radiusPercentage = 15, processingMode = 'images_and_excel' } = req.body;
+        const { inputPath, radiusPercentage = 15, processingMode = 'images_and_excel', concurrency, align, outputProfiles: profiles, employeeIdRules: idRules, duplicates, detection, debugOverlays, toneNormalization, background, groupPhotos: splitGroups } = req.body;
         
         if (!inputPath) {
             return res.status(400).json({
@@ -169,12 +622,39 @@ app.post('/api/process', async (req, res) => {
             });
         }
 
+        const profileError = outputProfiles.checkSelection(outputProfiles.parseSelection(profiles));
+        if (profileError) {
+            return res.status(400).json({ success: false, error: profileError });
+        }
+
+        const idRulesError = await employeeIdRules.checkSelection(idRules);
+        if (idRulesError) {
+            return res.status(400).json({ success: false, error: idRulesError });
+        }
+
+        if (!photoDuplicates.parsePolicy(duplicates)) {
+            return res.status(400).json({ success: false, error: `Unknown duplicate policy: ${duplicates}` });
+        }
+
+        const detectionErrors = parseDetectionSettings(detection).errors;
+        if (detectionErrors) {
+            return res.status(400).json({ success: false, error: detectionErrors.join('; ') });
+        }
+
+        const backgroundOption = backgroundReplacement.parseOption(background);
+        if (backgroundOption.error) {
+            return res.status(400).json({ success: false, error: backgroundOption.error });
+        }
+
+        if (!jobManager || !jobQueue || !jobWorker) {
+            return res.status(503).json({
+                success: false,
+                error: 'Job queue is not available (database not connected)'
+            });
+        }
+
         // Get list of files to process
-        const files = await fs.readdir(inputPath);
-        const relevantFiles = files.filter(file => {
-            const ext = path.extname(file).toLowerCase();
-            return ['.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.xlsx', '.xls'].includes(ext);
-        });
+        const relevantFiles = await listProcessableFiles(inputPath);
 
         // Create job
         const job = await jobManager.createJob(processingMode, radiusPercentage, relevantFiles);
@@ -186,42 +666,33 @@ app.post('/api/process', async (req, res) => {
         console.log(`Input: ${inputPath}`);
         console.log(`Output: ${sessionOutputDir}`);
         console.log(`Mode: ${processingMode}`);
-        console.log(`Radius percentage: ${radiusPercentage}`);
-
-        // Update job status to processing
-        await jobManager.updateJobStatus(job.id, 'PROCESSING', { outputPath: sessionOutputDir });
+        console.log(`Face area percentage: ${radiusPercentage}`);
+        console.log(`Output profiles: ${outputProfiles.parseSelection(profiles).join(', ')}`);
+        console.log(`Employee ID rules: ${idRules || employeeIdRules.DEFAULT_RULE_SET}`);
+        console.log(`Duplicates: ${photoDuplicates.parsePolicy(duplicates)}`);
+        console.log(`Detectors: ${detectorSettings.describe(parseDetectionSettings(detection).settings)}`);
+        if (debugOverlays === true || debugOverlays === 'true') console.log('Debug overlays: on');
+        if (toneNormalization === true || toneNormalization === 'true') console.log('Tone normalization: on');
+        if (backgroundOption.color) console.log(`Background: ${backgroundOption.color}`);
+        if (splitGroups === true || splitGroups === 'true') console.log('Group photos: split');
 
         // Determine processing options based on mode
-        const options = {
-            radiusPercentage: parseInt(radiusPercentage),
-            processImages: processingMode === 'images_only' || processingMode === 'images_and_excel',
-            processExcel: processingMode === 'images_and_excel'
-        };
+        const options = await buildProcessingOptions({ radiusPercentage, processingMode, concurrency, align, outputProfiles: profiles, employeeIdRules: idRules, duplicates, detection, debugOverlays, toneNormalization, background, groupPhotos: splitGroups });
 
-        // Process asynchronously to avoid blocking
-        setImmediate(async () => {
-            try {
-                // Use Node.js image processor instead of Python script
-                const result = await imageProcessor.processIDCards(inputPath, sessionOutputDir, options);
-                
-                // Update job with results
-                if (result.success) {
-                    await jobManager.updateJobStatus(job.id, 'COMPLETED', {
-                        processedFiles: relevantFiles.length
-                    });
-                } else {
-                    await jobManager.updateJobStatus(job.id, 'FAILED');
-                }
-            } catch (error) {
-                console.error(`Job ${job.id} processing error:`, error);
-                await jobManager.updateJobStatus(job.id, 'FAILED');
-            }
-        });
+        // Persist the job in the queue; the worker picks it up (and resumes it after a restart)
+        try {
+            await jobQueue.enqueue(job.id, { inputPath, outputPath: sessionOutputDir, options });
+        } catch (err) {
+            await jobManager.updateJobStatus(job.id, 'FAILED');
+            throw err;
+        }
+        jobEvents.publish(job.id, { type: 'job_status', status: 'PENDING', processed: 0, total: job.totalFiles });
+        jobWorker.poke();
 
         // Return job information immediately
         res.json({
             success: true,
-            message: 'Processing job started',
+            message: 'Processing job queued',
             jobId: job.id,
             sessionId: job.id, // For backward compatibility
             outputPath: sessionOutputDir,
@@ -387,6 +858,445 @@ app.get('/api/jobs/:id', async (req, res) => {
     }
 });
 
+// Server-Sent Events stream of file-level progress for a job
+app.get('/api/jobs/:id/events', async (req, res) => {
+    const { id } = req.params;
+
+    // no-transform keeps the compression middleware from buffering the stream
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Initial snapshot: in-memory progress if the job is running here, otherwise the DB row
+    let snapshot = jobEvents.getSnapshot(id);
+    if (!snapshot && jobManager) {
+        try {
+            const job = await jobManager.getJob(id);
+            if (job) {
+                snapshot = { jobId: id, status: job.status, processed: job.processedFiles, total: job.totalFiles };
+            }
+        } catch (error) {
+            console.error('Job events error:', error);
+            send({ type: 'error', jobId: id, message: 'Failed to load job', details: error.message });
+            return res.end();
+        }
+    }
+    if (!snapshot) {
+        send({ type: 'error', jobId: id, message: 'Job not found' });
+        return res.end();
+    }
+    send({ type: 'snapshot', ...snapshot });
+    if (['COMPLETED', 'FAILED', 'CANCELLED'].includes(snapshot.status)) {
+        return res.end();
+    }
+
+    const unsubscribe = jobEvents.subscribe(id, (event) => {
+        send(event);
+        if (jobEvents.isTerminal(event.type)) {
+            cleanup();
+            res.end();
+        }
+    });
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    req.on('close', cleanup);
+});
+
+// Per-file manifest of a job (detector, face box, crop box, status, error)
+// Query: ?status=success|failed  ?review=true (failures and heuristic crops only)
+app.get('/api/jobs/:id/files', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, review } = req.query;
+
+        let manifest = await jobManifest.read(path.join(outputDir, id));
+        if (!manifest && jobQueue) {
+            // Still running (or stopped before the manifest was written): use the checkpoint
+            const entry = await jobQueue.get(id);
+            if (entry && entry.checkpoint && Array.isArray(entry.checkpoint.files)) {
+                const files = entry.checkpoint.files.map(file => jobManifest.fileEntry(file));
+                manifest = { jobId: id, complete: false, summary: jobManifest.summarize(files), files };
+            }
+        }
+        if (!manifest) {
+            return res.status(404).json({ success: false, error: 'No file manifest for this job' });
+        }
+
+        let files = manifest.files || [];
+        if (status) files = files.filter(file => file.status === status);
+        if (review === 'true') files = files.filter(file => file.needsReview);
+
+        res.json({
+            success: true,
+            jobId: id,
+            complete: manifest.complete,
+            generatedAt: manifest.generatedAt || null,
+            faceAreaPercentage: manifest.faceAreaPercentage ?? null,
+            summary: manifest.summary,
+            files
+        });
+    } catch (error) {
+        console.error('Error reading job manifest:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read job files',
+            details: error.message
+        });
+    }
+});
+
+// Photo-to-roster reconciliation of a finished job, rebuilt from the current manifest so
+// re-crops and quality overrides are reflected. images_only jobs have no roster (available: false).
+app.get('/api/jobs/:id/reconciliation', async (req, res) => {
+    try {
+        const outputPath = path.join(outputDir, req.params.id);
+        const manifest = await jobManifest.read(outputPath);
+        if (!manifest) {
+            return res.status(404).json({ success: false, error: 'No file manifest for this job' });
+        }
+        const report = await rosterReconciliation.build(outputPath, manifest);
+        if (!report) {
+            return res.json({ success: true, jobId: req.params.id, available: false, reason: 'This job has no combined roster (images only)' });
+        }
+        res.json({ success: true, jobId: req.params.id, available: true, complete: manifest.complete, ...report });
+    } catch (error) {
+        console.error('Error reconciling job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reconcile photos with the roster',
+            details: error.message
+        });
+    }
+});
+
+// Roster rows proposed for photos whose employee ID is not on the roster (named after the person)
+app.get('/api/jobs/:id/name-matches', async (req, res) => {
+    try {
+        const outputPath = path.join(outputDir, req.params.id);
+        const manifest = await jobManifest.read(outputPath);
+        if (!manifest) {
+            return res.status(404).json({ success: false, error: 'No file manifest for this job' });
+        }
+        const rosterFile = await rosterReconciliation.findRoster(outputPath);
+        if (!rosterFile) {
+            return res.json({ success: true, jobId: req.params.id, available: false, reason: 'This job has no combined roster (images only)', proposals: [] });
+        }
+        const proposals = nameMatcher.propose(manifest.files, rosterReconciliation.readRoster(rosterFile));
+        res.json({ success: true, jobId: req.params.id, available: true, roster: path.basename(rosterFile), minScore: nameMatcher.MIN_SCORE, proposals });
+    } catch (error) {
+        console.error('Error matching names:', error);
+        res.status(500).json({ success: false, error: 'Failed to match photo names with the roster', details: error.message });
+    }
+});
+
+// Confirm matches: { matches: [{ filename, empNo }] }. Each photo's outputs are renamed to <empNo>.<ext>;
+// results are per photo so one conflict does not block the others.
+app.post('/api/jobs/:id/name-matches/confirm', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { matches } = req.body || {};
+        if (!Array.isArray(matches) || matches.length === 0) {
+            return res.status(400).json({ success: false, error: 'matches must be a non-empty array of { filename, empNo }' });
+        }
+
+        const job = jobManager ? await jobManager.getJob(id) : null;
+        if (job && (job.status === 'PENDING' || job.status === 'PROCESSING')) {
+            return res.status(409).json({ success: false, error: 'Job is still running' });
+        }
+
+        const outputPath = path.join(outputDir, id);
+        const rosterFile = await rosterReconciliation.findRoster(outputPath);
+        if (!rosterFile) {
+            return res.status(409).json({ success: false, error: 'This job has no combined roster' });
+        }
+        const results = await applyRosterMatches(id, outputPath, rosterReconciliation.readRoster(rosterFile), matches, {
+            score: (entry, row) => Math.round(nameMatcher.similarity(nameMatcher.photoName(entry), row.name) * 1000) / 1000
+        });
+
+        res.json({ success: true, renamed: results.filter(r => r.success).length, results });
+    } catch (error) {
+        console.error('Error confirming name matches:', error);
+        res.status(500).json({ success: false, error: 'Failed to confirm name matches', details: error.message });
+    }
+});
+
+// Split group photos of a job with their face crops left to right, and the roster rows they can be
+// assigned to ({ empNo, name, row, hasPhoto }). Jobs without a combined roster list no rows.
+app.get('/api/jobs/:id/group-photos', async (req, res) => {
+    try {
+        const outputPath = path.join(outputDir, req.params.id);
+        const manifest = await jobManifest.read(outputPath);
+        if (!manifest) {
+            return res.status(404).json({ success: false, error: 'No file manifest for this job' });
+        }
+        const groups = groupPhotos.list(manifest.files);
+        const rosterFile = groups.length ? await rosterReconciliation.findRoster(outputPath) : null;
+        res.json({
+            success: true,
+            jobId: req.params.id,
+            roster: rosterFile ? path.basename(rosterFile) : null,
+            rows: rosterFile ? groupPhotos.rosterChoices(manifest.files, rosterReconciliation.readRoster(rosterFile)) : [],
+            groups
+        });
+    } catch (error) {
+        console.error('Error listing group photos:', error);
+        res.status(500).json({ success: false, error: 'Failed to list group photos', details: error.message });
+    }
+});
+
+// Assign faces of split group photos to roster rows: { assignments: [{ filename, empNo }] } with the
+// "<photo>@<n>" names of the crops. Each crop is renamed to <empNo>.<ext> like a confirmed name match.
+app.post('/api/jobs/:id/group-photos/assign', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { assignments } = req.body || {};
+        if (!Array.isArray(assignments) || assignments.length === 0) {
+            return res.status(400).json({ success: false, error: 'assignments must be a non-empty array of { filename, empNo }' });
+        }
+
+        const job = jobManager ? await jobManager.getJob(id) : null;
+        if (job && (job.status === 'PENDING' || job.status === 'PROCESSING')) {
+            return res.status(409).json({ success: false, error: 'Job is still running' });
+        }
+
+        const outputPath = path.join(outputDir, id);
+        const rosterFile = await rosterReconciliation.findRoster(outputPath);
+        if (!rosterFile) {
+            return res.status(409).json({ success: false, error: 'This job has no combined roster' });
+        }
+        const results = await applyRosterMatches(id, outputPath, rosterReconciliation.readRoster(rosterFile), assignments, {
+            accept: entry => !!entry.group
+        });
+
+        res.json({ success: true, renamed: results.filter(r => r.success).length, results });
+    } catch (error) {
+        console.error('Error assigning group photo faces:', error);
+        res.status(500).json({ success: false, error: 'Failed to assign faces', details: error.message });
+    }
+});
+
+// Rename photos of a job to confirmed roster rows (matches: [{ filename, empNo }]) with nameMatcher.applyMatch.
+// accept(entry) limits which manifest entries may be renamed; score(entry, row) is recorded with the match.
+// Returns one { filename, success, file | error } per match so one conflict does not block the others.
+async function applyRosterMatches(jobId, outputPath, rows, matches, { accept = () => true, score = () => null } = {}) {
+    const results = [];
+    for (const match of matches) {
+        const filename = match && match.filename;
+        const empNo = String((match && match.empNo) || '').trim();
+        const row = rows.find(r => r.empNo === empNo);
+        if (!row) {
+            results.push({ filename, success: false, error: `Emp. No ${empNo || '(empty)'} is not on the roster` });
+            continue;
+        }
+        if (!/^[^\\/:*?"<>|]+$/.test(empNo) || /^\.+$/.test(empNo)) {
+            results.push({ filename, success: false, error: `Emp. No ${empNo} cannot be used as a file name` });
+            continue;
+        }
+        // Re-read per match: the previous one may have changed the manifest
+        const manifest = await jobManifest.read(outputPath);
+        const entry = manifest && (manifest.files || []).find(f => f.filename === filename);
+        if (!entry || entry.status !== 'success' || !accept(entry)) {
+            results.push({ filename, success: false, error: 'No processed photo with this name in the job' });
+            continue;
+        }
+        const matchScore = score(entry, row);
+        const applied = await nameMatcher.applyMatch(outputPath, entry, row, matchScore);
+        if (applied.error) {
+            results.push({ filename, success: false, error: applied.error });
+            continue;
+        }
+        console.log(`Matched ${filename} of job ${jobId} to ${empNo} (${row.name}${matchScore !== null ? `, score ${matchScore}` : ''})`);
+        results.push({ filename, success: true, file: applied.file });
+    }
+    return results;
+}
+
+// Locate one photo of a job: its manifest entry and the original upload it was cropped from
+async function resolveJobPhoto(jobId, filename) {
+    if (!filename || path.basename(filename) !== filename) {
+        return { status: 400, error: 'Invalid filename' };
+    }
+    const outputPath = path.join(outputDir, jobId);
+    const manifest = await jobManifest.read(outputPath);
+    const file = manifest && (manifest.files || []).find(f => f.filename === filename);
+    if (!file) {
+        return { status: 404, error: 'File not found in job manifest' };
+    }
+    const entry = jobQueue ? await jobQueue.get(jobId) : null;
+    // Later pages of multi-page files are listed as "<file>#<page>", faces of group photos as "<file>@<n>"
+    const source = imageIngest.parseSourceKey(file.group ? file.group.source : filename);
+    const inputFile = entry ? path.join(entry.inputPath, source.filename) : null;
+    if (!inputFile || !(await fs.pathExists(inputFile))) {
+        return { status: 410, error: 'Original upload is no longer available' };
+    }
+    return { outputPath, manifest, file, inputFile, page: (file.source && file.source.page) || source.page };
+}
+
+// Original upload of one photo (used by the crop editor)
+app.get('/api/jobs/:id/files/:filename/original', async (req, res) => {
+    try {
+        const photo = await resolveJobPhoto(req.params.id, req.params.filename);
+        if (photo.error) {
+            return res.status(photo.status).json({ success: false, error: photo.error });
+        }
+        // Upright and browser-viewable: the crop boxes refer to the auto-oriented image
+        const preview = await imageIngest.previewImage(photo.inputFile, { page: photo.page });
+        if (preview.file) {
+            return res.sendFile(preview.file);
+        }
+        res.type('image/jpeg').send(preview.buffer);
+    } catch (error) {
+        console.error('Error sending original photo:', error);
+        res.status(500).json({ success: false, error: 'Failed to load original photo', details: error.message });
+    }
+});
+
+// Debug overlay of one photo (jobs run with debugOverlays): detected faces, landmarks and crop drawn on the original
+app.get('/api/jobs/:id/files/:filename/debug', async (req, res) => {
+    try {
+        const { id, filename } = req.params;
+        if (path.basename(filename) !== filename) {
+            return res.status(400).json({ success: false, error: 'Invalid filename' });
+        }
+        const outputPath = path.join(outputDir, id);
+        const manifest = await jobManifest.read(outputPath);
+        const file = manifest && (manifest.files || []).find(f => f.filename === filename);
+        if (!file) {
+            return res.status(404).json({ success: false, error: 'File not found in job manifest' });
+        }
+        const overlay = file.debugOverlay ? path.join(outputPath, file.debugOverlay) : null;
+        if (!overlay || !(await fs.pathExists(overlay))) {
+            return res.status(404).json({ success: false, error: 'No debug overlay for this photo (enable debug overlays for the job)' });
+        }
+        res.sendFile(overlay);
+    } catch (error) {
+        console.error('Error sending debug overlay:', error);
+        res.status(500).json({ success: false, error: 'Failed to load debug overlay', details: error.message });
+    }
+});
+
+// Re-crop a single output photo from its original upload
+// Body: { cropBox: { x, y, size } } (source pixels) or { faceAreaPercentage } (uses the detected face box)
+app.post('/api/jobs/:id/files/:filename/recrop', async (req, res) => {
+    try {
+        const { id, filename } = req.params;
+        const { cropBox, faceAreaPercentage } = req.body || {};
+
+        if (!cropBox && faceAreaPercentage === undefined) {
+            return res.status(400).json({ success: false, error: 'cropBox or faceAreaPercentage is required' });
+        }
+
+        const job = jobManager ? await jobManager.getJob(id) : null;
+        if (job && (job.status === 'PENDING' || job.status === 'PROCESSING')) {
+            return res.status(409).json({ success: false, error: 'Job is still running' });
+        }
+
+        const photo = await resolveJobPhoto(id, filename);
+        if (photo.error) {
+            return res.status(photo.status).json({ success: false, error: photo.error });
+        }
+
+        const { file, outputPath, inputFile, manifest, page } = photo;
+        let profiles;
+        try {
+            // Same renditions as the job run; older manifests predate output profiles
+            profiles = outputProfiles.resolveProfiles(manifest.outputProfiles);
+        } catch (err) {
+            return res.status(409).json({ success: false, error: err.message });
+        }
+        // Discarded duplicates and unsupported files were never cropped; their employee ID belongs to another output
+        if (!['success', 'failed'].includes(file.status)) {
+            return res.status(409).json({ success: false, error: `${filename} is ${file.status === 'duplicate' ? 'a discarded duplicate' : 'not a supported photo'}; only cropped or failed photos can be re-cropped` });
+        }
+        if (file.status === 'success' && !file.output) {
+            return res.status(409).json({ success: false, error: `${filename} has no output to re-crop` });
+        }
+        // A failed photo gets the output it would have had, unless another photo of the job writes it
+        const output = file.output || `${file.employeeId || imageProcessor.deriveEmployeeId(filename)}.jpg`;
+        const owner = !file.output && manifest.files.find(f => f !== file && (f.output === output || (f.renditions || []).some(r => r.file === output)));
+        if (owner) {
+            return res.status(409).json({ success: false, error: `${output} belongs to ${owner.filename}; re-crop that photo instead` });
+        }
+        // A job run with debug overlays keeps its overlay in step with the new crop
+        const debug = !!(file.debugOverlay || manifest.debugOverlays);
+        // In the worker pool: background replacement runs the segmentation model
+        const result = await imageProcessor.runImageTask('recropImage', [inputFile, path.join(outputPath, output), {
+            profiles,
+            page,
+            cropBox,
+            faceAreaPercentage: faceAreaPercentage !== undefined ? parseFloat(faceAreaPercentage) : undefined,
+            faceBox: file.faceBox,
+            // Keep the alignment of the original crop when only the face area changes
+            eyes: file.alignment && file.alignment.eyes ? { ...file.alignment.eyes, source: file.alignment.source } : null,
+            debug,
+            detector: file.detector,
+            normalizeTone: !!manifest.toneNormalization,
+            background: manifest.background || null
+        }]);
+        if (!result.success) {
+            return res.status(422).json({ success: false, error: result.message });
+        }
+        if (file.output && file.output !== result.output) {
+            await fs.remove(path.join(outputPath, file.output));
+        }
+
+        const updated = await jobManifest.updateFile(outputPath, filename, {
+            output: result.output,
+            renditions: result.renditions,
+            ...(debug ? { debugOverlay: result.debugOverlay } : {}),
+            tone: result.tone,
+            background: result.background,
+            status: 'success',
+            cropBox: result.cropBox,
+            alignment: result.alignment,
+            imageSize: result.imageSize,
+            manualCrop: !!cropBox,
+            message: result.message
+        });
+        console.log(`Re-cropped ${filename} of job ${id}: ${result.message}`);
+
+        res.json({ success: true, file: updated });
+    } catch (error) {
+        console.error('Error re-cropping photo:', error);
+        res.status(500).json({ success: false, error: 'Failed to re-crop photo', details: error.message });
+    }
+});
+
+// Operator override of the quality gate for one photo (lets a failing photo through to Vault)
+// Body: { override: boolean, note?: string }
+app.post('/api/jobs/:id/files/:filename/quality-override', async (req, res) => {
+    try {
+        const { id, filename } = req.params;
+        const { override = true, note = '' } = req.body || {};
+        if (path.basename(filename) !== filename) {
+            return res.status(400).json({ success: false, error: 'Invalid filename' });
+        }
+
+        const qualityOverride = override ? { at: new Date().toISOString(), note: note ? String(note).slice(0, 500) : null } : null;
+        const updated = await jobManifest.updateFile(path.join(outputDir, id), filename, { qualityOverride });
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'File not found in job manifest' });
+        }
+        console.log(`Quality override ${override ? 'set' : 'cleared'} for ${filename} of job ${id}`);
+        res.json({ success: true, file: updated });
+    } catch (error) {
+        console.error('Error updating quality override:', error);
+        res.status(500).json({ success: false, error: 'Failed to update quality override', details: error.message });
+    }
+});
+
 // Update job status endpoint
 app.patch('/api/jobs/:id/status', async (req, res) => {
     try {
@@ -434,6 +1344,183 @@ app.patch('/api/jobs/:id/status', async (req, res) => {
     }
 });
 
+// Retry / re-run a finished job from its original uploaded inputs
+// Body: {
+//   radiusPercentage?, processingMode?, align?, outputProfiles?, employeeIdRules?, duplicates?, detection?, debugOverlays?,
+//   toneNormalization?, background?, groupPhotos?
+//                                        - override the previous run's parameters
+//   newJob?: boolean                     - write to a new job ID instead of overwriting this one
+//   failedOnly?: boolean                 - keep the files that succeeded last time, reprocess the rest
+// }
+app.post('/api/jobs/retry/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { radiusPercentage, processingMode, align, outputProfiles: profiles, employeeIdRules: idRules, duplicates, detection, debugOverlays, toneNormalization, background, groupPhotos: splitGroups, newJob = false, failedOnly = false } = req.body || {};
+
+        if (profiles !== undefined) {
+            const profileError = outputProfiles.checkSelection(outputProfiles.parseSelection(profiles));
+            if (profileError) {
+                return res.status(400).json({ success: false, error: profileError });
+            }
+        }
+        if (idRules !== undefined) {
+            const idRulesError = await employeeIdRules.checkSelection(idRules);
+            if (idRulesError) {
+                return res.status(400).json({ success: false, error: idRulesError });
+            }
+        }
+        if (duplicates !== undefined && !photoDuplicates.parsePolicy(duplicates)) {
+            return res.status(400).json({ success: false, error: `Unknown duplicate policy: ${duplicates}` });
+        }
+        const detectionErrors = detection !== undefined ? parseDetectionSettings(detection).errors : null;
+        if (detectionErrors) {
+            return res.status(400).json({ success: false, error: detectionErrors.join('; ') });
+        }
+        const backgroundError = background !== undefined ? backgroundReplacement.parseOption(background).error : null;
+        if (backgroundError) {
+            return res.status(400).json({ success: false, error: backgroundError });
+        }
+
+        if (!jobManager || !jobQueue || !jobWorker) {
+            return res.status(503).json({
+                success: false,
+                error: 'Job queue is not available (database not connected)'
+            });
+        }
+
+        const job = await jobManager.getJob(id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        if (job.status === 'PENDING' || job.status === 'PROCESSING') {
+            return res.status(409).json({ success: false, error: `Job is still ${job.status.toLowerCase()}` });
+        }
+
+        const entry = await jobQueue.get(id);
+        if (!entry) {
+            return res.status(409).json({ success: false, error: 'Original inputs of this job are unknown (created before the job queue existed)' });
+        }
+        if (!(await fs.pathExists(entry.inputPath))) {
+            return res.status(410).json({ success: false, error: 'Original uploaded inputs are no longer available' });
+        }
+
+        const previousMode = entry.options.processExcel ? 'images_and_excel' : 'images_only';
+        const options = await buildProcessingOptions({
+            radiusPercentage: radiusPercentage !== undefined ? radiusPercentage : (entry.options.radiusPercentage ?? job.radiusPercentage),
+            processingMode: processingMode || previousMode,
+            concurrency: entry.options.concurrency,
+            align: align !== undefined ? align : entry.options.align,
+            // Kept files (failedOnly) keep the renditions of their earlier run
+            outputProfiles: profiles !== undefined ? profiles : entry.options.outputProfiles,
+            // The rule set as it was when the job first ran, unless another one is picked
+            employeeIdRules: idRules !== undefined ? idRules : entry.options.employeeIdRules,
+            duplicates: duplicates !== undefined ? duplicates : entry.options.duplicates,
+            detection: detection !== undefined ? detection : entry.options.detection,
+            debugOverlays: debugOverlays !== undefined ? debugOverlays : entry.options.debugOverlays,
+            toneNormalization: toneNormalization !== undefined ? toneNormalization : entry.options.toneNormalization,
+            background: background !== undefined ? background : entry.options.background,
+            groupPhotos: splitGroups !== undefined ? splitGroups : entry.options.groupPhotos
+        });
+
+        // Files that succeeded last time are seeded into the checkpoint so the worker skips them
+        let kept = [];
+        if (failedOnly) {
+            // The manifest holds the edits made after the run (manual crops, name matches, group
+            // assignments, quality overrides); a run that stopped before writing one has only its checkpoint
+            const manifest = await jobManifest.read(entry.outputPath);
+            const checkpointed = (entry.checkpoint && Array.isArray(entry.checkpoint.files)) ? entry.checkpoint.files : [];
+            const previous = manifest && Array.isArray(manifest.files) ? manifest.files : checkpointed;
+            // Unsupported files would fail the same way again; discarded duplicates stay discarded
+            kept = previous.filter(file => ['success', 'unsupported', 'duplicate'].includes(file.status));
+            // A completed run with no failures has nothing left to retry; cancelled runs still have unprocessed files
+            if (job.status === 'COMPLETED' && kept.length === previous.length) {
+                return res.status(400).json({ success: false, error: 'No failed files to retry' });
+            }
+        }
+
+        const relevantFiles = await listProcessableFiles(entry.inputPath);
+        let targetId = id;
+        let outputPath = entry.outputPath;
+
+        if (newJob) {
+            const created = await jobManager.createJob(processingMode || previousMode, options.radiusPercentage, relevantFiles);
+            targetId = created.id;
+            outputPath = path.join(outputDir, created.id);
+            await fs.ensureDir(outputPath);
+            // Carry over the outputs we keep; anything missing on disk is reprocessed
+            const carried = [];
+            for (const file of kept) {
+                const source = file.output ? path.join(entry.outputPath, file.output) : null;
+                if (source && await fs.pathExists(source)) {
+                    await fs.copy(source, path.join(outputPath, file.output));
+                    const extras = [
+                        ...(file.renditions || []).map(rendition => rendition.file).filter(f => f !== file.output),
+                        ...jobManifest.sideFiles(file)
+                    ];
+                    for (const extra of extras) {
+                        const extraSource = path.join(entry.outputPath, extra);
+                        if (await fs.pathExists(extraSource)) {
+                            await fs.copy(extraSource, path.join(outputPath, extra));
+                        }
+                    }
+                    carried.push(file);
+                }
+            }
+            kept = carried;
+            try {
+                await jobQueue.enqueue(targetId, { inputPath: entry.inputPath, outputPath, options, checkpoint: kept.length ? { files: kept } : null });
+            } catch (err) {
+                await jobManager.updateJobStatus(targetId, 'FAILED');
+                throw err;
+            }
+        } else {
+            // Nothing is deleted or reset while a run of this job is queued or running; requeue
+            // below still refuses one that started in the meantime
+            const current = await jobQueue.get(id);
+            if (!current) {
+                return res.status(404).json({ success: false, error: 'Job was removed from the queue while the retry was prepared' });
+            }
+            if ([JobQueue.STATES.QUEUED, JobQueue.STATES.LEASED].includes(current.state)) {
+                return res.status(409).json({ success: false, error: 'Job is already queued' });
+            }
+            if (!failedOnly) {
+                // Full re-run: start from an empty output folder so stale crops do not linger
+                await fs.emptyDir(outputPath);
+            }
+            // Reset the batch first: the worker drops claimed entries whose batch is still CANCELLED
+            await jobManager.resetJob(id, { radiusPercentage: options.radiusPercentage, totalFiles: relevantFiles.length });
+            const requeued = await jobQueue.requeue(id, { options, checkpoint: kept.length ? { files: kept } : null });
+            if (!requeued) {
+                return res.status(409).json({ success: false, error: 'Job is already queued' });
+            }
+        }
+
+        jobEvents.publish(targetId, { type: 'job_status', status: 'PENDING', processed: 0, total: relevantFiles.length });
+        jobWorker.poke();
+
+        console.log(`Retrying job ${id} as ${targetId} (failedOnly=${!!failedOnly}, kept=${kept.length})`);
+        res.json({
+            success: true,
+            message: newJob ? 'Retry queued as a new job' : 'Job requeued',
+            jobId: targetId,
+            retriedFrom: id,
+            keptFiles: kept.length,
+            options: {
+                radiusPercentage: options.radiusPercentage,
+                processingMode: options.processExcel ? 'images_and_excel' : 'images_only',
+                outputProfiles: options.outputProfiles
+            }
+        });
+    } catch (error) {
+        console.error('Error retrying job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry job',
+            details: error.message
+        });
+    }
+});
+
 // Delete job endpoint
 app.delete('/api/jobs/:id', async (req, res) => {
     try {
@@ -1108,9 +2195,11 @@ app.get('/api/vault/logs/:jobId', async (req, res) => {
 });
 
 // Cancel job endpoint
+// Body: { cleanup?: boolean } - remove the partial output folder once the job has stopped
 app.post('/api/process/cancel/:id', async (req, res) => {
     try {
         const { id } = req.params;
+        const cleanup = !!(req.body && req.body.cleanup);
         const cancelled = await jobManager.cancelJob(id);
         
         if (!cancelled) {
@@ -1119,10 +2208,25 @@ app.post('/api/process/cancel/:id', async (req, res) => {
                 error: 'Job not found or cannot be cancelled'
             });
         }
+
+        // Running here: stop between files; the worker records progress and cleans up
+        const running = jobWorker ? jobWorker.cancel(id, { cleanup }) : false;
+        if (!running) {
+            // Nothing in flight (still queued or orphaned): finish the cancellation now
+            if (jobQueue) {
+                await jobQueue.finish(id, JobQueue.STATES.CANCELLED);
+            }
+            if (cleanup) {
+                await fs.remove(path.join(outputDir, id));
+            }
+            jobEvents.publish(id, { type: 'job_cancelled', cleanedUp: cleanup });
+        }
         
         res.json({
             success: true,
-            message: 'Job cancelled successfully'
+            message: running ? 'Job cancellation requested; processing stops after the current file' : 'Job cancelled successfully',
+            running,
+            cleanup
         });
     } catch (error) {
         console.error('Error cancelling job:', error);
@@ -1180,11 +2284,21 @@ app.get('/api/sessions', async (req, res) => {
 app.use((error, req, res, next) => {
     console.error('Server error:', error);
     
+    // Body larger than the parser's limit (e.g. an oversized upload chunk)
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            error: 'Request body too large'
+        });
+    }
+
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({
                 success: false,
-                error: 'File too large. Maximum size is 50MB.'
+                error: req.path === '/api/upload'
+                    ? `File too large. Maximum size is ${MAX_UPLOAD_FILE_SIZE / 1024 / 1024}MB (ZIP archives: ${archiveIngest.maxArchiveSize() / 1024 / 1024}MB).`
+                    : `File too large. Maximum size is ${MAX_UPLOAD_FILE_SIZE / 1024 / 1024}MB.`
             });
         }
         if (error.code === 'LIMIT_FILE_COUNT') {
@@ -1215,7 +2329,7 @@ app.use('*', (req, res) => {
 async function startServer() {
     try {
         // Start server first so endpoints that don't require DB (e.g., template download) work
-        app.listen(PORT, () => {
+        httpServer = app.listen(PORT, () => {
             console.log(`🚀 ID Card Processing Backend running on port ${PORT}`);
             console.log(`📁 Upload directory: ${uploadDir}`);
             console.log(`📁 Output directory: ${outputDir}`);
@@ -1224,6 +2338,11 @@ async function startServer() {
             console.log(`💾 Vault DB (DATADB): ${process.env.DATADB_SERVER || '(unset)'}:${process.env.DATADB_PORT || '1433'}/${process.env.DATADB_NAME || '(unset)'}`);
         });
 
+        // Load the detector models now rather than on the first job, and report what loaded
+        imageProcessor.getModelReport()
+            .then(report => modelStore.logReport(report))
+            .catch(err => console.error('⚠️ Model loading failed:', err?.message || err));
+
         // Attempt database connection without blocking server startup
         database.connect()
             .then(() => {
@@ -1231,6 +2350,18 @@ async function startServer() {
                 // Initialize JobManager after database connection
                 jobManager = new JobManager();
                 console.log('✅ JobManager initialized');
+                // Durable queue: create table if needed, recover jobs orphaned by a restart, then start claiming
+                jobQueue = new JobQueue();
+                jobQueue.ensureSchema()
+                    .then(() => jobQueue.recoverOrphans())
+                    .then(() => {
+                        jobWorker = new JobWorker({ queue: jobQueue, jobManager, imageProcessor });
+                        jobWorker.start();
+                        console.log('✅ JobWorker started');
+                    })
+                    .catch(err => {
+                        console.error('⚠️ Job queue initialization failed; processing jobs will not run:', err?.message || err);
+                    });
                 // Quick sanity check: count ProcessingBatches
                 database.query('SELECT COUNT(*) AS cnt FROM ProcessingBatches')
                     .then(r => {
@@ -1253,18 +2384,28 @@ async function startServer() {
 // Start the server
 startServer();
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('SIGTERM received, shutting down gracefully');
+// Graceful shutdown: stop accepting requests, let the worker checkpoint the running job, then exit
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) {
+        console.log(`${signal} received again, forcing exit`);
+        process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`${signal} received, shutting down gracefully`);
+    if (httpServer) {
+        httpServer.close();
+    }
+    if (jobWorker) {
+        await jobWorker.stop({ timeoutMs: parseInt(process.env.SHUTDOWN_DRAIN_MS, 10) || 30000 });
+    }
+    await imageWorkerPool.destroy();
     await database.disconnect();
     process.exit(0);
-});
+}
 
-process.on('SIGINT', async () => {
-    console.log('SIGINT received, shutting down gracefully');
-    await database.disconnect();
-    process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Download ZIP of job output (frontend expects /api/process/download/:id)
 app.get('/api/process/download/:id', async (req, res) => {
@@ -0,0 +1,108 @@
+// Tone normalization: evens out exposure, white balance and contrast between photos taken with
+// different phones and in different rooms, measured on the face rather than the whole picture
+// (clothes and backgrounds vary too much). Each correction only pulls a face that is outside a
+// normal band back to its edge, so well-exposed photos and every skin tone are left alone, and is
+// scaled by the output profile's toneStrength. The result is one per-channel linear transform.
+// Photos without a detected face are left as they are: the centre of a heuristic crop is as likely
+// to be a shirt as a face.
+const sharp = require('sharp');
+
+const PREVIEW_DIR = '_tone';
+const PREVIEW_SIZE = 160;
+
+// Bands on 0-255 face statistics (mean luma, 5th-95th percentile spread)
+const LUMA_BAND = [115, 170];
+const SPREAD_BAND = [70, 140];
+// Skin chromaticity (R/G, B/G) of faces under neutral light; outside it the light had a colour cast
+const RG_BAND = [1.1, 1.5];
+const BG_BAND = [0.7, 0.95];
+// Limits of a full-strength correction
+const MAX_EXPOSURE = [0.75, 1.5];
+const MAX_CONTRAST = [0.8, 1.35];
+const MAX_BALANCE = [0.8, 1.2];
+
+const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+// Factor that moves value to the nearest edge of band (1 inside it)
+const toBand = (value, [min, max]) => (value < min ? min / value : value > max ? max / value : 1);
+
+// { luma, spread, rg, bg } of a region (downscaled first; only averages are needed)
+async function measure(input, region, transform = null) {
+    let pipeline = sharp(input).extract(region);
+    if (transform) pipeline = pipeline.linear(transform.a, transform.b);
+    const { data, info } = await pipeline
+        .resize(64, 64, { fit: 'inside' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const count = info.width * info.height;
+    const lumas = new Array(count);
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (let i = 0; i < count; i++) {
+        const o = i * info.channels;
+        r += data[o];
+        g += data[o + 1];
+        b += data[o + 2];
+        lumas[i] = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+    }
+    lumas.sort((x, y) => x - y);
+    const percentile = p => lumas[Math.min(count - 1, Math.floor(p * count))];
+    return {
+        luma: round(lumas.reduce((sum, v) => sum + v, 0) / count, 1),
+        spread: round(percentile(0.95) - percentile(0.05), 1),
+        rg: round(r / Math.max(g, 1)),
+        bg: round(b / Math.max(g, 1))
+    };
+}
+
+/**
+ * Full-strength corrections for measured face statistics:
+ * { exposure, contrast, balance: [r, g, b] } (gains; 1 = unchanged).
+ */
+function corrections(stats) {
+    return {
+        exposure: round(clamp(toBand(stats.luma, LUMA_BAND), MAX_EXPOSURE)),
+        contrast: round(clamp(toBand(stats.spread, SPREAD_BAND), MAX_CONTRAST)),
+        // Green is the reference channel
+        balance: [round(clamp(toBand(stats.rg, RG_BAND), MAX_BALANCE)), 1, round(clamp(toBand(stats.bg, BG_BAND), MAX_BALANCE))]
+    };
+}
+
+/**
+ * Per-channel linear transform ({ a, b } for sharp.linear) of the corrections at a strength (0-1),
+ * or null when nothing would change. Contrast pivots on the corrected face luma so the face keeps
+ * its exposure.
+ */
+function transform(plan, strength) {
+    if (!plan || !(strength > 0)) return null;
+    const scale = gain => 1 + strength * (gain - 1);
+    const exposure = scale(plan.corrections.exposure);
+    const contrast = scale(plan.corrections.contrast);
+    const balance = plan.corrections.balance.map(scale);
+    if ([exposure, contrast, ...balance].every(gain => Math.abs(gain - 1) < 0.005)) return null;
+    const pivot = plan.before.luma * exposure;
+    return {
+        a: balance.map(gain => round(contrast * exposure * gain, 4)),
+        b: balance.map(() => round(pivot * (1 - contrast), 2))
+    };
+}
+
+/**
+ * Measure the face region ({ left, top, width, height } of the inner face in the image the crop is
+ * taken from) and work out its corrections: { region, before: stats, corrections }.
+ */
+async function plan(input, region) {
+    const before = await measure(input, region);
+    return { region, before, corrections: corrections(before) };
+}
+
+module.exports = {
+    PREVIEW_DIR,
+    PREVIEW_SIZE,
+    measure,
+    corrections,
+    transform,
+    plan
+};
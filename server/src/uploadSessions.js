@@ -0,0 +1,320 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const archiveIngest = require('./archiveIngest');
+const imageIngest = require('./imageIngest');
+
+const MB = 1024 * 1024;
+const STATE_FILE = 'session.json';
+// Staging folder inside the upload directory; a dot folder so it is never taken for an upload session
+const STAGING_DIR = '.chunked';
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function positiveEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return value > 0 ? value : fallback;
+}
+
+// UPLOAD_CHUNK_SIZE_MB (default 5, at most 50): size of every chunk but a file's last
+function defaultChunkSize() {
+    return Math.round(Math.min(positiveEnv('UPLOAD_CHUNK_SIZE_MB', 5), 50) * MB);
+}
+
+// UPLOAD_SESSION_MAX_FILES (default 1000): files of one resumable upload
+function maxFiles() {
+    return Math.floor(positiveEnv('UPLOAD_SESSION_MAX_FILES', 1000));
+}
+
+// UPLOAD_SESSION_TTL_HOURS (default 24): unfinished uploads untouched this long are removed
+function ttl() {
+    return positiveEnv('UPLOAD_SESSION_TTL_HOURS', 24) * 60 * 60 * 1000;
+}
+
+// Error the client can act on; status is the HTTP status to answer with
+class UploadSessionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UploadSessionError';
+        this.status = status;
+    }
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Resumable chunked uploads. A session is opened with the files it will carry ({ name, size, sha256?,
+ * fingerprint? }), each file is sent as fixed-size chunks with their SHA-256 in any order and as often
+ * as needed, and the session is finalized once every chunk is in: the files are then assembled next to
+ * the chunks and handed over like multer's temporary files, so /api/upload's session folder handling
+ * applies unchanged. Received chunks are the chunk files on disk (written to a temporary name, then
+ * renamed), so a dropped connection or a server restart loses at most the chunk in flight and status()
+ * tells the client where to resume.
+ */
+class UploadSessions {
+    constructor({ uploadDir, chunkSize = defaultChunkSize() }) {
+        this.root = path.join(uploadDir, STAGING_DIR);
+        this.chunkSize = chunkSize;
+        this.locks = new Map(); // sessionId -> tail of the queued state updates
+        fs.ensureDirSync(this.root);
+    }
+
+    sessionDir(sessionId) {
+        if (!ID_PATTERN.test(String(sessionId))) throw new UploadSessionError('Upload session not found', 404);
+        return path.join(this.root, sessionId);
+    }
+
+    // Serialize state changes of one session (adding files, finalizing)
+    async withLock(sessionId, task) {
+        const previous = this.locks.get(sessionId) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        const tail = current.catch(() => {});
+        this.locks.set(sessionId, tail);
+        try {
+            return await current;
+        } finally {
+            if (this.locks.get(sessionId) === tail) this.locks.delete(sessionId);
+        }
+    }
+
+    async readState(sessionId) {
+        const file = path.join(this.sessionDir(sessionId), STATE_FILE);
+        if (!(await fs.pathExists(file))) throw new UploadSessionError('Upload session not found', 404);
+        return fs.readJson(file);
+    }
+
+    async writeState(state) {
+        const file = path.join(this.sessionDir(state.sessionId), STATE_FILE);
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.writeJson(temp, state, { spaces: 2 });
+        await fs.move(temp, file, { overwrite: true });
+    }
+
+    // A file description from the client, validated like /api/upload validates its files
+    normalizeFile(input, fileId) {
+        const originalName = String((input && input.name) || '').replace(/\\/g, '/').trim();
+        const name = path.posix.basename(originalName);
+        const size = Number(input && input.size);
+        if (!name || imageIngest.isIgnoredFile(name)) throw new UploadSessionError(`Invalid file name: ${originalName || '(empty)'}`);
+        const archive = archiveIngest.isArchiveFile(name);
+        if (!archive && !imageIngest.isImageFile(name) && !imageIngest.isSpreadsheetFile(name)) {
+            throw new UploadSessionError(`File type of ${originalName} not allowed`);
+        }
+        if (!Number.isInteger(size) || size <= 0) throw new UploadSessionError(`Invalid size for ${originalName}`);
+        const limit = archive ? archiveIngest.maxArchiveSize() : archiveIngest.MAX_ENTRY_SIZE;
+        if (size > limit) throw new UploadSessionError(`File too large: ${originalName}. Maximum size is ${limit / MB}MB.`);
+        const checksum = input.sha256 ? String(input.sha256).toLowerCase() : null;
+        if (checksum && !/^[0-9a-f]{64}$/.test(checksum)) throw new UploadSessionError(`Invalid sha256 for ${originalName}`);
+        return {
+            fileId,
+            originalName,
+            name,
+            size,
+            sha256: checksum,
+            // Opaque client key (e.g. name, size and modification time) to find the file again after a reload
+            fingerprint: input.fingerprint ? String(input.fingerprint).slice(0, 512) : null,
+            chunkSize: this.chunkSize,
+            totalChunks: Math.ceil(size / this.chunkSize)
+        };
+    }
+
+    // Expected byte length of chunk index of a file
+    chunkLength(file, index) {
+        return index === file.totalChunks - 1 ? file.size - index * file.chunkSize : file.chunkSize;
+    }
+
+    async receivedChunks(sessionId, file) {
+        const dir = path.join(this.sessionDir(sessionId), file.fileId);
+        const names = await fs.readdir(dir).catch(() => []);
+        return names
+            .filter(name => /^\d+$/.test(name))
+            .map(Number)
+            .filter(index => index < file.totalChunks)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Open a session: { processingMode, files: [{ name, size, sha256?, fingerprint? }] } (files may
+     * also be added later). Returns status().
+     */
+    async create({ processingMode, files = [] }) {
+        const sessionId = crypto.randomUUID();
+        await fs.ensureDir(this.sessionDir(sessionId));
+        const now = new Date().toISOString();
+        await this.writeState({ sessionId, processingMode, chunkSize: this.chunkSize, createdAt: now, files: [] });
+        try {
+            await this.addFiles(sessionId, files);
+        } catch (error) {
+            await fs.remove(this.sessionDir(sessionId));
+            throw error;
+        }
+        console.log(`[UploadSessions] Opened ${sessionId} with ${files.length} file(s)`);
+        this.purgeExpired().catch(error => console.warn(`[UploadSessions] Cleanup failed: ${error.message}`));
+        return this.status(sessionId);
+    }
+
+    // Register more files; a file whose fingerprint is already registered is returned as it is
+    async addFiles(sessionId, files) {
+        if (!Array.isArray(files)) throw new UploadSessionError('files must be an array');
+        return this.withLock(sessionId, async () => {
+            const state = await this.readState(sessionId);
+            if (state.finalized) throw new UploadSessionError('Upload session is already finalized', 409);
+            const added = [];
+            for (const input of files) {
+                const known = input && input.fingerprint && state.files.find(f => f.fingerprint === String(input.fingerprint));
+                if (known) continue;
+                added.push(this.normalizeFile(input, crypto.randomUUID()));
+            }
+            if (state.files.length + added.length > maxFiles()) {
+                throw new UploadSessionError(`Too many files. Maximum is ${maxFiles()} files per upload.`);
+            }
+            state.files.push(...added);
+            await this.writeState(state);
+            return state.files;
+        });
+    }
+
+    /**
+     * { sessionId, processingMode, chunkSize, finalized, files: [{ fileId, name, originalName, size,
+     * fingerprint, totalChunks, received: [indexes], complete }] }
+     */
+    async status(sessionId) {
+        const state = await this.readState(sessionId);
+        const files = [];
+        for (const file of state.files) {
+            const received = await this.receivedChunks(sessionId, file);
+            files.push({
+                fileId: file.fileId,
+                name: file.name,
+                originalName: file.originalName,
+                size: file.size,
+                fingerprint: file.fingerprint,
+                totalChunks: file.totalChunks,
+                received,
+                complete: received.length === file.totalChunks
+            });
+        }
+        return { sessionId, processingMode: state.processingMode, chunkSize: state.chunkSize, finalized: !!state.finalized, files };
+    }
+
+    /**
+     * Store chunk index of a file after checking its length and SHA-256 (hex). Sending a chunk again
+     * replaces it. Returns { fileId, index, received, totalChunks }.
+     */
+    async writeChunk(sessionId, fileId, index, data, checksum) {
+        const state = await this.readState(sessionId);
+        if (state.finalized) throw new UploadSessionError('Upload session is already finalized', 409);
+        const file = state.files.find(f => f.fileId === fileId);
+        if (!file) throw new UploadSessionError('File not found in upload session', 404);
+        const chunk = Number(index);
+        if (!Number.isInteger(chunk) || chunk < 0 || chunk >= file.totalChunks) {
+            throw new UploadSessionError(`Chunk index must be 0-${file.totalChunks - 1}`);
+        }
+        if (!Buffer.isBuffer(data) || data.length !== this.chunkLength(file, chunk)) {
+            throw new UploadSessionError(`Chunk ${chunk} of ${file.originalName} must be ${this.chunkLength(file, chunk)} bytes`);
+        }
+        if (!checksum) throw new UploadSessionError('X-Chunk-Sha256 header is required');
+        if (sha256(data) !== String(checksum).toLowerCase()) {
+            throw new UploadSessionError(`Checksum mismatch for chunk ${chunk} of ${file.originalName}`, 422);
+        }
+        const dir = path.join(this.sessionDir(sessionId), fileId);
+        await fs.ensureDir(dir);
+        const target = path.join(dir, String(chunk));
+        const temp = `${target}.${crypto.randomUUID()}.tmp`;
+        await fs.writeFile(temp, data);
+        await fs.move(temp, target, { overwrite: true });
+        const received = await this.receivedChunks(sessionId, file);
+        return { fileId, index: chunk, received: received.length, totalChunks: file.totalChunks };
+    }
+
+    async assembleFile(sessionId, file) {
+        const dir = path.join(this.sessionDir(sessionId), file.fileId);
+        // Same naming as multer's temporary files
+        const filename = `${Date.now()}-${file.name}`;
+        const target = path.join(this.sessionDir(sessionId), filename);
+        const hash = crypto.createHash('sha256');
+        const out = fs.createWriteStream(target);
+        try {
+            for (let index = 0; index < file.totalChunks; index++) {
+                const data = await fs.readFile(path.join(dir, String(index)));
+                hash.update(data);
+                if (!out.write(data)) await new Promise(resolve => out.once('drain', resolve));
+            }
+        } finally {
+            await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+        }
+        if (file.sha256 && hash.digest('hex') !== file.sha256) {
+            // The chunks do not make up the announced file: drop them so it is sent again
+            await fs.remove(target);
+            await fs.remove(dir);
+            throw new UploadSessionError(`Checksum mismatch for ${file.originalName}; its chunks were discarded, upload it again`, 422);
+        }
+        return {
+            originalname: file.originalName,
+            filename,
+            path: target,
+            size: file.size,
+            mimetype: archiveIngest.mimeType(file.name)
+        };
+    }
+
+    /**
+     * Assemble every file once all chunks are in. Returns { processingMode, files } with files shaped
+     * like multer's (originalname, filename, path, size, mimetype); they stay in the staging folder until
+     * discard(). Throws UploadSessionError 409 listing what is missing.
+     */
+    async finalize(sessionId) {
+        return this.withLock(sessionId, async () => {
+            const state = await this.readState(sessionId);
+            if (state.finalized) throw new UploadSessionError('Upload session is already finalized', 409);
+            if (state.files.length === 0) throw new UploadSessionError('No files in upload session');
+            const incomplete = [];
+            for (const file of state.files) {
+                const received = await this.receivedChunks(sessionId, file);
+                if (received.length < file.totalChunks) incomplete.push(`${file.originalName} (${received.length}/${file.totalChunks} chunks)`);
+            }
+            if (incomplete.length) {
+                throw new UploadSessionError(`Upload incomplete: ${incomplete.join(', ')}`, 409);
+            }
+            const files = [];
+            try {
+                for (const file of state.files) {
+                    files.push(await this.assembleFile(sessionId, file));
+                }
+            } catch (error) {
+                // Chunks are kept (except a file that failed its checksum) so finalizing can be retried
+                await Promise.all(files.map(file => fs.remove(file.path)));
+                throw error;
+            }
+            await Promise.all(state.files.map(file => fs.remove(path.join(this.sessionDir(sessionId), file.fileId))));
+            state.finalized = new Date().toISOString();
+            await this.writeState(state);
+            return { processingMode: state.processingMode, files };
+        });
+    }
+
+    async discard(sessionId) {
+        await fs.remove(this.sessionDir(sessionId));
+    }
+
+    // Remove unfinished sessions nobody touched within the TTL
+    async purgeExpired(now = Date.now()) {
+        const names = await fs.readdir(this.root).catch(() => []);
+        for (const name of names) {
+            if (!ID_PATTERN.test(name)) continue;
+            const dir = path.join(this.root, name);
+            const entries = [dir, ...(await fs.readdir(dir).catch(() => [])).map(entry => path.join(dir, entry))];
+            const stats = await Promise.all(entries.map(entry => fs.stat(entry).catch(() => null)));
+            const touched = Math.max(...stats.filter(Boolean).map(stat => stat.mtimeMs));
+            if (now - touched > ttl()) {
+                await fs.remove(dir);
+                console.log(`[UploadSessions] Removed expired upload session ${name}`);
+            }
+        }
+    }
+}
+
+module.exports = UploadSessions;
+module.exports.UploadSessionError = UploadSessionError;
+module.exports.defaultChunkSize = defaultChunkSize;
@@ -3,6 +3,8 @@ const path = require('path');
 const fse = require('fs-extra');
 const XLSX = require('xlsx');
 const crypto = require('crypto');
+const jobManifest = require('./jobManifest');
+const photoQuality = require('./photoQuality');
 // SOAP configuration via environment (with safe defaults)
 const SOAP_ACTION = process.env.VAULT_SOAP_ACTION || '';
 const SOAP_NAMESPACE = process.env.VAULT_SOAP_NAMESPACE || 'http://tempuri.org/';
@@ -521,6 +523,7 @@ function readRowsFromOutputDir(outputDir) {
 /**
  * Try to attach base64 photo to the profile if a matching image file is found.
  * We attempt filename patterns based on CardNo.
+ * Only the top level of the job folder is searched: renditions and debug overlays live in subfolders.
  */
 function tryAttachPhoto(outputDir, profile) {
   const baseCandidates = [];
@@ -562,6 +565,33 @@ function photoExists(outputDir, cardNo, staffNo = '') {
   return false;
 }
 
+/**
+ * Photos that failed the quality gate (and were not overridden) in a job output directory,
+ * keyed by output filename. Empty when the directory has no manifest.
+ */
+function loadQualityBlocks(outputDir) {
+  const blocks = new Map();
+  const manifest = jobManifest.readSync(outputDir);
+  for (const entry of (manifest && manifest.files) || []) {
+    if (entry.output && photoQuality.isBlocked(entry)) blocks.set(entry.output, entry);
+  }
+  return blocks;
+}
+
+// The blocked manifest entry for the photo tryAttachPhoto would pick, or null
+function qualityBlockFor(outputDir, blocks, profile) {
+  if (!blocks.size) return null;
+  const candidates = [];
+  if (profile.CardNo) candidates.push(`${profile.CardNo}.jpg`, `${profile.CardNo}.jpeg`, `${profile.CardNo}.png`);
+  if (profile.StaffNo) candidates.push(`${profile.StaffNo}.jpg`, `${profile.StaffNo}.jpeg`, `${profile.StaffNo}.png`);
+  const found = candidates.find(fname => fs.existsSync(path.join(outputDir, fname)));
+  return found ? blocks.get(found) || null : null;
+}
+
+function qualityReasonText(entry) {
+  return (entry.quality.reasons || []).filter(r => r.severity === 'fail').map(r => r.message).join('; ') || 'Photo failed quality check';
+}
+
 /**
  * Register all cards for a given job output directory
  */
@@ -573,6 +603,7 @@ async function registerJobToVault({ jobId, outputDir, endpointBaseUrl, overrides
     registered: 0,
     withPhoto: 0,
     withoutPhoto: 0,
+    excluded: 0,
     errors: [],
     details: [],
   };
@@ -608,6 +639,8 @@ async function registerJobToVault({ jobId, outputDir, endpointBaseUrl, overrides
   }
   appendJsonLog(outputDir, { event: 'override_map_ready', count: overrideMap.size });
   logInfo(outputDir, `Override map ready: ${overrideMap.size} item(s)`);
+  const qualityBlocks = loadQualityBlocks(outputDir);
+  if (qualityBlocks.size) logInfo(outputDir, `Quality gate: ${qualityBlocks.size} photo(s) failed; their cards are registered without a photo unless overridden`);
 
   for (let i = 0; i < rows.length; i++) {
     const row = rows[i];
@@ -638,11 +671,21 @@ async function registerJobToVault({ jobId, outputDir, endpointBaseUrl, overrides
       continue; // skip SOAP call
     }
 
+    // A photo that failed the quality gate is withheld; the card is registered without it
+    const blocked = qualityBlockFor(outputDir, qualityBlocks, profile);
+    const withheld = blocked ? { excluded: true, qualityReasons: blocked.quality.reasons } : {};
+    if (blocked) {
+      const reason = qualityReasonText(blocked);
+      result.excluded += 1;
+      logInfo(outputDir, `Row ${i}: photo ${blocked.output} withheld, failed quality check (${reason})`);
+      appendJsonLog(outputDir, { event: 'photo_quality_excluded', index: i, cardNo: profile.CardNo, photo: blocked.output, reasons: blocked.quality.reasons });
+    }
+
     const photoCandidates = [];
     if (profile.CardNo) photoCandidates.push(`${profile.CardNo}.jpg`, `${profile.CardNo}.jpeg`, `${profile.CardNo}.png`);
     if (profile.StaffNo) photoCandidates.push(`${profile.StaffNo}.jpg`, `${profile.StaffNo}.jpeg`, `${profile.StaffNo}.png`);
-    appendJsonLog(outputDir, { event: 'photo_candidates', index: i, candidates: photoCandidates });
-    const hasPhoto = tryAttachPhoto(outputDir, profile);
+    appendJsonLog(outputDir, { event: 'photo_candidates', index: i, candidates: blocked ? [] : photoCandidates });
+    const hasPhoto = !blocked && tryAttachPhoto(outputDir, profile);
     appendJsonLog(outputDir, { event: 'photo_attach_result', index: i, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0 });
     if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
     const envelope = buildAddCardEnvelope(profile, { namespace: SOAP_NAMESPACE, soapVersion: SOAP_VERSION });
@@ -672,7 +715,7 @@ async function registerJobToVault({ jobId, outputDir, endpointBaseUrl, overrides
           logInfo(outputDir, `Row ${i}: VAULT_ERROR for cardNo=${profile.CardNo} errCode=${resp.errCode} message='${resp.errMessage || ''}'`);
         }
       }
-      result.details.push({ cardNo: profile.CardNo, name: profile.Name, hasPhoto, respCode: resp.errCode, respMessage: resp.errMessage });
+      result.details.push({ cardNo: profile.CardNo, name: profile.Name, hasPhoto, ...withheld, respCode: resp.errCode, respMessage: resp.errMessage });
     } catch (err) {
       result.errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo });
       logInfo(outputDir, `Row ${i}: REQUEST_FAILED for cardNo=${profile.CardNo} message=${err.message}`);
@@ -699,6 +742,7 @@ async function registerCsvPathToVault({ csvPath, endpointBaseUrl, overrides = []
     registered: 0,
     withPhoto: 0,
     withoutPhoto: 0,
+    excluded: 0,
     errors: [],
     details: [],
   };
@@ -736,6 +780,7 @@ async function registerCsvPathToVault({ csvPath, endpointBaseUrl, overrides = []
   }
   appendJsonLog(outputDir, { event: 'override_map_ready_csv', count: overrideMap.size });
   logInfo(outputDir, `Override map ready (CSV): ${overrideMap.size} item(s)`);
+  const qualityBlocks = loadQualityBlocks(outputDir);
 
   for (let i = 0; i < rows.length; i++) {
     const row = rows[i];
@@ -764,7 +809,17 @@ async function registerCsvPathToVault({ csvPath, endpointBaseUrl, overrides = []
       continue;
     }
 
-    const hasPhoto = tryAttachPhoto(outputDir, profile);
+    // A photo that failed the quality gate is withheld; the card is registered without it
+    const blocked = qualityBlockFor(outputDir, qualityBlocks, profile);
+    const withheld = blocked ? { excluded: true, qualityReasons: blocked.quality.reasons } : {};
+    if (blocked) {
+      const reason = qualityReasonText(blocked);
+      result.excluded += 1;
+      logInfo(outputDir, `Row ${i}: photo ${blocked.output} withheld (CSV), failed quality check (${reason})`);
+      appendJsonLog(outputDir, { event: 'photo_quality_excluded_csv', index: i, cardNo: profile.CardNo, photo: blocked.output, reasons: blocked.quality.reasons });
+    }
+
+    const hasPhoto = !blocked && tryAttachPhoto(outputDir, profile);
     appendJsonLog(outputDir, { event: 'photo_attach_result_csv', index: i, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0 });
     if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
     const envelope = buildAddCardEnvelope(profile, { namespace: SOAP_NAMESPACE, soapVersion: SOAP_VERSION });
@@ -791,7 +846,7 @@ async function registerCsvPathToVault({ csvPath, endpointBaseUrl, overrides = []
           logInfo(outputDir, `Row ${i}: VAULT_ERROR (CSV) for cardNo=${profile.CardNo} errCode=${resp.errCode} message='${resp.errMessage || ''}'`);
         }
       }
-      result.details.push({ cardNo: profile.CardNo, name: profile.Name, hasPhoto, respCode: resp.errCode, respMessage: resp.errMessage });
+      result.details.push({ cardNo: profile.CardNo, name: profile.Name, hasPhoto, ...withheld, respCode: resp.errCode, respMessage: resp.errMessage });
     } catch (err) {
       result.errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo });
       logInfo(outputDir, `Row ${i}: REQUEST_FAILED (CSV) for cardNo=${profile.CardNo} message=${err.message}`);
@@ -1036,6 +1091,7 @@ module.exports = {
       registered: 0,
       withPhoto: 0,
       withoutPhoto: 0,
+      excluded: 0,
       errors: [],
       details: [],
     };
@@ -1051,10 +1107,14 @@ module.exports = {
       return result;
     }
 
+    const qualityBlocks = loadQualityBlocks(outputDir);
     for (const row of rows) {
       const profile = mapRowToProfile(row);
       result.attempted += 1;
-      const hasPhoto = tryAttachPhoto(outputDir, profile);
+      // Rows whose photo failed the quality gate will be registered without the photo
+      const blocked = qualityBlockFor(outputDir, qualityBlocks, profile);
+      if (blocked) result.excluded += 1;
+      const hasPhoto = !blocked && tryAttachPhoto(outputDir, profile);
       if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
       result.details.push({
         cardNo: profile.CardNo,
@@ -1062,6 +1122,9 @@ module.exports = {
         department: profile.Department,
         staffNo: s(row['Staff No [Max 15]'] || row['Staff No. [Max 10]'] || row['Emp. No'] || row['Employee ID'] || row['ID'] || row['NIK']) || profile.CardNo,
         hasPhoto,
+        excluded: !!blocked,
+        qualityReasons: blocked ? blocked.quality.reasons : undefined,
+        photoFile: blocked ? blocked.output : undefined,
         sourceRow: row,
         profile,
       });
@@ -1081,6 +1144,7 @@ module.exports = {
       registered: 0,
       withPhoto: 0,
       withoutPhoto: 0,
+      excluded: 0,
       errors: [],
       details: [],
     };
@@ -1100,10 +1164,14 @@ module.exports = {
       return result;
     }
 
+    const qualityBlocks = loadQualityBlocks(outputDir);
     for (const row of rows) {
       const profile = mapRowToProfile(row);
       result.attempted += 1;
-      const hasPhoto = tryAttachPhoto(outputDir, profile);
+      // Rows whose photo failed the quality gate will be registered without the photo
+      const blocked = qualityBlockFor(outputDir, qualityBlocks, profile);
+      if (blocked) result.excluded += 1;
+      const hasPhoto = !blocked && tryAttachPhoto(outputDir, profile);
       if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
       result.details.push({
         cardNo: profile.CardNo,
@@ -1111,6 +1179,9 @@ module.exports = {
         department: profile.Department,
         staffNo: s(row['Staff No [Max 15]'] || row['Staff No. [Max 10]'] || row['Emp. No'] || row['Employee ID'] || row['ID'] || row['NIK']) || profile.CardNo,
         hasPhoto,
+        excluded: !!blocked,
+        qualityReasons: blocked ? blocked.quality.reasons : undefined,
+        photoFile: blocked ? blocked.output : undefined,
         sourceRow: row,
         profile,
       });
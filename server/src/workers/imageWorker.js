@@ -0,0 +1,45 @@
+// Worker thread entry: owns one ImageProcessor (BlazeFace / face-api loaded once) and
+// runs image tasks posted by ImageWorkerPool so inference stays off the main event loop.
+const { parentPort, workerData } = require('worker_threads');
+const ImageProcessor = require('../imageProcessor');
+
+const imageProcessor = new ImageProcessor();
+
+// Only these methods may be invoked from the main thread
+const ALLOWED_METHODS = ['cropAndResizeImage', 'recropImage', 'previewCrop', 'hashPhoto', 'analyzePhoto', 'compareDetectors'];
+
+async function init() {
+    try {
+        await imageProcessor.initializeFaceAPI();
+        parentPort.postMessage({
+            type: 'ready',
+            workerIndex: workerData && workerData.workerIndex,
+            detectors: {
+                tfBackend: imageProcessor.tfBackend,
+                blaze: imageProcessor.blazeAvailable,
+                faceapi: imageProcessor.faceSupport.available
+            },
+            report: imageProcessor.modelReport
+        });
+    } catch (err) {
+        parentPort.postMessage({ type: 'init_error', message: err.message });
+    }
+}
+
+// Tasks wait for the detectors; the pool posts the first one right after spawning the worker
+const ready = init();
+
+parentPort.on('message', async (msg) => {
+    if (!msg || msg.type !== 'task') return;
+    const { id, method, args } = msg;
+    try {
+        if (!ALLOWED_METHODS.includes(method)) {
+            throw new Error(`Method not allowed in worker: ${method}`);
+        }
+        await ready;
+        const result = await imageProcessor[method](...(args || []));
+        parentPort.postMessage({ type: 'result', id, result });
+    } catch (err) {
+        parentPort.postMessage({ type: 'error', id, message: err.message });
+    }
+});
@@ -7,6 +7,7 @@ import Index from "./pages/Index";
 import NotFound from "./pages/NotFound";
 import RegisterVault from "./pages/RegisterVault";
 import UpdateVaultCard from "./pages/UpdateVaultCard";
+import JobResults from "./pages/JobResults";
 
 const queryClient = new QueryClient();
 
@@ -20,6 +21,7 @@ const App = () => (
           <Route path="/" element={<Index />} />
           <Route path="/register-vault" element={<RegisterVault />} />
           <Route path="/update-vault" element={<UpdateVaultCard />} />
+          <Route path="/jobs/:id" element={<JobResults />} />
           {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
           <Route path="*" element={<NotFound />} />
         </Routes>
@@ -0,0 +1,244 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useToast } from '@/hooks/use-toast';
+
+type Box = { x: number; y: number; width: number; height: number };
+type CropBox = { x: number; y: number; size: number };
+
+// Subset of a manifest entry the editor needs
+export interface CropEditorFile {
+  filename: string;
+  faceBox: Box | null;
+  cropBox: CropBox | null;
+  // Aligned crop boxes refer to the rotated image, so they cannot be shown on the original
+  alignment?: { applied: boolean } | null;
+}
+
+interface CropEditorProps {
+  jobId: string;
+  file: CropEditorFile | null;
+  onOpenChange: (open: boolean) => void;
+  onSaved: (updated: unknown) => void;
+}
+
+type DragState = {
+  mode: 'move' | 'resize';
+  startX: number;
+  startY: number;
+  start: CropBox;
+};
+
+const MIN_CROP = 16;
+
+export function CropEditor({ jobId, file, onOpenChange, onSaved }: CropEditorProps) {
+  const { toast } = useToast();
+  const imgRef = useRef<HTMLImageElement>(null);
+  const dragRef = useRef<DragState | null>(null);
+  const [natural, setNatural] = useState<{ width: number; height: number } | null>(null);
+  const [displayWidth, setDisplayWidth] = useState(0);
+  const [crop, setCrop] = useState<CropBox | null>(null);
+  const [faceAreaPercentage, setFaceAreaPercentage] = useState(50);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setNatural(null);
+    setCrop(null);
+  }, [file]);
+
+  const initialCrop = (width: number, height: number): CropBox => {
+    if (file?.cropBox && !file.alignment?.applied) return file.cropBox;
+    const size = Math.floor(Math.min(width, height) * 0.75);
+    return { x: Math.floor((width - size) / 2), y: Math.floor((height - size) / 2), size };
+  };
+
+  const handleImageLoad = () => {
+    const img = imgRef.current;
+    if (!img) return;
+    setNatural({ width: img.naturalWidth, height: img.naturalHeight });
+    setDisplayWidth(img.clientWidth);
+    setCrop(initialCrop(img.naturalWidth, img.naturalHeight));
+  };
+
+  // Source pixels per displayed pixel
+  const scale = natural && displayWidth ? natural.width / displayWidth : 1;
+
+  const clampCrop = (box: CropBox): CropBox => {
+    if (!natural) return box;
+    const size = Math.round(Math.min(Math.max(box.size, MIN_CROP), natural.width, natural.height));
+    return {
+      x: Math.round(Math.max(0, Math.min(box.x, natural.width - size))),
+      y: Math.round(Math.max(0, Math.min(box.y, natural.height - size))),
+      size,
+    };
+  };
+
+  const startDrag = (mode: DragState['mode']) => (e: React.PointerEvent) => {
+    if (!crop) return;
+    e.preventDefault();
+    e.stopPropagation();
+    (e.target as Element).setPointerCapture(e.pointerId);
+    dragRef.current = { mode, startX: e.clientX, startY: e.clientY, start: crop };
+  };
+
+  const handlePointerMove = (e: React.PointerEvent) => {
+    const drag = dragRef.current;
+    if (!drag || !natural) return;
+    const dx = (e.clientX - drag.startX) * scale;
+    const dy = (e.clientY - drag.startY) * scale;
+    if (drag.mode === 'move') {
+      setCrop(clampCrop({ ...drag.start, x: drag.start.x + dx, y: drag.start.y + dy }));
+    } else {
+      // Keep the crop square and anchored at its top-left corner
+      const maxSize = Math.min(natural.width - drag.start.x, natural.height - drag.start.y);
+      const size = Math.min(Math.max(drag.start.size + Math.max(dx, dy), MIN_CROP), maxSize);
+      setCrop({ ...drag.start, size: Math.round(size) });
+    }
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const save = async (body: { cropBox: CropBox } | { faceAreaPercentage: number }) => {
+    if (!file) return;
+    setSaving(true);
+    try {
+      const res = await fetch(
+        `/api/jobs/${encodeURIComponent(jobId)}/files/${encodeURIComponent(file.filename)}/recrop`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.success) throw new Error(data.error || `HTTP ${res.status}`);
+      toast({ title: 'Saved', description: data.file?.message || 'Photo re-cropped' });
+      onSaved(data.file);
+    } catch (err) {
+      console.error('Error re-cropping photo:', err);
+      toast({
+        title: 'Error',
+        description: err instanceof Error ? err.message : 'Failed to re-crop photo',
+        variant: 'destructive',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toDisplay = (value: number) => value / scale;
+
+  return (
+    <Dialog open={!!file} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Edit crop</DialogTitle>
+          <DialogDescription>
+            {file?.filename} — drag the square to move it, drag its corner to resize. The dashed box is the detected face.
+          </DialogDescription>
+        </DialogHeader>
+
+        {file && (
+          <div
+            className="relative inline-block select-none touch-none max-h-[60vh]"
+            onPointerMove={handlePointerMove}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+          >
+            <img
+              ref={imgRef}
+              src={`/api/jobs/${encodeURIComponent(jobId)}/files/${encodeURIComponent(file.filename)}/original`}
+              alt={file.filename}
+              onLoad={handleImageLoad}
+              className="block max-w-full max-h-[60vh]"
+              draggable={false}
+            />
+            {natural && file.faceBox && (
+              <div
+                className="absolute border-2 border-dashed border-yellow-400 pointer-events-none"
+                style={{
+                  left: toDisplay(file.faceBox.x),
+                  top: toDisplay(file.faceBox.y),
+                  width: toDisplay(file.faceBox.width),
+                  height: toDisplay(file.faceBox.height),
+                }}
+              />
+            )}
+            {natural && crop && (
+              <div
+                className="absolute border-2 border-primary bg-primary/10 cursor-move"
+                style={{
+                  left: toDisplay(crop.x),
+                  top: toDisplay(crop.y),
+                  width: toDisplay(crop.size),
+                  height: toDisplay(crop.size),
+                }}
+                onPointerDown={startDrag('move')}
+              >
+                <div
+                  className="absolute -right-1.5 -bottom-1.5 h-3 w-3 bg-primary cursor-se-resize"
+                  onPointerDown={startDrag('resize')}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {crop && (
+          <p className="text-xs text-muted-foreground font-mono">
+            {crop.x},{crop.y} {crop.size}×{crop.size} px
+          </p>
+        )}
+
+        <div className="flex items-end gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="recrop-face-area">Face area %</Label>
+            <Input
+              id="recrop-face-area"
+              type="number"
+              min={5}
+              max={100}
+              value={faceAreaPercentage}
+              onChange={(e) => setFaceAreaPercentage(Number(e.target.value))}
+              className="w-24"
+            />
+          </div>
+          <Button
+            variant="outline"
+            onClick={() => save({ faceAreaPercentage })}
+            disabled={saving || !file}
+          >
+            Apply percentage
+          </Button>
+        </div>
+
+        <DialogFooter>
+          <Button
+            variant="ghost"
+            onClick={() => natural && setCrop(initialCrop(natural.width, natural.height))}
+            disabled={saving || !natural}
+          >
+            Reset
+          </Button>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={() => crop && save({ cropBox: crop })} disabled={saving || !crop}>
+            {saving ? 'Saving...' : 'Save crop'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+import { DetectionSettings } from '@/components/DetectorComparison';
+
+interface CropPreviewResponse {
+  success: boolean;
+  image: string;
+  width: number;
+  height: number;
+  detector: string;
+  faceBox: { x: number; y: number; width: number; height: number } | null;
+  faceCount: number;
+  alignment: { applied: boolean; angle?: number; reason?: string } | null;
+  tone: { strength: number; applied: boolean } | null;
+  background: { applied: boolean; confidence?: number; reason: string | null } | null;
+  imageSize: { width: number; height: number };
+  cached: boolean;
+  error?: string;
+}
+
+interface CropPreviewProps {
+  // Photos picked for upload; one of them is previewed
+  photos: File[];
+  faceAreaPercentage: number;
+  align: boolean;
+  toneNormalization: boolean;
+  // Background colour, or null to keep the background
+  background: string | null;
+  outputProfile: string;
+  detection: DetectionSettings;
+}
+
+// Slider moves are coalesced; the server reuses its cached detection, so each request only re-crops
+const DEBOUNCE_MS = 200;
+
+export function CropPreview({ photos, faceAreaPercentage, align, toneNormalization, background, outputProfile, detection }: CropPreviewProps) {
+  const [selectedName, setSelectedName] = useState<string | null>(null);
+  const [preview, setPreview] = useState<CropPreviewResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const photo = photos.find((p) => p.name === selectedName) ?? photos[0] ?? null;
+  // A new settings object arrives on every render; its JSON only changes with the settings
+  const detectionKey = JSON.stringify(detection);
+
+  useEffect(() => {
+    if (!photo) {
+      setPreview(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const formData = new FormData();
+        formData.append('file', photo);
+        formData.append('faceAreaPercentage', String(faceAreaPercentage));
+        formData.append('align', String(align));
+        formData.append('toneNormalization', String(toneNormalization));
+        if (background) formData.append('background', background);
+        formData.append('outputProfile', outputProfile);
+        formData.append('detection', detectionKey);
+        const response = await fetch('/api/crop-preview', { method: 'POST', body: formData });
+        const result: CropPreviewResponse = await response.json();
+        if (!response.ok || !result.success) throw new Error(result.error || `HTTP ${response.status}`);
+        if (!cancelled) {
+          setPreview(result);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Preview failed');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [photo, faceAreaPercentage, align, toneNormalization, background, outputProfile, detectionKey]);
+
+  if (photos.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <Label>Crop Preview</Label>
+        {photos.length > 1 && (
+          <Select value={photo?.name} onValueChange={setSelectedName}>
+            <SelectTrigger className="w-[220px] h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {photos.map((p) => (
+                <SelectItem key={p.name} value={p.name}>{p.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+      </div>
+      <div className="flex items-start gap-4">
+        <div className="relative h-40 w-40 rounded border bg-muted flex items-center justify-center overflow-hidden">
+          {preview && <img src={preview.image} alt="Crop preview" className="max-h-full max-w-full object-contain" />}
+          {loading && <Loader2 className="absolute h-5 w-5 animate-spin text-muted-foreground" />}
+        </div>
+        <div className="text-xs text-muted-foreground space-y-1">
+          {error ? (
+            <p className="text-red-600">{error}</p>
+          ) : preview ? (
+            <>
+              <div>
+                {preview.detector === 'heuristic' ? (
+                  <Badge variant="outline" className="text-yellow-700 border-yellow-300">no face found: centre crop</Badge>
+                ) : (
+                  <Badge variant="outline">{preview.detector}</Badge>
+                )}
+              </div>
+              {preview.faceBox && (
+                <p>
+                  Face {preview.faceBox.width}x{preview.faceBox.height} at {preview.faceBox.x},{preview.faceBox.y} in a {preview.imageSize.width}x{preview.imageSize.height} photo
+                  {preview.faceCount > 1 && ` (${preview.faceCount} faces, largest used)`}
+                </p>
+              )}
+              <p>{preview.alignment?.applied ? `Aligned ${preview.alignment.angle}°` : `Not aligned: ${preview.alignment?.reason ?? 'disabled'}`}</p>
+              {toneNormalization && (
+                <p>
+                  {preview.tone?.applied
+                    ? `Tone normalized (strength ${Math.round(preview.tone.strength * 100)}%)`
+                    : `Tone unchanged${preview.tone ? '' : ': no face to measure'}`}
+                </p>
+              )}
+              {preview.background && (
+                <p className={preview.background.applied ? undefined : 'text-yellow-700'}>
+                  {preview.background.applied
+                    ? `Background replaced (mask confidence ${preview.background.confidence?.toFixed(2)})`
+                    : `Background kept: ${preview.background.reason}`}
+                </p>
+              )}
+              <p>Output {preview.width}x{preview.height}</p>
+            </>
+          ) : (
+            <p>Loading preview...</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
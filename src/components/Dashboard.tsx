@@ -320,6 +320,7 @@ export function Dashboard() {
                         <div className="flex-shrink-0">
                           {job.status === 'COMPLETED' && <CheckCircle className="h-4 w-4 text-green-500" />}
                           {job.status === 'FAILED' && <XCircle className="h-4 w-4 text-red-500" />}
+                          {job.status === 'CANCELLED' && <XCircle className="h-4 w-4 text-gray-400" />}
                           {(job.status === 'PENDING' || job.status === 'PROCESSING') && 
                             <Activity className="h-4 w-4 text-blue-500" />}
                         </div>
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import { Download, Loader2, ScanFace } from 'lucide-react';
+
+// Detector chain and thresholds of a job; chain null means the server's default order
+export interface DetectionSettings {
+  chain: string[] | null;
+  minConfidence: number;
+  inputSize: number;
+}
+
+interface DetectorSummary {
+  name: string;
+  label: string;
+  available: boolean;
+  photos: number;
+  found: number;
+  avgMs: number | null;
+  avgScore: number | null;
+  errors: number;
+}
+
+interface ComparisonResponse {
+  success: boolean;
+  summary: DetectorSummary[];
+  image: string;
+  error?: string;
+}
+
+interface DetectorComparisonProps {
+  photos: File[];
+  settings: DetectionSettings;
+}
+
+// The server keeps at most 10 uploads per request and samples 8 of them by default
+const MAX_PHOTOS = 10;
+
+export function DetectorComparison({ photos, settings }: DetectorComparisonProps) {
+  const { toast } = useToast();
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState<ComparisonResponse | null>(null);
+
+  const handleCompare = async () => {
+    setRunning(true);
+    try {
+      const formData = new FormData();
+      photos.slice(0, MAX_PHOTOS).forEach((photo) => formData.append('files', photo));
+      formData.append('minConfidence', String(settings.minConfidence));
+      formData.append('inputSize', String(settings.inputSize));
+      const response = await fetch('/api/detector-comparison', { method: 'POST', body: formData });
+      const body: ComparisonResponse = await response.json();
+      if (!response.ok || !body.success) throw new Error(body.error || `HTTP ${response.status}`);
+      setResult(body);
+    } catch (error) {
+      console.error('Detector comparison error:', error);
+      toast({
+        title: 'Comparison failed',
+        description: error instanceof Error ? error.message : 'Failed to compare detectors',
+        variant: 'destructive',
+      });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <>
+      <Button variant="outline" size="sm" onClick={handleCompare} disabled={running || photos.length === 0}>
+        {running ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <ScanFace className="h-4 w-4 mr-1" />}
+        Compare detectors
+      </Button>
+
+      <Dialog open={!!result} onOpenChange={(open) => !open && setResult(null)}>
+        <DialogContent className="max-w-5xl max-h-[90vh] overflow-auto">
+          <DialogHeader>
+            <DialogTitle>Detector Comparison</DialogTitle>
+            <DialogDescription>
+              Every detector was run alone on a sample of the selected photos (min confidence {settings.minConfidence},
+              tiny input {settings.inputSize}). Green boxes are the faces each detector would crop around.
+            </DialogDescription>
+          </DialogHeader>
+          {result && (
+            <div className="space-y-4">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Detector</TableHead>
+                    <TableHead>Faces found</TableHead>
+                    <TableHead>Avg. time</TableHead>
+                    <TableHead>Avg. score</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {result.summary.map((detector) => (
+                    <TableRow key={detector.name}>
+                      <TableCell>
+                        {detector.label}
+                        {!detector.available && <Badge variant="outline" className="ml-2">not loaded</Badge>}
+                      </TableCell>
+                      <TableCell>{detector.available ? `${detector.found} / ${detector.photos}` : '—'}</TableCell>
+                      <TableCell>{detector.avgMs !== null ? `${detector.avgMs} ms` : '—'}</TableCell>
+                      <TableCell>
+                        {detector.avgScore !== null ? detector.avgScore.toFixed(2) : '—'}
+                        {detector.errors > 0 && <span className="text-xs text-red-600 ml-2">{detector.errors} error(s)</span>}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              <img src={result.image} alt="Detector comparison contact sheet" className="w-full rounded border" />
+              <Button variant="outline" size="sm" asChild>
+                <a href={result.image} download="detector-comparison.jpg">
+                  <Download className="h-4 w-4 mr-1" />
+                  Download contact sheet
+                </a>
+              </Button>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
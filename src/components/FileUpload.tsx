@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -7,8 +7,10 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
 import { Separator } from '@/components/ui/separator';
 import { ScrollArea } from '@/components/ui/scroll-area';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { 
   Upload, 
   X, 
@@ -16,68 +18,250 @@ import {
   FileSpreadsheet, 
   AlertCircle, 
   CheckCircle,
-  Loader2
+  Loader2,
+  RotateCcw
 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
+import FileUploadZone, { SelectedFile } from '@/components/FileUploadZone';
+import {
+  StoredUploadSession,
+  discardStoredSession,
+  fileFingerprint,
+  finalizeSession,
+  openSession,
+  storedSession,
+  uploadSessionFile,
+} from '@/lib/resumableUpload';
+import { CropPreview } from '@/components/CropPreview';
+import { DetectorComparison, DetectionSettings } from '@/components/DetectorComparison';
 
 interface FileUploadProps {
   onUploadComplete?: (jobId: string) => void;
   onUploadStart?: () => void;
 }
 
+// HEIC/HEIF and some BMP/TIFF files arrive without a MIME type, so the extension is checked too
+const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/tiff', 'image/bmp', 'image/x-ms-bmp', 'image/gif', 'image/heic', 'image/heif', 'image/avif'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.jfif', '.png', '.webp', '.tif', '.tiff', '.bmp', '.gif', '.heic', '.heif', '.avif'];
+const IMAGE_ACCEPT = [...IMAGE_TYPES, ...IMAGE_EXTENSIONS].join(',');
+
+const isImageFile = (file: File) =>
+  IMAGE_TYPES.includes(file.type) || IMAGE_EXTENSIONS.some((ext) => file.name.toLowerCase().endsWith(ext));
+
+// ZIP archives (with folders inside) are unpacked by the server; their contents are checked there
+const isArchiveFile = (file: File) => file.name.toLowerCase().endsWith('.zip');
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_ARCHIVE_SIZE = 512 * 1024 * 1024; // 512MB, the server's default ARCHIVE_MAX_MB
+
+interface UploadedArchive {
+  name: string;
+  extracted: number;
+  skipped: { name: string; reason: string }[];
+}
+
+interface OutputProfile {
+  name: string;
+  label: string;
+  format: 'jpeg' | 'png' | 'webp';
+  // How far tone normalization corrects this rendition (0-1)
+  toneStrength: number;
+}
+
+interface DetectorInfo {
+  name: string;
+  label: string;
+  available: boolean;
+}
+
+interface EmployeeIdRuleSet {
+  name: string;
+  label: string;
+  description: string | null;
+  builtin: boolean;
+}
+
+interface EmployeeIdPreview {
+  files: {
+    filename: string;
+    employeeId: string;
+    name: string | null;
+    label: string | null;
+    matched: boolean;
+  }[];
+  duplicates: { employeeId: string; filenames: string[] }[];
+  unmatched: number;
+}
+
 interface UploadFile {
   file: File;
+  // Path inside a dropped folder, or the file name
+  path: string;
   id: string;
-  status: 'pending' | 'uploading' | 'success' | 'error';
+  // interrupted: some chunks are on the server; uploading again resumes the file
+  status: 'pending' | 'uploading' | 'success' | 'error' | 'interrupted';
   progress: number;
   error?: string;
 }
 
 export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps) {
   const [files, setFiles] = useState<UploadFile[]>([]);
-  const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [processingMode, setProcessingMode] = useState<'images_only' | 'images_and_excel'>('images_and_excel');
   const [radiusPercentage, setRadiusPercentage] = useState(15);
   const [processExcel, setProcessExcel] = useState(true);
-  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [alignFaces, setAlignFaces] = useState(true);
+  const [discardDuplicates, setDiscardDuplicates] = useState(true);
+  const [debugOverlays, setDebugOverlays] = useState(false);
+  const [toneNormalization, setToneNormalization] = useState(false);
+  const [replaceBackground, setReplaceBackground] = useState(false);
+  const [groupPhotos, setGroupPhotos] = useState(false);
+  const [backgroundColor, setBackgroundColor] = useState('#ffffff');
+  // null until the server has answered; false when the segmentation model is not installed
+  const [segmentationAvailable, setSegmentationAvailable] = useState<boolean | null>(null);
+  const [detectors, setDetectors] = useState<DetectorInfo[]>([]);
+  const [inputSizes, setInputSizes] = useState<number[]>([]);
+  // 'default' or the chain as comma-separated detector names
+  const [detectorChain, setDetectorChain] = useState('default');
+  const [minConfidence, setMinConfidence] = useState(0.3);
+  const [inputSize, setInputSize] = useState(416);
+  const [outputProfiles, setOutputProfiles] = useState<OutputProfile[]>([]);
+  const [primaryProfile, setPrimaryProfile] = useState('default');
+  const [extraProfiles, setExtraProfiles] = useState<string[]>([]);
+  const [idRuleSets, setIdRuleSets] = useState<EmployeeIdRuleSet[]>([]);
+  const [idRuleSet, setIdRuleSet] = useState('default');
+  const [idPreview, setIdPreview] = useState<EmployeeIdPreview | null>(null);
+  // Upload left unfinished in an earlier visit (or before a reload)
+  const [unfinishedUpload, setUnfinishedUpload] = useState<StoredUploadSession | null>(() => storedSession());
   const { toast } = useToast();
 
+  useEffect(() => {
+    fetch('/api/output-profiles')
+      .then((response) => response.json())
+      .then((result) => {
+        if (!result.success) return;
+        setOutputProfiles(result.profiles);
+        setPrimaryProfile(result.defaultProfile);
+      })
+      .catch((error) => console.error('Error loading output profiles:', error));
+
+    fetch('/api/employee-id-rules')
+      .then((response) => response.json())
+      .then((result) => {
+        if (!result.success) return;
+        setIdRuleSets(result.ruleSets);
+        setIdRuleSet(result.defaultRuleSet);
+      })
+      .catch((error) => console.error('Error loading employee ID rules:', error));
+
+    fetch('/api/detectors')
+      .then((response) => response.json())
+      .then((result) => {
+        if (!result.success) return;
+        setDetectors(result.detectors);
+        setInputSizes(result.inputSizes);
+        setMinConfidence(result.defaults.minConfidence);
+        setInputSize(result.defaults.inputSize);
+      })
+      .catch((error) => console.error('Error loading detectors:', error));
+
+    fetch('/api/background-replacement')
+      .then((response) => response.json())
+      .then((result) => {
+        if (!result.success) return;
+        setSegmentationAvailable(result.available);
+        setBackgroundColor(result.defaultColor);
+      })
+      .catch((error) => console.error('Error loading background replacement status:', error));
+  }, []);
+
+  const detection: DetectionSettings = {
+    chain: detectorChain === 'default' ? null : detectorChain.split(','),
+    minConfidence,
+    inputSize,
+  };
+  // "X only" and "X first, then the others" for every detector
+  const chainOptions = detectors.flatMap((detector) => {
+    const others = detectors.filter((d) => d.name !== detector.name).map((d) => d.name);
+    const note = detector.available ? '' : ' (not loaded)';
+    return [
+      { value: detector.name, label: `${detector.label} only${note}` },
+      { value: [detector.name, ...others].join(','), label: `${detector.label} first, then the others${note}` },
+    ];
+  });
+  const background = replaceBackground ? backgroundColor : null;
+  const photoFiles = files.filter((f) => f.status !== 'error' && isImageFile(f.file)).map((f) => f.file);
+
+  // Show how the selected rule set reads an employee ID from each photo name before anything is processed
+  const imageNames = files.filter((f) => f.status !== 'error' && isImageFile(f.file)).map((f) => f.file.name);
+  const imageNamesKey = imageNames.join('\n');
+  useEffect(() => {
+    if (imageNames.length === 0) {
+      setIdPreview(null);
+      return;
+    }
+    let cancelled = false;
+    fetch('/api/employee-id-rules/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filenames: imageNames, ruleSet: idRuleSet }),
+    })
+      .then((response) => response.json())
+      .then((result) => {
+        if (!cancelled && result.success) setIdPreview(result);
+      })
+      .catch((error) => console.error('Error previewing employee IDs:', error));
+    return () => {
+      cancelled = true;
+    };
+    // imageNamesKey stands in for imageNames, which is a new array on every render
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [imageNamesKey, idRuleSet]);
+
+  const duplicateIds = new Set((idPreview?.duplicates ?? []).map((d) => d.employeeId.toLowerCase()));
+
+  const toggleExtraProfile = (name: string, checked: boolean) => {
+    setExtraProfiles((prev) => (checked ? [...prev, name] : prev.filter((p) => p !== name)));
+  };
+
   const generateId = () => Math.random().toString(36).substr(2, 9);
 
   const validateFile = (file: File): string | null => {
-    const maxSize = 10 * 1024 * 1024; // 10MB
-    const imageTypes = ['image/jpeg', 'image/jpg', 'image/png'];
     const excelTypes = [
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       'application/vnd.ms-excel'
     ];
 
-    if (file.size > maxSize) {
+    if (isArchiveFile(file)) {
+      return file.size > MAX_ARCHIVE_SIZE ? 'ZIP archives must be less than 512MB' : null;
+    }
+
+    if (file.size > MAX_FILE_SIZE) {
       return 'File size must be less than 10MB';
     }
 
-    if (processingMode === 'images_only' && !imageTypes.includes(file.type)) {
-      return 'Only image files (JPEG, PNG) are allowed in images-only mode';
+    if (processingMode === 'images_only' && !isImageFile(file)) {
+      return 'Only image files (JPEG, PNG, WebP, TIFF, BMP, GIF, HEIC) are allowed in images-only mode';
     }
 
     if (processingMode === 'images_and_excel' && 
-        !imageTypes.includes(file.type) && 
+        !isImageFile(file) && 
         !excelTypes.includes(file.type)) {
-      return 'Only image files (JPEG, PNG) and Excel files are allowed';
+      return 'Only image files (JPEG, PNG, WebP, TIFF, BMP, GIF, HEIC) and Excel files are allowed';
     }
 
     return null;
   };
 
-  const addFiles = useCallback((newFiles: FileList | File[]) => {
-    const fileArray = Array.from(newFiles);
+  const addFiles = useCallback((newFiles: SelectedFile[]) => {
+    // A file selected again (e.g. to resume an unfinished upload) is listed once
+    const listed = new Set(files.map(f => fileFingerprint(f)));
     const validFiles: UploadFile[] = [];
 
-    fileArray.forEach(file => {
+    newFiles.filter(selected => !listed.has(fileFingerprint(selected))).forEach(({ file, path }) => {
       const error = validateFile(file);
       validFiles.push({
         file,
+        path,
         id: generateId(),
         status: error ? 'error' : 'pending',
         progress: 0,
@@ -96,32 +280,11 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
         variant: 'destructive',
       });
     }
-  }, [processingMode, toast]);
-
-  const handleDrag = useCallback((e: React.DragEvent) => {
-    e.preventDefault();
-    e.stopPropagation();
-    if (e.type === 'dragenter' || e.type === 'dragover') {
-      setDragActive(true);
-    } else if (e.type === 'dragleave') {
-      setDragActive(false);
-    }
-  }, []);
+  }, [files, processingMode, toast]);
 
-  const handleDrop = useCallback((e: React.DragEvent) => {
-    e.preventDefault();
-    e.stopPropagation();
-    setDragActive(false);
-
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      addFiles(e.dataTransfer.files);
-    }
-  }, [addFiles]);
-
-  const handleFileInput = (e: React.ChangeEvent<HTMLInputElement>) => {
-    if (e.target.files) {
-      addFiles(e.target.files);
-    }
+  const discardUnfinishedUpload = async () => {
+    await discardStoredSession();
+    setUnfinishedUpload(null);
   };
 
   const removeFile = (id: string) => {
@@ -132,7 +295,13 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
     setFiles([]);
   };
 
-  const handleUpload = async () => {
+  const updateFile = (id: string, changes: Partial<UploadFile>) => {
+    setFiles(prev => prev.map(f => (f.id === id ? { ...f, ...changes } : f)));
+  };
+
+  // Upload in chunks through a resumable upload session. only: ids of the files to send now (Resume on
+  // one file); the session is finalized and processed once every listed file is on the server.
+  const handleUpload = async (only?: string[]) => {
     const validFiles = files.filter(f => f.status !== 'error');
     if (validFiles.length === 0) {
       toast({
@@ -142,67 +311,81 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
       });
       return;
     }
+    const toSend = validFiles.filter(f => f.status !== 'success' && (!only || only.includes(f.id)));
+    const outstanding = validFiles.filter(f => f.status !== 'success' && !toSend.includes(f)).length;
 
     setUploading(true);
     onUploadStart?.();
 
     try {
-      const formData = new FormData();
-      
-      validFiles.forEach(({ file }) => {
-        formData.append('files', file);
-      });
+      // Every listed file is registered so the remembered session can be continued
+      const session = await openSession(processingMode, validFiles);
+      setUnfinishedUpload(storedSession());
+      const entries = new Map(session.files.map((entry) => [entry.fingerprint, entry]));
+
+      let interrupted = 0;
+      for (const uploadFile of toSend) {
+        const entry = entries.get(fileFingerprint(uploadFile));
+        if (!entry) continue;
+        updateFile(uploadFile.id, { status: 'uploading', error: undefined });
+        try {
+          await uploadSessionFile(session, entry, uploadFile.file, (fraction) =>
+            updateFile(uploadFile.id, { progress: Math.round(fraction * 100) })
+          );
+          updateFile(uploadFile.id, { status: 'success', progress: 100 });
+        } catch (error) {
+          interrupted += 1;
+          updateFile(uploadFile.id, {
+            status: 'interrupted',
+            error: error instanceof Error ? error.message : 'Upload interrupted'
+          });
+        }
+      }
 
-      formData.append('processingMode', processingMode);
+      if (interrupted > 0 || outstanding > 0) {
+        toast({
+          title: 'Upload Interrupted',
+          description: `${interrupted + outstanding} file(s) are not fully uploaded. Resume them from the file list; chunks already sent are kept.`,
+          variant: 'destructive',
+        });
+        return;
+      }
 
-      // Update file statuses to uploading
-      setFiles(prev => prev.map(f => 
-        f.status !== 'error' ? { ...f, status: 'uploading' as const, progress: 0 } : f
-      ));
+      const result = await finalizeSession<{
+        files: string[];
+        uploadPath: string;
+        archives?: UploadedArchive[];
+      }>(session.sessionId);
+      setUnfinishedUpload(null);
 
-      const response = await fetch('http://localhost:3001/api/upload', {
-        method: 'POST',
-        body: formData,
+      const archives: UploadedArchive[] = result.archives ?? [];
+      const skipped = archives.reduce((sum, archive) => sum + archive.skipped.length, 0);
+      toast({
+        title: 'Upload Successful',
+        description: archives.length
+          ? `${result.files.length} files uploaded successfully (${archives.reduce((sum, archive) => sum + archive.extracted, 0)} unpacked from ${archives.length} ZIP archive(s)${skipped ? `, ${skipped} archive entries skipped` : ''})`
+          : `${result.files.length} files uploaded successfully`,
       });
 
-      if (response.ok) {
-        const result = await response.json();
-        
-        if (result.success) {
-          // Update file statuses to success
-          setFiles(prev => prev.map(f => 
-            f.status === 'uploading' ? { ...f, status: 'success' as const, progress: 100 } : f
-          ));
-
-          toast({
-            title: 'Upload Successful',
-            description: `${result.files.length} files uploaded successfully`,
-          });
+      // Now process the uploaded files
+      await processFiles(result.files, result.uploadPath);
 
-          // Now process the uploaded files
-          await processFiles(result.files, result.uploadPath);
-          
-          // Clear files after successful upload
-          setTimeout(() => {
-            setFiles([]);
-          }, 2000);
-        } else {
-          throw new Error(result.error || 'Upload failed');
-        }
-      } else {
-        const error = await response.json();
-        throw new Error(error.error || 'Upload failed');
-      }
+      // Clear files after successful upload
+      setTimeout(() => {
+        setFiles([]);
+      }, 2000);
     } catch (error) {
       console.error('Upload error:', error);
-      
-      // Update file statuses to error
+      const remembered = storedSession();
+      setUnfinishedUpload(remembered);
+
+      // Files still in flight can be resumed; without a session (refused or expired) everything is sent again
       setFiles(prev => prev.map(f => 
         f.status === 'uploading' ? { 
           ...f, 
-          status: 'error' as const, 
+          status: 'interrupted' as const, 
           error: error instanceof Error ? error.message : 'Upload failed' 
-        } : f
+        } : !remembered && f.status === 'success' ? { ...f, status: 'pending' as const, progress: 0 } : f
       ));
 
       toast({
@@ -217,7 +400,7 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
 
   const processFiles = async (uploadedFiles: string[], uploadPath: string) => {
     try {
-      const response = await fetch('http://localhost:3001/api/process', {
+      const response = await fetch('/api/process', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -226,7 +409,17 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
           inputPath: uploadPath,
           processingMode,
           radiusPercentage: parseFloat(radiusPercentage.toString()),
-          processExcel
+          processExcel,
+          align: alignFaces,
+          employeeIdRules: idRuleSet,
+          duplicates: discardDuplicates ? 'keep_newest' : 'keep_all',
+          detection,
+          debugOverlays,
+          toneNormalization,
+          background,
+          groupPhotos,
+          // The first profile is the photo Vault uses; the rest are extra renditions
+          outputProfiles: [primaryProfile, ...extraProfiles.filter((name) => name !== primaryProfile)]
         }),
       });
 
@@ -273,6 +466,8 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
         return <CheckCircle className="h-4 w-4 text-green-500" />;
       case 'error':
         return <AlertCircle className="h-4 w-4 text-red-500" />;
+      case 'interrupted':
+        return <AlertCircle className="h-4 w-4 text-yellow-500" />;
       default:
         return null;
     }
@@ -288,7 +483,8 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
 
   const validFilesCount = files.filter(f => f.status !== 'error').length;
   const imageFiles = files.filter(f => f.file.type.startsWith('image/'));
-  const excelFiles = files.filter(f => !f.file.type.startsWith('image/'));
+  const archiveFiles = files.filter(f => isArchiveFile(f.file));
+  const excelFiles = files.filter(f => !f.file.type.startsWith('image/') && !isArchiveFile(f.file));
 
   return (
     <Card className="w-full">
@@ -317,9 +513,9 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
 
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
             <div className="space-y-2">
-              <Label htmlFor="radius-percentage">Radius Percentage: {radiusPercentage}%</Label>
+              <Label htmlFor="face-area-percentage">Face Area: {radiusPercentage}% of the photo</Label>
               <Input
-                id="radius-percentage"
+                id="face-area-percentage"
                 type="range"
                 min="5"
                 max="100"
@@ -338,55 +534,219 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
               />
               <Label htmlFor="process-excel">Process Excel Files</Label>
             </div>
+
+            <div className="flex items-center space-x-2">
+              <Switch
+                id="align-faces"
+                checked={alignFaces}
+                onCheckedChange={setAlignFaces}
+              />
+              <Label htmlFor="align-faces">Align faces (level eyes)</Label>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <Switch
+                id="discard-duplicates"
+                checked={discardDuplicates}
+                onCheckedChange={setDiscardDuplicates}
+              />
+              <Label htmlFor="discard-duplicates">Keep only the newest copy of re-uploaded photos</Label>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <Switch
+                id="debug-overlays"
+                checked={debugOverlays}
+                onCheckedChange={setDebugOverlays}
+              />
+              <Label htmlFor="debug-overlays">Write debug overlays (detections and crop drawn on each original)</Label>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <Switch
+                id="tone-normalization"
+                checked={toneNormalization}
+                onCheckedChange={setToneNormalization}
+              />
+              <Label htmlFor="tone-normalization">Normalize tone (exposure, white balance and contrast of the face)</Label>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <Switch
+                id="group-photos"
+                checked={groupPhotos}
+                onCheckedChange={setGroupPhotos}
+              />
+              <Label htmlFor="group-photos">Split group photos (one crop per face, assigned to roster rows on the results page)</Label>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <Switch
+                id="replace-background"
+                checked={replaceBackground}
+                onCheckedChange={setReplaceBackground}
+              />
+              <Label htmlFor="replace-background">
+                Replace background
+                {segmentationAvailable === false && ' (segmentation model not installed: photos will be flagged for review)'}
+              </Label>
+              {replaceBackground && (
+                <Input
+                  id="background-color"
+                  type="color"
+                  value={backgroundColor}
+                  onChange={(e) => setBackgroundColor(e.target.value)}
+                  className="w-12 h-8 p-1"
+                  aria-label="Background colour"
+                />
+              )}
+            </div>
           </div>
+
+          {detectors.length > 0 && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="detector-chain">Face Detector</Label>
+                <Select value={detectorChain} onValueChange={setDetectorChain}>
+                  <SelectTrigger id="detector-chain">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="default">Server default</SelectItem>
+                    {chainOptions.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="min-confidence">Min. Confidence: {minConfidence.toFixed(2)}</Label>
+                <Input
+                  id="min-confidence"
+                  type="range"
+                  min="0.05"
+                  max="0.95"
+                  step="0.05"
+                  value={minConfidence}
+                  onChange={(e) => setMinConfidence(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="input-size">Tiny Detector Input Size</Label>
+                <Select value={String(inputSize)} onValueChange={(value) => setInputSize(Number(value))}>
+                  <SelectTrigger id="input-size">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {inputSizes.map((size) => (
+                      <SelectItem key={size} value={String(size)}>{size}px</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="sm:col-span-3">
+                <DetectorComparison photos={photoFiles} settings={detection} />
+              </div>
+            </div>
+          )}
+
+          <CropPreview
+            photos={photoFiles}
+            faceAreaPercentage={radiusPercentage}
+            align={alignFaces}
+            toneNormalization={toneNormalization}
+            background={background}
+            outputProfile={primaryProfile}
+            detection={detection}
+          />
+
+          {outputProfiles.length > 0 && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="primary-profile">Photo Profile (used for Vault)</Label>
+                <Select value={primaryProfile} onValueChange={setPrimaryProfile}>
+                  <SelectTrigger id="primary-profile">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {outputProfiles
+                      .filter((profile) => profile.format !== 'webp')
+                      .map((profile) => (
+                        <SelectItem key={profile.name} value={profile.name}>
+                          {profile.label}
+                          {toneNormalization && ` (tone ${Math.round(profile.toneStrength * 100)}%)`}
+                        </SelectItem>
+                      ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2">
+                <Label>Extra Renditions</Label>
+                <div className="space-y-1">
+                  {outputProfiles
+                    .filter((profile) => profile.name !== primaryProfile)
+                    .map((profile) => (
+                      <div key={profile.name} className="flex items-center space-x-2">
+                        <Checkbox
+                          id={`profile-${profile.name}`}
+                          checked={extraProfiles.includes(profile.name)}
+                          onCheckedChange={(checked) => toggleExtraProfile(profile.name, checked === true)}
+                        />
+                        <Label htmlFor={`profile-${profile.name}`} className="font-normal">
+                          {profile.label}
+                          {toneNormalization && ` (tone ${Math.round(profile.toneStrength * 100)}%)`}
+                        </Label>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {idRuleSets.length > 0 && (
+            <div className="space-y-2">
+              <Label htmlFor="id-rule-set">Employee ID from File Name</Label>
+              <Select value={idRuleSet} onValueChange={setIdRuleSet}>
+                <SelectTrigger id="id-rule-set">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {idRuleSets.map((ruleSet) => (
+                    <SelectItem key={ruleSet.name} value={ruleSet.name}>{ruleSet.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {idRuleSets.find((ruleSet) => ruleSet.name === idRuleSet)?.description && (
+                <p className="text-xs text-muted-foreground">
+                  {idRuleSets.find((ruleSet) => ruleSet.name === idRuleSet)?.description}
+                </p>
+              )}
+            </div>
+          )}
         </div>
 
         <Separator />
 
         {/* File Drop Zone */}
-          <div
-            className={`border-2 border-dashed rounded-lg p-4 sm:p-8 text-center transition-colors ${
-              dragActive 
-                ? 'border-primary bg-primary/5' 
-                : 'border-muted-foreground/25 hover:border-muted-foreground/50'
-              }`}
-          onDragEnter={handleDrag}
-          onDragLeave={handleDrag}
-          onDragOver={handleDrag}
-          onDrop={handleDrop}
-        >
-          <Upload className="mx-auto h-12 w-12 text-muted-foreground mb-4" />
-          <div className="space-y-2">
-            <p className="text-lg font-medium">
-              Drop files here or click to browse
-            </p>
-            <p className="text-sm text-muted-foreground">
-              {processingMode === 'images_only' 
-                ? 'Supports: JPEG, PNG (max 10MB each)'
-                : 'Supports: JPEG, PNG, Excel files (max 10MB each)'
-              }
-            </p>
-          </div>
-          <Button
-            variant="outline"
-            className="mt-4"
-            onClick={() => fileInputRef.current?.click()}
-            disabled={uploading}
-          >
-            Browse Files
-          </Button>
-          <input
-            ref={fileInputRef}
-            type="file"
-            multiple
-            accept={processingMode === 'images_only' 
-              ? 'image/jpeg,image/jpg,image/png'
-              : 'image/jpeg,image/jpg,image/png,.xlsx,.xls'
-            }
-            onChange={handleFileInput}
-            className="hidden"
-          />
-        </div>
+        <FileUploadZone
+          onFilesSelected={addFiles}
+          accept={processingMode === 'images_only' 
+            ? `${IMAGE_ACCEPT},.zip`
+            : `${IMAGE_ACCEPT},.xlsx,.xls,.zip`
+          }
+          label="Drop files or folders here or click to browse"
+          sublabel={processingMode === 'images_only' 
+            ? 'Supports: JPEG, PNG (max 10MB each), ZIP archives of photos (max 512MB)'
+            : 'Supports: JPEG, PNG, Excel files (max 10MB each), ZIP archives of photos and the roster (max 512MB)'
+          }
+          disabled={uploading}
+          interrupted={(unfinishedUpload?.files ?? [])
+            .filter((stored) => !files.some((f) => fileFingerprint(f) === stored.fingerprint))
+            .map((stored) => stored.name)}
+          onDiscardInterrupted={discardUnfinishedUpload}
+        />
 
         {/* File List */}
         {files.length > 0 && (
@@ -395,6 +755,7 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
               <div className="flex space-x-4 text-sm text-muted-foreground">
                 <span>{imageFiles.length} image(s)</span>
                 <span>{excelFiles.length} Excel file(s)</span>
+                {archiveFiles.length > 0 && <span>{archiveFiles.length} ZIP archive(s)</span>}
                 <span>{validFilesCount} valid file(s)</span>
               </div>
               <Button
@@ -418,11 +779,14 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
                       {getFileIcon(uploadFile.file)}
                       <div className="flex-1 min-w-0">
                         <p className="text-sm font-medium truncate">
-                          {uploadFile.file.name}
+                          {uploadFile.path}
                         </p>
                         <p className="text-xs text-muted-foreground">
                           {formatFileSize(uploadFile.file.size)}
                         </p>
+                        {(uploadFile.status === 'uploading' || uploadFile.status === 'interrupted') && (
+                          <Progress value={uploadFile.progress} className="h-1 mt-1" />
+                        )}
                         {uploadFile.error && (
                           <p className="text-xs text-red-500 mt-1">
                             {uploadFile.error}
@@ -434,12 +798,23 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
                     <div className="flex items-center space-x-2">
                       <Badge variant={
                         uploadFile.status === 'success' ? 'default' :
-                        uploadFile.status === 'error' ? 'destructive' :
+                        uploadFile.status === 'error' || uploadFile.status === 'interrupted' ? 'destructive' :
                         uploadFile.status === 'uploading' ? 'secondary' : 'outline'
                       }>
                         {uploadFile.status}
                       </Badge>
                       {getStatusIcon(uploadFile.status)}
+                      {uploadFile.status === 'interrupted' && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleUpload([uploadFile.id])}
+                          disabled={uploading}
+                          title="Resume from the last chunk the server received"
+                        >
+                          <RotateCcw className="h-4 w-4" />
+                        </Button>
+                      )}
                       <Button
                         variant="ghost"
                         size="sm"
@@ -456,10 +831,55 @@ export function FileUpload({ onUploadComplete, onUploadStart }: FileUploadProps)
           </div>
         )}
 
+        {/* Employee ID Preview */}
+        {idPreview && idPreview.files.length > 0 && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <Label>Employee ID Preview</Label>
+              <div className="flex space-x-2">
+                {idPreview.unmatched > 0 && (
+                  <Badge variant="outline" className="text-yellow-700 border-yellow-300">
+                    {idPreview.unmatched} unmatched
+                  </Badge>
+                )}
+                {idPreview.duplicates.length > 0 && (
+                  <Badge variant="destructive">{idPreview.duplicates.length} duplicate ID(s)</Badge>
+                )}
+              </div>
+            </div>
+            <ScrollArea className="h-[200px] border rounded-lg">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>File</TableHead>
+                    <TableHead>Employee ID</TableHead>
+                    <TableHead>Name</TableHead>
+                    <TableHead>Rule</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {idPreview.files.map((file) => (
+                    <TableRow key={file.filename}>
+                      <TableCell className="max-w-[200px] truncate" title={file.filename}>{file.filename}</TableCell>
+                      <TableCell className={duplicateIds.has(file.employeeId.toLowerCase()) ? 'text-red-600 font-medium' : 'font-medium'}>
+                        {file.employeeId}
+                      </TableCell>
+                      <TableCell>{file.name || '—'}</TableCell>
+                      <TableCell className={file.matched ? 'text-xs text-muted-foreground' : 'text-xs text-yellow-700'}>
+                        {file.label || 'no rule matched (file name used)'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </ScrollArea>
+          </div>
+        )}
+
         {/* Upload Button */}
         <div className="flex justify-end">
           <Button
-            onClick={handleUpload}
+            onClick={() => handleUpload()}
             disabled={uploading || validFilesCount === 0}
             className="min-w-[120px]"
           >
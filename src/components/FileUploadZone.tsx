@@ -1,13 +1,47 @@
-import { useRef } from "react";
-import { Upload } from "lucide-react";
+import { useEffect, useRef, useState } from "react";
+import { FolderOpen, Upload } from "lucide-react";
+import { Button } from "@/components/ui/button";
 import { Card } from "@/components/ui/card";
 
+// A selected file with its path inside a dropped or chosen folder (just its name otherwise)
+export interface SelectedFile {
+  file: File;
+  path: string;
+}
+
 interface FileUploadZoneProps {
-  onFilesSelected: (files: FileList | null) => void;
+  onFilesSelected: (files: SelectedFile[]) => void;
   accept: string;
   label: string;
   sublabel: string;
   fileCount?: number;
+  disabled?: boolean;
+  // Files of an unfinished upload; selecting them again resumes each where it stopped
+  interrupted?: string[];
+  onDiscardInterrupted?: () => void;
+}
+
+// Folder contents the operating system adds (.DS_Store, Thumbs.db, ...)
+const isSystemFile = (name: string) =>
+  name.startsWith(".") || ["thumbs.db", "desktop.ini"].includes(name.toLowerCase());
+
+// Every file below a dropped entry, folders included
+async function readEntry(entry: FileSystemEntry, prefix = ""): Promise<SelectedFile[]> {
+  if (entry.isFile) {
+    const file = await new Promise<File>((resolve, reject) => (entry as FileSystemFileEntry).file(resolve, reject));
+    return [{ file, path: `${prefix}${file.name}` }];
+  }
+  if (!entry.isDirectory) return [];
+  const reader = (entry as FileSystemDirectoryEntry).createReader();
+  const children: FileSystemEntry[] = [];
+  // readEntries returns the folder in batches until it returns none
+  for (;;) {
+    const batch = await new Promise<FileSystemEntry[]>((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    children.push(...batch.filter((child) => !isSystemFile(child.name)));
+  }
+  const nested = await Promise.all(children.map((child) => readEntry(child, `${prefix}${entry.name}/`)));
+  return nested.flat();
 }
 
 const FileUploadZone = ({
@@ -16,33 +50,69 @@ const FileUploadZone = ({
   label,
   sublabel,
   fileCount = 0,
+  disabled = false,
+  interrupted = [],
+  onDiscardInterrupted,
 }: FileUploadZoneProps) => {
   const fileInputRef = useRef<HTMLInputElement>(null);
+  const folderInputRef = useRef<HTMLInputElement>(null);
+  const [dragActive, setDragActive] = useState(false);
+
+  // React does not know the folder picker attribute
+  useEffect(() => {
+    folderInputRef.current?.setAttribute("webkitdirectory", "");
+  }, []);
 
   const handleDragOver = (e: React.DragEvent) => {
     e.preventDefault();
     e.stopPropagation();
+    setDragActive(!disabled);
   };
 
-  const handleDrop = (e: React.DragEvent) => {
+  const handleDragLeave = (e: React.DragEvent) => {
     e.preventDefault();
     e.stopPropagation();
-    const files = e.dataTransfer.files;
-    onFilesSelected(files);
+    setDragActive(false);
+  };
+
+  const handleDrop = async (e: React.DragEvent) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+    if (disabled) return;
+    // Entries have to be taken before the first await; the drop data is gone afterwards
+    const entries = Array.from(e.dataTransfer.items)
+      .map((item) => item.webkitGetAsEntry?.())
+      .filter((entry): entry is FileSystemEntry => !!entry);
+    if (entries.length === 0) {
+      onFilesSelected(Array.from(e.dataTransfer.files).map((file) => ({ file, path: file.name })));
+      return;
+    }
+    const files = await Promise.all(entries.map((entry) => readEntry(entry)));
+    onFilesSelected(files.flat());
   };
 
   const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
-    onFilesSelected(e.target.files);
+    const files = Array.from(e.target.files ?? [])
+      .filter((file) => !isSystemFile(file.name))
+      .map((file) => ({ file, path: file.webkitRelativePath || file.name }));
+    // Selecting the same files again must fire another change event
+    e.target.value = "";
+    onFilesSelected(files);
   };
 
   const handleClick = () => {
-    fileInputRef.current?.click();
+    if (!disabled) fileInputRef.current?.click();
   };
 
   return (
     <Card
-      className="cursor-pointer border-2 border-dashed border-border bg-card transition-colors hover:border-muted-foreground/50"
+      className={`cursor-pointer border-2 border-dashed bg-card transition-colors ${
+        dragActive ? "border-primary bg-primary/5" : "border-border hover:border-muted-foreground/50"
+      }`}
       onDragOver={handleDragOver}
+      onDragEnter={handleDragOver}
+      onDragLeave={handleDragLeave}
       onDrop={handleDrop}
       onClick={handleClick}
     >
@@ -50,11 +120,48 @@ const FileUploadZone = ({
         <Upload className="h-12 w-12 text-muted-foreground/50" />
         <p className="mt-4 text-base font-medium text-foreground">{label}</p>
         <p className="mt-1 text-sm text-muted-foreground">{sublabel}</p>
+        <Button
+          variant="link"
+          size="sm"
+          className="mt-1"
+          disabled={disabled}
+          onClick={(e) => {
+            e.stopPropagation();
+            folderInputRef.current?.click();
+          }}
+        >
+          <FolderOpen className="h-4 w-4 mr-1" />
+          Choose a folder
+        </Button>
         {fileCount > 0 && (
           <p className="mt-2 text-sm font-medium text-primary">
             {fileCount} file{fileCount !== 1 ? "s" : ""} selected
           </p>
         )}
+        {interrupted.length > 0 && (
+          <div
+            className="mt-4 w-full max-w-md rounded-md border border-yellow-300 bg-yellow-50 p-3 text-left text-sm"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <p className="font-medium">
+              Unfinished upload of {interrupted.length} file{interrupted.length !== 1 ? "s" : ""}
+            </p>
+            <p className="text-muted-foreground">
+              Drop the same files or folder again to resume each file from the last chunk the server received.
+            </p>
+            <ul className="mt-1 list-inside list-disc text-xs text-muted-foreground">
+              {interrupted.slice(0, 5).map((name) => (
+                <li key={name} className="truncate">{name}</li>
+              ))}
+              {interrupted.length > 5 && <li>and {interrupted.length - 5} more</li>}
+            </ul>
+            {onDiscardInterrupted && (
+              <Button variant="link" size="sm" className="h-auto p-0" onClick={onDiscardInterrupted}>
+                Discard unfinished upload
+              </Button>
+            )}
+          </div>
+        )}
       </div>
       <input
         ref={fileInputRef}
@@ -62,6 +169,15 @@ const FileUploadZone = ({
         multiple
         accept={accept}
         onChange={handleFileSelect}
+        onClick={(e) => e.stopPropagation()}
+        className="hidden"
+      />
+      <input
+        ref={folderInputRef}
+        type="file"
+        multiple
+        onChange={handleFileSelect}
+        onClick={(e) => e.stopPropagation()}
         className="hidden"
       />
     </Card>
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { Loader2, Users } from 'lucide-react';
+
+interface RosterChoice {
+  empNo: string;
+  name: string;
+  row: number;
+  hasPhoto: boolean;
+}
+
+interface GroupFace {
+  filename: string;
+  index: number;
+  status: string;
+  employeeId: string | null;
+  output: string | null;
+  quality: 'pass' | 'warn' | 'fail' | null;
+  assigned: { empNo: string; name: string; row: number } | null;
+}
+
+interface GroupPhoto {
+  source: string;
+  count: number;
+  faces: GroupFace[];
+}
+
+interface GroupPhotosResponse {
+  success: boolean;
+  roster: string | null;
+  rows: RosterChoice[];
+  groups: GroupPhoto[];
+  error?: string;
+}
+
+interface GroupPhotoAssignmentProps {
+  jobId: string;
+  refreshKey?: number;
+  // Bumped by the page after re-crops so the thumbnails are reloaded
+  thumbVersion?: number;
+  // Called after crops were renamed so the page reloads the manifest
+  onAssigned?: () => void;
+}
+
+export function GroupPhotoAssignment({ jobId, refreshKey = 0, thumbVersion = 0, onAssigned }: GroupPhotoAssignmentProps) {
+  const { toast } = useToast();
+  const [groups, setGroups] = useState<GroupPhoto[]>([]);
+  const [rows, setRows] = useState<RosterChoice[]>([]);
+  const [roster, setRoster] = useState<string | null>(null);
+  // crop filename -> chosen Emp. No
+  const [choices, setChoices] = useState<Record<string, string>>({});
+  const [assigning, setAssigning] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/jobs/${encodeURIComponent(jobId)}/group-photos`)
+      .then(async (res) => {
+        const body: GroupPhotosResponse = await res.json();
+        if (!res.ok || !body.success) throw new Error(body.error || `HTTP ${res.status}`);
+        if (cancelled) return;
+        setGroups(body.groups);
+        setRows(body.rows);
+        setRoster(body.roster);
+        setChoices({});
+      })
+      .catch((err) => console.error('Error loading group photos:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, refreshKey]);
+
+  const chosen = Object.entries(choices).filter(([, empNo]) => empNo);
+  // A row picked for one crop is not offered for another
+  const taken = new Set(chosen.map(([, empNo]) => empNo));
+
+  const handleAssign = async () => {
+    setAssigning(true);
+    try {
+      const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/group-photos/assign`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ assignments: chosen.map(([filename, empNo]) => ({ filename, empNo })) }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.success) throw new Error(body.error || `HTTP ${res.status}`);
+      const failed = (body.results || []).filter((r: { success: boolean }) => !r.success);
+      toast({
+        title: 'Faces assigned',
+        description: `${body.renamed} crop(s) renamed to their Emp. No${failed.length ? `; ${failed.length} failed: ${failed.map((r: { error: string }) => r.error).join('; ')}` : ''}`,
+        variant: failed.length ? 'destructive' : undefined,
+      });
+      onAssigned?.();
+    } catch (err) {
+      console.error('Error assigning group photo faces:', err);
+      toast({
+        title: 'Error',
+        description: err instanceof Error ? err.message : 'Failed to assign faces',
+        variant: 'destructive',
+      });
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  if (groups.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle>Assign Group Photo Faces</CardTitle>
+          <Button size="sm" onClick={handleAssign} disabled={assigning || chosen.length === 0}>
+            {assigning ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Users className="h-4 w-4 mr-1" />}
+            Assign {chosen.length} face(s)
+          </Button>
+        </div>
+        <CardDescription>
+          Every face of these group photos was cropped on its own, numbered left to right. Pick the roster row
+          of each face to rename its crop to that Emp. No so Vault registration picks it up.
+          {!roster && ' This job has no combined roster, so faces cannot be assigned.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {groups.map((group) => (
+          <div key={group.source} className="space-y-2">
+            <div className="text-sm font-medium">
+              {group.source} <span className="text-muted-foreground font-normal">({group.count} faces)</span>
+            </div>
+            <div className="flex flex-wrap gap-4">
+              {group.faces.map((face) => (
+                <div key={face.filename} className="w-[180px] space-y-1">
+                  <div className="relative h-[180px] w-[180px] rounded border bg-muted overflow-hidden">
+                    {face.output && (
+                      <img
+                        src={`/api/download/${encodeURIComponent(jobId)}/${encodeURIComponent(face.output)}?v=${thumbVersion}-${refreshKey}`}
+                        alt={`Face ${face.index}`}
+                        className="h-full w-full object-cover"
+                        loading="lazy"
+                      />
+                    )}
+                    <Badge className="absolute left-1 top-1">{face.index}</Badge>
+                  </div>
+                  {face.assigned ? (
+                    <div className="text-xs">
+                      <Badge variant="outline" className="text-green-700 border-green-300">{face.assigned.empNo}</Badge>
+                      <span className="ml-1">{face.assigned.name}</span>
+                    </div>
+                  ) : face.status !== 'success' ? (
+                    <p className="text-xs text-red-600">Crop failed</p>
+                  ) : (
+                    <Select
+                      value={choices[face.filename]}
+                      onValueChange={(value) => setChoices((prev) => ({ ...prev, [face.filename]: value }))}
+                      disabled={!roster}
+                    >
+                      <SelectTrigger className="h-8">
+                        <SelectValue placeholder="Roster row..." />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {rows.map((row) => (
+                          <SelectItem
+                            key={row.empNo}
+                            value={row.empNo}
+                            disabled={taken.has(row.empNo) && choices[face.filename] !== row.empNo}
+                          >
+                            {row.empNo} — {row.name}{row.hasPhoto ? ' (has photo)' : ''}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  )}
+                  {face.quality === 'fail' && <p className="text-xs text-red-600">Fails the quality check</p>}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
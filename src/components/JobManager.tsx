@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -8,6 +8,7 @@ import { ScrollArea } from '@/components/ui/scroll-area';
 import { Separator } from '@/components/ui/separator';
 import { RefreshCw, Search, Filter } from 'lucide-react';
 import { JobStatusCard, Job } from './JobStatusCard';
+import { RetryJobDialog, RetryOptions } from './RetryJobDialog';
 import { useToast } from '@/hooks/use-toast';
 import { useNavigate } from 'react-router-dom';
 
@@ -18,12 +19,14 @@ interface JobManagerProps {
 export function JobManager({ onRefresh }: JobManagerProps) {
   const [jobs, setJobs] = useState<Job[]>([]);
   const [loading, setLoading] = useState(false);
-  const [filter, setFilter] = useState<'all' | 'pending' | 'processing' | 'completed' | 'failed'>('all');
+  const [filter, setFilter] = useState<'all' | 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled'>('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [retryJob, setRetryJob] = useState<Job | null>(null);
+  const [retrying, setRetrying] = useState(false);
   const { toast } = useToast();
   const navigate = useNavigate();
 
-  const fetchJobs = async () => {
+  const fetchJobs = useCallback(async () => {
     setLoading(true);
     try {
       const response = await fetch('/api/jobs');
@@ -46,20 +49,52 @@ export function JobManager({ onRefresh }: JobManagerProps) {
     } finally {
       setLoading(false);
     }
-  };
+  }, [toast]);
 
   useEffect(() => {
     fetchJobs();
-    // Set up polling for active jobs
-    const interval = setInterval(() => {
-      const hasActiveJobs = jobs.some(job => job.status === 'PENDING' || job.status === 'PROCESSING');
-      if (hasActiveJobs) {
-        fetchJobs();
-      }
-    }, 3000);
+  }, [fetchJobs]);
+
+  // Subscribe to the progress stream of every active job instead of polling /api/jobs
+  const activeJobIds = jobs
+    .filter(job => job.status === 'PENDING' || job.status === 'PROCESSING')
+    .map(job => job.id)
+    .sort()
+    .join(',');
+
+  useEffect(() => {
+    if (!activeJobIds) return;
+    const sources = activeJobIds.split(',').map((jobId) => {
+      const source = new EventSource(`/api/jobs/${jobId}/events`);
+      source.onmessage = (message) => {
+        const event = JSON.parse(message.data);
+        if (['job_completed', 'job_failed', 'job_cancelled', 'error'].includes(event.type)) {
+          source.close();
+          fetchJobs();
+          return;
+        }
+        setJobs(prev => prev.map(job => {
+          if (job.id !== jobId) return job;
+          const next: Job = { ...job };
+          if (event.status === 'PROCESSING' || event.status === 'PENDING') next.status = event.status;
+          if (typeof event.processed === 'number') next.processedFiles = event.processed;
+          if (typeof event.total === 'number') next.totalFiles = event.total;
+          if (event.filename) next.currentFile = event.filename;
+          if (event.type === 'file_started' || event.type === 'excel_file_started') next.lastMessage = 'processing…';
+          if (event.type === 'file_completed') {
+            next.lastMessage = event.status === 'success'
+              ? `done (${event.detector || 'heuristic'})`
+              : `failed: ${event.error || event.message || 'unknown error'}`;
+          }
+          if (event.type === 'excel_file_completed') next.lastMessage = `${event.rows ?? 0} row(s) combined`;
+          return next;
+        }));
+      };
+      return source;
+    });
 
-    return () => clearInterval(interval);
-  }, [jobs]);
+    return () => sources.forEach(source => source.close());
+  }, [activeJobIds, fetchJobs]);
 
   const handleDownload = async (jobId: string) => {
     try {
@@ -98,9 +133,10 @@ export function JobManager({ onRefresh }: JobManagerProps) {
         method: 'POST',
       });
       if (response.ok) {
+        const data = await response.json();
         toast({
           title: 'Success',
-          description: 'Job cancelled',
+          description: data.message || 'Job cancelled',
         });
         fetchJobs();
       } else {
@@ -116,27 +152,39 @@ export function JobManager({ onRefresh }: JobManagerProps) {
     }
   };
 
-  const handleRetry = async (jobId: string) => {
+  const handleRetry = (jobId: string) => {
+    setRetryJob(jobs.find(job => job.id === jobId) || null);
+  };
+
+  const submitRetry = async (jobId: string, options: RetryOptions) => {
+    setRetrying(true);
     try {
       const response = await fetch(`/api/jobs/retry/${jobId}`, {
         method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(options),
       });
-      if (response.ok) {
-        toast({
-          title: 'Success',
-          description: 'Job restarted',
-        });
-        fetchJobs();
-      } else {
-        throw new Error('Retry failed');
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Retry failed');
       }
+      toast({
+        title: 'Success',
+        description: data.keptFiles
+          ? `${data.message} (${data.keptFiles} file(s) kept from the previous run)`
+          : data.message || 'Job restarted',
+      });
+      setRetryJob(null);
+      fetchJobs();
     } catch (error) {
       console.error('Error retrying job:', error);
       toast({
         title: 'Error',
-        description: 'Failed to retry job',
+        description: error instanceof Error ? error.message : 'Failed to retry job',
         variant: 'destructive',
       });
+    } finally {
+      setRetrying(false);
     }
   };
 
@@ -169,6 +217,10 @@ export function JobManager({ onRefresh }: JobManagerProps) {
     navigate(`/register-vault?jobId=${encodeURIComponent(jobId)}`);
   };
 
+  const handleViewFiles = (jobId: string) => {
+    navigate(`/jobs/${encodeURIComponent(jobId)}`);
+  };
+
   const filteredJobs = jobs.filter(job => {
     const matchesFilter = filter === 'all' || job.status.toLowerCase() === filter;
     const matchesSearch = job.id.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -183,6 +235,7 @@ export function JobManager({ onRefresh }: JobManagerProps) {
       processing: jobs.filter(j => j.status === 'PROCESSING').length,
       completed: jobs.filter(j => j.status === 'COMPLETED').length,
       failed: jobs.filter(j => j.status === 'FAILED').length,
+      cancelled: jobs.filter(j => j.status === 'CANCELLED').length,
     };
   };
 
@@ -215,7 +268,7 @@ export function JobManager({ onRefresh }: JobManagerProps) {
 
       <CardContent className="space-y-4">
         {/* Status Overview */}
-        <div className="grid grid-cols-5 gap-2">
+        <div className="grid grid-cols-6 gap-2">
           <div className="text-center">
             <div className="text-2xl font-bold">{statusCounts.total}</div>
             <div className="text-xs text-muted-foreground">Total</div>
@@ -236,6 +289,10 @@ export function JobManager({ onRefresh }: JobManagerProps) {
             <div className="text-2xl font-bold text-red-600">{statusCounts.failed}</div>
             <div className="text-xs text-muted-foreground">Failed</div>
           </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-gray-500">{statusCounts.cancelled}</div>
+            <div className="text-xs text-muted-foreground">Cancelled</div>
+          </div>
         </div>
 
         <Separator />
@@ -251,7 +308,7 @@ export function JobManager({ onRefresh }: JobManagerProps) {
               className="pl-8"
             />
           </div>
-          <Select value={filter} onValueChange={(value: 'all' | 'pending' | 'processing' | 'completed' | 'failed') => setFilter(value)}>
+          <Select value={filter} onValueChange={(value: 'all' | 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled') => setFilter(value)}>
             <SelectTrigger className="w-[140px]">
               <Filter className="h-4 w-4 mr-2" />
               <SelectValue />
@@ -262,6 +319,7 @@ export function JobManager({ onRefresh }: JobManagerProps) {
               <SelectItem value="processing">Processing</SelectItem>
               <SelectItem value="completed">Completed</SelectItem>
               <SelectItem value="failed">Failed</SelectItem>
+              <SelectItem value="cancelled">Cancelled</SelectItem>
             </SelectContent>
           </Select>
         </div>
@@ -283,12 +341,19 @@ export function JobManager({ onRefresh }: JobManagerProps) {
                   onRetry={handleRetry}
                   onDelete={handleDelete}
                   onRegisterVault={handleRegisterVault}
+                  onViewFiles={handleViewFiles}
                 />
               ))
             )}
           </div>
         </ScrollArea>
       </CardContent>
+      <RetryJobDialog
+        job={retryJob}
+        submitting={retrying}
+        onOpenChange={(open) => { if (!open) setRetryJob(null); }}
+        onSubmit={submitRetry}
+      />
     </Card>
   );
 }
\ No newline at end of file
@@ -3,19 +3,22 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Badge } from '@/components/ui/badge';
 import { Progress } from '@/components/ui/progress';
 import { Button } from '@/components/ui/button';
-import { AlertCircle, CheckCircle, Clock, Download, X, RefreshCw, Database } from 'lucide-react';
+import { AlertCircle, CheckCircle, Clock, Download, X, RefreshCw, Database, Ban, List } from 'lucide-react';
 import { cn } from '@/lib/utils';
 
 export interface Job {
   id: string;
   type: 'IMAGES_ONLY' | 'IMAGES_AND_EXCEL';
-  status: 'PENDING' | 'PROCESSING' | 'COMPLETED' | 'FAILED';
+  status: 'PENDING' | 'PROCESSING' | 'COMPLETED' | 'FAILED' | 'CANCELLED';
   createdAt: string;
   completedAt?: string;
   processedFiles?: number;
   totalFiles?: number;
   radiusPercentage: number;
   errorMessage?: string;
+  // Live fields pushed over /api/jobs/:id/events while the job runs
+  currentFile?: string;
+  lastMessage?: string;
   resultData?: {
     success: boolean;
     images_processed: number;
@@ -31,6 +34,7 @@ interface JobStatusCardProps {
   onRetry?: (jobId: string) => void;
   onDelete?: (jobId: string) => void;
   onRegisterVault?: (jobId: string) => void;
+  onViewFiles?: (jobId: string) => void;
 }
 
 const getStatusIcon = (status: Job['status']) => {
@@ -43,6 +47,8 @@ const getStatusIcon = (status: Job['status']) => {
       return <CheckCircle className="h-4 w-4" />;
     case 'FAILED':
       return <AlertCircle className="h-4 w-4" />;
+    case 'CANCELLED':
+      return <Ban className="h-4 w-4" />;
     default:
       return <Clock className="h-4 w-4" />;
   }
@@ -58,6 +64,8 @@ const getStatusColor = (status: Job['status']) => {
       return 'bg-green-500';
     case 'FAILED':
       return 'bg-red-500';
+    case 'CANCELLED':
+      return 'bg-gray-400';
     default:
       return 'bg-gray-500';
   }
@@ -66,6 +74,10 @@ const getStatusColor = (status: Job['status']) => {
 const getProgressValue = (job: Job) => {
   if (job.status === 'COMPLETED') return 100;
   if (job.status === 'FAILED') return 0;
+  if (job.status === 'CANCELLED') {
+    // Keep the bar where processing stopped
+    return job.processedFiles && job.totalFiles ? (job.processedFiles / job.totalFiles) * 100 : 0;
+  }
   if (job.status === 'PROCESSING') {
     if (job.processedFiles && job.totalFiles) {
       return (job.processedFiles / job.totalFiles) * 100;
@@ -75,11 +87,11 @@ const getProgressValue = (job: Job) => {
   return 0;
 };
 
-export function JobStatusCard({ job, onDownload, onCancel, onRetry, onDelete, onRegisterVault }: JobStatusCardProps) {
+export function JobStatusCard({ job, onDownload, onCancel, onRetry, onDelete, onRegisterVault, onViewFiles }: JobStatusCardProps) {
   const progressValue = getProgressValue(job);
   const canCancel = job.status === 'PENDING' || job.status === 'PROCESSING';
   const canDownload = job.status === 'COMPLETED';
-  const canRetry = job.status === 'FAILED';
+  const canRetry = job.status === 'FAILED' || job.status === 'CANCELLED' || job.status === 'COMPLETED';
 
   return (
     <Card className="w-full">
@@ -113,16 +125,25 @@ export function JobStatusCard({ job, onDownload, onCancel, onRetry, onDelete, on
           <Progress value={progressValue} className="h-2" />
         </div>
 
+        {job.status === 'PROCESSING' && job.currentFile && (
+          <div className="text-xs text-muted-foreground truncate">
+            <span className="font-medium text-foreground">{job.currentFile}</span>
+            {job.lastMessage && <span> • {job.lastMessage}</span>}
+          </div>
+        )}
+
         {/* Job Details */}
         <div className="grid grid-cols-2 gap-4 text-sm">
           <div>
-            <span className="text-muted-foreground">Radius:</span>
+            <span className="text-muted-foreground">Face area:</span>
             <span className="ml-2 font-medium">{job.radiusPercentage}%</span>
           </div>
           {job.processedFiles !== undefined && (
             <div>
-              <span className="text-muted-foreground">Processed:</span>
-              <span className="ml-2 font-medium">{job.processedFiles} files</span>
+              <span className="text-muted-foreground">{job.status === 'CANCELLED' ? 'Stopped at:' : 'Processed:'}</span>
+              <span className="ml-2 font-medium">
+                {job.processedFiles}{job.totalFiles ? ` / ${job.totalFiles}` : ''} files
+              </span>
             </div>
           )}
         </div>
@@ -164,10 +185,16 @@ export function JobStatusCard({ job, onDownload, onCancel, onRetry, onDelete, on
               Cancel
             </Button>
           )}
+          {job.status !== 'PENDING' && onViewFiles && (
+            <Button variant="outline" size="sm" onClick={() => onViewFiles(job.id)}>
+              <List className="h-4 w-4 mr-1" />
+              Files
+            </Button>
+          )}
           {canRetry && onRetry && (
             <Button variant="outline" size="sm" onClick={() => onRetry(job.id)}>
               <RefreshCw className="h-4 w-4 mr-1" />
-              Retry
+              {job.status === 'COMPLETED' ? 'Re-run' : 'Retry'}
             </Button>
           )}
           {canDownload && onDownload && (
@@ -182,7 +209,7 @@ export function JobStatusCard({ job, onDownload, onCancel, onRetry, onDelete, on
               Register Vault
             </Button>
           )}
-          {onDelete && (job.status === 'COMPLETED' || job.status === 'FAILED') && (
+          {onDelete && (job.status === 'COMPLETED' || job.status === 'FAILED' || job.status === 'CANCELLED') && (
             <Button variant="ghost" size="sm" onClick={() => onDelete(job.id)}>
               <X className="h-4 w-4" />
             </Button>
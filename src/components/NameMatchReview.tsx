@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useToast } from '@/hooks/use-toast';
+import { Loader2, UserCheck } from 'lucide-react';
+
+interface MatchCandidate {
+  empNo: string;
+  name: string;
+  row: number;
+  score: number;
+  hasPhoto: boolean;
+}
+
+interface NameMatchProposal {
+  filename: string;
+  employeeId: string | null;
+  output: string | null;
+  query: string;
+  candidates: MatchCandidate[];
+  best: MatchCandidate | null;
+  ambiguous: boolean;
+}
+
+interface NameMatchResponse {
+  success: boolean;
+  available: boolean;
+  minScore?: number;
+  proposals: NameMatchProposal[];
+  error?: string;
+}
+
+interface NameMatchReviewProps {
+  jobId: string;
+  refreshKey?: number;
+  // Called after outputs were renamed so the page reloads the manifest
+  onConfirmed?: () => void;
+}
+
+// Pre-selected only when the proposal is clear-cut; everything else waits for the operator
+const AUTO_SELECT_SCORE = 0.85;
+
+const scoreClass = (score: number) =>
+  score >= AUTO_SELECT_SCORE ? 'text-green-700 border-green-300' : 'text-yellow-700 border-yellow-300';
+
+export function NameMatchReview({ jobId, refreshKey = 0, onConfirmed }: NameMatchReviewProps) {
+  const { toast } = useToast();
+  const [proposals, setProposals] = useState<NameMatchProposal[]>([]);
+  const [minScore, setMinScore] = useState(0.6);
+  // filename -> chosen Emp. No; only checked photos are renamed
+  const [choices, setChoices] = useState<Record<string, string>>({});
+  const [selected, setSelected] = useState<Record<string, boolean>>({});
+  const [confirming, setConfirming] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/jobs/${encodeURIComponent(jobId)}/name-matches`)
+      .then(async (res) => {
+        const body: NameMatchResponse = await res.json();
+        if (!res.ok || !body.success) throw new Error(body.error || `HTTP ${res.status}`);
+        if (cancelled) return;
+        const list = body.available ? body.proposals : [];
+        setProposals(list);
+        setMinScore(body.minScore ?? 0.6);
+        setChoices(Object.fromEntries(list.filter((p) => p.best).map((p) => [p.filename, p.best!.empNo])));
+        setSelected(Object.fromEntries(list.map((p) => [
+          p.filename,
+          !!p.best && p.best.score >= AUTO_SELECT_SCORE && !p.ambiguous && !p.best.hasPhoto,
+        ])));
+      })
+      .catch((err) => console.error('Error loading name matches:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, refreshKey]);
+
+  const matchable = proposals.filter((p) => p.candidates.length > 0);
+  const unmatched = proposals.length - matchable.length;
+  const chosen = matchable.filter((p) => selected[p.filename] && choices[p.filename]);
+
+  const handleConfirm = async () => {
+    setConfirming(true);
+    try {
+      const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/name-matches/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ matches: chosen.map((p) => ({ filename: p.filename, empNo: choices[p.filename] })) }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.success) throw new Error(body.error || `HTTP ${res.status}`);
+      const failed = (body.results || []).filter((r: { success: boolean }) => !r.success);
+      toast({
+        title: 'Matches confirmed',
+        description: `${body.renamed} photo(s) renamed to their Emp. No${failed.length ? `; ${failed.length} failed: ${failed.map((r: { error: string }) => r.error).join('; ')}` : ''}`,
+        variant: failed.length ? 'destructive' : undefined,
+      });
+      onConfirmed?.();
+    } catch (err) {
+      console.error('Error confirming name matches:', err);
+      toast({
+        title: 'Error',
+        description: err instanceof Error ? err.message : 'Failed to confirm matches',
+        variant: 'destructive',
+      });
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  if (proposals.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle>Match Photos by Name</CardTitle>
+          <Button size="sm" onClick={handleConfirm} disabled={confirming || chosen.length === 0}>
+            {confirming ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <UserCheck className="h-4 w-4 mr-1" />}
+            Rename {chosen.length} photo(s)
+          </Button>
+        </div>
+        <CardDescription>
+          These photos have no Emp. No on the roster. Their file names were compared with the Name column;
+          confirm a match to rename the photo to that Emp. No so Vault registration picks it up.
+          {unmatched > 0 && ` ${unmatched} photo(s) matched no name above ${Math.round(minScore * 100)}%.`}
+        </CardDescription>
+      </CardHeader>
+      {matchable.length > 0 && (
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead />
+                <TableHead>Photo</TableHead>
+                <TableHead>Roster row</TableHead>
+                <TableHead>Confidence</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {matchable.map((proposal) => {
+                const candidate = proposal.candidates.find((c) => c.empNo === choices[proposal.filename]);
+                return (
+                  <TableRow key={proposal.filename}>
+                    <TableCell>
+                      <Checkbox
+                        checked={!!selected[proposal.filename]}
+                        onCheckedChange={(checked) => setSelected((prev) => ({ ...prev, [proposal.filename]: checked === true }))}
+                      />
+                    </TableCell>
+                    <TableCell className="max-w-[240px]">
+                      <div className="truncate" title={proposal.filename}>{proposal.query}</div>
+                      <div className="text-xs text-muted-foreground">now {proposal.output}</div>
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        value={choices[proposal.filename]}
+                        onValueChange={(value) => setChoices((prev) => ({ ...prev, [proposal.filename]: value }))}
+                      >
+                        <SelectTrigger className="w-[280px]">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {proposal.candidates.map((c) => (
+                            <SelectItem key={c.empNo} value={c.empNo}>
+                              {c.empNo} — {c.name} ({Math.round(c.score * 100)}%)
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      {candidate?.hasPhoto && (
+                        <p className="text-xs text-yellow-700 mt-1">This row already has a photo</p>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {candidate && (
+                        <Badge variant="outline" className={scoreClass(candidate.score)}>
+                          {Math.round(candidate.score * 100)}%
+                        </Badge>
+                      )}
+                      {proposal.ambiguous && <p className="text-xs text-yellow-700 mt-1">several close names</p>}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </CardContent>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { RefreshCw } from 'lucide-react';
+import { Job } from './JobStatusCard';
+
+export interface RetryOptions {
+  radiusPercentage: number;
+  // Omitted to keep the mode of the previous run
+  processingMode?: 'images_only' | 'images_and_excel';
+  newJob: boolean;
+  failedOnly: boolean;
+}
+
+interface RetryJobDialogProps {
+  job: Job | null;
+  submitting?: boolean;
+  onOpenChange: (open: boolean) => void;
+  onSubmit: (jobId: string, options: RetryOptions) => void;
+}
+
+export function RetryJobDialog({ job, submitting = false, onOpenChange, onSubmit }: RetryJobDialogProps) {
+  const [radiusPercentage, setRadiusPercentage] = useState(50);
+  const [processingMode, setProcessingMode] = useState<'previous' | 'images_only' | 'images_and_excel'>('previous');
+  const [newJob, setNewJob] = useState(false);
+  const [failedOnly, setFailedOnly] = useState(true);
+
+  // Start from the previous run's parameters every time the dialog opens
+  useEffect(() => {
+    if (!job) return;
+    setRadiusPercentage(job.radiusPercentage || 50);
+    setProcessingMode('previous');
+    setNewJob(false);
+    setFailedOnly(job.status !== 'COMPLETED');
+  }, [job]);
+
+  const handleSubmit = () => {
+    if (!job) return;
+    onSubmit(job.id, {
+      radiusPercentage,
+      processingMode: processingMode === 'previous' ? undefined : processingMode,
+      newJob,
+      failedOnly,
+    });
+  };
+
+  return (
+    <Dialog open={!!job} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{job?.status === 'COMPLETED' ? 'Re-run Job' : 'Retry Job'}</DialogTitle>
+          <DialogDescription>
+            Reprocess the original uploaded files of job {job?.id.slice(0, 8)}...
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="retry-processing-mode">Processing Mode</Label>
+            <Select value={processingMode} onValueChange={(value: 'previous' | 'images_only' | 'images_and_excel') => setProcessingMode(value)}>
+              <SelectTrigger id="retry-processing-mode">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="previous">Same as previous run</SelectItem>
+                <SelectItem value="images_only">Images Only</SelectItem>
+                <SelectItem value="images_and_excel">Images and Excel</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="retry-face-area-percentage">Face Area: {radiusPercentage}% of the photo</Label>
+            <Input
+              id="retry-face-area-percentage"
+              type="range"
+              min="5"
+              max="100"
+              value={radiusPercentage}
+              onChange={(e) => setRadiusPercentage(Number(e.target.value))}
+              className="w-full"
+            />
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <Switch id="retry-failed-only" checked={failedOnly} onCheckedChange={setFailedOnly} />
+            <Label htmlFor="retry-failed-only">Only reprocess files that failed or were not processed</Label>
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <Switch id="retry-new-job" checked={newJob} onCheckedChange={setNewJob} />
+            <Label htmlFor="retry-new-job">Create a new job (keep this job's results)</Label>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={submitting}>
+            <RefreshCw className={`h-4 w-4 mr-1 ${submitting ? 'animate-spin' : ''}`} />
+            {submitting ? 'Queueing...' : 'Retry'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
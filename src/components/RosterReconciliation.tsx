@@ -0,0 +1,197 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+type RowReason = 'missing' | 'failed' | 'excluded';
+
+export interface ReconciliationReport {
+  success: boolean;
+  available: boolean;
+  reason?: string;
+  complete?: boolean;
+  roster?: string;
+  summary?: {
+    rows: number;
+    photos: number;
+    matched: number;
+    rowsWithoutPhoto: number;
+    photosWithoutRow: number;
+    duplicatePhotos: number;
+    duplicateRows: number;
+    rowsWithoutId: number;
+  };
+  rowsWithoutPhoto?: { row: number; empNo: string; name: string; department: string; reason: RowReason; filename: string | null }[];
+  photosWithoutRow?: { filename: string; employeeId: string; output: string | null; status: string }[];
+  duplicatePhotos?: { employeeId: string; filenames: string[] }[];
+  duplicateRows?: { empNo: string; rows: number[]; name: string }[];
+  rowsWithoutId?: { row: number; name: string }[];
+  error?: string;
+}
+
+interface RosterReconciliationProps {
+  jobId: string;
+  // Changing this reloads the report (e.g. after a re-crop or quality override)
+  refreshKey?: number;
+}
+
+const REASON_LABELS: Record<RowReason, string> = {
+  missing: 'no photo',
+  failed: 'photo failed',
+  excluded: 'photo excluded (quality)',
+};
+
+export function RosterReconciliation({ jobId, refreshKey = 0 }: RosterReconciliationProps) {
+  const [report, setReport] = useState<ReconciliationReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/jobs/${encodeURIComponent(jobId)}/reconciliation`)
+      .then(async (res) => {
+        const body: ReconciliationReport = await res.json();
+        if (!res.ok || !body.success) throw new Error(body.error || `HTTP ${res.status}`);
+        if (!cancelled) {
+          setReport(body);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading reconciliation:', err);
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load reconciliation');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, refreshKey]);
+
+  if (!report || !report.available) {
+    if (!error) return null;
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>Roster Reconciliation</CardTitle>
+          <CardDescription className="text-red-600">{error}</CardDescription>
+        </CardHeader>
+      </Card>
+    );
+  }
+
+  const summary = report.summary!;
+  const issues = summary.rowsWithoutPhoto + summary.photosWithoutRow + summary.duplicatePhotos + summary.duplicateRows + summary.rowsWithoutId;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle>Roster Reconciliation</CardTitle>
+          {issues === 0 ? (
+            <Badge variant="secondary">all rows have a photo</Badge>
+          ) : (
+            <Badge variant="destructive">{issues} issue(s)</Badge>
+          )}
+        </div>
+        <CardDescription>
+          Photos joined to the Emp. No column of {report.roster}. Check these before registering the job to Vault:
+          rows without a usable photo are registered without one.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+          <div>Roster rows: <span className="font-medium">{summary.rows}</span></div>
+          <div>Photos: <span className="font-medium">{summary.photos}</span></div>
+          <div>Matched: <span className="font-medium text-green-600">{summary.matched}</span></div>
+          <div>Rows without photo: <span className="font-medium text-red-600">{summary.rowsWithoutPhoto}</span></div>
+          <div>Photos without row: <span className="font-medium text-yellow-600">{summary.photosWithoutRow}</span></div>
+          <div>Duplicate photos: <span className="font-medium text-yellow-600">{summary.duplicatePhotos}</span></div>
+          <div>Duplicate rows: <span className="font-medium text-yellow-600">{summary.duplicateRows}</span></div>
+          <div>Rows without Emp. No: <span className="font-medium text-yellow-600">{summary.rowsWithoutId}</span></div>
+        </div>
+
+        {report.rowsWithoutPhoto && report.rowsWithoutPhoto.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Rows without a photo</h4>
+            <div className="max-h-[240px] overflow-auto border rounded-lg">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Row</TableHead>
+                    <TableHead>Emp. No</TableHead>
+                    <TableHead>Name</TableHead>
+                    <TableHead>Department</TableHead>
+                    <TableHead>Problem</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.rowsWithoutPhoto.map((row) => (
+                    <TableRow key={row.row}>
+                      <TableCell>{row.row}</TableCell>
+                      <TableCell className="font-medium">{row.empNo}</TableCell>
+                      <TableCell>{row.name}</TableCell>
+                      <TableCell>{row.department}</TableCell>
+                      <TableCell className="text-xs" title={row.filename || undefined}>
+                        {REASON_LABELS[row.reason]}
+                        {row.filename && <span className="text-muted-foreground"> ({row.filename})</span>}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        )}
+
+        {report.photosWithoutRow && report.photosWithoutRow.length > 0 && (
+          <div className="space-y-1">
+            <h4 className="text-sm font-medium">Photos without a roster row</h4>
+            <ul className="text-sm space-y-0.5">
+              {report.photosWithoutRow.map((photo) => (
+                <li key={photo.filename}>
+                  <span className="font-medium">{photo.employeeId}</span>
+                  <span className="text-muted-foreground"> — {photo.filename}{photo.status !== 'success' && ` (${photo.status})`}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {report.duplicatePhotos && report.duplicatePhotos.length > 0 && (
+          <div className="space-y-1">
+            <h4 className="text-sm font-medium">Several photos for one ID (only one output is kept)</h4>
+            <ul className="text-sm space-y-0.5">
+              {report.duplicatePhotos.map((dup) => (
+                <li key={dup.employeeId}>
+                  <span className="font-medium">{dup.employeeId}</span>
+                  <span className="text-muted-foreground"> — {dup.filenames.join(', ')}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {report.duplicateRows && report.duplicateRows.length > 0 && (
+          <div className="space-y-1">
+            <h4 className="text-sm font-medium">Emp. No on several rows</h4>
+            <ul className="text-sm space-y-0.5">
+              {report.duplicateRows.map((dup) => (
+                <li key={dup.empNo}>
+                  <span className="font-medium">{dup.empNo}</span>
+                  <span className="text-muted-foreground"> — {dup.name}, rows {dup.rows.join(', ')}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {report.rowsWithoutId && report.rowsWithoutId.length > 0 && (
+          <div className="space-y-1">
+            <h4 className="text-sm font-medium">Rows without Emp. No</h4>
+            <p className="text-sm text-muted-foreground">
+              {report.rowsWithoutId.map((row) => `row ${row.row}${row.name ? ` (${row.name})` : ''}`).join(', ')}
+            </p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
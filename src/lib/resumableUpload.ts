@@ -0,0 +1,187 @@
+// Client of the resumable upload protocol (/api/upload-sessions). Files are sent in chunks with their
+// SHA-256. The open session is remembered in localStorage, so after a dropped connection or a reload
+// the same files continue from the chunks the server already has.
+
+const API_URL = '/api/upload-sessions';
+const STORAGE_KEY = 'resumableUploadSession';
+// Attempts per chunk before the file counts as interrupted
+const CHUNK_ATTEMPTS = 3;
+
+export interface UploadSessionFile {
+  fileId: string;
+  name: string;
+  originalName: string;
+  size: number;
+  fingerprint: string | null;
+  totalChunks: number;
+  received: number[];
+  complete: boolean;
+}
+
+export interface UploadSessionStatus {
+  sessionId: string;
+  processingMode: string;
+  chunkSize: number;
+  finalized: boolean;
+  files: UploadSessionFile[];
+}
+
+// What is kept in localStorage about an unfinished upload
+export interface StoredUploadSession {
+  sessionId: string;
+  processingMode: string;
+  files: { name: string; fingerprint: string }[];
+}
+
+// A file to upload with its path inside a dropped folder (or its name)
+export interface UploadSource {
+  file: File;
+  path: string;
+}
+
+export class UploadRequestError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = 'UploadRequestError';
+    this.status = status;
+  }
+}
+
+// Identifies the same file when it is selected again after a reload
+export const fileFingerprint = ({ file, path }: UploadSource) => `${path}|${file.size}|${file.lastModified}`;
+
+async function request<T>(url: string, init?: RequestInit): Promise<T> {
+  const response = await fetch(url, init);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.success) {
+    throw new UploadRequestError(body.error || `HTTP ${response.status}`, response.status);
+  }
+  return body as T;
+}
+
+const postJson = (body: unknown): RequestInit => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+export function storedSession(): StoredUploadSession | null {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return value ? (JSON.parse(value) as StoredUploadSession) : null;
+  } catch {
+    return null;
+  }
+}
+
+function rememberSession(status: UploadSessionStatus) {
+  const stored: StoredUploadSession = {
+    sessionId: status.sessionId,
+    processingMode: status.processingMode,
+    files: status.files
+      .filter((file) => file.fingerprint)
+      .map((file) => ({ name: file.originalName, fingerprint: file.fingerprint as string })),
+  };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+}
+
+function forgetSession() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+// Cancel the remembered upload on the server and forget it
+export async function discardStoredSession() {
+  const stored = storedSession();
+  forgetSession();
+  if (stored) {
+    await fetch(`${API_URL}/${encodeURIComponent(stored.sessionId)}`, { method: 'DELETE' }).catch(() => undefined);
+  }
+}
+
+/**
+ * Session for the selected files. The remembered session is continued when every file in it was
+ * selected again (new files are added to it); otherwise it is discarded and a new one is opened.
+ */
+export async function openSession(processingMode: string, sources: UploadSource[]): Promise<UploadSessionStatus> {
+  const files = sources.map((source) => ({ name: source.path, size: source.file.size, fingerprint: fileFingerprint(source) }));
+  const stored = storedSession();
+  if (stored) {
+    const selected = new Set(files.map((file) => file.fingerprint));
+    const resumable = stored.processingMode === processingMode && stored.files.every((file) => selected.has(file.fingerprint));
+    if (resumable) {
+      try {
+        const status = await request<UploadSessionStatus>(`${API_URL}/${encodeURIComponent(stored.sessionId)}/files`, postJson({ files }));
+        rememberSession(status);
+        return status;
+      } catch (error) {
+        // Expired or already finalized: start over
+        if (!(error instanceof UploadRequestError) || (error.status !== 404 && error.status !== 409)) throw error;
+      }
+    }
+    await discardStoredSession();
+  }
+  const status = await request<UploadSessionStatus>(API_URL, postJson({ processingMode, files }));
+  rememberSession(status);
+  return status;
+}
+
+async function sha256Hex(data: ArrayBuffer) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Send the chunks of a file the server does not have yet. onProgress gets the share of the file
+ * (0-1) that is on the server. Network errors and server errors are retried per chunk; a chunk that
+ * still fails rejects, and a later call continues from there.
+ */
+export async function uploadSessionFile(
+  session: UploadSessionStatus,
+  entry: UploadSessionFile,
+  file: File,
+  onProgress: (fraction: number) => void,
+) {
+  const received = new Set(entry.received);
+  let done = received.size;
+  onProgress(done / entry.totalChunks);
+  for (let index = 0; index < entry.totalChunks; index++) {
+    if (received.has(index)) continue;
+    const data = await file.slice(index * session.chunkSize, (index + 1) * session.chunkSize).arrayBuffer();
+    const checksum = await sha256Hex(data);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await request(`${API_URL}/${encodeURIComponent(session.sessionId)}/files/${encodeURIComponent(entry.fileId)}/chunks/${index}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-Sha256': checksum },
+          body: data,
+        });
+        break;
+      } catch (error) {
+        // Rejected chunks (other than a corrupted transfer) will not succeed on a retry
+        const rejected = error instanceof UploadRequestError && error.status < 500 && error.status !== 422;
+        if (rejected || attempt >= CHUNK_ATTEMPTS) throw error;
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+    done += 1;
+    onProgress(done / entry.totalChunks);
+  }
+}
+
+/**
+ * Assemble the uploaded files into the upload folder. Resolves with the same response as /api/upload.
+ * The remembered session is forgotten unless files are still missing chunks.
+ */
+export async function finalizeSession<T>(sessionId: string): Promise<T> {
+  try {
+    const result = await request<T>(`${API_URL}/${encodeURIComponent(sessionId)}/finalize`, { method: 'POST' });
+    forgetSession();
+    return result;
+  } catch (error) {
+    // The server answered and the session is gone (assembled, refused or expired)
+    if (error instanceof UploadRequestError && error.status !== 409) forgetSession();
+    throw error;
+  }
+}
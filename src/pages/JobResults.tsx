@@ -0,0 +1,581 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import AppLayout from "@/components/AppLayout";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import { Label } from "@/components/ui/label";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { useToast } from "@/hooks/use-toast";
+import { ArrowLeft, Bug, Crop, RefreshCw, ShieldCheck } from "lucide-react";
+import { CropEditor } from "@/components/CropEditor";
+import { RosterReconciliation } from "@/components/RosterReconciliation";
+import { NameMatchReview } from "@/components/NameMatchReview";
+import { GroupPhotoAssignment } from "@/components/GroupPhotoAssignment";
+
+type Box = { x: number; y: number; width: number; height: number };
+type CropBox = { x: number; y: number; size: number };
+
+type Rendition = {
+  profile: string;
+  file: string;
+  format: string;
+  width: number;
+  height: number;
+  quality: number | null;
+  bytes: number;
+  overBudget: boolean;
+};
+
+type ToneStats = { luma: number; spread: number; rg: number; bg: number };
+
+type QualityReason = { code: string; severity: "warn" | "fail"; message: string };
+
+export type ManifestFile = {
+  filename: string;
+  employeeId: string | null;
+  output: string | null;
+  renditions?: Rendition[] | null;
+  // One face of a split group photo (index 1-based, left to right); assigned through nameMatch
+  group?: { source: string; index: number; count: number } | null;
+  // Annotated original (job run with debug overlays), relative to the job folder
+  debugOverlay?: string | null;
+  // Tone normalization of the crop; previews are before/after thumbnails of the primary rendition
+  tone?: {
+    applied: boolean;
+    reason?: string;
+    strength?: number;
+    before?: ToneStats;
+    after?: ToneStats;
+    previews?: { before: string; after: string };
+  } | null;
+  // Background replacement; a mask that was not trusted keeps the background and flags the photo
+  background?: {
+    applied: boolean;
+    color: string;
+    confidence?: number | null;
+    personArea?: number | null;
+    faceCoverage?: number | null;
+    reason: string | null;
+  } | null;
+  status: "success" | "failed" | "unsupported" | "duplicate";
+  detector: string | null;
+  faceBox: Box | null;
+  cropBox: CropBox | null;
+  imageSize?: { width: number; height: number } | null;
+  source?: { format: string; orientation: number; page: number | null; pages: number } | null;
+  manualCrop?: boolean;
+  alignment?: { applied: boolean; angle?: number; source?: string; reason?: string } | null;
+  quality?: { verdict: "pass" | "warn" | "fail"; reasons: QualityReason[]; metrics?: Record<string, unknown> } | null;
+  qualityOverride?: { at: string; note?: string | null } | null;
+  filenameRule?: { ruleSet: string; rule: number | null; label: string | null; name: string | null } | null;
+  nameMatch?: { previousId: string | null; empNo: string; name: string; row: number; score: number | null; confirmedAt: string } | null;
+  duplicateOf?: {
+    jobId: string | null;
+    filename: string;
+    employeeId: string | null;
+    uploadedAt: string | null;
+    distance: number;
+    reason: "older_copy" | "newer_copy" | "other_employee";
+  } | null;
+  message: string | null;
+  error: string | null;
+  needsReview: boolean;
+};
+
+type ManifestSummary = {
+  total: number;
+  success: number;
+  failed: number;
+  unsupported?: number;
+  duplicates?: number;
+  unmatchedIds?: number;
+  heuristic: number;
+  autoOriented?: number;
+  aligned?: number;
+  toneNormalized?: number;
+  backgroundReplaced?: number;
+  groupFaces?: number;
+  groupFacesUnassigned?: number;
+  quality?: { pass: number; warn: number; fail: number; overridden: number };
+  needsReview: number;
+};
+
+type JobFilesResponse = {
+  success: boolean;
+  jobId: string;
+  complete: boolean;
+  generatedAt: string | null;
+  faceAreaPercentage: number | null;
+  summary: ManifestSummary;
+  files: ManifestFile[];
+  error?: string;
+};
+
+const formatBox = (box: Box | null) => (box ? `${box.x},${box.y} ${box.width}×${box.height}` : "—");
+const formatRendition = (r: Rendition) =>
+  `${r.profile}: ${r.width}×${r.height} ${r.format}${r.quality ? ` q${r.quality}` : ""}, ${Math.round(r.bytes / 1024)} KB${r.overBudget ? " (over size limit)" : ""}`;
+const formatTone = (before?: ToneStats, after?: ToneStats) =>
+  before && after
+    ? `Face brightness ${before.luma} → ${after.luma}, contrast ${before.spread} → ${after.spread}, R/G ${before.rg} → ${after.rg}, B/G ${before.bg} → ${after.bg}`
+    : "";
+const formatCrop = (box: CropBox | null) => (box ? `${box.x},${box.y} ${box.size}×${box.size}` : "—");
+
+const JobResults: React.FC = () => {
+  const { id = "" } = useParams();
+  const { toast } = useToast();
+  const [data, setData] = useState<JobFilesResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [reviewOnly, setReviewOnly] = useState(false);
+  const [editing, setEditing] = useState<ManifestFile | null>(null);
+  const [debugging, setDebugging] = useState<ManifestFile | null>(null);
+  // Bumped after a re-crop so the thumbnail is reloaded instead of served from cache
+  const [thumbVersion, setThumbVersion] = useState(0);
+  const [overriding, setOverriding] = useState<string | null>(null);
+  // Bumped on every manifest load so the reconciliation follows re-crops and overrides
+  const [filesVersion, setFilesVersion] = useState(0);
+
+  const fetchFiles = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/jobs/${encodeURIComponent(id)}/files`);
+      const body: JobFilesResponse = await res.json();
+      if (!res.ok || !body.success) throw new Error(body.error || `HTTP ${res.status}`);
+      setData(body);
+      setFilesVersion(v => v + 1);
+    } catch (err) {
+      console.error("Error fetching job files:", err);
+      setData(null);
+      toast({
+        title: "Error",
+        description: err instanceof Error ? err.message : "Failed to load job files",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [id, toast]);
+
+  useEffect(() => {
+    fetchFiles();
+  }, [fetchFiles]);
+
+  const files = useMemo(
+    () => (data ? data.files.filter(f => !reviewOnly || f.needsReview) : []),
+    [data, reviewOnly]
+  );
+
+  const handleCropSaved = () => {
+    setEditing(null);
+    setThumbVersion(v => v + 1);
+    fetchFiles();
+  };
+
+  const handleQualityOverride = async (file: ManifestFile, override: boolean) => {
+    let note: string | null = null;
+    if (override) {
+      note = window.prompt(`Reason for sending ${file.filename} to Vault despite failing the quality check:`);
+      if (note === null) return;
+    }
+    setOverriding(file.filename);
+    try {
+      const res = await fetch(
+        `/api/jobs/${encodeURIComponent(id)}/files/${encodeURIComponent(file.filename)}/quality-override`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ override, note }),
+        }
+      );
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.success) throw new Error(body.error || `HTTP ${res.status}`);
+      toast({
+        title: override ? "Override saved" : "Override cleared",
+        description: override ? "The photo will be included in Vault registration." : "The card will be registered in Vault without this photo.",
+      });
+      fetchFiles();
+    } catch (err) {
+      console.error("Error updating quality override:", err);
+      toast({
+        title: "Error",
+        description: err instanceof Error ? err.message : "Failed to update quality override",
+        variant: "destructive",
+      });
+    } finally {
+      setOverriding(null);
+    }
+  };
+
+  return (
+    <AppLayout title="Job Results">
+      <div className="space-y-6">
+        <div className="flex items-center justify-between gap-2">
+          <Button variant="ghost" size="sm" asChild>
+            <Link to="/">
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Back to jobs
+            </Link>
+          </Button>
+          <Button variant="outline" size="sm" onClick={fetchFiles} disabled={loading}>
+            <RefreshCw className={`h-4 w-4 mr-1 ${loading ? "animate-spin" : ""}`} />
+            Refresh
+          </Button>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Job {id.slice(0, 8)}...</CardTitle>
+            <CardDescription>
+              Per-file detector, crop and quality results. Photos cropped with the heuristic centre crop, that failed, or that did not pass the quality check are flagged for review.
+              Photos failing the quality check are left out of Vault registration unless overridden.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {data ? (
+              <div className="grid grid-cols-2 sm:grid-cols-6 gap-4 text-sm">
+                <div>Total: <span className="font-medium">{data.summary.total}</span></div>
+                <div>Succeeded: <span className="font-medium text-green-600">{data.summary.success}</span></div>
+                <div>Failed: <span className="font-medium text-red-600">{data.summary.failed}</span></div>
+                {(data.summary.unsupported ?? 0) > 0 && (
+                  <div>Unsupported: <span className="font-medium text-red-600">{data.summary.unsupported}</span></div>
+                )}
+                {(data.summary.duplicates ?? 0) > 0 && (
+                  <div>Duplicates discarded: <span className="font-medium">{data.summary.duplicates}</span></div>
+                )}
+                {(data.summary.unmatchedIds ?? 0) > 0 && (
+                  <div>ID rule unmatched: <span className="font-medium text-yellow-600">{data.summary.unmatchedIds}</span></div>
+                )}
+                <div>Heuristic: <span className="font-medium text-yellow-600">{data.summary.heuristic}</span></div>
+                <div>Aligned: <span className="font-medium">{data.summary.aligned ?? 0}</span></div>
+                {(data.summary.toneNormalized ?? 0) > 0 && (
+                  <div>Tone normalized: <span className="font-medium">{data.summary.toneNormalized}</span></div>
+                )}
+                {(data.summary.groupFaces ?? 0) > 0 && (
+                  <div>
+                    Group photo faces: <span className="font-medium">{data.summary.groupFaces}</span>
+                    {(data.summary.groupFacesUnassigned ?? 0) > 0 && (
+                      <span className="text-yellow-600"> ({data.summary.groupFacesUnassigned} unassigned)</span>
+                    )}
+                  </div>
+                )}
+                {(data.summary.backgroundReplaced ?? 0) > 0 && (
+                  <div>Background replaced: <span className="font-medium">{data.summary.backgroundReplaced}</span></div>
+                )}
+                <div>Needs review: <span className="font-medium">{data.summary.needsReview}</span></div>
+                {data.summary.quality && (
+                  <div className="col-span-full text-muted-foreground">
+                    Quality: {data.summary.quality.pass} pass, {data.summary.quality.warn} warn, {data.summary.quality.fail} fail
+                    {data.summary.quality.overridden > 0 && ` (${data.summary.quality.overridden} overridden)`}
+                  </div>
+                )}
+                {!data.complete && (
+                  <div className="col-span-full text-muted-foreground">
+                    The job has not finished; this list shows the files processed so far.
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground">{loading ? "Loading..." : "No file manifest for this job."}</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {data && data.files.some(f => f.status === "duplicate") && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Discarded Duplicates</CardTitle>
+              <CardDescription>
+                These uploads are older copies of another photo of the same employee and were not cropped; the newest copy was used.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ul className="text-sm space-y-1">
+                {data.files.filter(f => f.status === "duplicate").map(file => (
+                  <li key={file.filename}>
+                    <span className="font-medium">{file.employeeId || "—"}</span>: {file.filename}
+                    <span className="text-muted-foreground"> — {file.message}</span>
+                  </li>
+                ))}
+              </ul>
+            </CardContent>
+          </Card>
+        )}
+
+        {data && data.complete && <RosterReconciliation jobId={id} refreshKey={filesVersion} />}
+        {data && data.complete && (
+          <GroupPhotoAssignment
+            jobId={id}
+            refreshKey={filesVersion}
+            thumbVersion={thumbVersion}
+            onAssigned={() => {
+              setThumbVersion(v => v + 1);
+              fetchFiles();
+            }}
+          />
+        )}
+        {data && data.complete && (
+          <NameMatchReview
+            jobId={id}
+            refreshKey={filesVersion}
+            onConfirmed={() => {
+              setThumbVersion(v => v + 1);
+              fetchFiles();
+            }}
+          />
+        )}
+
+        {data && (
+          <Card>
+            <CardHeader>
+              <div className="flex items-center justify-between">
+                <CardTitle>Files</CardTitle>
+                <div className="flex items-center space-x-2">
+                  <Switch id="review-only" checked={reviewOnly} onCheckedChange={setReviewOnly} />
+                  <Label htmlFor="review-only">Needs review only</Label>
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Photo</TableHead>
+                    <TableHead>Input</TableHead>
+                    <TableHead>Employee ID</TableHead>
+                    <TableHead>Detector</TableHead>
+                    <TableHead>Face box</TableHead>
+                    <TableHead>Crop box</TableHead>
+                    <TableHead>Alignment</TableHead>
+                    <TableHead>Quality</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {files.map((file) => (
+                    <TableRow key={file.filename}>
+                      <TableCell>
+                        {file.output ? (
+                          <img
+                            src={`/api/download/${encodeURIComponent(id)}/${encodeURIComponent(file.output)}?v=${thumbVersion}`}
+                            alt={file.employeeId || file.filename}
+                            className="h-12 w-12 rounded object-cover"
+                            loading="lazy"
+                          />
+                        ) : (
+                          <div className="h-12 w-12 rounded bg-muted" />
+                        )}
+                      </TableCell>
+                      <TableCell className="max-w-[220px]">
+                        <div className="truncate" title={file.filename}>{file.filename}</div>
+                        {file.source && (file.source.orientation > 1 || file.source.pages > 1) && (
+                          <div className="text-xs text-muted-foreground">
+                            {[
+                              file.source.orientation > 1 ? "auto-rotated (EXIF)" : null,
+                              file.source.pages > 1 ? `page ${file.source.page ?? 1} of ${file.source.pages}` : null,
+                            ].filter(Boolean).join(", ")}
+                          </div>
+                        )}
+                        {file.group && (
+                          <div className={`text-xs ${file.nameMatch ? "text-muted-foreground" : "text-yellow-600"}`}>
+                            face {file.group.index} of {file.group.count} (left to right){file.nameMatch ? "" : ", not assigned to a roster row"}
+                          </div>
+                        )}
+                        {file.renditions && file.renditions.length > 0 && (
+                          <div
+                            className={`text-xs ${file.renditions.some(r => r.overBudget) ? "text-red-600" : "text-muted-foreground"}`}
+                            title={file.renditions.map(formatRendition).join("\n")}
+                          >
+                            {file.renditions.length === 1 ? formatRendition(file.renditions[0]) : `${file.renditions.length} renditions`}
+                          </div>
+                        )}
+                        {file.tone && (
+                          file.tone.applied && file.tone.previews ? (
+                            <div className="flex items-center gap-1 mt-1" title={formatTone(file.tone.before, file.tone.after)}>
+                              {(["before", "after"] as const).map((key) => (
+                                <img
+                                  key={key}
+                                  src={`/api/download/${encodeURIComponent(id)}/${encodeURIComponent(file.tone!.previews![key])}?v=${thumbVersion}`}
+                                  alt={`Tone ${key}`}
+                                  className="h-10 w-10 rounded object-cover"
+                                  loading="lazy"
+                                />
+                              ))}
+                              <span className="text-xs text-muted-foreground">tone {Math.round((file.tone.strength ?? 0) * 100)}%</span>
+                            </div>
+                          ) : (
+                            <div className="text-xs text-muted-foreground">tone unchanged{file.tone.reason ? `: ${file.tone.reason}` : ""}</div>
+                          )
+                        )}
+                        {file.background && (
+                          <div
+                            className={`flex items-center gap-1 text-xs ${file.background.applied ? "text-muted-foreground" : "text-yellow-600"}`}
+                            title={file.background.confidence != null ? `Mask confidence ${file.background.confidence}, person ${Math.round((file.background.personArea ?? 0) * 100)}% of the photo` : undefined}
+                          >
+                            <span className="inline-block h-3 w-3 rounded-sm border" style={{ backgroundColor: file.background.color }} />
+                            {file.background.applied ? "background replaced" : `background kept: ${file.background.reason}`}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <div title={file.filenameRule ? `Rule set ${file.filenameRule.ruleSet}: ${file.filenameRule.label ?? "no rule matched"}` : undefined}>
+                          {file.employeeId || "—"}
+                        </div>
+                        {file.filenameRule?.name && (
+                          <div className="text-xs text-muted-foreground">{file.filenameRule.name}</div>
+                        )}
+                        {file.nameMatch && (
+                          <div className="text-xs text-muted-foreground" title={`Confirmed ${file.nameMatch.confirmedAt}`}>
+                            matched by name (was {file.nameMatch.previousId ?? "—"})
+                          </div>
+                        )}
+                        {file.filenameRule && file.filenameRule.rule === null && !file.nameMatch && (
+                          <div className="text-xs text-yellow-700">no ID rule matched</div>
+                        )}
+                        {file.duplicateOf && file.status !== "duplicate" && (
+                          <div
+                            className={`text-xs ${file.duplicateOf.reason === "other_employee" ? "text-yellow-700" : "text-muted-foreground"}`}
+                            title={`Hash distance ${file.duplicateOf.distance}`}
+                          >
+                            {file.duplicateOf.reason === "newer_copy"
+                              ? `re-upload of ${file.duplicateOf.filename}`
+                              : file.duplicateOf.reason === "older_copy"
+                                ? `older copy of ${file.duplicateOf.filename}`
+                                : `same picture as ${file.duplicateOf.employeeId ?? file.duplicateOf.filename}`}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {file.manualCrop ? (
+                          <Badge variant="outline">manual</Badge>
+                        ) : file.detector === "heuristic" ? (
+                          <Badge variant="outline" className="text-yellow-700 border-yellow-300">heuristic</Badge>
+                        ) : (
+                          file.detector || "—"
+                        )}
+                      </TableCell>
+                      <TableCell className="font-mono text-xs">{formatBox(file.faceBox)}</TableCell>
+                      <TableCell className="font-mono text-xs">{formatCrop(file.cropBox)}</TableCell>
+                      <TableCell className="text-xs" title={file.alignment?.source || file.alignment?.reason}>
+                        {file.alignment?.applied ? `${file.alignment.angle}°` : file.alignment?.reason || "—"}
+                      </TableCell>
+                      <TableCell className="max-w-[240px]">
+                        {file.quality ? (
+                          <>
+                            <Badge
+                              variant={file.quality.verdict === "fail" && !file.qualityOverride ? "destructive" : "outline"}
+                              className={
+                                file.quality.verdict === "pass"
+                                  ? "text-green-700 border-green-300"
+                                  : file.quality.verdict === "warn"
+                                    ? "text-yellow-700 border-yellow-300"
+                                    : undefined
+                              }
+                            >
+                              {file.quality.verdict}
+                              {file.qualityOverride && " (overridden)"}
+                            </Badge>
+                            {file.quality.reasons.length > 0 && (
+                              <ul className="text-xs text-muted-foreground mt-1 space-y-0.5">
+                                {file.quality.reasons.map((reason) => (
+                                  <li key={reason.code} className={reason.severity === "fail" ? "text-red-600" : undefined}>
+                                    {reason.message}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                            {file.qualityOverride?.note && (
+                              <p className="text-xs mt-1" title={file.qualityOverride.at}>Override: {file.qualityOverride.note}</p>
+                            )}
+                          </>
+                        ) : (
+                          "—"
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {file.status === "success" ? (
+                          <Badge variant={file.needsReview ? "outline" : "secondary"}>
+                            {file.needsReview ? "review" : "ok"}
+                          </Badge>
+                        ) : file.status === "unsupported" ? (
+                          <Badge variant="destructive" title={file.error || undefined}>unsupported</Badge>
+                        ) : file.status === "duplicate" ? (
+                          <Badge variant="outline" title={file.message || undefined}>duplicate</Badge>
+                        ) : (
+                          <Badge variant="destructive" title={file.error || undefined}>failed</Badge>
+                        )}
+                        {file.error && <p className="text-xs text-red-600 mt-1">{file.error}</p>}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex flex-col gap-1">
+                          <Button variant="outline" size="sm" onClick={() => setEditing(file)} disabled={!data.complete || file.status === "unsupported" || file.status === "duplicate"}>
+                            <Crop className="h-4 w-4 mr-1" />
+                            Crop
+                          </Button>
+                          {file.debugOverlay && (
+                            <Button variant="ghost" size="sm" onClick={() => setDebugging(file)}>
+                              <Bug className="h-4 w-4 mr-1" />
+                              Debug
+                            </Button>
+                          )}
+                          {file.quality?.verdict === "fail" && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleQualityOverride(file, !file.qualityOverride)}
+                              disabled={overriding === file.filename}
+                            >
+                              <ShieldCheck className="h-4 w-4 mr-1" />
+                              {file.qualityOverride ? "Clear override" : "Override"}
+                            </Button>
+                          )}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {files.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={10} className="text-center text-muted-foreground">
+                        {reviewOnly ? "Nothing needs review" : "No image files in this job"}
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+
+      <CropEditor
+        jobId={id}
+        file={editing}
+        onOpenChange={(open) => { if (!open) setEditing(null); }}
+        onSaved={handleCropSaved}
+      />
+
+      <Dialog open={!!debugging} onOpenChange={(open) => { if (!open) setDebugging(null); }}>
+        <DialogContent className="max-w-3xl max-h-[90vh] overflow-auto">
+          <DialogHeader>
+            <DialogTitle>Debug Overlay: {debugging?.filename}</DialogTitle>
+            <DialogDescription>
+              Green: the face the crop is built around. Orange: other detected faces with their scores.
+              Blue and red dots: eyes and nose. Pink: the final crop.
+            </DialogDescription>
+          </DialogHeader>
+          {debugging && (
+            <img
+              src={`/api/jobs/${encodeURIComponent(id)}/files/${encodeURIComponent(debugging.filename)}/debug?v=${thumbVersion}`}
+              alt={`Debug overlay of ${debugging.filename}`}
+              className="w-full rounded border"
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+    </AppLayout>
+  );
+};
+
+export default JobResults;
@@ -10,6 +10,7 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Switch } from "@/components/ui/switch";
 import { useSearchParams } from "react-router-dom";
 import type { Job } from "@/components/JobStatusCard";
+import { RosterReconciliation } from "@/components/RosterReconciliation";
 
 type VaultRegistrationError = {
   code?: string;
@@ -27,6 +28,9 @@ type VaultRegistrationDetail = {
   cardNo?: string;
   name?: string;
   hasPhoto?: boolean;
+  // Photo failed the quality gate on the job results page and was not overridden
+  excluded?: boolean;
+  qualityReasons?: { code: string; severity: string; message: string }[];
   respCode?: string;
   respMessage?: string;
   department?: string;
@@ -43,6 +47,7 @@ type VaultRegistrationSummary = {
   registered: number;
   withPhoto: number;
   withoutPhoto: number;
+  excluded?: number;
   errors: VaultRegistrationError[];
   details: VaultRegistrationDetail[];
 };
@@ -140,6 +145,7 @@ const RegisterVault: React.FC = () => {
         registered: data.registered ?? 0,
         withPhoto: data.withPhoto ?? 0,
         withoutPhoto: data.withoutPhoto ?? 0,
+        excluded: data.excluded ?? 0,
         errors: Array.isArray(data.errors) ? data.errors : [],
         details: Array.isArray(data.details) ? data.details : [],
       };
@@ -207,6 +213,7 @@ const RegisterVault: React.FC = () => {
         registered: data.registered ?? 0,
         withPhoto: data.withPhoto ?? 0,
         withoutPhoto: data.withoutPhoto ?? 0,
+        excluded: data.excluded ?? 0,
         errors: Array.isArray(data.errors) ? data.errors : [],
         details: Array.isArray(data.details) ? data.details : [],
       };
@@ -270,6 +277,7 @@ const RegisterVault: React.FC = () => {
         registered: data.registered ?? 0,
         withPhoto: data.withPhoto ?? 0,
         withoutPhoto: data.withoutPhoto ?? 0,
+        excluded: data.excluded ?? 0,
         errors: Array.isArray(data.errors) ? data.errors : [],
         details: Array.isArray(data.details) ? data.details : [],
       };
@@ -314,6 +322,7 @@ const RegisterVault: React.FC = () => {
         registered: data.registered ?? 0,
         withPhoto: data.withPhoto ?? 0,
         withoutPhoto: data.withoutPhoto ?? 0,
+        excluded: data.excluded ?? 0,
         errors: Array.isArray(data.errors) ? data.errors : [],
         details: Array.isArray(data.details) ? data.details : [],
       };
@@ -540,12 +549,16 @@ const RegisterVault: React.FC = () => {
           </Card>
         )}
 
+        {/* Photos vs. roster of the selected job, so gaps are seen before executing */}
+        {previewMode === 'job' && selectedJobId && <RosterReconciliation jobId={selectedJobId} />}
+
         {previewSummary && (
           <Card>
             <CardHeader>
               <CardTitle>Preview Cards to Register</CardTitle>
               <CardDescription>
                 Review the values before executing. Attempted {previewSummary.attempted}, With Photo {previewSummary.withPhoto}, Without Photo {previewSummary.withoutPhoto}
+                {(previewSummary.excluded ?? 0) > 0 && `, Photos withheld (quality) ${previewSummary.excluded}`}
               </CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
@@ -584,7 +597,16 @@ const RegisterVault: React.FC = () => {
                           <td className="py-2 pr-4">{d.name || '-'}</td>
                           <td className="py-2 pr-4">{d.department || '-'}</td>
                           <td className="py-2 pr-4">{d.staffNo || '-'}</td>
-                          <td className="py-2 pr-4">{(photoChecks[idx] ?? d.hasPhoto) ? 'Yes' : 'No'}</td>
+                          <td className="py-2 pr-4">
+                            {d.excluded ? (
+                              <span
+                                className="text-red-600"
+                                title={(d.qualityReasons || []).map(r => r.message).join('\n') || undefined}
+                              >
+                                No, withheld (quality)
+                              </span>
+                            ) : (photoChecks[idx] ?? d.hasPhoto) ? 'Yes' : 'No'}
+                          </td>
                           <td className="py-2 pr-4">
                             {(() => {
                               const profile = d.profile as Record<string, unknown> | undefined;
@@ -738,6 +760,12 @@ const RegisterVault: React.FC = () => {
                   <div className="text-muted-foreground">Without Photo</div>
                   <div className="font-medium">{regSummary.withoutPhoto}</div>
                 </div>
+                {(regSummary.excluded ?? 0) > 0 && (
+                  <div className="p-3 rounded border">
+                    <div className="text-muted-foreground">Photos withheld (quality)</div>
+                    <div className="font-medium text-red-600">{regSummary.excluded}</div>
+                  </div>
+                )}
               </div>
 
               <div className="flex gap-2">
@@ -765,7 +793,16 @@ const RegisterVault: React.FC = () => {
                         <tr key={`${d.cardNo}-${idx}`} className="border-b">
                           <td className="py-2 pr-4 font-mono">{d.cardNo || '-'}</td>
                           <td className="py-2 pr-4">{d.name || '-'}</td>
-                          <td className="py-2 pr-4">{d.hasPhoto ? 'Yes' : 'No'}</td>
+                          <td className="py-2 pr-4">
+                            {d.excluded ? (
+                              <span
+                                className="text-red-600"
+                                title={(d.qualityReasons || []).map(r => r.message).join('\n') || undefined}
+                              >
+                                No, withheld (quality)
+                              </span>
+                            ) : d.hasPhoto ? 'Yes' : 'No'}
+                          </td>
                           <td className="py-2 pr-4">{d.respCode || '-'}</td>
                           <td className="py-2 pr-4">{d.respMessage || '-'}</td>
                         </tr>